@@ -2,6 +2,7 @@
  * Collection of more complex SONOS commands.
  * - notification and snapshot such as playGroupNotification
  * - group related such as getGroupCurrent
+ * - wind down of a group such as windDownGroup
  * - content related such as getMySonos
  *
  * @module Sonos-Commands
@@ -20,13 +21,30 @@ const {
   parseZoneGroupToArray, parseAlarmsToArray
 } = require('./Extensions.js')
 
-const { encodeHtmlEntity, hhmmss2msec, isTruthy, isTruthyProperty
+const { getGroupsAllCached } = require('./Topology-cache.js')
+
+const { cancelRamps, limitVolume, rampPlayersVolume } = require('./Volume.js')
+
+const { encodeHtmlEntity, hhmmss2msec, isTruthy, isTruthyProperty, isTruthyPropertyStringNotEmpty
 } = require('./Helper.js')
 
 const { MetaDataHelper, SonosDevice } = require('@svrooij/sonos/lib')
 
 const debug = require('debug')(`${PACKAGE_PREFIX}commands`)
 
+// AVTransport actions being used in group plans, see planCreateGroup
+const GROUP_PLAN_ACTIONS = ['BecomeCoordinatorOfStandaloneGroup', 'SetAVTransportURI']
+const GROUP_PLAN_DELAY_MAXIMUM = 1000 // milliseconds, planCreateGroup uses 0 or 500
+
+const WIND_DOWN_CHECK_INTERVAL = 1000 // milliseconds, check for cancellation while waiting
+
+// title prefix of temporary SONOS-Playlists storing the queues of a household snapshot
+const SNAPSHOT_PLAYLIST_PREFIX = 'nrcsp snapshot'
+
+// key is coordinator hostname such as 192.168.178.37, value the wind down
+// { cancelled, hostnames }
+const activeWindDowns = {}
+
 module.exports = {
 
   //
@@ -34,6 +52,8 @@ module.exports = {
   //     
 
   /**  Play notification on an existing group.
+   * Snapshot, start, wait and restore - see the single steps below. The Universal node uses
+   * the single steps in the notification queue (Notification-queue.js).
    * @param {tsPlayer[]} tsPlayerArray sonos-ts player array with JavaScript build-in URL urlObject.
    *               Coordinator has index 0. Length = 1 is allowed.
    * @param {object} options options
@@ -42,6 +62,11 @@ module.exports = {
    * @param {boolean} options.sameVolume all player in group play at same volume level
    * @param {boolean} options.automaticDuration true: duration will be received from player
    * @param {string} [options.duration] format hh:mm:ss, only required if automaticDuration = false
+   * @param {number} [options.fadeDuration] milliseconds, fade down before and fade up after
+   *                 the notification if group is playing - 0 or missing means no fading
+   * @param {string} [options.volumeLimitScope] volume limit scope (config node id), see limitVolume
+   * @param {object[]} [options.volumeLimitViolations] volume limit violations are added,
+   *                   see limitVolume. Players are identified by tsPlayer.playerName
    * 
    * @returns {promise} true
    * 
@@ -50,8 +75,47 @@ module.exports = {
 
   playGroupNotification: async (tsPlayerArray, options) => {
     debug('method:%s', 'playGroupNotification')
-    const WAIT_ADJUSTMENT = 1000 // milliseconds
-    const DEFAULT_DURATION = '00:00:15'
+    const snapShot = await module.exports.createGroupNotificationSnapshot(tsPlayerArray)
+    const waitInMilliseconds
+      = await module.exports.startGroupNotification(tsPlayerArray, options)
+    await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](waitInMilliseconds)
+    debug('Info: notification finished')
+    await module.exports.restoreGroupNotification(tsPlayerArray, snapShot, options)
+  },
+
+  /**  Create the snapshot being restored after a group notification: 
+   * state, volume, content but not the SONOS-Queue.
+   * @param {tsPlayer[]} tsPlayerArray sonos-ts player array with JavaScript build-in URL urlObject.
+   *               Coordinator has index 0. Length = 1 is allowed.
+   * 
+   * @returns {promise<Snapshot>} group snapshot object
+   * 
+   * @throws {error} all methods
+   */
+  createGroupNotificationSnapshot: async (tsPlayerArray) => {
+    debug('method:%s', 'createGroupNotificationSnapshot')
+    // SONOS-Queue is not snapshot because usually it is not changed.
+    const snapShot = await module.exports.createGroupSnapshot(tsPlayerArray, {
+      snapVolumes: true,  // simplification - only necessary in some cases
+      snapMutes: false, // dont save the mutestates of each player
+      sonosPlaylistName: null // dont save the SONOS-Queue
+    })
+    debug('Info: Snapshot created')
+    return snapShot
+  },
+
+  /**  Start a group notification: set content and volume and play. Does not wait!
+   * @param {tsPlayer[]} tsPlayerArray sonos-ts player array with JavaScript build-in URL urlObject.
+   *               Coordinator has index 0. Length = 1 is allowed.
+   * @param {object} options options - see playGroupNotification
+   * 
+   * @returns {promise<number>} duration of notification in milliseconds
+   * 
+   * @throws {error} 'uri is missing'
+   * @throws {error} all methods
+   */
+  startGroupNotification: async (tsPlayerArray, options) => {
+    debug('method:%s', 'startGroupNotification')
 
     // Generate metadata if not provided
     if (!isTruthyProperty(options, ['uri'])) {
@@ -61,70 +125,78 @@ module.exports = {
     let metadata = await MetaDataHelper.TrackToMetaData(track)
     metadata = (metadata !== '' ? await encodeHtmlEntity(metadata) : '')
     debug('Info: metadata >>%s' + JSON.stringify(metadata))
-
-    // Create snapshot state/volume/content but not the queue
-    // SONOS-Queue is not snapshot because usually it is not changed.
-    const snapShot = await module.exports.createGroupSnapshot(tsPlayerArray, {
-      snapVolumes: true,  // simplification - only necessary in some cases
-      snapMutes: false, // dont save the mutestates of each player
-      sonosPlaylistName: null // dont save the SONOS-Queue
-    })
-    debug('Info: Snapshot created')
     
-    // Set AVTransport on coordinator
+    // Fade down current content - volumes are reset after content has been replaced
     const iCoord = 0
+    const fadedVolumes = await fadeDownGroup(tsPlayerArray, options)
+
+    // Set AVTransport on coordinator
     const uri = await encodeHtmlEntity(options.uri)
     await tsPlayerArray[iCoord].AVTransportService.SetAVTransportURI({
       InstanceID: 0, CurrentURI: uri, CurrentURIMetaData: metadata
     })
+    for (let index = 0; index < fadedVolumes.length; index++) {
+      await tsPlayerArray[index].SetVolume(fadedVolumes[index])
+    }
 
-    // Set volume and play on coordinator
+    // Set volume and play on coordinator - volume limits for notifications apply
+    const violations = options.volumeLimitViolations || []
     if (options.volume !== -1) {
       debug('Info: using same volume >>%s', options.sameVolume)
       if (options.sameVolume) { // all player including coordinator
         for (const tsPlayer of tsPlayerArray) {
-          await tsPlayer.SetVolume(options.volume)
+          await tsPlayer.SetVolume(limitVolume(options.volumeLimitScope, tsPlayer.playerName,
+            options.volume, true, violations))
         }
-      } else {
-        await tsPlayerArray[iCoord].SetVolume(options.volume) // coordinator only
+      } else { // coordinator only
+        await tsPlayerArray[iCoord].SetVolume(limitVolume(options.volumeLimitScope,
+          tsPlayerArray[iCoord].playerName, options.volume, true, violations))
       }
     }
     await tsPlayerArray[iCoord].Play()
     debug('Info: Playing notification started')
 
-    // Coordinator waiting either based on SONOS estimation, per default or user specified
-    let waitInMilliseconds = hhmmss2msec(DEFAULT_DURATION)
-    if (options.automaticDuration) {
-      const positionInfo = await tsPlayerArray[iCoord].AVTransportService.GetPositionInfo()
-      if (isTruthyProperty(positionInfo, ['TrackDuration'])) {
-        waitInMilliseconds = hhmmss2msec(positionInfo.TrackDuration) + WAIT_ADJUSTMENT
-        debug('Info: Using duration received from SONOS player')
-      } else {
-        debug('Info: Could NOT retrieve duration from SONOS player - using default') 
-      }
-    } else {
-      if (isTruthyProperty(options, ['duration'])) {
-        waitInMilliseconds = hhmmss2msec(options.duration)
-      } else {
-        debug('Error: options.duration is not set but needed - using default') 
-      }
-    }
-    debug('Info: using duration >>%s', JSON.stringify(waitInMilliseconds))
-    await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](waitInMilliseconds)
-    debug('Info: notification finished')
+    return module.exports.getNotificationDuration(tsPlayerArray[iCoord], options)
+  },
 
+  /**  Restore the group snapshot after a notification and play if it was playing before.
+   * @param {tsPlayer[]} tsPlayerArray sonos-ts player array with JavaScript build-in URL urlObject.
+   *               Coordinator has index 0. Length = 1 is allowed.
+   * @param {object<Snapshot>} snapShot see createGroupNotificationSnapshot
+   * @param {object} [options] options - see playGroupNotification, only fadeDuration is used
+   * 
+   * @returns {promise} true
+   * 
+   * @throws {error} all methods
+   */
+  restoreGroupNotification: async (tsPlayerArray, snapShot, options) => {
+    debug('method:%s', 'restoreGroupNotification')
     // Return to previous state = restore snapshot (does not play)
     await module.exports.restoreGroupSnapshot(snapShot)
     debug('Info: snapshot restored')
 
-    // vli can not be recovered
+    // vli can not be recovered - playing would repeat the notification
     if (snapShot.wasPlaying) {
-      if (!options.uri.includes('x-sonos-vli')) {
+      if (!snapShot.CurrentURI.includes('x-sonos-vli')) {
+        const iCoord = 0
+        const fadeDuration = (isTruthyProperty(options, ['fadeDuration'])
+          ? options.fadeDuration : 0)
+        if (fadeDuration > 0) {
+          for (const tsPlayer of tsPlayerArray) {
+            await tsPlayer.SetVolume(0)
+          }
+        }
         await tsPlayerArray[iCoord].Play()
+        if (fadeDuration > 0) {
+          await rampPlayersVolume(tsPlayerArray,
+            snapShot.membersData.map((member) => member.volume),
+            { 'duration': fadeDuration, 'curve': 'linear' })
+        }
       } else {
-        debug('Info: Stream can not be played >>%s:', JSON.stringify(options.uri))
+        debug('Info: Stream can not be played >>%s:', JSON.stringify(snapShot.CurrentURI))
       }
     }
+    return true
   },
 
   /**  Play notification on a single joiner (must not be coordinator).
@@ -137,6 +209,9 @@ module.exports = {
    * @param {string} options.volume volume during notification - if -1 don't use, range 1 .. 99
    * @param {boolean} options.automaticDuration true: duration will be received from player
    * @param {string} [options.duration] format hh:mm:ss, only required if automaticDuration = false
+   * @param {string} [options.volumeLimitScope] volume limit scope (config node id), see limitVolume
+   * @param {object[]} [options.volumeLimitViolations] volume limit violations are added,
+   *                   see limitVolume. Player is identified by tsJoiner.playerName
    * @returns {promise} true
    *
    * @throws {error} all methods
@@ -146,8 +221,39 @@ module.exports = {
 
   playJoinerNotification: async (tsJoiner, coordinatorUuid, options) => {
     debug('method:%s', 'playJoinerNotification')
-    const WAIT_ADJUSTMENT = 1000 // milliseconds
-    const DEFAULT_DURATION = '00:00:15'
+    const joinerVolume = await module.exports.createJoinerNotificationSnapshot(tsJoiner)
+    const waitInMilliseconds = await module.exports.startJoinerNotification(tsJoiner, options)
+    await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](waitInMilliseconds)
+    debug('Info: notification finished')
+    await module.exports.restoreJoinerNotification(tsJoiner, coordinatorUuid, joinerVolume)
+  },
+
+  /**  Create the snapshot being restored after a joiner notification: the joiner volume.
+   * No full snapshot needed as the original group does not change.
+   * @param {object} tsJoiner node-sonos player in group with url
+   * 
+   * @returns {promise<number>} joiner volume
+   * 
+   * @throws {error} all methods
+   */
+  createJoinerNotificationSnapshot: async (tsJoiner) => {
+    debug('method:%s', 'createJoinerNotificationSnapshot')
+    const result = await tsJoiner.RenderingControlService.GetVolume(
+      { 'InstanceID': 0, 'Channel': 'Master' })
+    return result.CurrentVolume
+  },
+
+  /**  Start a joiner notification: set content and volume and play. Does not wait!
+   * @param {object} tsJoiner node-sonos player in group with url
+   * @param {object} options options - see playJoinerNotification
+   * 
+   * @returns {promise<number>} duration of notification in milliseconds
+   * 
+   * @throws {error} 'uri is missing'
+   * @throws {error} all methods
+   */
+  startJoinerNotification: async (tsJoiner, options) => {
+    debug('method:%s', 'startJoinerNotification')
 
     // Generate metadata if not provided
     if (!isTruthyProperty(options, ['uri'])) {
@@ -158,32 +264,63 @@ module.exports = {
     metadata = (metadata !== '' ? await encodeHtmlEntity(metadata) : '')
     debug('Info: metadata >>%s' + JSON.stringify(metadata))
 
-    // No full snapshot needed as the original group does not change
-    let joinerVolume 
-    if (options.volume !== -1) { 
-      const result = await tsJoiner.RenderingControlService.GetVolume(
-        { 'InstanceID': 0, 'Channel': 'Master' })
-      joinerVolume = result.CurrentVolume
-    }
-
     // Set AVTransport on joiner - joiner will automatically leave group!
     const uri = await encodeHtmlEntity(options.uri)
     await tsJoiner.AVTransportService.SetAVTransportURI({
       InstanceID: 0, CurrentURI: uri, CurrentURIMetaData: metadata
     })
 
-    // Set joiner volume if requested
+    // Set joiner volume if requested - volume limits for notifications apply
     if (options.volume !== -1) {
-      await tsJoiner.SetVolume(options.volume)
+      await tsJoiner.SetVolume(limitVolume(options.volumeLimitScope, tsJoiner.playerName,
+        options.volume, true, options.volumeLimitViolations || []))
       debug('Info: new volume set')
     }
     await tsJoiner.Play()
     debug('Info: Playing notification started')
 
-    // Joiner: waiting either based on SONOS estimation, per default or user specified
+    return module.exports.getNotificationDuration(tsJoiner, options)
+  },
+
+  /**  Restore the joiner volume and rejoin the group after a notification.
+   * @param {object} tsJoiner node-sonos player in group with url
+   * @param {string} coordinatorUuid coordinator uuid - used for grouping
+   * @param {number} joinerVolume see createJoinerNotificationSnapshot
+   * 
+   * @returns {promise} true
+   * 
+   * @throws {error} all methods
+   */
+  restoreJoinerNotification: async (tsJoiner, coordinatorUuid, joinerVolume) => {
+    debug('method:%s', 'restoreJoinerNotification')
+    await tsJoiner.SetVolume(joinerVolume)
+    const coordinatorRincon = `x-rincon:${coordinatorUuid}`
+    await tsJoiner.AVTransportService.SetAVTransportURI(
+      { 'InstanceID': 0, 'CurrentURI': coordinatorRincon, 'CurrentURIMetaData': '' }
+    )
+    debug('Info: restored')
+    return true
+  },
+
+  /**  Get the notification duration: either based on SONOS estimation, 
+   * per default or user specified.
+   * @param {object} tsPlayer sonos-ts player playing the notification
+   * @param {object} options options
+   * @param {boolean} options.automaticDuration true: duration will be received from player
+   * @param {string} [options.duration] format hh:mm:ss, only required if automaticDuration = false
+   * 
+   * @returns {promise<number>} duration in milliseconds
+   * 
+   * @throws {error} all methods
+   */
+  getNotificationDuration: async (tsPlayer, options) => {
+    debug('method:%s', 'getNotificationDuration')
+    const WAIT_ADJUSTMENT = 1000 // milliseconds
+    const DEFAULT_DURATION = '00:00:15'
+
     let waitInMilliseconds = hhmmss2msec(DEFAULT_DURATION)
     if (options.automaticDuration) {
-      const positionInfo = await tsJoiner.AVTransportService.GetPositionInfo()
+      const positionInfo = await tsPlayer.AVTransportService.GetPositionInfo()
       if (isTruthyProperty(positionInfo, ['TrackDuration'])) {
         waitInMilliseconds = hhmmss2msec(positionInfo.TrackDuration) + WAIT_ADJUSTMENT
         debug('Info: Using duration received from SONOS player')
@@ -197,20 +334,8 @@ module.exports = {
         debug('Error: options.duration is not set but needed - using default') 
       }
     }
-    debug('duration >>' + JSON.stringify(waitInMilliseconds))
-    await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](waitInMilliseconds)
-    debug('Info: notification finished')
-
-    // Return to previous state
-    if (options.volume !== -1) { 
-      await tsJoiner.SetVolume(joinerVolume)
-    }
-    const coordinatorRincon = `x-rincon:${coordinatorUuid}`
-    await tsJoiner.AVTransportService.SetAVTransportURI(
-      { 'InstanceID': 0, 'CurrentURI': coordinatorRincon, 'CurrentURIMetaData': '' }
-    )
-    debug('Info: restored')
-
+    debug('Info: using duration >>%s', JSON.stringify(waitInMilliseconds))
+    return waitInMilliseconds
   },
 
   /**
@@ -424,6 +549,103 @@ module.exports = {
     return true
   },
 
+  /**
+   * @typedef {object} HouseholdSnapshot snapshot of all groups including topology
+   * @global
+   * @property {string} createdAt ISO date time
+   * @property {Snapshot[]} groups snapshot of every group, see createGroupSnapshot
+   * with additional property isTemporaryPlaylist
+   */
+
+  /**  Creates snapshot of all groups in household: group topology and for each group 
+   * playbackstate, content, track, position, volume, mutestate - see createGroupSnapshot.
+   * @param {object} anyTsPlayer sonos-ts player
+   * @param {object} options
+   * @param {boolean} options.snapVolumes if true capture all players volume
+   * @param {boolean} options.snapMutestates if true capture all players mute state
+   * @param {string} options.sonosPlaylistName if not null store each queue in a SONOS-Playlist
+   *                 named sonosPlaylistName and coordinator name
+   * @param {boolean} [options.snapQueues = false] if true and sonosPlaylistName is null: store
+   *                 each queue in a temporary SONOS-Playlist (title starts with nrcsp snapshot)
+   *                 being deleted by restoreHouseholdSnapshot. Deleted also if creation fails.
+   * 
+   * @returns {promise<HouseholdSnapshot>} household snapshot object
+   * 
+   * @throws {error} all methods
+   */
+  createHouseholdSnapshot: async (anyTsPlayer, options) => {
+    debug('method:%s', 'createHouseholdSnapshot')
+    const allGroupsData = await module.exports.getGroupsAll(anyTsPlayer, true)
+    const createdAt = new Date().toISOString()
+    const isTemporaryPlaylist = (options.sonosPlaylistName === null && options.snapQueues === true)
+    const temporaryPrefix = `${SNAPSHOT_PLAYLIST_PREFIX} ${createdAt} `
+    const groups = []
+    try {
+      for (const members of allGroupsData) {
+        const groupOptions = Object.assign({}, options)
+        if (isTemporaryPlaylist) {
+          groupOptions.sonosPlaylistName = `${temporaryPrefix}${members[0].playerName}`
+        } else if (options.sonosPlaylistName !== null) {
+          groupOptions.sonosPlaylistName = `${options.sonosPlaylistName} ${members[0].playerName}`
+        }
+        const snapshot = await module.exports.createGroupSnapshot(members, groupOptions)
+        snapshot.isTemporaryPlaylist = isTemporaryPlaylist
+        groups.push(snapshot)
+      }
+    } catch (err) {
+      if (isTemporaryPlaylist) {
+        // snapshot is never returned - dont leave its temporary SONOS-Playlists in the library
+        await deleteSonosPlaylistsStartingWith(anyTsPlayer, temporaryPrefix)
+          .catch((cleanupErr) => {
+            debug('temporary SONOS-Playlists not deleted >>%s', cleanupErr.message)
+          })
+      }
+      throw err
+    }
+    return { createdAt, groups }
+  },
+
+  /**  Restore household snapshot: rebuild all groups and restore each group. 
+   * Plays if group was playing. Players not being in snapshot are not touched.
+   * Temporary SONOS-Playlists are deleted - such a snapshot can be restored only once.
+   * @param {object} anyTsPlayer sonos-ts player
+   * @param {object<HouseholdSnapshot>} householdSnapshot see createHouseholdSnapshot
+   * 
+   * @returns {promise} true
+   * 
+   * @throws {error} 'household snapshot is invalid'
+   * @throws {error} all methods
+   */
+  restoreHouseholdSnapshot: async (anyTsPlayer, householdSnapshot) => {
+    debug('method:%s', 'restoreHouseholdSnapshot')
+    if (!isTruthyProperty(householdSnapshot, ['groups']) 
+      || !Array.isArray(householdSnapshot.groups)) {
+      throw new Error(`${PACKAGE_PREFIX} household snapshot is invalid`)
+    }
+    
+    // First rebuild the topology - each createGroup is based on current topology
+    for (const snapshot of householdSnapshot.groups) {
+      const playerNames = snapshot.membersData.map((member) => member.playerName)
+      await module.exports.createGroup(anyTsPlayer, playerNames)
+    }
+    
+    // Then restore content, volume, ... per group
+    for (const snapshot of householdSnapshot.groups) {
+      await module.exports.restoreGroupSnapshot(snapshot)
+      const iCoord = 0
+      const coordinatorUrlObject = new URL(snapshot.membersData[iCoord].urlSchemeAuthority)
+      const tsCoordinator = new SonosDevice(coordinatorUrlObject.hostname)
+      if (snapshot.isTemporaryPlaylist === true && snapshot.playlistObjectId !== null) {
+        await tsCoordinator.ContentDirectoryService.DestroyObject(
+          { 'ObjectID': snapshot.playlistObjectId })
+      }
+      if (snapshot.wasPlaying) {
+        await tsCoordinator.Play()
+      }
+    }
+    return true
+  },
+
   //
   //     GROUP RELATED
   //  
@@ -439,7 +661,7 @@ module.exports = {
    */
   getGroupCurrent: async (tsPlayer, playerName) => {
     debug('method:%s', 'getGroupCurrent')
-    const allGroups = await module.exports.getGroupsAll(tsPlayer)
+    const allGroups = await getGroupsAllCached(tsPlayer) // from topology cache if fresh
     const thisGroup = await extractGroup(tsPlayer.urlObject.hostname, allGroups, playerName)
     return thisGroup
   },
@@ -480,32 +702,349 @@ module.exports = {
   },
 
   /** Set volume on members in a group. Does not do anything if volume = -1.
+   * The volume is clamped to the volume limit of each player.
    * @property {object[]} members array of playerGroupData
    * @property {number} playerIndex the key to major player, integer 0, members.length
    * @property {number} volume new volume, integer 0 .. 100 or -1 means no change
    * @property {boolean} everywhere set volume on every player
+   * @property {string} [scope] volume limit scope (config node id), see limitVolume
    * 
-   * @returns {promise<true>} 
+   * @returns {promise<object[]>} volume limit violations, see limitVolume
    *
    * @throws {error} all methods
    */
-  setVolumeOnMembers: async (members, playerIndex, volume, everywhere) => {
+  setVolumeOnMembers: async (members, playerIndex, volume, everywhere, scope) => {
     debug('method:%s', 'setVolumeOnMembers')
   
+    const violations = []
     if (volume !== -1) {
       debug('changing volumes')
       if (everywhere) { // set all player
         debug('changing volumes everywhere')
         for (const member of members) {
           const tsPlayer = new SonosDevice(member.urlObject.hostname)
-          await tsPlayer.SetVolume(volume)
+          await tsPlayer.SetVolume(limitVolume(scope, member.playerName, volume, false, violations))
         }
       } else { // Set only one player
-        const tsPlayer = new SonosDevice(members[playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(volume)
+        const member = members[playerIndex]
+        const tsPlayer = new SonosDevice(member.urlObject.hostname)
+        await tsPlayer.SetVolume(limitVolume(scope, member.playerName, volume, false, violations))
       }
     }
   
+    return violations
+  },
+
+  /** Create a new group in household. 
+   * @param {object} anyTsPlayer sonos-ts player
+   * @param {string[]} newGroupPlayerArray SONOS-Playernames, first will become coordinator
+   * 
+   * @returns {promise<true>}
+   *
+   * @throws {error} 'all groups data undefined', 'Could not find player *'
+   * @throws {error} all methods
+   */
+  createGroup: async (anyTsPlayer, newGroupPlayerArray) => {
+    debug('method:%s', 'createGroup')
+    const allGroupsData = await module.exports.getGroupsAll(anyTsPlayer, true)
+    if (!isTruthy(allGroupsData)) {
+      throw new Error(`${PACKAGE_PREFIX} all groups data undefined`)
+    }
+    const plan = module.exports.planCreateGroup(allGroupsData, newGroupPlayerArray)
+    await module.exports.executeGroupPlan(plan, allGroupsData)
+
+    return true
+  },
+
+  /**
+   * @typedef {object} GroupPlan ordered SOAP actions to create a group and the topology diff
+   * @global
+   * @property {object[]} actions ordered actions { playerName, hostname, action, args, delay }
+   *           action is BecomeCoordinatorOfStandaloneGroup or SetAVTransportURI (AVTransport),
+   *           delay in milliseconds to wait after the action
+   * @property {string[][]} current current groups (SONOS-Playernames, coordinator first)
+   * @property {string[][]} desired groups after executing the plan
+   * @property {object[]} changes players changing the group { playerName, from, to }
+   *           from, to are the coordinator names
+   */
+
+  /** Plan the creation of a new group - pure function, no player is touched.
+   * @param {playerGroupData[]} allGroupsData array of arrays, see getGroupsAll
+   * @param {string[]} newGroupPlayerArray SONOS-Playernames, first will become coordinator
+   * 
+   * @returns {GroupPlan} plan, to be executed with executeGroupPlan
+   *
+   * @throws {error} 'Could not find player *'
+   */
+
+  // Algorithm: If the new coordinator is already the coordinator in an existing group, 
+  // then just take that group and remove (first step)/ add (second step) the needed players.
+  // else make the new coordinator stand alone and add all needed players.
+  // TODO check else: maybe better to find "closest" group and make coordinator
+  // Maybe 2 options. Find the closest (number of players) group and define coordinator 
+  // and add other
+
+  planCreateGroup: (allGroupsData, newGroupPlayerArray) => {
+    debug('method:%s', 'planCreateGroup')
+    // Convert multi dimensional array to simple array 
+    // where objects have new property groupIndex, memberIndex
+    const allPlayerList = []
+    for (let iGroup = 0; iGroup < allGroupsData.length; iGroup++) {
+      for (let iMember = 0; iMember < allGroupsData[iGroup].length; iMember++) {
+        if (!allGroupsData[iGroup][iMember].invisible) {
+          const player = {
+            playerName: allGroupsData[iGroup][iMember].playerName,
+            urlObject: allGroupsData[iGroup][iMember].urlObject,
+            uuid: allGroupsData[iGroup][iMember].uuid,
+            isCoordinator: (iMember === 0),
+            groupIndex: iGroup
+          }
+          allPlayerList.push(player)
+        }
+      }
+    }
+
+    // Validate all player names in newGroupPlayerArray and get index of new coordinator
+    let iNewCoordinator
+    for (let i = 0; i < newGroupPlayerArray.length; i++) {
+      const indexInList
+        = allPlayerList.findIndex((p) => p.playerName === newGroupPlayerArray[i])
+      if (indexInList === -1) {
+        throw new Error(`${PACKAGE_PREFIX} Could not find player: ${newGroupPlayerArray[i]}`)
+      }
+      if (i === 0) iNewCoordinator = indexInList  // new coordinator is first in csv
+    }
+    const coordinatorRincon = `x-rincon:${allPlayerList[iNewCoordinator].uuid}`
+
+    const actions = []
+    const addAction = (player, action, delay) => {
+      const args = (action === 'BecomeCoordinatorOfStandaloneGroup'
+        ? { 'InstanceID': 0 }
+        : { 'InstanceID': 0, 'CurrentURI': coordinatorRincon, 'CurrentURIMetaData': '' })
+      actions.push({
+        'playerName': player.playerName, 'hostname': player.urlObject.hostname, action, args, delay
+      })
+    }
+
+    // Is new coordinator already the coordinator in its group? Then use this group and adjust
+    if (allPlayerList[iNewCoordinator].isCoordinator) { // Means is a coordinator
+      // Modify this group (remove those not needed and add some)
+      for (const player of allPlayerList) {
+        // Should this player be in group?
+        const found = newGroupPlayerArray.indexOf(player.playerName)
+        if (found === -1) {
+          // Remove from group
+          if (player.groupIndex === allPlayerList[iNewCoordinator].groupIndex) {
+            // Leave group, no check - always returns true
+            addAction(player, 'BecomeCoordinatorOfStandaloneGroup', 0)
+          }
+        } else if (player.groupIndex !== allPlayerList[iNewCoordinator].groupIndex) {
+          // Add to group
+          addAction(player, 'SetAVTransportURI', 0)
+        }
+      }
+    } else {
+      // Because it takes time to BecomeCoordinator
+      addAction(allPlayerList[iNewCoordinator], 'BecomeCoordinatorOfStandaloneGroup', 500)
+
+      for (let i = 1; i < newGroupPlayerArray.length; i++) { // Start with 1
+        const indexPlayer = allPlayerList.findIndex((p) => p.playerName === newGroupPlayerArray[i])
+        // Using SetAVTransportURI as AddMember does not work
+        addAction(allPlayerList[indexPlayer], 'SetAVTransportURI', 0)
+      }
+    }
+
+    const current = module.exports.getGroupNames(allGroupsData)
+    const desired = getGroupNamesAfterActions(current, actions,
+      allPlayerList[iNewCoordinator].playerName)
+    const coordinatorOf = (groups, playerName) => {
+      return groups.find((group) => group.includes(playerName))[0]
+    }
+    const changes = []
+    for (const player of allPlayerList) {
+      const from = coordinatorOf(current, player.playerName)
+      const to = coordinatorOf(desired, player.playerName)
+      if (from !== to) {
+        changes.push({ 'playerName': player.playerName, from, to })
+      }
+    }
+
+    return { actions, current, desired, changes }
+  },
+
+  /** Execute a group plan: the actions in given order. No check whether plan is current.
+   * Only actions as being created by planCreateGroup are executed: player (name and hostname)
+   * in household, action in GROUP_PLAN_ACTIONS and SetAVTransportURI joins the coordinator
+   * of the desired group. The args are rebuilt - other args are ignored.
+   * @param {GroupPlan} plan see planCreateGroup
+   * @param {playerGroupData[]} allGroupsData current topology, see getGroupsAll
+   * 
+   * @returns {promise<number>} number of executed actions
+   *
+   * @throws {error} 'plan is invalid', 'plan action >> player is not in household',
+   * 'plan action >> is invalid'
+   * @throws {error} all methods
+   */
+  executeGroupPlan: async (plan, allGroupsData) => {
+    debug('method:%s', 'executeGroupPlan')
+    if (!isTruthyProperty(plan, ['actions']) || !Array.isArray(plan.actions)) {
+      throw new Error(`${PACKAGE_PREFIX} plan is invalid`)
+    }
+    // Validate all actions before touching any player
+    const players = allGroupsData.flat().filter((player) => !player.invisible)
+    const desired = (Array.isArray(plan.desired) ? plan.desired : [])
+    const validActions = plan.actions.map((item, index) => {
+      const player = (isTruthy(item)
+        ? players.find((player) => player.playerName === item.playerName
+          && player.urlObject.hostname === item.hostname)
+        : undefined)
+      if (player === undefined) {
+        throw new Error(`${PACKAGE_PREFIX} plan action >>${index} player is not in household`)
+      }
+      const delay = (item.delay === undefined ? 0 : item.delay)
+      if (!GROUP_PLAN_ACTIONS.includes(item.action)
+        || !Number.isInteger(delay) || delay < 0 || delay > GROUP_PLAN_DELAY_MAXIMUM) {
+        throw new Error(`${PACKAGE_PREFIX} plan action >>${index} is invalid`)
+      }
+      const args = { 'InstanceID': 0 }
+      if (item.action === 'SetAVTransportURI') {
+        const group = desired.find((names) => Array.isArray(names)
+          && names.includes(player.playerName))
+        const coordinator = (group !== undefined
+          ? players.find((player) => player.playerName === group[0])
+          : undefined)
+        if (coordinator === undefined || coordinator === player
+          || !isTruthyProperty(item, ['args', 'CurrentURI'])
+          || item.args.CurrentURI !== `x-rincon:${coordinator.uuid}`) {
+          throw new Error(`${PACKAGE_PREFIX} plan action >>${index} is invalid`)
+        }
+        Object.assign(args, { 'CurrentURI': item.args.CurrentURI, 'CurrentURIMetaData': '' })
+      }
+      return { 'hostname': player.urlObject.hostname, 'action': item.action, args, delay }
+    })
+
+    for (const item of validActions) {
+      // No check - always returns true
+      const ts1Player = new SonosDevice(item.hostname)
+      await ts1Player.AVTransportService[item.action](item.args)
+      if (item.delay > 0) {
+        await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](item.delay)
+      }
+    }
+    return validActions.length
+  },
+
+  /** Get the SONOS-Playernames of all groups - hidden players are removed.
+   * Groups are sorted by coordinator name, members keep their order (coordinator first).
+   * @param {playerGroupData[]} allGroupsData array of arrays, see getGroupsAll
+   * 
+   * @returns {string[][]} array of arrays of SONOS-Playernames
+   */
+  getGroupNames: (allGroupsData) => {
+    debug('method:%s', 'getGroupNames')
+    return allGroupsData
+      .map((group) => group.filter((member) => !member.invisible)
+        .map((member) => member.playerName))
+      .filter((names) => names.length > 0)
+      .sort((a, b) => a[0].localeCompare(b[0]))
+  },
+
+  //
+  //     WIND DOWN
+  //     
+
+  /** Wind down a group: wait, fade out all members in the last part, stop and then restore
+   * the original volumes - so the next start is not silent. Cancels a running wind down
+   * of the same group. 
+   * @param {tsPlayer[]} tsPlayerArray sonos-ts player array with JavaScript build-in URL 
+   *               urlObject and playerName. Coordinator has index 0. Length = 1 is allowed.
+   * @param {object} options options
+   * @param {number} options.duration total duration in milliseconds
+   * @param {number} options.fadeDuration duration of fade in milliseconds, <= duration
+   * @param {string} [options.volumeLimitScope] volume limit scope (config node id), see limitVolume
+   * @param {object[]} [options.volumeLimitViolations] volume limit violations of the restored
+   *                   volumes are added, see limitVolume. Players are identified by playerName
+   *
+   * @returns {promise<string>} completed or cancelled (by cancelWindDown or volume command)
+   *
+   * @throws {error} all methods
+   *
+   * Hint: Cancelled by cancelWindDown: playback continues and the original volumes are 
+   * restored. Cancelled by a volume command: volumes are not touched.
+   */
+  windDownGroup: async (tsPlayerArray, options) => {
+    debug('method:%s', 'windDownGroup')
+    const iCoord = 0
+    const hostname = tsPlayerArray[iCoord].urlObject.hostname
+    module.exports.cancelWindDown(hostname)
+    const windDown = {
+      'cancelled': false,
+      'hostnames': tsPlayerArray.map((tsPlayer) => tsPlayer.urlObject.hostname)
+    }
+    activeWindDowns[hostname] = windDown
+
+    try {
+      const snapshot = await module.exports.createGroupSnapshot(tsPlayerArray, {
+        snapVolumes: true,
+        snapMutestates: false,
+        sonosPlaylistName: null
+      })
+      const restoreVolumes = async () => {
+        for (let index = 0; index < tsPlayerArray.length; index++) {
+          await tsPlayerArray[index].SetVolume(limitVolume(options.volumeLimitScope,
+            tsPlayerArray[index].playerName, snapshot.membersData[index].volume, false,
+            options.volumeLimitViolations || []))
+        }
+      }
+
+      // Wait until fade starts - check for cancellation regularly
+      const fadeStart = Date.now() + options.duration - options.fadeDuration
+      while (Date.now() < fadeStart) {
+        await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](
+          Math.min(WIND_DOWN_CHECK_INTERVAL, fadeStart - Date.now()))
+        if (windDown.cancelled) {
+          debug('Info: wind down cancelled')
+          await restoreVolumes()
+          return 'cancelled'
+        }
+      }
+
+      const rampStates = await rampPlayersVolume(tsPlayerArray, tsPlayerArray.map(() => 0),
+        { 'duration': options.fadeDuration, 'curve': 'linear' })
+      if (windDown.cancelled) {
+        debug('Info: wind down cancelled')
+        await restoreVolumes()
+        return 'cancelled'
+      }
+      if (rampStates.includes('cancelled')) {
+        debug('Info: wind down cancelled by volume command')
+        return 'cancelled'
+      }
+
+      await tsPlayerArray[iCoord].AVTransportService.Stop({ 'InstanceID': 0 })
+      await restoreVolumes()
+      return 'completed'
+    } finally {
+      if (activeWindDowns[hostname] === windDown) {
+        delete activeWindDowns[hostname]
+      }
+    }
+  },
+
+  /** Cancel the running wind down of a group - including the running fade.
+   * @param {string} hostname hostname of group coordinator
+   *
+   * @returns {boolean} true if a wind down was cancelled
+   */
+  cancelWindDown: (hostname) => {
+    debug('method:%s', 'cancelWindDown')
+    const windDown = activeWindDowns[hostname]
+    if (windDown === undefined) {
+      return false
+    }
+    windDown.cancelled = true
+    delete activeWindDowns[hostname]
+    cancelRamps(windDown.hostnames)
     return true
   },
 
@@ -540,6 +1079,77 @@ module.exports = {
     return alarmsObject
   },
 
+  /** Get alarm with given id.
+   * @param {object} anyTsPlayer sonos-ts player
+   * @param {number} alarmId alarm id, integer
+   * 
+   * @returns {promise<object>} alarm in format of parseAlarmsToArray
+   *
+   * @throws {error} 'could not find alarm with id'
+   * @throws {error} all methods
+   */
+  getAlarm: async (anyTsPlayer, alarmId) => {
+    debug('method:%s', 'getAlarm')
+    
+    const alarmsObject = await module.exports.getAlarmsAll(anyTsPlayer)
+    const foundAlarm = alarmsObject.alarms.find((alarm) => (alarm.ID === String(alarmId)))
+    if (foundAlarm === undefined) {
+      throw new Error(`${PACKAGE_PREFIX} could not find alarm with id >>${alarmId}`)
+    }
+
+    return foundAlarm
+  },
+
+  /** Get the arguments for action CreateAlarm, UpdateAlarm from validated alarm properties.
+   * Room (RoomUUID) and content (ProgramURI, ProgramMetaData) are taken from baseAlarm 
+   * if playerName, mySonosTitle are empty.
+   * @param {object} tsPlayer sonos-ts player with urlObject - room if baseAlarm has no room
+   * @param {object} validated alarm properties, see validatedAlarmProperties
+   * @param {object} baseAlarm alarm in format of parseAlarmsToArray
+   * 
+   * @returns {promise<object>} arguments in required order (without ID), html entity encoded
+   *
+   * @throws {error} 'no My-Sonos title matching search string'
+   * @throws {error} all methods
+   */
+  getAlarmArguments: async (tsPlayer, validated, baseAlarm) => {
+    debug('method:%s', 'getAlarmArguments')
+    
+    let roomUuid = baseAlarm.RoomUUID
+    if (validated.playerName !== '' || !isTruthyPropertyStringNotEmpty(baseAlarm, ['RoomUUID'])) {
+      const groupData = await module.exports.getGroupCurrent(tsPlayer, validated.playerName)
+      roomUuid = groupData.members[groupData.playerIndex].uuid
+    }
+
+    // uri and metadata are used as provided (html entity encoded)
+    let programUri = baseAlarm.ProgramURI
+    let programMetadata = baseAlarm.ProgramMetaData
+    if (validated.mySonosTitle !== '') {
+      const mySonosItems = await module.exports.getMySonos(tsPlayer)
+      const foundItem = mySonosItems.find((item) => (isTruthy(item)
+        && item.title.includes(validated.mySonosTitle)))
+      if (foundItem === undefined) {
+        // eslint-disable-next-line max-len
+        throw new Error(`${PACKAGE_PREFIX} no My-Sonos title matching search string >>${validated.mySonosTitle}`)
+      }
+      programUri = foundItem.uri
+      programMetadata = foundItem.metadata
+    }
+
+    return {
+      'StartLocalTime': validated.startTime,
+      'Duration': validated.duration,
+      'Recurrence': validated.recurrence,
+      'Enabled': (validated.enabled ? '1' : '0'),
+      'RoomUUID': roomUuid,
+      'ProgramURI': programUri,
+      'ProgramMetaData': programMetadata,
+      'PlayMode': validated.playMode,
+      'Volume': validated.volume,
+      'IncludeLinkedZones': (validated.includeLinkedZones ? '1' : '0')
+    }
+  },
+
   //
   //     CONTENT RELATED
   //     
@@ -559,6 +1169,7 @@ module.exports = {
   * @property {string} serviceName='' music service name such as Amazon Music (derived from uri)
   * @property {string} upnpClass='' UPnP Class (derived from uri or upnp class)
   * @property {string} processingType='' can be 'queue', 'stream', 'unsupported' or empty
+  * @property {number} [year] year from dc:date - music library, only if available
   */
 
   /** Get array of all My Sonos Favorite items including SonosPlaylists - special imported playlists
@@ -854,3 +1465,76 @@ module.exports = {
   }
 
 }
+
+/**  Fade down all players of a playing group to volume 0 - in parallel.
+ * @param {tsPlayer[]} tsPlayerArray sonos-ts player array with JavaScript build-in URL urlObject.
+ *               Coordinator has index 0.
+ * @param {object} options options - see playGroupNotification, only fadeDuration is used
+ * 
+ * @returns {promise<number[]>} volumes before fading, empty if no fading
+ * 
+ * @throws {error} all methods
+ */
+async function fadeDownGroup (tsPlayerArray, options) {
+  debug('method:%s', 'fadeDownGroup')
+  if (!isTruthyProperty(options, ['fadeDuration']) || options.fadeDuration <= 0) {
+    return []
+  }
+  const iCoord = 0
+  const transportInfo = await tsPlayerArray[iCoord].AVTransportService.GetTransportInfo()
+  if (transportInfo.CurrentTransportState !== 'PLAYING') {
+    return []
+  }
+  const volumes = []
+  for (const tsPlayer of tsPlayerArray) {
+    const result = await tsPlayer.RenderingControlService.GetVolume(
+      { 'InstanceID': 0, 'Channel': 'Master' })
+    volumes.push(result.CurrentVolume)
+  }
+  await rampPlayersVolume(tsPlayerArray, tsPlayerArray.map(() => 0),
+    { 'duration': options.fadeDuration, 'curve': 'linear' })
+  return volumes
+}
+
+/** Get the groups after executing the plan actions - simulates the SONOS behavior:
+ * A leaving coordinator hands over the group to the next member.
+ * @param {string[][]} current current groups, see getGroupNames
+ * @param {object[]} actions plan actions, see planCreateGroup
+ * @param {string} coordinatorName SONOS-Playername of new coordinator (SetAVTransportURI)
+ *
+ * @returns {string[][]} groups, sorted by coordinator name
+ */
+function getGroupNamesAfterActions (current, actions, coordinatorName) {
+  let groups = current.map((group) => group.slice())
+  const leaveGroup = (playerName) => {
+    groups = groups.map((group) => group.filter((name) => name !== playerName))
+      .filter((group) => group.length > 0)
+  }
+  for (const item of actions) {
+    leaveGroup(item.playerName)
+    if (item.action === 'BecomeCoordinatorOfStandaloneGroup') {
+      groups.push([item.playerName])
+    } else {
+      groups.find((group) => group[0] === coordinatorName).push(item.playerName)
+    }
+  }
+  return groups.sort((a, b) => a[0].localeCompare(b[0]))
+}
+
+/** Delete all SONOS-Playlists with title starting with given prefix.
+ * @param {object} tsPlayer sonos-ts player
+ * @param {string} titlePrefix title prefix, case sensitive
+ *
+ * @returns {promise<number>} number of deleted SONOS-Playlists
+ *
+ * @throws {error} all methods
+ */
+async function deleteSonosPlaylistsStartingWith (tsPlayer, titlePrefix) {
+  debug('method:%s', 'deleteSonosPlaylistsStartingWith')
+  const sonosPlaylists = await module.exports.getSonosPlaylists(tsPlayer)
+  const matching = sonosPlaylists.filter((playlist) => playlist.title.startsWith(titlePrefix))
+  for (const playlist of matching) {
+    await tsPlayer.ContentDirectoryService.DestroyObject({ 'ObjectID': playlist.id })
+  }
+  return matching.length
+}
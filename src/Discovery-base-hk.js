@@ -12,6 +12,8 @@
  *   const playerDiscovery = new SonosPlayerDiscovery()
  *   const player = playerDiscovery.discoverOnePlayer()
  *   - throws error if timeout.
+ *   const allPlayer = playerDiscovery.discoverAllPlayers(4000)
+ *   - all responses during 4 seconds, throws error if there is none.
  * 
  *   @module Discovery-base-hk
  *   
@@ -148,6 +150,58 @@ class SonosPlayerDiscovery {
       })
     })
   }
+
+  async discoverAllPlayers (timeoutInMs) {
+    /**
+     *  Collects all responses during the whole time period - player of all households.
+     *  @param {number} timeoutInMs listening time period in milliseconds
+     *  @returns {Promise<string[]>} ipv4 addresses of all found player, without duplicates
+     */
+
+    debug('method discoverAllPlayers')
+    return new Promise((resolve, reject) => {
+      const playerIpv4List = []
+
+      // own socket handler - the event emitter is only used by discoverOnePlayer
+      this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
+      this.socket.on('error', (err) => {
+        debug(SEARCH_MESSAGE_ERROR)
+        this.cleanup()
+        reject(new Error(SEARCH_MESSAGE_ERROR + JSON.stringify(err)))
+      })
+      this.socket.on('message', (msg, rinfo) => {
+        debug(`Received udp message ${msg}`)
+        const msgString = msg.toString()
+        if (msgString.includes(this.SEARCH_SONOS_IDENTIFIER)
+          && !playerIpv4List.includes(rinfo.address)) {
+          playerIpv4List.push(rinfo.address)
+        }
+      })
+
+      this.socket.bind(() => {
+        debug('random port:' + this.socket.address().port)
+        this.socket.send(BROADCAST_BUFFER, 0, BROADCAST_BUFFER.length,
+          PORT, ADDRESS, (err) => {
+            if (err) {
+              debug(SEARCH_MESSAGE_ERROR)
+              this.cleanup()
+              reject(new Error(SEARCH_MESSAGE_ERROR + JSON.stringify(err)))
+            } else {
+              debug('OK broadcast was sent!')
+            }
+          })
+        this.broadcastTimeOutId = setTimeout(() => {
+          debug(SEARCH_MESSAGE_TIMEOUT)
+          this.cleanup()
+          if (playerIpv4List.length === 0) {
+            reject(new Error(this.SEARCH_TIMEOUT_MESSAGE))
+            return
+          }
+          resolve(playerIpv4List)
+        }, timeoutInMs)
+      })
+    })
+  }
 }
 
 module.exports = SonosPlayerDiscovery
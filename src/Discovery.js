@@ -13,6 +13,8 @@ const { PACKAGE_PREFIX, ERROR_NOT_FOUND_BY_SERIAL } = require('./Globals.js')
 
 const { getGroupsAll: getGroupsAll } = require('./Commands.js')
 
+const { getHouseholdId } = require('./Topology-cache.js')
+
 const { matchSerialUuid: matchSerialUuid, getDeviceProperties: getDeviceProperties
 } = require('./Extensions.js')
 
@@ -24,85 +26,117 @@ const debug = require('debug')(`${PACKAGE_PREFIX}discovery`)
 
 module.exports = {
 
+  /** Does an async discovery of all SONOS player, groups them by household.
+   * @param {number} timeout in seconds, listening time period
+   *
+   * @returns {Promise<object[]>} array of {householdId, player}, player is array of
+   * playerGroupData (flat, all groups of that household)
+   *
+   * @throws {error} 'No players found'
+   * @throws {error} all methods
+   *
+   * Hint: for each household the topology is retrieved from one of the responding player.
+   * Player not answering /info are ignored.
+   */
+  discoverAllHouseholds: async (timeout) => {
+    debug('method:%s', 'discoverAllHouseholds')
+    const deviceDiscovery = new SonosPlayerDiscovery()
+    const allPlayerIpv4 = await deviceDiscovery.discoverAllPlayers(timeout * 1000)
+    debug('player found, in total >>%s', allPlayerIpv4.length)
+
+    // first responding player of each household, key is household id
+    const firstPlayerIpv4 = {}
+    for (let index = 0; index < allPlayerIpv4.length; index++) {
+      let householdId
+      try {
+        householdId = await getHouseholdId(new URL(`http://${allPlayerIpv4[index]}:1400`))
+      } catch (error) {
+        debug('ignoring player >>%s', allPlayerIpv4[index])
+        continue
+      }
+      if (!Object.prototype.hasOwnProperty.call(firstPlayerIpv4, householdId)) {
+        firstPlayerIpv4[householdId] = allPlayerIpv4[index]
+      }
+    }
+
+    const households = []
+    const householdIds = Object.keys(firstPlayerIpv4).sort()
+    for (let index = 0; index < householdIds.length; index++) {
+      const tsFirstPlayer = new SonosDevice(firstPlayerIpv4[householdIds[index]])
+      const allGroups = await getGroupsAll(tsFirstPlayer)
+      households.push({
+        'householdId': householdIds[index],
+        'player': [].concat.apply([], allGroups) // merge array of array in array
+      })
+    }
+    return households
+  },
+
   /** Does an async discovery of SONOS player, compares with given serial number 
    * and returns ip address if success - otherwise throws error.
    * @param {string} serialNumber player serial number
    * @param {number} timeout in seconds
+   * @param {string} [householdId] only player of that household, default all households
    * 
-   * @returns {Promise<object>} {'uuid', urlHost} su
+   * @returns {Promise<string>} host such as 192.168.178.37
    * 
    * @throws error 'could not find any player matching serial'
    * @throws {error} all methods
    * 
-   * Hint: discover the first one and retrieves all other player from that player.
-   * Thats very reliable -deterministic. 
-   * Discovering 10 player or more might be time consuming in some networks.
-   *
+   * Hint: discover all responding player and retrieves all other player from the 
+   * first one of each household. Thats very reliable - also with several households.
    */
-  discoverSpecificSonosPlayerBySerial: async (serialNumber, timeout) => {
+  discoverSpecificSonosPlayerBySerial: async (serialNumber, timeout, householdId) => {
     debug('method:%s', 'discoverSpecificSonosPlayerBySerial')
-    debug('timeout not used' + timeout)
-    
-    // TODO get experience - remove the timeout
-    const deviceDiscovery = new SonosPlayerDiscovery()
-    const firstPlayerIpv4 = await deviceDiscovery.discoverOnePlayer()
-    debug('first player found')
-    const tsFirstPlayer = new SonosDevice(firstPlayerIpv4)
-    const allGroups = await getGroupsAll(tsFirstPlayer)
-    const flatList = [].concat.apply([], allGroups) // merge array of array in array
-    debug('got more players, in total >>%s', flatList.length)
-
-    const reducedList = flatList.map((item) => { // only some properties
-      return {
-        'uuid': item.uuid,
-        'urlHost': item.urlObject.hostname
-      }
-    })
-    
+    const flatList = await getAllPlayer(timeout, householdId)
+
     // Do avoid sending n getDeviceProperties we uses stripped mac address
     // uuid and serial number both include the mac address
-    let foundIndex = -1 // not found as default
-    for (let index = 0; index < reducedList.length; index++) {
-      if (matchSerialUuid(serialNumber, reducedList[index].uuid)) {
-        foundIndex = index
-        break
-      }
-    }
-    if (foundIndex < 0) {
+    const found = flatList.find((item) => matchSerialUuid(serialNumber, item.uuid))
+    if (found === undefined) {
       throw new Error(ERROR_NOT_FOUND_BY_SERIAL)
     }
-    return reducedList[foundIndex].urlHost
+    return found.urlObject.hostname
+  },
+
+  /** Does an async discovery of SONOS player, compares with given uuid
+   * and returns ip address if success - otherwise throws error.
+   * @param {string} uuid player uuid such as RINCON_5CAAFD00223601400
+   * @param {number} timeout in seconds
+   * @param {string} [householdId] only player of that household, default all households
+   * 
+   * @returns {Promise<string>} host such as 192.168.178.37
+   * 
+   * @throws error 'could not find any player matching uuid'
+   * @throws {error} all methods
+   */
+  discoverSpecificSonosPlayerByUuid: async (uuid, timeout, householdId) => {
+    debug('method:%s', 'discoverSpecificSonosPlayerByUuid')
+    const flatList = await getAllPlayer(timeout, householdId)
+    const found = flatList.find((item) => item.uuid === uuid)
+    if (found === undefined) {
+      throw new Error(`${PACKAGE_PREFIX} could not find any player matching uuid >>${uuid}`)
+    }
+    return found.urlObject.hostname
   },
 
   /** Does an async discovery of SONOS player and returns list of objects
    * with properties label and value including the IP address = host.
    * 
-   * @param {number} timeoutSeconds in seconds
+   * @param {number} timeout in seconds
+   * @param {string} [householdId] only player of that household, default all households
    * 
    * @returns {Promise<object>} {'label', value}
    * 
    * @throws {error} all methods
-   * 
-   * Hint: discover the first one and retrieves all other player from that player.
-   * Thats very reliable -deterministic. 
-   * Discovering 10 player or more might be time consuming in some networks.
    */
-  discoverAllPlayerWithHost: async (timeout) => {
+  discoverAllPlayerWithHost: async (timeout, householdId) => {
     debug('method:%s', 'discoverAllPlayerWithHost')
-    debug('timeout not used' + timeout)
-    
-    // TODO get experience - remove the timeout
-    const deviceDiscovery = new SonosPlayerDiscovery()
-    const firstPlayerIpv4 = await deviceDiscovery.discoverOnePlayer()
-    debug('first player found')
-    const firstPlayer = new SonosDevice(firstPlayerIpv4)
-    const allGroups = await getGroupsAll(firstPlayer)
-    const flatList = [].concat.apply([], allGroups)
-    debug('got more players, in total >>%s', flatList.length)
+    const flatList = await getAllPlayer(timeout, householdId)
 
     const reducedList = flatList.map((item) => {
       return {
-        'label': `${item.urlObject.hostname} for ${item.playerName}`,
+        'label': `${item.urlObject.hostname} for ${item.playerName}${item.householdLabel}`,
         'value': item.urlObject.hostname
       }
     })
@@ -112,28 +146,16 @@ module.exports = {
   /** Does an async discovery of SONOS player and returns list of objects
    * with properties label and value including the serial number.
    * 
-   * @param {number} timeoutSeconds in seconds
+   * @param {number} timeout in seconds
+   * @param {string} [householdId] only player of that household, default all households
    * 
    * @returns {Promise<object>} {'label', value}
    * 
    * @throws {error} all methods
-   * 
-   * Hint: discover the first one and retrieves all other player from that player.
-   * Thats very reliable -deterministic. 
-   * Discovering 10 player or more might be time consuming in some networks.
    */
-  discoverAllPlayerWithSerialnumber: async (timeout) => {
+  discoverAllPlayerWithSerialnumber: async (timeout, householdId) => {
     debug('method:%s', 'discoverAllPlayerWithSerialnumber')
-    debug('timeout not used' + timeout)
-    
-    // TODO get experience - remove the timeout
-    const deviceDiscovery = new SonosPlayerDiscovery()
-    const firstPlayerIpv4 = await deviceDiscovery.discoverOnePlayer()
-    debug('first player found')
-    const firstPlayer = new SonosDevice(firstPlayerIpv4)
-    const allGroups = await getGroupsAll(firstPlayer)
-    const flatList = [].concat.apply([], allGroups)
-    debug('got more players, in total >>%s', flatList.length)
+    const flatList = await getAllPlayer(timeout, householdId)
 
     for (let index = 0; index < flatList.length; index++) {
       const deviceProperties = await getDeviceProperties(flatList[index].urlObject)
@@ -143,11 +165,40 @@ module.exports = {
 
     const reducedList = flatList.map((item) => {
       return {
-        'label': `${item.serialNumber} for ${item.playerName}`,
+        'label': `${item.serialNumber} for ${item.playerName}${item.householdLabel}`,
         'value': item.serialNumber
       }
     })
     return reducedList
   }
     
-}
\ No newline at end of file
+}
+
+/** Discovers all player of all households or of the given household.
+ * @param {number} timeout in seconds
+ * @param {string} [householdId] only player of that household, default all households
+ *
+ * @returns {Promise<object[]>} array of playerGroupData, with additional householdLabel 
+ * - empty string if there is only one household
+ *
+ * @throws {error} 'household >> not found'
+ * @throws {error} all methods
+ */
+async function getAllPlayer (timeout, householdId) {
+  let households = await module.exports.discoverAllHouseholds(timeout)
+  if (typeof householdId === 'string' && householdId !== '') {
+    households = households.filter((household) => household.householdId === householdId)
+    if (households.length === 0) {
+      throw new Error(`${PACKAGE_PREFIX} household >>${householdId} not found`)
+    }
+  }
+  const flatList = []
+  households.forEach((household) => {
+    household.player.forEach((item) => {
+      item.householdLabel = (households.length > 1 ? ` (${household.householdId})` : '')
+      flatList.push(item)
+    })
+  })
+  debug('player in all households >>%s', flatList.length)
+  return flatList
+}
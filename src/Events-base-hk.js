@@ -0,0 +1,271 @@
+'use strict'
+
+/**
+ * Class for subscribing to UPnP events (GENA) of one SONOS player.
+ *
+ *  METHOD: We start a http server at the given port (0 = random port) and send a SUBSCRIBE
+ * request for every service to the player. The CALLBACK url uses the local ipv4 address
+ * being used to reach the player. The player sends NOTIFY requests to that url - the first one
+ * with all state variables, later ones only with the changed state variables.
+ * Subscriptions are renewed before they expire. If a renewal fails (player offline,
+ * player rebooted, ...) we try to subscribe again - until stop is called.
+ * The player may send the first NOTIFY before the SUBSCRIBE response arrives: NOTIFYs for
+ * a subscription in progress are buffered and emitted as soon as the SID is known.
+ * If the first subscription fails, start rejects and everything is stopped.
+ *
+ *  EXAMPLE:
+ *   const subscriber = new SonosEventSubscriber(playerUrlObject)
+ *   subscriber.on('event', (serviceName, properties) => { ... })
+ *   subscriber.on('error', (error) => { ... })
+ *   await subscriber.start(['AVTransport', 'ZoneGroupTopology'])
+ *   ...
+ *   await subscriber.stop()
+ *
+ *   @module Events-base-hk
+ *
+ *   @author Henning Klages
+ *
+ *   @since 2022-02-20
+*/
+
+// http://upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf chapter 4
+
+const http = require('http')
+
+// https://www.tutorialspoint.com/nodejs/nodejs_event_emitter.htm
+const EventEmitter = require('events').EventEmitter
+
+const request = require('axios').default
+
+const { PACKAGE_PREFIX, TIMEOUT_HTTP_REQUEST } = require('./Globals.js')
+const { parseEventPropertySet } = require('./Extensions.js')
+const { getLocalIpv4Address } = require('./Helper.js')
+
+// https://github.com/debug-js/debug
+const debug = require('debug')(`${PACKAGE_PREFIX}events-base`)
+
+// Event endpoints of SONOS services
+const SERVICE_ENDPOINTS = {
+  'AVTransport': '/MediaRenderer/AVTransport/Event',
+  'RenderingControl': '/MediaRenderer/RenderingControl/Event',
+  'GroupRenderingControl': '/MediaRenderer/GroupRenderingControl/Event',
+  'ZoneGroupTopology': '/ZoneGroupTopology/Event',
+  'AudioIn': '/AudioIn/Event',
+  'DeviceProperties': '/DeviceProperties/Event',
+  'AlarmClock': '/AlarmClock/Event',
+  'ContentDirectory': '/MediaServer/ContentDirectory/Event'
+}
+
+class SonosEventSubscriber extends EventEmitter {
+
+  constructor (playerUrlObject, port) {
+    super()
+    this.playerUrlObject = playerUrlObject
+    this.port = port || 0 // random port
+    this.SUBSCRIPTION_TIMEOUT = 1800 // seconds, requested - player may choose different
+    this.RENEWAL_ADVANCE = 60 // seconds, renew that time before expiration
+    this.RETRY_DELAY = 30 // seconds, delay before next subscribe in case of failure
+    this.subscriptions = {} // key is serviceName: { sid, timerId, pending }
+    this.server = null
+    this.callbackOrigin = null
+    this.stopped = true
+  }
+
+  async start (serviceNames) {
+    /**
+     *  @param {string[]} serviceNames such as ['AVTransport', 'ZoneGroupTopology']
+     *  @throws {error} unknown service, http server errors, first subscription errors
+     *  - in case of errors the subscriber is stopped
+     */
+    debug('method start')
+    for (const serviceName of serviceNames) {
+      if (!Object.prototype.hasOwnProperty.call(SERVICE_ENDPOINTS, serviceName)) {
+        throw new Error(`${PACKAGE_PREFIX} unknown event service >>${serviceName}`)
+      }
+    }
+    this.stopped = false
+
+    await this.startServer()
+    const localAddress = await getLocalIpv4Address(this.playerUrlObject.hostname)
+    this.callbackOrigin = `http://${localAddress}:${this.server.address().port}`
+    debug('callback origin >>%s', this.callbackOrigin)
+
+    try {
+      for (const serviceName of serviceNames) {
+        this.subscriptions[serviceName] = { 'sid': null, 'timerId': undefined, 'pending': null }
+        await this.subscribe(serviceName, true)
+      }
+    } catch (error) {
+      await this.stop()
+      throw error
+    }
+  }
+
+  async stop () {
+    debug('method stop')
+    this.stopped = true
+    for (const serviceName of Object.keys(this.subscriptions)) {
+      const subscription = this.subscriptions[serviceName]
+      if (subscription.timerId !== undefined) {
+        clearTimeout(subscription.timerId)
+      }
+      if (subscription.sid !== null) {
+        try {
+          await this.sendRequest('UNSUBSCRIBE', serviceName, { 'SID': subscription.sid })
+        } catch (error) {
+          debug('unsubscribe failed - ignored >>%s', serviceName)
+        }
+      }
+    }
+    this.subscriptions = {}
+    if (this.server !== null) {
+      await new Promise((resolve) => this.server.close(() => resolve()))
+      this.server = null
+    }
+  }
+
+  async startServer () {
+    debug('method startServer')
+    this.server = http.createServer((req, res) => {
+      let body = ''
+      req.setEncoding('utf8')
+      req.on('data', (chunk) => {
+        body += chunk
+      })
+      req.on('end', () => {
+        this.handleNotify(req, res, body)
+      })
+    })
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, () => {
+        debug(`Start listening at port >${this.server.address().port}`)
+        this.server.removeListener('error', reject)
+        this.server.on('error', (err) => this.emit('error', err))
+        resolve()
+      })
+    })
+  }
+
+  handleNotify (req, res, body) {
+    debug('method handleNotify')
+    const sid = req.headers['sid']
+    const serviceName = Object.keys(this.subscriptions)
+      .find((name) => this.subscriptions[name].sid === sid)
+    // new subscription in progress - callback path is /serviceName
+    const pendingName = Object.keys(this.subscriptions)
+      .find((name) => this.subscriptions[name].pending !== null && req.url === `/${name}`)
+    if (req.method === 'NOTIFY' && serviceName === undefined && pendingName !== undefined) {
+      res.writeHead(200)
+      res.end()
+      this.subscriptions[pendingName].pending.push({ sid, body })
+      return
+    }
+    if (req.method !== 'NOTIFY' || serviceName === undefined) {
+      // unknown subscription - maybe a late event of an expired one
+      res.writeHead(412)
+      res.end()
+      return
+    }
+    res.writeHead(200)
+    res.end()
+    this.emitEvent(serviceName, body)
+  }
+
+  emitEvent (serviceName, body) {
+    parseEventPropertySet(body)
+      .then((properties) => {
+        this.emit('event', serviceName, properties)
+      })
+      .catch((error) => {
+        this.emit('error', error)
+      })
+  }
+
+  async subscribe (serviceName, isFirst = false) {
+    /**
+     *  Subscribe or renew (if sid exists) and schedule next renewal.
+     *  In case of failure: resubscribe after RETRY_DELAY and emit error.
+     *  @param {string} serviceName such as AVTransport
+     *  @param {boolean} [isFirst = false] first subscription: failure is thrown, no retry
+     *  @throws {error} only if isFirst: all request errors
+     */
+    debug('method subscribe')
+    const subscription = this.subscriptions[serviceName]
+    let headers
+    if (subscription.sid === null) {
+      subscription.pending = [] // NOTIFYs arriving before the SUBSCRIBE response
+      headers = {
+        'CALLBACK': `<${this.callbackOrigin}/${serviceName}>`,
+        'NT': 'upnp:event',
+        'TIMEOUT': `Second-${this.SUBSCRIPTION_TIMEOUT}`
+      }
+    } else { // renewal
+      headers = {
+        'SID': subscription.sid,
+        'TIMEOUT': `Second-${this.SUBSCRIPTION_TIMEOUT}`
+      }
+    }
+
+    let nextInSeconds
+    try {
+      const response = await this.sendRequest('SUBSCRIBE', serviceName, headers)
+      if (this.stopped) {
+        // stop was called while subscribing - stop could not unsubscribe that sid
+        subscription.pending = null
+        await this.sendRequest('UNSUBSCRIBE', serviceName, { 'SID': response.headers['sid'] })
+          .catch(() => debug('unsubscribe failed - ignored >>%s', serviceName))
+        return
+      }
+      subscription.sid = response.headers['sid']
+      if (subscription.pending !== null) {
+        const buffered = subscription.pending
+        subscription.pending = null
+        buffered.filter((notify) => notify.sid === subscription.sid)
+          .forEach((notify) => this.emitEvent(serviceName, notify.body))
+      }
+      // TIMEOUT: Second-1800
+      const timeout = parseInt(String(response.headers['timeout']).replace('Second-', ''))
+      nextInSeconds = (Number.isInteger(timeout) ? timeout : this.SUBSCRIPTION_TIMEOUT)
+        - this.RENEWAL_ADVANCE
+      debug('subscribed >>%s %s', serviceName, subscription.sid)
+    } catch (error) {
+      debug('subscribe failed >>%s', serviceName)
+      subscription.pending = null
+      if (isFirst) {
+        throw error
+      }
+      if (this.stopped) {
+        return
+      }
+      if (subscription.sid !== null && !this.stopped) {
+        // renewal failed (such as player rebooted) - try a new subscription immediately
+        subscription.sid = null
+        return this.subscribe(serviceName)
+      }
+      subscription.sid = null // next time a new subscription
+      nextInSeconds = this.RETRY_DELAY
+      this.emit('error', error)
+    }
+    if (!this.stopped) {
+      subscription.timerId = setTimeout(() => {
+        this.subscribe(serviceName)
+      }, nextInSeconds * 1000)
+    }
+  }
+
+  async sendRequest (method, serviceName, headers) {
+    debug('method sendRequest')
+    return request({
+      'method': method,
+      'baseURL': this.playerUrlObject.origin,
+      'url': SERVICE_ENDPOINTS[serviceName],
+      'headers': headers,
+      'timeout': TIMEOUT_HTTP_REQUEST,
+      'validateStatus': (status) => (status === 200) // Resolve only if the status code is 200
+    })
+  }
+}
+
+module.exports = SonosEventSubscriber
@@ -15,7 +15,8 @@
 
 'use strict'
 
-const { PACKAGE_PREFIX, REGEX_ANYCHAR } = require('./Globals.js')
+const { PACKAGE_PREFIX, REGEX_ANYCHAR, REGEX_ALARM_PLAYMODES, REGEX_ALARM_RECURRENCE, REGEX_TIME_24
+} = require('./Globals.js')
 
 const { decodeHtmlEntity, getNestedProperty, isTruthy, isTruthyProperty,
   isTruthyPropertyStringNotEmpty, isTruthyStringNotEmpty, validRegex, validToInteger
@@ -87,6 +88,117 @@ module.exports = {
     return { playerName, volume, sameVolume, clearQueue }
   },
 
+  /**
+   *  Validates alarm properties in alarmData (usually msg.payload). Missing properties are 
+   * taken from baseAlarm (existing alarm or defaults) - if there is no base value the property 
+   * is required. Throws error if has wrong type or wrong value (such as out of range, regex, ...)
+   * @param {object} alarmData alarm data such as msg.payload
+   * @param {string} [alarmData.startTime] start time hh:mm or hh:mm:ss
+   * @param {string} [alarmData.duration] duration hh:mm or hh:mm:ss
+   * @param {string} [alarmData.recurrence] ONCE, WEEKDAYS, WEEKENDS, DAILY, ON_0123456
+   * @param {boolean} [alarmData.enabled] enabled
+   * @param {string/number} [alarmData.volume] volume, 0 .. 100
+   * @param {string} [alarmData.playMode] NORMAL, REPEAT_ALL, SHUFFLE, SHUFFLE_NOREPEAT
+   * @param {boolean} [alarmData.includeLinkedZones] include the grouped players
+   * @param {string} [alarmData.playerName = ''] SONOS-Playername of the room
+   * @param {string} [alarmData.mySonosTitle = ''] My-Sonos title of content to be played
+   * @param {object} baseAlarm alarm in format of parseAlarmsToArray such as {StartTime, ... }
+   *
+   * @returns {promise} object {startTime, duration, recurrence, enabled, volume, playMode, 
+   * includeLinkedZones, playerName, mySonosTitle}. Times are hh:mm:ss, modes upper case.
+   *
+   * @throws {error} 'alarm data (msg.payload) is not object', 
+   * 'enabled (msg.payload.enabled) is not boolean', 
+   * 'includeLinkedZones (msg.payload.includeLinkedZones) is not boolean'
+   * @throws {error} all methods
+   */
+  validatedAlarmProperties: async (alarmData, baseAlarm) => {
+    if (typeof alarmData !== 'object' || alarmData === null || Array.isArray(alarmData)) {
+      throw new Error(`${PACKAGE_PREFIX}: alarm data (msg.payload) is not object`)
+    }
+    const toHhmmss = (time) => (time.length === 5 ? `${time}:00` : time)
+
+    const startTime = toHhmmss(
+      validRegex(alarmData, 'startTime', REGEX_TIME_24, 'start time', baseAlarm.StartTime))
+    const duration = toHhmmss(
+      validRegex(alarmData, 'duration', REGEX_TIME_24, 'duration', baseAlarm.Duration))
+    const recurrence = validRegex(alarmData, 'recurrence', REGEX_ALARM_RECURRENCE, 'recurrence',
+      baseAlarm.Recurrence).toUpperCase()
+    const playMode = validRegex(alarmData, 'playMode', REGEX_ALARM_PLAYMODES, 'play mode',
+      baseAlarm.PlayMode).toUpperCase()
+    
+    let volumeDefault // undefined means required
+    if (isTruthyPropertyStringNotEmpty(baseAlarm, ['Volume'])) {
+      volumeDefault = parseInt(baseAlarm.Volume)
+    }
+    const volume = validToInteger(alarmData, 'volume', 0, 100, 'volume', volumeDefault)
+
+    let enabled = (baseAlarm.Enabled === '1')
+    if (isTruthyProperty(alarmData, ['enabled'])) {
+      if (typeof alarmData.enabled !== 'boolean') {
+        throw new Error(`${PACKAGE_PREFIX}: enabled (msg.payload.enabled) is not boolean`)
+      }
+      enabled = alarmData.enabled
+    }
+
+    let includeLinkedZones = (baseAlarm.IncludeLinkedZones === '1')
+    if (isTruthyProperty(alarmData, ['includeLinkedZones'])) {
+      if (typeof alarmData.includeLinkedZones !== 'boolean') {
+        throw new Error(
+          `${PACKAGE_PREFIX}: includeLinkedZones (msg.payload.includeLinkedZones) is not boolean`)
+      }
+      includeLinkedZones = alarmData.includeLinkedZones
+    }
+
+    const playerName = validRegex(alarmData, 'playerName', REGEX_ANYCHAR, 'player name', '')
+    const mySonosTitle = validRegex(alarmData, 'mySonosTitle', REGEX_ANYCHAR, 'My-Sonos title', '')
+    
+    return { startTime, duration, recurrence, enabled, volume, playMode, includeLinkedZones,
+      playerName, mySonosTitle }
+  },
+
+  /**
+   *  Validates snapshot options msg.snapVolumes, msg.snapMutestates, msg.sonosPlaylistName
+   * @param {object} msg incoming message
+   * @param {boolean} [msg.snapVolumes = snapDefault] will capture the players volumes
+   * @param {boolean} [msg.snapMutestates = snapDefault] will capture the players mutestates
+   * @param {string} [msg.sonosPlaylistName = null] will save the SONOS-Queue in SONOS-Playlist
+   * @param {boolean} [snapDefault = false] default for snapVolumes, snapMutestates
+   *
+   * @returns {promise<object>} options {snapVolumes, snapMutestates, sonosPlaylistName}
+   *
+   * @throws {error} 'snapVolumes (msg.snapVolumes) is not boolean', 
+   * 'snapMutestates (msg.snapMutestates) is not boolean', 'sonosPlaylistName is not string',
+   * 'sonosPlaylistName name has wrong syntax'
+   */
+  validatedSnapshotOptions: async (msg, snapDefault = false) => {
+    const options = { // defaults
+      'snapVolumes': snapDefault, 'snapMutestates': snapDefault, sonosPlaylistName: null
+    }
+    if (isTruthyProperty(msg, ['snapVolumes'])) {
+      if (typeof msg.snapVolumes !== 'boolean') {
+        throw new Error(`${PACKAGE_PREFIX}: snapVolumes (snapVolumes) is not boolean`)
+      }
+      options.snapVolumes = msg.snapVolumes
+    }
+    if (isTruthyProperty(msg, ['snapMutestates'])) {
+      if (typeof msg.snapMutestates !== 'boolean') {
+        throw new Error(`${PACKAGE_PREFIX}: snapMutestates (snapMutestates) is not boolean`)
+      }
+      options.snapMutestates = msg.snapMutestates
+    }
+    if (isTruthyProperty(msg, ['sonosPlaylistName'])) {
+      if (typeof msg.sonosPlaylistName !== 'string') {
+        throw new Error(`${PACKAGE_PREFIX}: sonosPlaylistName is not string`)
+      }
+      if (!REGEX_ANYCHAR.test(msg.sonosPlaylistName)) {
+        throw new Error(`${PACKAGE_PREFIX}: sonosPlaylistName name has wrong syntax`)
+      }
+      options.sonosPlaylistName = msg.sonosPlaylistName
+    }
+    return options
+  },
+
   /** Show any error occurring during processing of messages in the node status 
    * and create node error.
    * 
@@ -169,6 +281,21 @@ module.exports = {
     })
   },
   
+  /** Is the error a connection error such as player not reachable at that address.
+   * Then the player might have got a new ip address.
+   * 
+   * @param {object} error standard node.js or created with new Error ('')
+   * 
+   * @returns {boolean} true if connection error
+   */
+  isConnectionError: (error) => {
+    debug('method:%s', 'isConnectionError')
+    const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT',
+      'ECONNABORTED']
+    return (isTruthyPropertyStringNotEmpty(error, ['code'])
+      && CONNECTION_ERROR_CODES.includes(error.code))
+  },
+
   /** Set node status and send message.
     * 
     * @param {object} node current node
@@ -520,6 +647,13 @@ module.exports = {
       if (isTruthyProperty(item, ['upnp:class'])) {
         newItem.upnpClass = item['upnp:class']
       }
+      // music library: only if available - such as 1980-01-01
+      if (isTruthyProperty(item, ['dc:date'])) {
+        const year = parseInt(String(item['dc:date']).substring(0, 4), 10)
+        if (!isNaN(year)) {
+          newItem.year = year
+        }
+      }
       // artURI (cover) maybe an array (one for each track) then choose first
       let artUri = ''
       if (isTruthyProperty(item, ['upnp:albumArtURI'])) {
@@ -586,6 +720,25 @@ module.exports = {
     return serviceName
   }, 
 
+  /**  Get music service account serial number (sn) from Transport URI.
+   * @param {string} uri such as x-sonos-spotify:spotify%3atrack%3a***?sid=9&flags=8224&sn=7
+   *
+   * @returns {string} serial number such as "7" or if not found empty string
+   *
+   * Hint: works also with html entity encoded uri (&amp;sn=7)
+   */
+  getMusicServiceSerial: (uri) => {
+    debug('method:%s', 'getMusicServiceSerial')
+    let serial = '' // default even if uri undefined.
+    if (isTruthyStringNotEmpty(uri)) {
+      const found = /[?&;]sn=(\d+)/.exec(uri)
+      if (found !== null) {
+        serial = found[1]
+      }
+    }
+    return serial
+  },
+
   /**  Get TuneIn radioId from Transport URI - only for Music Service TuneIn 
    * @param {string} uri uri such as x-sonosapi-stream:s24903?sid=254&flags=8224&sn=0
    * 
@@ -893,6 +1046,132 @@ module.exports = {
     }
   },
 
+  /** Verify that the current group matches the group of the snapshot: 
+   * same coordinator, same members (any order).
+   * @param {object[]} members current group members, coordinator at 0 - see extractGroup
+   * @param {object<Snapshot>} snapshot see createGroupSnapshot
+   * 
+   * @returns {promise<boolean>} true
+   *
+   * @throws {error} 'snapshot/current group have different size', 
+   * 'snapshot/current group have different coordinator', 
+   * 'snapshot/current group members are different'
+   */
+  checkSnapshotTopology: async (members, snapshot) => {
+    debug('method:%s', 'checkSnapshotTopology')
+    if (members.length !== snapshot.membersData.length) {
+      throw new Error(`${PACKAGE_PREFIX}: snapshot/current group have different size`)
+    }
+    if (members[0].playerName !== snapshot.membersData[0].playerName) {
+      throw new Error(`${PACKAGE_PREFIX}: snapshot/current group have different coordinator`)
+    }
+    // Check all other member except 0 = coordinator
+    for (let i = 1; i < members.length; i++) {
+      const foundIndex = snapshot.membersData.findIndex(
+        (item) => (item.playerName === members[i].playerName))
+      if (foundIndex === -1) {
+        throw new Error(`${PACKAGE_PREFIX}: snapshot/current group members are different`)
+      }
+    }
+    return true
+  },
+
+  /** Parse the body of an UPnP event notification (NOTIFY) and returns all properties.
+   * @param {string} propertySet the xml body such as <e:propertyset ...><e:property>...
+   * 
+   * @returns {Promise<object>} object, key is the state variable name such as LastChange or 
+   * ZoneGroupState, value is the html entity encoded string (maybe empty string)
+   *
+   * @throws {error} 'parameter propertySet is missing', 'invalid event - missing e:propertyset'
+   * @throws {error} all methods
+   * 
+   * Each state variable is provided in its own e:property.
+   */
+  parseEventPropertySet: async (propertySet) => {
+    debug('method:%s', 'parseEventPropertySet')
+    if (!isTruthyStringNotEmpty(propertySet)) {
+      throw new Error(`${PACKAGE_PREFIX} parameter propertySet is missing`)
+    }
+    const parser = new XMLParser({
+      ignoreAttributes: true,
+      parseTagValue: false,
+      arrayMode: false,
+      processEntities: false // values will be decoded later
+    })
+    const parsed = await parser.parse(propertySet)
+    if (!isTruthyProperty(parsed, ['e:propertyset'])) {
+      throw new Error(`${PACKAGE_PREFIX} invalid event - missing e:propertyset`)
+    }
+    let propertiesAlwaysArray = []
+    if (isTruthyProperty(parsed, ['e:propertyset', 'e:property'])) {
+      const propertyOrMore = parsed['e:propertyset']['e:property']
+      propertiesAlwaysArray = (Array.isArray(propertyOrMore) ? propertyOrMore : [propertyOrMore])
+    }
+    const properties = {}
+    for (const property of propertiesAlwaysArray) {
+      for (const name of Object.keys(property)) {
+        properties[name] = String(property[name])
+      }
+    }
+    return properties
+  },
+
+  /** Parse the state variable LastChange (AVTransport, RenderingControl events).
+   * @param {string} lastChange html entity encoded xml such as &lt;Event ...
+   * 
+   * @returns {Promise<object>} object, key is the state variable name such as TransportState, 
+   * value is the attribute val (string). Channel specific state variables such as 
+   * Volume are only provided for channel Master.
+   *
+   * @throws {error} 'parameter lastChange is missing', 'invalid LastChange - missing InstanceID'
+   * @throws {error} all methods
+   * 
+   * Values such as CurrentTrackMetaData are still html entity encoded (DIDL-Lite) 
+   * and can be used in parseBrowseToArray.
+   */
+  parseEventLastChange: async (lastChange) => {
+    debug('method:%s', 'parseEventLastChange')
+    if (!isTruthyStringNotEmpty(lastChange)) {
+      throw new Error(`${PACKAGE_PREFIX} parameter lastChange is missing`)
+    }
+    const decoded = await decodeHtmlEntity(lastChange)
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '_',
+      parseAttributeValue: false,
+      parseTagValue: false,
+      arrayMode: false,
+      processEntities: false // keep DIDL-Lite encoded
+    })
+    const parsed = await parser.parse(decoded)
+    if (!isTruthyProperty(parsed, ['Event', 'InstanceID'])) {
+      throw new Error(`${PACKAGE_PREFIX} invalid LastChange - missing InstanceID`)
+    }
+    // we only use the first instance - SONOS uses only InstanceID 0
+    let instance = parsed.Event.InstanceID
+    if (Array.isArray(instance)) {
+      instance = instance[0]
+    }
+    const stateVariables = {}
+    for (const name of Object.keys(instance)) {
+      if (name.startsWith('_')) {
+        continue // attribute val of InstanceID
+      }
+      const variableOrMore = instance[name]
+      const variables = (Array.isArray(variableOrMore) ? variableOrMore : [variableOrMore])
+      for (const variable of variables) {
+        if (!isTruthyProperty(variable, ['_val'])) {
+          continue
+        }
+        if (isTruthyProperty(variable, ['_channel']) && variable._channel !== 'Master') {
+          continue
+        }
+        stateVariables[name] = String(variable._val)
+      }
+    }
+    return stateVariables
+  },
+
   //
   //    BASIC EXECUTE UPNP ACTION COMMAND AND SOAP REQUEST
   //    
@@ -18,8 +18,12 @@ module.exports = {
 
   // Integer, greater equal 1 - Music library: maximum number of http requests submitted
   ML_REQUESTS_MAXIMUM: 10, 
+  // Integer, greater equal 1 - Music library search: maximum number of Browse requests submitted
+  ML_SEARCH_REQUESTS_MAXIMUM: 100,
   // Integer, greater equal 1 -  SONOS Queue: maximum number of http requests submitted
   QUEUE_REQUESTS_MAXIMUM: 10, 
+  // Integer, greater equal 1 - SONOS Queue shuffle: maximum number of reorder requests submitted
+  QUEUE_REORDER_REQUESTS_MAXIMUM: 500,
   VALIDATION_INTEGER_MAXIMUM: 9999, // because of validToInteger, REGEX_4DIGITSSIGN
   VALIDATION_INTEGER_MINIMUM: -9999, // because of validToInteger, REGEX_4DIGITSSIGN
 
@@ -27,6 +31,8 @@ module.exports = {
 
   REGEX_TIME: /^(([0-1][0-9]):([0-5][0-9]):([0-5][0-9]))$/, // Only hh:mm:ss and hours from 0 to 19
   REGEX_TIME_DELTA: /^([-+]?([0-1][0-9]):([0-5][0-9]):([0-5][0-9]))$/, // Only +/- REGEX_TIME
+  // hh:mm or hh:mm:ss and hours from 0 to 23 - used for alarms
+  REGEX_TIME_24: /^(([0-1][0-9]|2[0-3]):([0-5][0-9])(:([0-5][0-9]))?)$/,
 
   // Credits: 
   // https://mkyong.com/regular-expressions/how-to-validate-ip-address-with-regular-expression/
@@ -58,6 +64,11 @@ module.exports = {
   REGEX_ANYCHAR_BLANK: /.*/, //any character or blank
   REGEX_QUEUEMODES: /^(NORMAL|REPEAT_ONE|REPEAT_ALL|SHUFFLE|SHUFFLE_NOREPEAT|SHUFFLE_REPEAT_ONE)$/i,
   REGEX_ALBUMARTISTDISPLAY: /^(WMP|ITUNES|NONE)$/i,
+  REGEX_ALARM_RECURRENCE: /^(ONCE|WEEKDAYS|WEEKENDS|DAILY|ON_[0-6]{1,7})$/i,
+  REGEX_RAMP_CURVES: /^(linear|sleeptimer|alarm)$/i,
+  REGEX_ALARM_PLAYMODES: /^(NORMAL|REPEAT_ALL|SHUFFLE|SHUFFLE_NOREPEAT)$/i,
+  REGEX_LANGUAGE: /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i, // such as en, en-US, de_DE
+  REGEX_TTS_FILE: /^[0-9a-f]{40}\.(mp3|wav)$/, // cached TTS file: sha1 hash and extension
   REGEX_CSV: /^[\p{L}0-9]+([: -._]{0,1}[\p{L}0-9]+)*(,[\p{L}0-9]+([: -._]{0,1}[\p{L}0-9])*)*$/u,
 
 }
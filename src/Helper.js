@@ -3,6 +3,7 @@
  * - encode/decode html entities
  * - convert to boolean, integer, milliseconds 
  * - validate variables/constants and object properties
+ * - get the local ipv4 address being used to reach a remote host
  *
  * Can be used in other packages - needs PACKAGE_PREFIX for throws.
  * 
@@ -19,6 +20,8 @@
 const { PACKAGE_PREFIX, REGEX_4DIGITSSIGN, VALIDATION_INTEGER_MAXIMUM, VALIDATION_INTEGER_MINIMUM
 } = require('./Globals.js')
 
+const dgram = require('dgram')
+
 const debug = require('debug')(`${PACKAGE_PREFIX}helper`)
 
 module.exports = {
@@ -222,6 +225,39 @@ module.exports = {
     
   },
 
+  /** Validates and converts msg[propertyName] to a position in a list such as a
+   * SONOS-Playlist: integer in range [1, length]. Other than validToInteger a list
+   * with only one track is allowed (min = max = 1).
+   * @param {object} msg Node-RED message
+   * @param {(string|number)} msg.propertyName item, to be validated, converted
+   * @param {string} propertyName property name
+   * @param {number} length length of list, integer 1 ... 9999
+   * @param {string} propertyMeaning additional information, being included in error message
+   * @param {number} [defaultValue] integer in range [1, length], see validToInteger
+   *
+   * @returns {number} integer in range [1, length] or defaultValue
+   *
+   * @throws {error} 'length is less than 1', '>> is out of range'
+   * @throws {error} all methods
+   */
+  validToPosition: (msg, propertyName, length, propertyMeaning, defaultValue) => {
+    debug('method:%s', 'validToPosition')
+    if (typeof length !== 'number' || length < 1) {
+      throw new Error(`${PACKAGE_PREFIX} ${propertyMeaning} length is less than 1`)
+    }
+    if (length > 1) {
+      return module.exports.validToInteger(msg, propertyName, 1, length, propertyMeaning,
+        defaultValue)
+    }
+    const position = module.exports.validToInteger(msg, propertyName, 0, 1, propertyMeaning,
+      defaultValue)
+    if (position !== 1) {
+      throw new Error(
+        `${PACKAGE_PREFIX} ${propertyMeaning} (msg.${propertyName}) >>${position} is out of range`)
+    }
+    return position
+  },
+
   /** Validates msg[propertyName] against regex and returns that value or a default value.
    * 
    * If defaultValue is NOT given then msg[propertyName] is required! Throws error if missing.
@@ -394,6 +430,23 @@ module.exports = {
       || !Array.isArray(input))
   },
 
+  /** Validates whether a constant/variable is a plain object (not null, not array).
+   * 
+   * @param {any} input const, variable
+   * 
+   * @returns {boolean} 
+   * false: let input; let input = null; let input = [], let input = 'Hello World'
+   * true: let input = {}, let input = {'a':1]}
+   * 
+   * @throws none
+   * 
+   * @since 2022-04-23
+   */
+  isPlainObject: (input) => {
+    debug('method:%s', 'isPlainObject')
+    return (input !== null && typeof input === 'object' && !Array.isArray(input))
+  },
+
   /** Gets the property value specified by path. Use isTruthyProperty before!
    * 
    * @param {object} nestedObj object
@@ -412,5 +465,34 @@ module.exports = {
    */
   getNestedProperty: (nestedObj, pathArray) => {
     return pathArray.reduce((obj, key) => obj[key], nestedObj)
+  },
+
+  /** Gets the local ipv4 address of this host being used to reach the given remote host.
+   * That address can be used by the remote host (SONOS-Player) to call back such as
+   * event notifications or to fetch local files.
+   * @param {string} remoteHost ipv4 address such as 192.168.178.37
+   * 
+   * @returns {Promise<string>} local ipv4 address such as 192.168.178.10
+   * 
+   * @throws {error} from dgram such as invalid remote host
+   * 
+   * Method: connect on an udp socket does not send any data but lets the operating system 
+   * choose the route (network interface) and thus the local address.
+   */
+  getLocalIpv4Address: async (remoteHost) => {
+    debug('method:%s', 'getLocalIpv4Address')
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4')
+      socket.on('error', (error) => {
+        socket.close()
+        reject(error)
+      })
+      // any port will do as nothing is being sent
+      socket.connect(1400, remoteHost, () => {
+        const localAddress = socket.address().address
+        socket.close()
+        resolve(localAddress)
+      })
+    })
   }
 }
@@ -0,0 +1,184 @@
+/**
+ * Input monitor: detects whether a TV (HDMI/optical) or line-in source of a SONOS player
+ * is active and applies the optional input rule:
+ * - input becomes active: snapshot of household, join configured players to this player,
+ *   set volume
+ * - input becomes inactive: restore the household snapshot (groups, content, volumes)
+ *
+ * Detection is based on events (see Events node): DeviceProperties HTAudioIn for TV and
+ * AudioIn LineInConnected for line-in. HTAudioIn provides the audio format, so TV means
+ * audio is received. LineInConnected only tells whether a cable is plugged in - SONOS
+ * provides no event for audio on line-in - so line-in means cable connected.
+ *
+ * @module Input-monitor
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-04-16
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX, REGEX_CSV } = require('./Globals.js')
+
+const { createGroup, createHouseholdSnapshot, getGroupsAll, restoreHouseholdSnapshot
+} = require('./Commands.js')
+
+const { invalidateTopology } = require('./Topology-cache.js')
+
+const { limitVolume } = require('./Volume.js')
+
+const { isTruthyStringNotEmpty } = require('./Helper.js')
+
+const { SonosDevice } = require('@svrooij/sonos/lib')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}input-monitor`)
+
+// HTAudioIn: lower 16 bits are the audio format. These formats mean no signal:
+// 0 no input, 21 no input, 22 no audio
+const HT_NO_SIGNAL_FORMATS = [0, 21, 22]
+
+module.exports = {
+
+  /** Get the input signal message from event properties.
+   * TV signal: HTAudioIn has an audio format other than HT_NO_SIGNAL_FORMATS.
+   * Line-in signal: LineInConnected is 1 or true - that is a cable is plugged in,
+   * it does not mean that the source is playing.
+   * @param {string} serviceName DeviceProperties or AudioIn
+   * @param {object} properties all properties from the event, see parseEventPropertySet
+   *
+   * @returns {object|null} message { topic, payload } with topic tvsignal or lineinsignal
+   *                        and payload on|off - null if event does not contain input data
+   */
+  getInputSignal: (serviceName, properties) => {
+    debug('method:%s', 'getInputSignal')
+    if (serviceName === 'DeviceProperties' && isTruthyStringNotEmpty(properties.HTAudioIn)) {
+      const format = parseInt(properties.HTAudioIn)
+      if (!Number.isInteger(format)) {
+        return null
+      }
+      const isOn = !HT_NO_SIGNAL_FORMATS.includes(format & 0xFFFF)
+      return { 'topic': 'tvsignal', 'payload': (isOn ? 'on' : 'off') }
+    }
+    if (serviceName === 'AudioIn' && isTruthyStringNotEmpty(properties.LineInConnected)) {
+      const isOn = ['1', 'true'].includes(properties.LineInConnected.toLowerCase())
+      return { 'topic': 'lineinsignal', 'payload': (isOn ? 'on' : 'off') }
+    }
+    return null
+  },
+
+  /** Validate the input rule configuration.
+   * @param {string} playerList comma separated SONOS-Playernames to be joined, blank: no rule
+   * @param {string} volume volume 0 .. 100 for all players, blank: no change
+   *
+   * @returns {object|null} { playerNames, volume } volume -1 means no change,
+   *                        null if no rule configured
+   *
+   * @throws {error} 'input rule player list >> is invalid', 'input rule volume >> is invalid'
+   */
+  validatedInputRule: (playerList, volume) => {
+    debug('method:%s', 'validatedInputRule')
+    if (!isTruthyStringNotEmpty(playerList)) {
+      return null
+    }
+    if (!REGEX_CSV.test(playerList)) {
+      throw new Error(`${PACKAGE_PREFIX} input rule player list >>${playerList} is invalid`)
+    }
+    const playerNames = playerList.split(',')
+      .filter((name, index, all) => all.indexOf(name) === index)
+
+    let validVolume = -1
+    if (isTruthyStringNotEmpty(volume)) {
+      validVolume = Number(volume)
+      if (!Number.isInteger(validVolume) || validVolume < 0 || validVolume > 100) {
+        throw new Error(`${PACKAGE_PREFIX} input rule volume >>${volume} is invalid`)
+      }
+    }
+    return { playerNames, 'volume': validVolume }
+  },
+
+  /** Get the action of the input rule for a new input signal.
+   * @param {boolean} isSignalOn true if input is active
+   * @param {boolean} isRuleActive true if rule has been started (snapshot exists)
+   *
+   * @returns {string} start, restore or none
+   */
+  getInputRuleAction: (isSignalOn, isRuleActive) => {
+    debug('method:%s', 'getInputRuleAction')
+    if (isSignalOn && !isRuleActive) {
+      return 'start'
+    }
+    if (!isSignalOn && isRuleActive) {
+      return 'restore'
+    }
+    return 'none'
+  },
+
+  /** Create the household snapshot of the input rule - to be stored before startInputRule
+   * so that a failing start can still be restored.
+   * @param {object} tsPlayer sonos-ts player with .urlObject, the player with input source
+   *
+   * @returns {promise<HouseholdSnapshot>} snapshot to be used in restoreInputRule
+   *
+   * @throws {error} all methods
+   */
+  snapshotInputRule: async (tsPlayer) => {
+    debug('method:%s', 'snapshotInputRule')
+    return await createHouseholdSnapshot(tsPlayer,
+      { 'snapVolumes': true, 'snapMutestates': false, 'sonosPlaylistName': null,
+        'snapQueues': false })
+  },
+
+  /** Start the input rule: group the configured players with the given player as
+   * coordinator and set the volume. Call snapshotInputRule before.
+   * @param {object} tsPlayer sonos-ts player with .urlObject, the player with input source
+   * and .volumeLimitScope (config node id) - see limitVolume
+   * @param {object} rule see validatedInputRule
+   * @param {string[]} rule.playerNames SONOS-Playernames to be joined
+   * @param {number} rule.volume volume 0 .. 100, -1 means no change
+   * @param {object[]} [violations = []] volume limit violations are added, see limitVolume
+   *
+   * @returns {promise<boolean>} true
+   *
+   * @throws {error} 'player is not in household'
+   * @throws {error} all methods
+   */
+  startInputRule: async (tsPlayer, rule, violations = []) => {
+    debug('method:%s', 'startInputRule')
+    const allPlayers = (await getGroupsAll(tsPlayer, true)).flat()
+    const thisPlayer = allPlayers.find(
+      (member) => member.urlObject.hostname === tsPlayer.urlObject.hostname)
+    if (thisPlayer === undefined) {
+      throw new Error(`${PACKAGE_PREFIX} player is not in household`)
+    }
+    const newGroupPlayerNames = [thisPlayer.playerName].concat(
+      rule.playerNames.filter((name) => name !== thisPlayer.playerName))
+    await createGroup(tsPlayer, newGroupPlayerNames)
+    invalidateTopology(tsPlayer.urlObject)
+
+    if (rule.volume !== -1) {
+      for (const name of newGroupPlayerNames) {
+        const member = allPlayers.find((player) => player.playerName === name)
+        const tsMember = new SonosDevice(member.urlObject.hostname)
+        await tsMember.SetVolume(limitVolume(tsPlayer.volumeLimitScope, name, rule.volume, false,
+          violations))
+      }
+    }
+    return true
+  },
+
+  /** Restore the groups, content and volumes from before the input rule was started.
+   * @param {object} tsPlayer sonos-ts player with .urlObject, the player with input source
+   * @param {object<HouseholdSnapshot>} householdSnapshot see snapshotInputRule
+   *
+   * @returns {promise<boolean>} true
+   *
+   * @throws {error} all methods
+   */
+  restoreInputRule: async (tsPlayer, householdSnapshot) => {
+    debug('method:%s', 'restoreInputRule')
+    await restoreHouseholdSnapshot(tsPlayer, householdSnapshot)
+    invalidateTopology(tsPlayer.urlObject)
+    return true
+  }
+}
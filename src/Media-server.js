@@ -0,0 +1,88 @@
+/**
+ * Local media server: files of a configurable directory (config node) are served by
+ * Node-RED (RED.httpNode) at /nrcsp-media/<config node id>/<relative path>.
+ * Range requests are supported (express sendFile).
+ *
+ * @module Media-server
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-03-06
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX } = require('./Globals.js')
+
+const path = require('path')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}media-server`)
+
+// MIME types of audio formats supported by SONOS, key is lowercase extension
+const MIME_TYPES = {
+  '.aac': 'audio/aac',
+  '.aif': 'audio/aiff',
+  '.aiff': 'audio/aiff',
+  '.flac': 'audio/flac',
+  '.m3u': 'audio/x-mpegurl',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'audio/mp4',
+  '.oga': 'audio/ogg',
+  '.ogg': 'audio/ogg',
+  '.pls': 'audio/x-scpls',
+  '.wav': 'audio/wav',
+  '.wma': 'audio/x-ms-wma',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+}
+
+module.exports = {
+
+  /**  Is the value a local absolute file path such as /home/pi/sounds/bell.mp3 or C:\sounds\x.mp3
+   * @param {string} value any value
+   *
+   * @returns {boolean} true if local absolute file path
+   */
+  isLocalFilePath: (value) => {
+    debug('method:%s', 'isLocalFilePath')
+    return (typeof value === 'string' && /^(\/|[a-z]:[\\/])/i.test(value))
+  },
+
+  /**  Get MIME type from file extension.
+   * @param {string} fileName file name or path
+   *
+   * @returns {string} MIME type, application/octet-stream for unknown extensions
+   */
+  getMimeType: (fileName) => {
+    debug('method:%s', 'getMimeType')
+    const extension = path.extname(fileName).toLowerCase()
+    if (Object.prototype.hasOwnProperty.call(MIME_TYPES, extension)) {
+      return MIME_TYPES[extension]
+    }
+    return 'application/octet-stream'
+  },
+
+  /**  Get the player reachable url of a local file in media directory.
+   * @param {string} filePath absolute local file path
+   * @param {string} mediaDirectory absolute path of media directory
+   * @param {string} urlPrefix such as http://192.168.178.20:1880/nrcsp-media/1f2d3c4b5a697887/
+   *
+   * @returns {promise<string>} url, not encoded as sonos-ts encodes all uris (encodeURI)
+   *
+   * @throws {error} 'media directory is not configured (config node)',
+   * 'file >> is not inside media directory'
+   */
+  getMediaUrl: async (filePath, mediaDirectory, urlPrefix) => {
+    debug('method:%s', 'getMediaUrl')
+    if (typeof mediaDirectory !== 'string' || mediaDirectory.trim() === '') {
+      throw new Error(`${PACKAGE_PREFIX} media directory is not configured (config node)`)
+    }
+    const relativePath = path.relative(path.resolve(mediaDirectory.trim()), path.resolve(filePath))
+    if (relativePath === '' || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new Error(`${PACKAGE_PREFIX} file >>${filePath} is not inside media directory`)
+    }
+    return `${urlPrefix}${relativePath.split(path.sep).join('/')}`
+  }
+}
@@ -0,0 +1,582 @@
+/**
+ * Music library search: structured query (title, artist, album, genre, composer, year) with
+ * match mode, sorting and paging - and browsing the library as tree.
+ *
+ * SONOS only supports a search string as part of the object id such as A:TRACKS:love.
+ * Therefore the narrowest container (genre, composer, album, artist or a given container such
+ * as a share S://server/music) is browsed down to the requested category and all other filters
+ * are applied locally. The number of Browse requests is limited.
+ * Without filter, container and sort the requested page is browsed directly.
+ *
+ * @module Music-library
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-04-02
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX } = require('./Globals.js')
+
+const { parseBrowseToArray, replaceAposColon } = require('./Extensions.js')
+
+const { encodeHtmlEntity, isTruthyStringNotEmpty } = require('./Helper.js')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}music-library`)
+
+const BROWSE_REQUESTED_COUNT = 1000 // allowed maximum
+const LIMIT_DEFAULT = 100
+const REGEX_OBJECT_ID = /^(A|S):/ // music library and shares
+
+const CLASS_ALBUM = 'object.container.album.musicAlbum'
+const CLASS_ARTIST = 'object.container.person.musicArtist'
+const CLASS_COMPOSER = 'object.container.person.composer'
+const CLASS_GENRE = 'object.container.genre.musicGenre'
+const CLASS_PLAYLIST = 'object.container.playlistContainer'
+const CLASS_TRACK = 'object.item.audioItem.musicTrack'
+
+// key is category, value: objectId, upnpClass of result items,
+// fields: key query filter, value item property (filtered locally),
+// narrowing: query filters being used to select the containers to browse, first given wins
+const CATEGORIES = {
+  'albumartists': {
+    'objectId': 'A:ALBUMARTIST',
+    'upnpClass': CLASS_ARTIST,
+    'fields': { 'title': 'title', 'artist': 'title' },
+    'narrowing': ['genre']
+  },
+  'albums': {
+    'objectId': 'A:ALBUM',
+    'upnpClass': CLASS_ALBUM,
+    'fields': { 'title': 'title', 'album': 'title', 'artist': 'artist' },
+    'narrowing': ['genre', 'composer', 'artist']
+  },
+  'artists': {
+    'objectId': 'A:ARTIST',
+    'upnpClass': CLASS_ARTIST,
+    'fields': { 'title': 'title', 'artist': 'title' },
+    'narrowing': ['genre']
+  },
+  'composers': {
+    'objectId': 'A:COMPOSER',
+    'upnpClass': CLASS_COMPOSER,
+    'fields': { 'title': 'title', 'composer': 'title' },
+    'narrowing': []
+  },
+  'genres': {
+    'objectId': 'A:GENRE',
+    'upnpClass': CLASS_GENRE,
+    'fields': { 'title': 'title', 'genre': 'title' },
+    'narrowing': []
+  },
+  'playlists': {
+    'objectId': 'A:PLAYLISTS',
+    'upnpClass': CLASS_PLAYLIST,
+    'fields': { 'title': 'title' },
+    'narrowing': []
+  },
+  'tracks': {
+    'objectId': 'A:TRACKS',
+    'upnpClass': CLASS_TRACK,
+    'fields': { 'title': 'title', 'artist': 'artist', 'album': 'album', 'year': 'year' },
+    'narrowing': ['genre', 'composer', 'album', 'artist']
+  }
+}
+
+// key is narrowing filter, value objectId and upnpClass of the containers
+const NARROWING_CONTAINERS = {
+  'album': { 'objectId': 'A:ALBUM', 'upnpClass': CLASS_ALBUM },
+  'artist': { 'objectId': 'A:ARTIST', 'upnpClass': CLASS_ARTIST },
+  'composer': { 'objectId': 'A:COMPOSER', 'upnpClass': CLASS_COMPOSER },
+  'genre': { 'objectId': 'A:GENRE', 'upnpClass': CLASS_GENRE }
+}
+
+const TEXT_FILTERS = ['title', 'artist', 'album', 'genre', 'composer']
+const MATCH_MODES = ['contains', 'exact', 'prefix']
+const SORT_KEYS = ['album', 'artist', 'title', 'year']
+
+module.exports = {
+
+  /**  Validate and normalize a music library query.
+   * @param {object} query query such as msg.payload
+   * @param {string} [query.category = 'tracks'] tracks, albums, artists, albumartists, genres,
+   * composers, playlists
+   * @param {string} [query.title] title filter - the category name filters such as artist for
+   * category artists are synonyms
+   * @param {string} [query.artist] artist filter
+   * @param {string} [query.album] album filter
+   * @param {string} [query.genre] genre filter
+   * @param {string} [query.composer] composer filter
+   * @param {number|string} [query.year] year such as 1980 - only for tracks
+   * @param {string} [query.match = 'contains'] contains, exact, prefix - case insensitive
+   * @param {string} [query.container] object id to start browsing such as S://server/music
+   * @param {string} [query.sort] comma separated keys title, artist, album, year - prefix -
+   * means descending such as '-year,title'
+   * @param {number|string} [query.offset = 0] first item, integer greater equal 0
+   * @param {number|string} [query.limit = 100] maximum number of items, integer greater equal 1
+   *
+   * @returns {object} normalized query with category, match, sort (array of { key, descending }),
+   * offset, limit and the given filters
+   *
+   * @throws {error} 'query is not object', 'category >> is unknown', '>> is not string',
+   * 'filter >> is not supported for category >>', 'genre and composer can not be combined',
+   * 'container >> is invalid', 'container and >> can not be combined', 'match >> is unknown',
+   * 'sort key >> is unknown', '>> is not integer or out of range'
+   */
+  validatedLibraryQuery: (query) => {
+    debug('method:%s', 'validatedLibraryQuery')
+    if (typeof query !== 'object' || query === null || Array.isArray(query)) {
+      throw new Error(`${PACKAGE_PREFIX} query is not object`)
+    }
+
+    const validQuery = { 'category': 'tracks' }
+    if (query.category !== undefined) {
+      if (!Object.prototype.hasOwnProperty.call(CATEGORIES, query.category)) {
+        throw new Error(`${PACKAGE_PREFIX} category >>${query.category} is unknown`)
+      }
+      validQuery.category = query.category
+    }
+    const category = CATEGORIES[validQuery.category]
+
+    TEXT_FILTERS.forEach((name) => {
+      if (query[name] !== undefined) {
+        if (!isTruthyStringNotEmpty(query[name])) {
+          throw new Error(`${PACKAGE_PREFIX} ${name} is not string`)
+        }
+        validQuery[name] = query[name]
+      }
+    })
+    if (query.year !== undefined) {
+      validQuery.year = validatedInteger(query.year, 'year', 0)
+    }
+    Object.keys(validQuery).filter((name) => name !== 'category')
+      .forEach((name) => {
+        if (!Object.prototype.hasOwnProperty.call(category.fields, name)
+          && !category.narrowing.includes(name)) {
+          throw new Error(`${PACKAGE_PREFIX} filter >>${name} is not supported`
+            + ` for category >>${validQuery.category}`)
+        }
+      })
+    if (validQuery.genre !== undefined && validQuery.composer !== undefined) {
+      throw new Error(`${PACKAGE_PREFIX} genre and composer can not be combined`)
+    }
+
+    if (query.container !== undefined) {
+      if (!isTruthyStringNotEmpty(query.container) || !REGEX_OBJECT_ID.test(query.container)) {
+        throw new Error(`${PACKAGE_PREFIX} container >>${query.container} is invalid`)
+      }
+      // genre, composer are not available as item property
+      const conflicting = Object.keys(validQuery).find((name) => name !== 'category'
+        && !Object.prototype.hasOwnProperty.call(category.fields, name))
+      if (conflicting !== undefined) {
+        throw new Error(`${PACKAGE_PREFIX} container and ${conflicting} can not be combined`)
+      }
+      validQuery.container = query.container
+    }
+
+    validQuery.match = 'contains'
+    if (query.match !== undefined) {
+      if (!MATCH_MODES.includes(query.match)) {
+        throw new Error(`${PACKAGE_PREFIX} match >>${query.match} is unknown`)
+      }
+      validQuery.match = query.match
+    }
+
+    validQuery.sort = []
+    if (query.sort !== undefined) {
+      if (typeof query.sort !== 'string') {
+        throw new Error(`${PACKAGE_PREFIX} sort is not string`)
+      }
+      validQuery.sort = query.sort.split(',')
+        .map((key) => key.trim())
+        .filter((key) => key !== '')
+        .map((key) => {
+          const descending = key.startsWith('-')
+          const name = (descending ? key.substring(1) : key)
+          if (!SORT_KEYS.includes(name)) {
+            throw new Error(`${PACKAGE_PREFIX} sort key >>${name} is unknown`)
+          }
+          return { 'key': name, descending }
+        })
+    }
+
+    validQuery.offset = (query.offset === undefined ? 0
+      : validatedInteger(query.offset, 'offset', 0))
+    validQuery.limit = (query.limit === undefined ? LIMIT_DEFAULT
+      : validatedInteger(query.limit, 'limit', 1))
+    return validQuery
+  },
+
+  /**  Search the music library.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} validQuery query, see validatedLibraryQuery
+   * @param {number} requestLimit maximum number of Browse requests, greater equal 1
+   *
+   * @returns {promise<object>} { total, offset, limit, complete, items }
+   * total is the number of all matching items, items is the requested page (DidlBrowseItem).
+   * complete is false if the request limit was reached before browsing everything.
+   *
+   * @throws {error} all methods
+   */
+  searchMusicLibrary: async (tsPlayer, validQuery, requestLimit) => {
+    debug('method:%s', 'searchMusicLibrary')
+    const category = CATEGORIES[validQuery.category]
+    const budget = { 'remaining': requestLimit, 'exhausted': false }
+    const localQuery = Object.assign({}, validQuery)
+
+    const hasFilter = Object.keys(category.fields).concat(category.narrowing)
+      .some((name) => validQuery[name] !== undefined)
+    if (!hasFilter && validQuery.container === undefined && validQuery.sort.length === 0) {
+      // the page is requested directly - the category children are of the wanted class
+      const page = await browsePage(tsPlayer, category.objectId, validQuery.offset,
+        validQuery.limit, budget)
+      return {
+        'total': page.total,
+        'offset': validQuery.offset,
+        'limit': validQuery.limit,
+        'complete': !budget.exhausted,
+        'items': page.children.map((item) => getSearchResultItem(item, tsPlayer))
+      }
+    }
+
+    let rootIds
+    const narrowing = category.narrowing.find((name) => validQuery[name] !== undefined)
+    if (validQuery.container !== undefined) {
+      rootIds = [validQuery.container] // all filters are applied locally
+    } else if (narrowing !== undefined) {
+      // the containers are selected here and the filter is not applied again to the items
+      const term = validQuery[narrowing]
+      const container = NARROWING_CONTAINERS[narrowing]
+      const candidates = await browseChildren(tsPlayer,
+        `${container.objectId}:${encodeURIComponent(term)}`, budget)
+      rootIds = candidates
+        .filter((item) => item.upnpClass === container.upnpClass
+          && isMatching(item.title, term, validQuery.match))
+        .map((item) => item.id)
+      delete localQuery[narrowing]
+    } else {
+      // the search string of SONOS narrows the result - title is filtered locally
+      const titleFilter = Object.keys(category.fields)
+        .find((name) => category.fields[name] === 'title' && validQuery[name] !== undefined)
+      rootIds = [(titleFilter === undefined ? category.objectId
+        : `${category.objectId}:${encodeURIComponent(validQuery[titleFilter])}`)]
+    }
+
+    const collected = []
+    for (let i = 0; i < rootIds.length; i++) {
+      await collectItems(tsPlayer, rootIds[i], category.upnpClass, budget, collected)
+    }
+
+    // remove duplicates (same item in several containers)
+    const ids = new Set()
+    const unique = collected.filter((item) => {
+      if (ids.has(item.id)) {
+        return false
+      }
+      ids.add(item.id)
+      return true
+    })
+    const filtered = module.exports.filterLibraryItems(unique, localQuery)
+    const sorted = module.exports.sortLibraryItems(filtered, validQuery.sort)
+    const items = sorted.slice(validQuery.offset, validQuery.offset + validQuery.limit)
+      .map((item) => getSearchResultItem(item, tsPlayer))
+    return {
+      'total': sorted.length,
+      'offset': validQuery.offset,
+      'limit': validQuery.limit,
+      'complete': !budget.exhausted,
+      items
+    }
+  },
+
+  /**  Browse the music library: get the children of an object id (one request).
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {string} [objectId = 'A:'] such as A:, A:GENRE/Rock, A:ARTIST:Miles,
+   * S://nas/music/Jazz - url encoded as provided by the parent
+   * @param {number|string} [offset = 0] first child, integer greater equal 0
+   * @param {number|string} [limit = 100] maximum number of children, integer 1 .. 1000
+   *
+   * @returns {promise<object>} { objectId, total, offset, items }
+   * items: DidlBrowseItem with type (container, item) - containers first.
+   * uri, metadata, queue can be exported (group.play.export) if uri is not empty.
+   *
+   * @throws {error} 'object id >> is invalid', '>> is not integer or out of range'
+   * @throws {error} all methods
+   */
+  browseMusicLibrary: async (tsPlayer, objectId, offset, limit) => {
+    debug('method:%s', 'browseMusicLibrary')
+    const validObjectId = (objectId === undefined ? 'A:' : objectId)
+    if (!isTruthyStringNotEmpty(validObjectId) || !REGEX_OBJECT_ID.test(validObjectId)) {
+      throw new Error(`${PACKAGE_PREFIX} object id >>${validObjectId} is invalid`)
+    }
+    const validOffset = (offset === undefined ? 0 : validatedInteger(offset, 'offset', 0))
+    const validLimit = (limit === undefined ? LIMIT_DEFAULT
+      : validatedInteger(limit, 'limit', 1, BROWSE_REQUESTED_COUNT))
+
+    const browseOutcome = await tsPlayer.ContentDirectoryService.Browse({
+      'ObjectID': validObjectId, 'BrowseFlag': 'BrowseDirectChildren', 'Filter': '*',
+      'StartingIndex': validOffset, 'RequestedCount': validLimit, 'SortCriteria': ''
+    })
+    const containers = (await parseBrowseToArray(browseOutcome, 'container'))
+      .map((item) => Object.assign(item, { 'type': 'container' }))
+    const items = (await parseBrowseToArray(browseOutcome, 'item'))
+      .map((item) => Object.assign(item, { 'type': 'item' }))
+    const children = await Promise.all(containers.concat(items).map(async (item) => {
+      if (typeof item.artUri === 'string' && item.artUri.startsWith('/getaa')) {
+        item.artUri = tsPlayer.urlObject.origin + item.artUri
+      }
+      if (item.uri !== '') {
+        item.metadata = await getLibraryMetadata(item, validObjectId)
+        item.uri = replaceAposColon(item.uri)
+      }
+      item.processingType = 'queue'
+      item.queue = (item.uri !== '') // same as export of My Sonos items
+      return item
+    }))
+    return {
+      'objectId': validObjectId,
+      'total': Number(browseOutcome.TotalMatches || 0),
+      'offset': validOffset,
+      'items': children
+    }
+  },
+
+  /**  Filter items by the query filters of the category.
+   * @param {DidlBrowseItem[]} items items from parseBrowseToArray
+   * @param {object} validQuery query, see validatedLibraryQuery
+   *
+   * @returns {DidlBrowseItem[]} matching items - items without year do not match a year filter
+   */
+  filterLibraryItems: (items, validQuery) => {
+    debug('method:%s', 'filterLibraryItems')
+    const fields = CATEGORIES[validQuery.category].fields
+    const filters = Object.keys(fields).filter((name) => validQuery[name] !== undefined)
+    return items.filter((item) => filters.every((name) => {
+      const value = item[fields[name]]
+      if (name === 'year') {
+        return value === validQuery.year
+      }
+      return isMatching(value, validQuery[name], validQuery.match)
+    }))
+  },
+
+  /**  Sort items - stable, the original order is kept for equal items.
+   * @param {DidlBrowseItem[]} items items from parseBrowseToArray
+   * @param {object[]} sort array of { key, descending }, see validatedLibraryQuery
+   *
+   * @returns {DidlBrowseItem[]} new sorted array - items without year are sorted first
+   */
+  sortLibraryItems: (items, sort) => {
+    debug('method:%s', 'sortLibraryItems')
+    return items
+      .map((item, index) => {
+        return { item, index }
+      })
+      .sort((a, b) => {
+        for (let i = 0; i < sort.length; i++) {
+          const key = sort[i].key
+          let result
+          if (key === 'year') {
+            result = (a.item.year || 0) - (b.item.year || 0)
+          } else {
+            result = String(a.item[key] || '')
+              .localeCompare(String(b.item[key] || ''), undefined, { 'sensitivity': 'base' })
+          }
+          if (result !== 0) {
+            return (sort[i].descending ? -result : result)
+          }
+        }
+        return a.index - b.index
+      })
+      .map((entry) => entry.item)
+  }
+}
+
+/**  Is text matching the search term - case insensitive.
+ * @param {string} text any text such as title
+ * @param {string} term search term
+ * @param {string} match contains, exact, prefix
+ *
+ * @returns {boolean} true if matching
+ */
+function isMatching (text, term, match) {
+  const lowerText = String(text || '').toLowerCase()
+  const lowerTerm = term.toLowerCase()
+  if (match === 'exact') {
+    return lowerText === lowerTerm
+  }
+  if (match === 'prefix') {
+    return lowerText.startsWith(lowerTerm)
+  }
+  return lowerText.includes(lowerTerm)
+}
+
+/**  Validate integer (number or string) in range - not limited by VALIDATION_INTEGER_MAXIMUM.
+ * @param {number|string} value value to be validated
+ * @param {string} name name used in error message
+ * @param {number} minimum minimum
+ * @param {number} [maximum = Number.MAX_SAFE_INTEGER] maximum
+ *
+ * @returns {number} integer
+ *
+ * @throws {error} '>> is not integer or out of range'
+ */
+function validatedInteger (value, name, minimum, maximum = Number.MAX_SAFE_INTEGER) {
+  const valid = (typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value)
+  if (!Number.isInteger(valid) || valid < minimum || valid > maximum) {
+    throw new Error(`${PACKAGE_PREFIX} ${name} is not integer or out of range`)
+  }
+  return valid
+}
+
+/**  Get the metadata of a music library item or container, to be used with its uri.
+ * @param {DidlBrowseItem} item item from parseBrowseToArray with type
+ * @param {string} parentId object id of parent
+ *
+ * @returns {promise<string>} html entity encoded DIDL-Lite
+ *
+ * @throws {error} all methods
+ */
+async function getLibraryMetadata (item, parentId) {
+  const didl = '<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/"'
+    + ' xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/"'
+    + ' xmlns:r="urn:schemas-rinconnetworks-com:metadata-1-0/"'
+    + ' xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">'
+    + `<${item.type} id="${item.id}" parentID="${parentId}" restricted="true">`
+    + `<dc:title>${await encodeHtmlEntity(item.title)}</dc:title>`
+    + `<upnp:class>${item.upnpClass}</upnp:class>`
+    + '<desc id="cdudn" nameSpace="urn:schemas-rinconnetworks-com:metadata-1-0/">'
+    + 'RINCON_AssociatedZPUDN</desc>'
+    + `</${item.type}></DIDL-Lite>`
+  return encodeHtmlEntity(didl)
+}
+
+/**  Complete a found item: absolute artUri, uri and export properties.
+ * @param {DidlBrowseItem} item item from parseBrowseToArray - modified
+ * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+ *
+ * @returns {DidlBrowseItem} the item
+ */
+function getSearchResultItem (item, tsPlayer) {
+  if (typeof item.artUri === 'string' && item.artUri.startsWith('/getaa')) {
+    item.artUri = tsPlayer.urlObject.origin + item.artUri
+  }
+  item.processingType = 'queue'
+  item.queue = true // same as export of My Sonos items
+  item.uri = replaceAposColon(item.uri)
+  return item
+}
+
+/**  Get a page of children (containers and items) of an object id - several requests if the
+ * page is larger than BROWSE_REQUESTED_COUNT. Stops as soon as the page is full.
+ * @param {object} tsPlayer sonos-ts player
+ * @param {string} objectId object id such as A:TRACKS
+ * @param {number} offset first child, integer greater equal 0
+ * @param {number} limit maximum number of children, integer greater equal 1
+ * @param {object} budget { remaining, exhausted } remaining number of requests - modified
+ *
+ * @returns {promise<object>} { total, children } total is the number of all children,
+ * children: containers first, then items - maybe incomplete
+ *
+ * @throws {error} all methods
+ */
+async function browsePage (tsPlayer, objectId, offset, limit, budget) {
+  let children = []
+  let total = 0
+  while (children.length < limit) {
+    if (budget.remaining < 1) {
+      budget.exhausted = true
+      break
+    }
+    budget.remaining--
+    const browseOutcome = await tsPlayer.ContentDirectoryService.Browse({
+      'ObjectID': objectId, 'BrowseFlag': 'BrowseDirectChildren', 'Filter': '*',
+      'StartingIndex': offset + children.length,
+      'RequestedCount': Math.min(limit - children.length, BROWSE_REQUESTED_COUNT),
+      'SortCriteria': ''
+    })
+    const containers = await parseBrowseToArray(browseOutcome, 'container')
+    const items = await parseBrowseToArray(browseOutcome, 'item')
+    total = Number(browseOutcome.TotalMatches || 0)
+    if (containers.length + items.length === 0) {
+      break
+    }
+    children = children.concat(containers, items)
+    if (offset + children.length >= total) {
+      break
+    }
+  }
+  return { total, children }
+}
+
+/**  Get all children (containers and items) of an object id - several requests if necessary.
+ * @param {object} tsPlayer sonos-ts player
+ * @param {string} objectId object id such as A:ARTIST/Miles%20Davis
+ * @param {object} budget { remaining, exhausted } remaining number of requests - modified
+ *
+ * @returns {promise<DidlBrowseItem[]>} containers first, then items - maybe incomplete
+ *
+ * @throws {error} all methods
+ */
+async function browseChildren (tsPlayer, objectId, budget) {
+  let children = []
+  let total = 1
+  while (children.length < total) {
+    if (budget.remaining < 1) {
+      budget.exhausted = true
+      break
+    }
+    budget.remaining--
+    const browseOutcome = await tsPlayer.ContentDirectoryService.Browse({
+      'ObjectID': objectId, 'BrowseFlag': 'BrowseDirectChildren', 'Filter': '*',
+      'StartingIndex': children.length, 'RequestedCount': BROWSE_REQUESTED_COUNT,
+      'SortCriteria': ''
+    })
+    const containers = await parseBrowseToArray(browseOutcome, 'container')
+    const items = await parseBrowseToArray(browseOutcome, 'item')
+    if (containers.length + items.length === 0) {
+      break
+    }
+    children = children.concat(containers, items)
+    total = Number(browseOutcome.TotalMatches)
+  }
+  return children
+}
+
+/**  Collect all items of given class, starting at object id (breadth first).
+ * SONOS offers an "All" container (id is parent id with trailing /) such as all tracks of an
+ * artist. That is used instead of its siblings if no matching items were found.
+ * @param {object} tsPlayer sonos-ts player
+ * @param {string} rootId object id to start
+ * @param {string} upnpClass upnp class of the wanted items
+ * @param {object} budget { remaining, exhausted } remaining number of requests - modified
+ * @param {DidlBrowseItem[]} collected matching items - modified
+ *
+ * @returns {promise<boolean>} true
+ *
+ * @throws {error} all methods
+ */
+async function collectItems (tsPlayer, rootId, upnpClass, budget, collected) {
+  const pending = [rootId]
+  const visited = new Set()
+  while (pending.length > 0 && !budget.exhausted) {
+    const objectId = pending.shift()
+    if (visited.has(objectId)) {
+      continue
+    }
+    visited.add(objectId)
+    const children = await browseChildren(tsPlayer, objectId, budget)
+    const matching = children.filter((child) => child.upnpClass === upnpClass)
+    collected.push(...matching)
+    const containers = children.filter((child) => child.upnpClass !== upnpClass
+      && child.upnpClass.startsWith('object.container'))
+    const allContainer = containers.find((child) => child.id === `${objectId}/`)
+    if (allContainer === undefined) {
+      pending.push(...containers.map((child) => child.id))
+    } else if (matching.length === 0) {
+      pending.push(allContainer.id)
+    }
+  }
+  return true
+}
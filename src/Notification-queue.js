@@ -0,0 +1,251 @@
+/**
+ * Per group notification queue. Notifications for the same group are serialized - group
+ * and joiner notifications share the queue of the group coordinator:
+ * - Only one snapshot is taken before the first notification and restored after the last one.
+ *   A notification of an other kind (group, joiner) restores the snapshot and takes a new one.
+ * - A notification with higher priority interrupts the currently playing one.
+ * - Pending notifications are played in order of priority, same priority first in first out.
+ * - Optionally a pending notification is dropped if it is older than its max age.
+ *
+ * @module Notification-queue
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-02-27
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX } = require('./Globals.js')
+
+const { createGroupNotificationSnapshot, createJoinerNotificationSnapshot,
+  restoreGroupNotification, restoreJoinerNotification, startGroupNotification,
+  startJoinerNotification
+} = require('./Commands.js')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}notification-queue`)
+
+// key is queue key such as group:RINCON_5CAAFD00223601400, value { pending, active, running }
+const queues = {}
+
+module.exports = {
+
+  /**  Queue a notification for an existing group.
+   * @param {tsPlayer[]} tsPlayerArray sonos-ts player array with JavaScript build-in URL urlObject.
+   *               Coordinator has index 0 and uuid. Length = 1 is allowed.
+   * @param {object} options options - see playGroupNotification
+   * @param {number} options.priority higher priority interrupts lower priority
+   * @param {number} options.maxAge in seconds, -1 means never drop
+   *
+   * @returns {promise<string>} played, interrupted, dropped
+   *
+   * @throws {error} all methods
+   */
+  queueGroupNotification: async (tsPlayerArray, options) => {
+    debug('method:%s', 'queueGroupNotification')
+    const iCoord = 0
+    return module.exports.enqueueNotification(
+      `group:${tsPlayerArray[iCoord].uuid}`, {
+        'priority': options.priority,
+        'maxAge': options.maxAge,
+        'snapshotKey': 'group',
+        'createSnapshot': () => createGroupNotificationSnapshot(tsPlayerArray),
+        'start': () => startGroupNotification(tsPlayerArray, options),
+        'restore': (snapshot) => restoreGroupNotification(tsPlayerArray, snapshot, options)
+      })
+  },
+
+  /**  Queue a notification for a single joiner (must not be coordinator).
+   * @param {object} tsJoiner node-sonos player in group with url
+   * @param {string} coordinatorUuid coordinator uuid - used for grouping and as queue key
+   * @param {object} options options - see playJoinerNotification
+   * @param {number} options.priority higher priority interrupts lower priority
+   * @param {number} options.maxAge in seconds, -1 means never drop
+   *
+   * @returns {promise<string>} played, interrupted, dropped
+   *
+   * @throws {error} all methods
+   */
+  queueJoinerNotification: async (tsJoiner, coordinatorUuid, options) => {
+    debug('method:%s', 'queueJoinerNotification')
+    return module.exports.enqueueNotification(
+      `group:${coordinatorUuid}`, {
+        'priority': options.priority,
+        'maxAge': options.maxAge,
+        'snapshotKey': `joiner:${tsJoiner.urlObject.hostname}`,
+        'createSnapshot': () => createJoinerNotificationSnapshot(tsJoiner),
+        'start': () => startJoinerNotification(tsJoiner, options),
+        'restore': (snapshot) => restoreJoinerNotification(tsJoiner, coordinatorUuid, snapshot)
+      })
+  },
+
+  /**  Add a notification to the queue and start processing if not yet running.
+   * @param {string} queueKey unique key of the queue such as group:RINCON_5CAAFD00223601400
+   * @param {object} notification notification
+   * @param {number} notification.priority higher priority interrupts lower priority
+   * @param {number} notification.maxAge in seconds, -1 means never drop
+   * @param {string} [notification.snapshotKey] notifications with same key share the snapshot
+   * @param {function} notification.createSnapshot async, returns snapshot
+   * @param {function} notification.start async, starts playing, returns duration in milliseconds
+   * @param {function} notification.restore async, restores the given snapshot
+   *
+   * @returns {promise<string>} played, interrupted, dropped - resolves when finished
+   *
+   * @throws {error} errors of createSnapshot, start, restore
+   */
+  enqueueNotification: async (queueKey, notification) => {
+    debug('method:%s', 'enqueueNotification')
+    if (!Object.prototype.hasOwnProperty.call(queues, queueKey)) {
+      queues[queueKey] = { 'pending': [], 'active': null, 'running': false }
+    }
+    const queue = queues[queueKey]
+
+    return new Promise((resolve, reject) => {
+      const job = Object.assign({}, notification, {
+        'createdAt': Date.now(),
+        'interrupted': false,
+        'abortWait': null,
+        resolve,
+        reject
+      })
+
+      // same priority: first in first out
+      const index = queue.pending.findIndex((item) => item.priority < job.priority)
+      if (index === -1) {
+        queue.pending.push(job)
+      } else {
+        queue.pending.splice(index, 0, job)
+      }
+
+      if (queue.active !== null && job.priority > queue.active.priority) {
+        debug('Info: interrupting notification with lower priority')
+        queue.active.interrupted = true
+        if (queue.active.abortWait !== null) {
+          queue.active.abortWait()
+        }
+      }
+
+      if (!queue.running) {
+        queue.running = true
+        processQueue(queue)
+          .then(() => {
+            if (!queue.running) {
+              delete queues[queueKey]
+            }
+          })
+      }
+    })
+  }
+}
+
+/**  Play all pending notifications of that queue, one snapshot for a sequence of notifications.
+ * @param {object} queue the queue
+ *
+ * @returns {promise} - never rejects, errors are passed to the notification
+ */
+async function processQueue (queue) {
+  debug('method:%s', 'processQueue')
+  let snapshot = null
+  let restore = null
+  let snapshotKey
+  let job = nextValidJob(queue)
+  while (job !== undefined) {
+    queue.active = job
+    let state = 'played'
+    let error = null
+    try {
+      if (restore === null) {
+        snapshot = await job.createSnapshot()
+        restore = job.restore
+        snapshotKey = job.snapshotKey
+      }
+      if (!job.interrupted) {
+        const waitInMilliseconds = await job.start()
+        if (!job.interrupted) { // may have been interrupted while starting
+          await waitInterruptible(job, waitInMilliseconds)
+        }
+      }
+      state = (job.interrupted ? 'interrupted' : 'played')
+    } catch (err) {
+      error = err
+    }
+    queue.active = null
+
+    // Restore after the last notification of that kind - if there is a snapshot
+    const nextJob = peekValidJob(queue)
+    if ((nextJob === undefined || nextJob.snapshotKey !== snapshotKey) && restore !== null) {
+      try {
+        await restore(snapshot)
+      } catch (err) {
+        if (error === null) {
+          error = err
+        }
+      }
+      snapshot = null
+      restore = null
+    }
+
+    if (error === null) {
+      job.resolve(state)
+    } else {
+      job.reject(error)
+    }
+    // taken after restoring: new notifications may have arrived, others may be too old now
+    job = nextValidJob(queue)
+  }
+  queue.running = false
+}
+
+/**  Get the next pending notification without removing it from the queue and drop all
+ * notifications in front of it being older than max age.
+ * @param {object} queue the queue
+ *
+ * @returns {object} notification or undefined
+ */
+function peekValidJob (queue) {
+  let job = queue.pending[0]
+  while (job !== undefined) {
+    if (job.maxAge === -1 || Date.now() - job.createdAt <= job.maxAge * 1000) {
+      break
+    }
+    debug('Info: notification dropped - too old')
+    queue.pending.shift()
+    job.resolve('dropped')
+    job = queue.pending[0]
+  }
+  return job
+}
+
+/**  Remove the next pending notification from the queue and drop all notifications
+ * in front of it being older than max age.
+ * @param {object} queue the queue
+ *
+ * @returns {object} notification or undefined
+ */
+function nextValidJob (queue) {
+  const job = peekValidJob(queue)
+  if (job !== undefined) {
+    queue.pending.shift()
+  }
+  return job
+}
+
+/**  Wait the given time - may be aborted by a notification with higher priority.
+ * @param {object} job the notification
+ * @param {number} milliseconds time to wait
+ *
+ * @returns {promise} resolves after the given time or when aborted
+ */
+function waitInterruptible (job, milliseconds) {
+  return new Promise((resolve) => {
+    const timerId = setTimeout(() => {
+      job.abortWait = null
+      resolve()
+    }, milliseconds)
+    job.abortWait = () => {
+      clearTimeout(timerId)
+      job.abortWait = null
+      resolve()
+    }
+  })
+}
@@ -0,0 +1,192 @@
+/**
+ * Scenes: declarative desired state of the household such as "evening" or "movie".
+ * A scene defines groups (by SONOS-Playername) with content, queue mode, crossfade,
+ * sleep timer and per player settings such as volume, mute state and EQ.
+ *
+ * The scene is validated and compared with the current state here - it is applied
+ * by the Universal node (household.apply.scene).
+ *
+ * @module Scene
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-04-30
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX, REGEX_CSV, REGEX_QUEUEMODES, REGEX_RADIO_ID, REGEX_TIME
+} = require('./Globals.js')
+
+const { isPlainObject, isTruthyProperty } = require('./Helper.js')
+
+const { isLocalFilePath } = require('./Media-server.js')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}scene`)
+
+// Content of a group - exactly one of them
+const CONTENT_TYPES = ['mysonos', 'sonosplaylist', 'tunein', 'uri']
+
+// Content uri: as in group.play.streamhttp (http, https) and group.queue.uri (SONOS uris),
+// local files in media directory are also allowed
+const REGEX_CONTENT_URI = /^(https?:\/\/.+|x-sonos-.+|x-rincon-.+|x-file-cifs:.+)$/
+
+// Player settings: integer range or on|off
+const PLAYER_SETTINGS = {
+  'volume': { 'min': 0, 'max': 100 },
+  'mute': { 'onOff': true },
+  'bass': { 'min': -10, 'max': 10 },
+  'treble': { 'min': -10, 'max': 10 },
+  'loudness': { 'onOff': true }
+}
+
+module.exports = {
+
+  /**
+   * @typedef {object} Scene desired state of the household
+   * @global
+   * @property {object[]} [groups] groups to be created, players not mentioned are not touched
+   * @property {string[]} groups.players SONOS-Playernames, first one is coordinator
+   * @property {object} [groups.content] exactly one of mysonos (part of title),
+   *           sonosplaylist (exact title), tunein (id such as s24896), uri (http(s), SONOS uri
+   *           such as x-file-cifs: or local file in media directory)
+   * @property {string} [groups.queueMode] such as SHUFFLE, see group.set.queuemode
+   * @property {string} [groups.crossfade] on|off
+   * @property {string} [groups.sleepTimer] hh:mm:ss
+   * @property {object} [players] key is SONOS-Playername, value has volume 0 .. 100,
+   *           mute on|off, bass -10 .. 10, treble -10 .. 10, loudness on|off
+   */
+
+  /** Validate a scene - nothing is changed on any player if the scene is invalid.
+   * @param {object} scene see Scene
+   *
+   * @returns {object} validated scene with all groups and players properties,
+   *          group.content is null or { type, value }
+   *
+   * @throws {error} 'scene is not object', 'scene groups is not array',
+   * 'scene group >> players is invalid', 'scene player >> is in several groups',
+   * 'scene group >> content is invalid', 'scene group >> queueMode is invalid',
+   * 'scene group >> crossfade is invalid', 'scene group >> sleepTimer is invalid',
+   * 'scene players is not object', 'scene player >> setting >> is invalid'
+   */
+  validatedScene: (scene) => {
+    debug('method:%s', 'validatedScene')
+    if (!isPlainObject(scene)) {
+      throw new Error(`${PACKAGE_PREFIX} scene is not object`)
+    }
+
+    const groups = (isTruthyProperty(scene, ['groups']) ? scene.groups : [])
+    if (!Array.isArray(groups)) {
+      throw new Error(`${PACKAGE_PREFIX} scene groups is not array`)
+    }
+    const groupedNames = []
+    const validGroups = groups.map((group, index) => {
+      if (!isPlainObject(group) || !Array.isArray(group.players) || group.players.length === 0
+        || !group.players.every((name) => typeof name === 'string' && REGEX_CSV.test(name))) {
+        throw new Error(`${PACKAGE_PREFIX} scene group >>${index} players is invalid`)
+      }
+      for (const playerName of group.players) {
+        if (groupedNames.includes(playerName)) {
+          throw new Error(`${PACKAGE_PREFIX} scene player >>${playerName} is in several groups`)
+        }
+        groupedNames.push(playerName)
+      }
+      return {
+        'players': group.players.slice(),
+        'content': validatedContent(group, index),
+        'queueMode': validatedGroupSetting(group, 'queueMode', REGEX_QUEUEMODES, index),
+        'crossfade': validatedGroupSetting(group, 'crossfade', /^(on|off)$/, index),
+        'sleepTimer': validatedGroupSetting(group, 'sleepTimer', REGEX_TIME, index)
+      }
+    })
+
+    const players = (isTruthyProperty(scene, ['players']) ? scene.players : {})
+    if (!isPlainObject(players)) {
+      throw new Error(`${PACKAGE_PREFIX} scene players is not object`)
+    }
+    const validPlayers = {}
+    for (const playerName of Object.keys(players)) {
+      const settings = players[playerName]
+      if (!isPlainObject(settings)) {
+        throw new Error(`${PACKAGE_PREFIX} scene player >>${playerName} is not object`)
+      }
+      validPlayers[playerName] = {}
+      for (const name of Object.keys(settings)) {
+        const value = settings[name]
+        const setting = PLAYER_SETTINGS[name]
+        const isValid = (setting !== undefined) && (setting.onOff
+          ? ['on', 'off'].includes(value)
+          : Number.isInteger(value) && value >= setting.min && value <= setting.max)
+        if (!isValid) {
+          throw new Error(
+            `${PACKAGE_PREFIX} scene player >>${playerName} setting >>${name} is invalid`)
+        }
+        validPlayers[playerName][name] = value
+      }
+    }
+
+    return { 'groups': validGroups, 'players': validPlayers }
+  },
+
+  /** Is the group already in place: same coordinator and same members (any order)?
+   * @param {playerGroupData[]} allGroups array of arrays, see getGroupsAll
+   * @param {string[]} playerNames SONOS-Playernames, first one is coordinator
+   *
+   * @returns {boolean} true if no change is necessary
+   */
+  isGroupInPlace: (allGroups, playerNames) => {
+    debug('method:%s', 'isGroupInPlace')
+    const group = allGroups.find((members) => members[0].playerName === playerNames[0])
+    if (group === undefined) {
+      return false
+    }
+    const memberNames = group.filter((member) => !member.invisible)
+      .map((member) => member.playerName)
+    return memberNames.length === playerNames.length
+      && playerNames.every((name) => memberNames.includes(name))
+  }
+}
+
+/** Validate the content of a scene group.
+ * @param {object} group scene group
+ * @param {number} index index of group - used in error message
+ *
+ * @returns {object|null} { type, value } or null if no content
+ *
+ * @throws {error} 'scene group >> content is invalid'
+ */
+function validatedContent (group, index) {
+  if (!isTruthyProperty(group, ['content'])) {
+    return null
+  }
+  const content = group.content
+  const types = (isPlainObject(content) ? Object.keys(content) : [])
+  if (types.length !== 1 || !CONTENT_TYPES.includes(types[0])
+    || typeof content[types[0]] !== 'string' || content[types[0]] === ''
+    || (types[0] === 'tunein' && !REGEX_RADIO_ID.test(content.tunein))
+    || (types[0] === 'uri' && !REGEX_CONTENT_URI.test(content.uri)
+      && !isLocalFilePath(content.uri))) {
+    throw new Error(`${PACKAGE_PREFIX} scene group >>${index} content is invalid`)
+  }
+  return { 'type': types[0], 'value': content[types[0]] }
+}
+
+/** Validate an optional string setting of a scene group.
+ * @param {object} group scene group
+ * @param {string} name property name such as queueMode
+ * @param {RegExp} regex valid values
+ * @param {number} index index of group - used in error message
+ *
+ * @returns {string|null} value or null if not defined
+ *
+ * @throws {error} 'scene group >> name is invalid'
+ */
+function validatedGroupSetting (group, name, regex, index) {
+  if (!isTruthyProperty(group, [name])) {
+    return null
+  }
+  if (typeof group[name] !== 'string' || !regex.test(group[name])) {
+    throw new Error(`${PACKAGE_PREFIX} scene group >>${index} ${name} is invalid`)
+  }
+  return group[name]
+}
@@ -0,0 +1,235 @@
+/**
+ * Share links: https links and service uris copied from a music service app such as
+ * https://open.spotify.com/album/1TSZDcvlPtAnekTaItI3qO or spotify:album:1TSZDcvlPtAnekTaItI3qO
+ * are mapped to SONOS uri and DIDL-Lite metadata.
+ *
+ * The music service id (sid) comes from Db-MusicServices.json. The account serial number (sn)
+ * and the account token are taken from My Sonos items of the same service - if there are any.
+ *
+ * @module Share-link
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-05-07
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX } = require('./Globals.js')
+
+const { MUSIC_SERVICES } = require('./Extensions.js')
+
+const { encodeHtmlEntity } = require('./Helper.js')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}share-link`)
+
+const FLAGS_CONTAINER = '8300'
+const FLAGS_TRACK = '8224'
+
+// key is share type, value: item id prefix, upnp class (artist: top tracks)
+const SHARE_TYPES = {
+  'album': { 'key': '1004206c', 'upnpClass': 'object.container.album.musicAlbum' },
+  'artist': { 'key': '100e206c', 'upnpClass': 'object.container.playlistContainer' },
+  'playlist': { 'key': '1006206c', 'upnpClass': 'object.container.playlistContainer' },
+  'track': { 'key': '10032020', 'upnpClass': 'object.item.audioItem.musicTrack' }
+}
+
+// name as in Db-MusicServices.json, patterns: either type and id are captured
+// or type is fixed and id is captured, serviceId: id used by the music service,
+// artistKey: item id prefix for artist top tracks - artist not supported if missing,
+// trackScheme, trackSuffix: track uri is trackScheme + encoded serviceId + trackSuffix
+const SHARE_SERVICES = [
+  {
+    'name': 'Spotify',
+    'patterns': [
+      { 'regex': /^https:\/\/open\.spotify\.com\/(?:intl-[\w-]+\/)?([a-z]+)\/(\w+)/ },
+      { 'regex': /^spotify:(track|album|playlist|artist):(\w+)$/ },
+      { 'regex': /^spotify:user:[^:]+:playlist:(\w+)$/, 'type': 'playlist' }
+    ],
+    'serviceId': (type, id) => `spotify:${type === 'artist' ? 'artistTopTracks' : type}:${id}`,
+    'artistKey': '100e206c',
+    'trackScheme': 'x-sonos-spotify:',
+    'trackSuffix': ''
+  },
+  {
+    'name': 'Apple Music',
+    'patterns': [
+      {
+        'regex': /^https:\/\/music\.apple\.com\/\w+\/album\/[^/]+\/\d+.*[?&]i=(\d+)/,
+        'type': 'track'
+      },
+      { 'regex': /^https:\/\/music\.apple\.com\/\w+\/song\/[^/]+\/(\d+)/, 'type': 'track' },
+      { 'regex': /^https:\/\/music\.apple\.com\/\w+\/(album|playlist)\/[^/]+\/([\w.-]+)/ }
+    ],
+    'serviceId': (type, id) => `${type === 'track' ? 'song' : type}:${id}`,
+    'trackScheme': 'x-sonos-http:',
+    'trackSuffix': '.mp4'
+  },
+  {
+    'name': 'Deezer',
+    'patterns': [
+      { 'regex': /^https:\/\/(?:www\.)?deezer\.com\/(?:[a-z]{2}\/)?([a-z]+)\/(\d+)/ },
+      { 'regex': /^deezer:(track|album|playlist|artist):(\d+)$/ }
+    ],
+    'serviceId': (type, id) => ({
+      'track': `tr:${id}`, 'artist': `tracks-artist-${id}` }[type] || `${type}-${id}`),
+    'artistKey': '10fe206c',
+    'trackScheme': 'x-sonos-http:',
+    'trackSuffix': '.mp3'
+  },
+  {
+    'name': 'TIDAL',
+    'patterns': [
+      {
+        'regex': /^https:\/\/(?:listen\.)?tidal\.com\/(?:browse\/)?(track|album|playlist)\/([\w-]+)/
+      },
+      { 'regex': /^tidal:(track|album|playlist):([\w-]+)$/ }
+    ],
+    'serviceId': (type, id) => `${type}/${id}`,
+    'trackScheme': 'x-sonos-http:',
+    'trackSuffix': '.flac'
+  },
+  {
+    'name': 'YouTube Music',
+    'patterns': [
+      { 'regex': /^https:\/\/music\.youtube\.com\/watch\?(?:.*&)?v=([\w-]+)/, 'type': 'track' },
+      {
+        'regex': /^https:\/\/music\.youtube\.com\/playlist\?(?:.*&)?list=([\w-]+)/,
+        'type': 'playlist'
+      },
+      { 'regex': /^https:\/\/music\.youtube\.com\/browse\/(MPREb_[\w-]+)/, 'type': 'album' }
+    ],
+    'serviceId': (type, id) => `${type}:${id}`,
+    'trackScheme': 'x-sonos-http:',
+    'trackSuffix': '.mp4'
+  },
+  {
+    'name': 'SoundCloud',
+    'patterns': [
+      { 'regex': /^https:\/\/api\.soundcloud\.com\/tracks\/(\d+)/, 'type': 'track' },
+      { 'regex': /^https:\/\/api\.soundcloud\.com\/playlists\/(\d+)/, 'type': 'playlist' },
+      { 'regex': /^soundcloud:tracks:(\d+)$/, 'type': 'track' },
+      { 'regex': /^soundcloud:playlists:(\d+)$/, 'type': 'playlist' }
+    ],
+    'serviceId': (type, id) => `${type}:${id}`,
+    'trackScheme': 'x-sonos-http:',
+    'trackSuffix': '.mp3'
+  }
+]
+
+module.exports = {
+
+  /** Parse a share link - https link or service uri.
+   * @param {string} link share link such as https://open.spotify.com/track/5AdoS3gS47x40nBNlNmPQ8
+   *
+   * @returns {object} { serviceName, type, id } type such as track, album,
+   * playlist, artist - see getShareData
+   *
+   * @throws {error} 'share link is not string', 'share link is not supported'
+   *
+   * Hint: SoundCloud web links only contain the user and title - the numeric id from the
+   * api link or uri (soundcloud:tracks:id) is required.
+   */
+  parseShareLink: (link) => {
+    debug('method:%s', 'parseShareLink')
+    if (typeof link !== 'string') {
+      throw new Error(`${PACKAGE_PREFIX} share link is not string`)
+    }
+    const trimmed = link.trim()
+    for (const service of SHARE_SERVICES) {
+      for (const pattern of service.patterns) {
+        const match = pattern.regex.exec(trimmed)
+        if (match !== null) {
+          return {
+            'serviceName': service.name,
+            'type': (pattern.type !== undefined ? pattern.type : match[1]),
+            'id': (pattern.type !== undefined ? match[1] : match[2])
+          }
+        }
+      }
+    }
+    throw new Error(`${PACKAGE_PREFIX} share link is not supported`)
+  },
+
+  /** Get the account of a music service from My Sonos items of that service.
+   * @param {DidlBrowseItem[]} mySonosItems items from getMySonos
+   * @param {string} sid music service id such as "9"
+   *
+   * @returns {object} { serialNumber, token } serialNumber is null if there is no
+   * My Sonos item of that service, token is the default token in that case.
+   */
+  getServiceAccount: (mySonosItems, sid) => {
+    debug('method:%s', 'getServiceAccount')
+    const serviceType = Number(sid) * 256 + 7
+    const account = {
+      'serialNumber': null,
+      'token': `SA_RINCON${serviceType}_X_#Svc${serviceType}-0-Token`
+    }
+    const item = mySonosItems.find((item) => item.sid === sid
+      && typeof item.uri === 'string' && /[?&]sn=\d+/.test(item.uri))
+    if (item !== undefined) {
+      account.serialNumber = /[?&]sn=(\d+)/.exec(item.uri)[1]
+      const token = new RegExp(`SA_RINCON${serviceType}_[^<&]*`).exec(item.metadata)
+      if (token !== null) {
+        account.token = token[0]
+      }
+    }
+    return account
+  },
+
+  /** Get SONOS uri and metadata of a parsed share link.
+   * @param {object} share from parseShareLink
+   * @param {DidlBrowseItem[]} mySonosItems items from getMySonos, used for the account
+   *
+   * @returns {promise<object>} { uri, metadata, queue } metadata is html entity encoded,
+   * queue is true for album, playlist and artist - same format as export of My Sonos items
+   *
+   * @throws {error} 'share link service >> is unknown', 'share link type >> is not supported
+   * for service >>'
+   */
+  getShareData: async (share, mySonosItems) => {
+    debug('method:%s', 'getShareData')
+    const service = SHARE_SERVICES.find((service) => service.name === share.serviceName)
+    const serviceData = MUSIC_SERVICES.find((item) => item.name === share.serviceName)
+    if (service === undefined || serviceData === undefined) {
+      throw new Error(`${PACKAGE_PREFIX} share link service >>${share.serviceName} is unknown`)
+    }
+    if (SHARE_TYPES[share.type] === undefined
+      || (share.type === 'artist' && service.artistKey === undefined)) {
+      throw new Error(`${PACKAGE_PREFIX} share link type >>${share.type} is not supported`
+        + ` for service >>${share.serviceName}`)
+    }
+
+    const account = module.exports.getServiceAccount(mySonosItems, serviceData.sid)
+    const isTrack = (share.type === 'track')
+    const encodedId = encodeServiceId(service.serviceId(share.type, share.id))
+    const key = (share.type === 'artist' ? service.artistKey : SHARE_TYPES[share.type].key)
+    const query = `?sid=${serviceData.sid}&flags=${isTrack ? FLAGS_TRACK : FLAGS_CONTAINER}`
+      + (account.serialNumber !== null ? `&sn=${account.serialNumber}` : '')
+    const uri = (isTrack
+      ? `${service.trackScheme}${encodedId}${service.trackSuffix}${query}`
+      : `x-rincon-cpcontainer:${key}${encodedId}${query}`)
+
+    const didl = '<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/"'
+      + ' xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/"'
+      + ' xmlns:r="urn:schemas-rinconnetworks-com:metadata-1-0/"'
+      + ' xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">'
+      + `<item id="${key}${encodedId}" parentID="" restricted="true">`
+      + `<dc:title>${share.type} ${share.id}</dc:title>`
+      + `<upnp:class>${SHARE_TYPES[share.type].upnpClass}</upnp:class>`
+      + '<desc id="cdudn" nameSpace="urn:schemas-rinconnetworks-com:metadata-1-0/">'
+      + `${account.token}</desc>`
+      + '</item></DIDL-Lite>'
+
+    return { uri, 'metadata': await encodeHtmlEntity(didl), 'queue': !isTrack }
+  }
+}
+
+/** Encode the id used by the music service - SONOS uses lower case escapes such as %3a.
+ * @param {string} serviceId such as spotify:album:1TSZDcvlPtAnekTaItI3qO
+ *
+ * @returns {string} encoded id such as spotify%3aalbum%3a1TSZDcvlPtAnekTaItI3qO
+ */
+function encodeServiceId (serviceId) {
+  return encodeURIComponent(serviceId).replace(/%[0-9A-F]{2}/g, (escape) => escape.toLowerCase())
+}
@@ -0,0 +1,1503 @@
+/**
+ * SONOS player simulator for offline tests of this package and of Node-RED flows:
+ * a stateful fake household (groups, queue, volume, My Sonos, SONOS-Playlists, alarms and a
+ * read only music library with one share).
+ *
+ * Each player is a http server (default 127.0.0.2, 127.0.0.3, ... port 1400) answering
+ * /info, /xml/device_description.xml, /status/batterystatus and the SOAP control endpoints
+ * such as /MediaRenderer/AVTransport/Control. Only a subset of the SONOS actions is
+ * supported - all others are answered with upnp error 401 (invalid action).
+ * Events (SUBSCRIBE) are not supported.
+ *
+ * The optional SSDP responder answers the M-SEARCH of the discovery. The response is sent
+ * from the player address as the discovery uses the sender address.
+ *
+ * Start standalone: node src/Simulator.js
+ *
+ * EXAMPLE:
+ *   const simulator = new SonosSimulator({ 'port': 0 }) // random ports
+ *   const players = await simulator.start() // [{ name, uuid, host, port }]
+ *   ...
+ *   await simulator.stop()
+ *
+ * @module Simulator
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-03-26
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX } = require('./Globals.js')
+
+const { XMLParser } = require('fast-xml-parser')
+
+const dgram = require('dgram')
+const http = require('http')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}simulator`)
+
+const SSDP_ADDRESS = '239.255.255.250'
+const SSDP_SEARCH_TARGETS = ['ssdp:all', 'urn:schemas-upnp-org:device:ZonePlayer:1']
+const SOFTWARE_VERSION = '63.2-88230'
+
+// upnp error codes, see Db-Soap-Errorcodes.json
+const UPNP_INVALID_ACTION = 401
+const UPNP_INVALID_ARGS = 402
+const UPNP_TRANSITION_NOT_AVAILABLE = 701
+const UPNP_NO_SUCH_OBJECT = 701
+const UPNP_ILLEGAL_SEEK_TARGET = 711
+
+const DEFAULT_PLAYERS = [
+  { 'name': 'Kitchen' },
+  { 'name': 'Living', 'groupWith': 'Kitchen', 'homeTheater': true },
+  { 'name': 'Bath', 'battery': 80 }
+]
+
+const DEFAULT_FAVORITES = [
+  {
+    'title': 'Simulator Radio',
+    'uri': 'x-rincon-mp3radio://simulator.local/radio.mp3',
+    'upnpClass': 'object.item.audioItem.audioBroadcast'
+  },
+  {
+    'title': 'Simulator Track',
+    'uri': 'http://simulator.local/track.mp3',
+    'upnpClass': 'object.item.audioItem.musicTrack'
+  }
+]
+
+// music services of MusicServices#ListAvailableServices - Id as in Db-MusicServices.json
+const DEFAULT_MUSIC_SERVICES = [
+  { 'Id': 9, 'Name': 'Spotify', 'Auth': 'AppLink' },
+  { 'Id': 204, 'Name': 'Apple Music', 'Auth': 'AppLink' },
+  { 'Id': 254, 'Name': 'TuneIn', 'Auth': 'Anonymous' }
+]
+
+const DEFAULT_PLAYLISTS = [
+  {
+    'title': 'Simulator Mix',
+    'tracks': ['http://simulator.local/mix/first.mp3', 'http://simulator.local/mix/second.mp3',
+      'http://simulator.local/mix/third.mp3']
+  }
+]
+
+// additional EQ types of home theater players, without Sub (SubEnable, SubCrossover, ..)
+const HOME_THEATER_EQ = {
+  'AudioDelay': 0,
+  'HeightChannelLevel': 0,
+  'SurroundEnable': 1,
+  'SurroundLevel': 0,
+  'SurroundMode': 1
+}
+
+// music library, also available as share LIBRARY_SHARE (folders artist/album)
+const DEFAULT_LIBRARY = [
+  { 'title': 'Morning Tide', 'artist': 'Ada Lane', 'album': 'Harbour', 'genre': 'Jazz',
+    'composer': 'Ada Lane', 'year': 1998 },
+  { 'title': 'Night Ferry', 'artist': 'Ada Lane', 'album': 'Harbour', 'genre': 'Jazz',
+    'composer': 'Ada Lane', 'year': 1998 },
+  { 'title': 'Lighthouse', 'artist': 'Ada Lane', 'album': 'Coastline', 'genre': 'Jazz',
+    'composer': 'Tom Reed', 'year': 2004 },
+  { 'title': 'Iron Road', 'artist': 'Bo Berg', 'album': 'Rails & Rivers', 'genre': 'Rock',
+    'composer': 'Bo Berg', 'year': 1987 },
+  { 'title': 'River Song', 'artist': 'Bo Berg', 'album': 'Rails & Rivers', 'genre': 'Rock',
+    'composer': 'Tom Reed', 'year': 1987 },
+  { 'title': 'Morning Rain', 'artist': 'Cleo Park', 'album': 'Seasons', 'genre': 'Pop',
+    'composer': 'Cleo Park', 'year': 2015 }
+]
+const LIBRARY_SHARE = 'S://simulator/music'
+
+// key is object id of category, value the levels of containers (track property)
+const LIBRARY_HIERARCHIES = {
+  'A:ALBUM': ['album'],
+  'A:ALBUMARTIST': ['artist', 'album'],
+  'A:ARTIST': ['artist', 'album'],
+  'A:COMPOSER': ['composer', 'album'],
+  'A:GENRE': ['genre', 'artist', 'album']
+}
+const LIBRARY_CLASSES = {
+  'album': 'object.container.album.musicAlbum',
+  'artist': 'object.container.person.musicArtist',
+  'composer': 'object.container.person.composer',
+  'genre': 'object.container.genre.musicGenre'
+}
+
+//
+//     SOAP ACTIONS
+//     key is service#action, value function (simulator, player, inArgs) returning outArgs
+//     ...........................................................................
+
+const ACTIONS = {
+
+  // AVTransport: transport actions of a joiner act on its group (the coordinator)
+  'AVTransport#AddURIToQueue': (sim, player, args) => {
+    const coordinator = sim.getCoordinator(player)
+    const tracks = getTracksFromUri(sim, args.EnqueuedURI, args.EnqueuedURIMetaData)
+    let position = Number(args.DesiredFirstTrackNumberEnqueued || 0)
+    if (position < 1 || position > coordinator.queue.length + 1) {
+      position = coordinator.queue.length + 1
+    }
+    coordinator.queue.splice(position - 1, 0, ...tracks)
+    return {
+      'FirstTrackNumberEnqueued': position,
+      'NumTracksAdded': tracks.length,
+      'NewQueueLength': coordinator.queue.length,
+      'NewUpdateID': sim.nextUpdateId()
+    }
+  },
+
+  // AddAtIndex is 0 based, values out of range such as 4294967295 add at the end
+  'AVTransport#AddURIToSavedQueue': (sim, player, args) => {
+    const playlist = getPlaylist(sim, args.ObjectID)
+    const tracks = getTracksFromUri(sim, args.EnqueuedURI, args.EnqueuedURIMetaData)
+    let index = Number(args.AddAtIndex)
+    if (!(index >= 0 && index <= playlist.tracks.length)) {
+      index = playlist.tracks.length
+    }
+    playlist.tracks.splice(index, 0, ...tracks)
+    return {
+      'NumTracksAdded': tracks.length,
+      'NewQueueLength': playlist.tracks.length,
+      'NewUpdateID': sim.nextUpdateId()
+    }
+  },
+
+  'AVTransport#BecomeCoordinatorOfStandaloneGroup': (sim, player) => {
+    const oldCoordinatorUuid = player.coordinatorUuid
+    sim.becomeStandalone(player)
+    return {
+      'DelegatedGroupCoordinatorID': (oldCoordinatorUuid === player.uuid ? '' : oldCoordinatorUuid),
+      'NewGroupID': player.groupId
+    }
+  },
+
+  'AVTransport#ConfigureSleepTimer': (sim, player, args) => {
+    sim.getCoordinator(player).transport.sleepTimer = args.NewSleepTimerDuration || ''
+  },
+
+  'AVTransport#CreateSavedQueue': (sim, player, args) => {
+    const tracks = (args.EnqueuedURI === '' ? [] : getTracksFromUri(sim, args.EnqueuedURI,
+      args.EnqueuedURIMetaData))
+    const id = `SQ:${sim.nextPlaylistId++}`
+    sim.playlists.push({ id, 'title': args.Title, tracks })
+    return {
+      'NumTracksAdded': tracks.length,
+      'NewQueueLength': tracks.length,
+      'AssignedObjectID': id,
+      'NewUpdateID': sim.nextUpdateId()
+    }
+  },
+
+  'AVTransport#DelegateGroupCoordinationTo': (sim, player, args) => {
+    const newCoordinator = sim.players.find((item) => item.uuid === args.NewCoordinator)
+    if (player.coordinatorUuid !== player.uuid || newCoordinator === undefined
+      || newCoordinator.coordinatorUuid !== player.uuid) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    sim.delegateCoordination(player, newCoordinator)
+    if (args.RejoinGroup === '0') {
+      sim.becomeStandalone(player)
+    }
+  },
+
+  'AVTransport#GetCrossfadeMode': (sim, player) => {
+    return { 'CrossfadeMode': (sim.getCoordinator(player).transport.crossfade ? 1 : 0) }
+  },
+
+  'AVTransport#GetCurrentTransportActions': () => {
+    return {
+      'Actions': 'Set, Stop, Pause, Play, X_DLNA_SeekTime, Next, Previous, X_DLNA_SeekTrackNr'
+    }
+  },
+
+  'AVTransport#GetMediaInfo': (sim, player) => {
+    if (player.coordinatorUuid !== player.uuid) {
+      return getMediaInfo(`x-rincon:${player.coordinatorUuid}`, '', 0)
+    }
+    const transport = player.transport
+    const isQueue = transport.uri.startsWith('x-rincon-queue:')
+    const numberTracks = (isQueue ? player.queue.length : (transport.uri === '' ? 0 : 1))
+    return getMediaInfo(transport.uri, (isQueue ? '' : transport.metadata), numberTracks)
+  },
+
+  'AVTransport#GetPositionInfo': (sim, player) => {
+    const coordinator = sim.getCoordinator(player)
+    const track = getCurrentTrack(coordinator)
+    return {
+      'Track': (track === null ? 0 : coordinator.transport.trackNumber),
+      'TrackDuration': (track === null ? '0:00:00' : '0:03:00'),
+      'TrackMetaData': (track === null ? '' : track.metadata),
+      'TrackURI': (track === null ? '' : track.uri),
+      'RelTime': coordinator.transport.relTime,
+      'AbsTime': 'NOT_IMPLEMENTED',
+      'RelCount': 2147483647,
+      'AbsCount': 2147483647
+    }
+  },
+
+  'AVTransport#GetRemainingSleepTimerDuration': (sim, player) => {
+    return {
+      'RemainingSleepTimerDuration': sim.getCoordinator(player).transport.sleepTimer,
+      'CurrentSleepTimerGeneration': 0
+    }
+  },
+
+  'AVTransport#GetTransportInfo': (sim, player) => {
+    return {
+      'CurrentTransportState': sim.getCoordinator(player).transport.state,
+      'CurrentTransportStatus': 'OK',
+      'CurrentSpeed': 1
+    }
+  },
+
+  'AVTransport#GetTransportSettings': (sim, player) => {
+    return {
+      'PlayMode': sim.getCoordinator(player).transport.playMode,
+      'RecQualityMode': 'NOT_IMPLEMENTED'
+    }
+  },
+
+  'AVTransport#Next': (sim, player) => {
+    skipTrack(sim.getCoordinator(player), 1)
+  },
+
+  'AVTransport#Pause': (sim, player) => {
+    const transport = sim.getCoordinator(player).transport
+    if (transport.state !== 'PLAYING') {
+      throw newUpnpError(UPNP_TRANSITION_NOT_AVAILABLE)
+    }
+    transport.state = 'PAUSED_PLAYBACK'
+  },
+
+  'AVTransport#Play': (sim, player) => {
+    const coordinator = sim.getCoordinator(player)
+    if (getCurrentTrack(coordinator) === null) {
+      throw newUpnpError(UPNP_TRANSITION_NOT_AVAILABLE)
+    }
+    coordinator.transport.state = 'PLAYING'
+  },
+
+  'AVTransport#Previous': (sim, player) => {
+    skipTrack(sim.getCoordinator(player), -1)
+  },
+
+  'AVTransport#RemoveAllTracksFromQueue': (sim, player) => {
+    const coordinator = sim.getCoordinator(player)
+    coordinator.queue = []
+    if (coordinator.transport.uri.startsWith('x-rincon-queue:')) {
+      coordinator.transport.state = 'STOPPED'
+      coordinator.transport.trackNumber = 0
+    }
+  },
+
+  'AVTransport#RemoveTrackFromQueue': (sim, player, args) => {
+    const coordinator = sim.getCoordinator(player)
+    const index = Number(String(args.ObjectID).replace('Q:0/', '')) - 1
+    if (!(index >= 0 && index < coordinator.queue.length)) {
+      throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+    }
+    coordinator.queue.splice(index, 1)
+  },
+
+  'AVTransport#RemoveTrackRangeFromQueue': (sim, player, args) => {
+    const coordinator = sim.getCoordinator(player)
+    const start = Number(args.StartingIndex)
+    const count = Number(args.NumberOfTracks)
+    if (!(start >= 1 && start + count - 1 <= coordinator.queue.length)) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    coordinator.queue.splice(start - 1, count)
+    return { 'NewUpdateID': sim.nextUpdateId() }
+  },
+
+  // InsertBefore refers to the positions before the tracks are removed
+  'AVTransport#ReorderTracksInQueue': (sim, player, args) => {
+    const coordinator = sim.getCoordinator(player)
+    const start = Number(args.StartingIndex)
+    const count = Number(args.NumberOfTracks)
+    const insertBefore = Number(args.InsertBefore)
+    const length = coordinator.queue.length
+    if (!(start >= 1 && count >= 1 && start + count - 1 <= length
+      && insertBefore >= 1 && insertBefore <= length + 1)) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    if (insertBefore > start && insertBefore < start + count) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    const tracks = coordinator.queue.splice(start - 1, count)
+    const target = (insertBefore > start ? insertBefore - count : insertBefore)
+    coordinator.queue.splice(target - 1, 0, ...tracks)
+  },
+
+  // 0 based indexes, empty NewPositionList removes the tracks. Otherwise pairwise moves
+  'AVTransport#ReorderTracksInSavedQueue': (sim, player, args) => {
+    const playlist = getPlaylist(sim, args.ObjectID)
+    const oldLength = playlist.tracks.length
+    const trackList = String(args.TrackList).split(',').map(Number)
+    const positionList = (args.NewPositionList === ''
+      ? [] : String(args.NewPositionList).split(',').map(Number))
+    const isValid = (index) => (Number.isInteger(index) && index >= 0 && index < oldLength)
+    if (!trackList.every(isValid) || !positionList.every(isValid)
+      || (positionList.length > 0 && positionList.length !== trackList.length)) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    if (positionList.length === 0) {
+      trackList.sort((a, b) => b - a)
+        .forEach((index) => playlist.tracks.splice(index, 1))
+    } else {
+      trackList.forEach((index, i) => {
+        playlist.tracks.splice(positionList[i], 0, playlist.tracks.splice(index, 1)[0])
+      })
+    }
+    return {
+      'QueueLengthChange': playlist.tracks.length - oldLength,
+      'NewQueueLength': playlist.tracks.length,
+      'NewUpdateID': sim.nextUpdateId()
+    }
+  },
+
+  'AVTransport#SaveQueue': (sim, player, args) => {
+    const coordinator = sim.getCoordinator(player)
+    const id = `SQ:${sim.nextPlaylistId++}`
+    sim.playlists.push({
+      id,
+      'title': args.Title,
+      'tracks': coordinator.queue.map((track) => Object.assign({}, track))
+    })
+    return { 'AssignedObjectID': id }
+  },
+
+  'AVTransport#Seek': (sim, player, args) => {
+    const coordinator = sim.getCoordinator(player)
+    if (args.Unit === 'TRACK_NR') {
+      const trackNumber = Number(args.Target)
+      if (!coordinator.transport.uri.startsWith('x-rincon-queue:')
+        || !(trackNumber >= 1 && trackNumber <= coordinator.queue.length)) {
+        throw newUpnpError(UPNP_ILLEGAL_SEEK_TARGET)
+      }
+      coordinator.transport.trackNumber = trackNumber
+      coordinator.transport.relTime = '0:00:00'
+    } else if (args.Unit === 'REL_TIME') {
+      if (!/^\d{1,2}:\d{2}:\d{2}$/.test(args.Target) || getCurrentTrack(coordinator) === null) {
+        throw newUpnpError(UPNP_ILLEGAL_SEEK_TARGET)
+      }
+      coordinator.transport.relTime = args.Target
+    } else {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+  },
+
+  'AVTransport#SetAVTransportURI': (sim, player, args) => {
+    const uri = args.CurrentURI || ''
+    if (uri.startsWith('x-rincon:')) {
+      const coordinator = sim.players.find((item) => item.uuid === uri.replace('x-rincon:', ''))
+      if (coordinator === undefined || coordinator.coordinatorUuid !== coordinator.uuid) {
+        throw newUpnpError(UPNP_INVALID_ARGS)
+      }
+      if (player.coordinatorUuid !== coordinator.uuid) {
+        sim.joinGroup(player, coordinator.uuid)
+        player.transport = newTransport()
+      }
+      return
+    }
+    if (player.coordinatorUuid !== player.uuid) {
+      sim.becomeStandalone(player)
+    }
+    const transport = player.transport
+    transport.uri = uri
+    transport.metadata = args.CurrentURIMetaData || ''
+    transport.state = 'STOPPED'
+    transport.relTime = '0:00:00'
+    transport.trackNumber = 1
+  },
+
+  'AVTransport#SetCrossfadeMode': (sim, player, args) => {
+    sim.getCoordinator(player).transport.crossfade = (args.CrossfadeMode === '1')
+  },
+
+  'AVTransport#SetPlayMode': (sim, player, args) => {
+    const PLAY_MODES = ['NORMAL', 'REPEAT_ALL', 'REPEAT_ONE', 'SHUFFLE_NOREPEAT', 'SHUFFLE',
+      'SHUFFLE_REPEAT_ONE']
+    if (!PLAY_MODES.includes(args.NewPlayMode)) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    sim.getCoordinator(player).transport.playMode = args.NewPlayMode
+  },
+
+  'AVTransport#Stop': (sim, player) => {
+    sim.getCoordinator(player).transport.state = 'STOPPED'
+  },
+
+  // AlarmClock
+  'AlarmClock#CreateAlarm': (sim, player, args) => {
+    const alarm = getAlarmFromArguments(String(sim.nextAlarmId++), args)
+    sim.alarms.push(alarm)
+    return { 'AssignedID': alarm.ID }
+  },
+
+  'AlarmClock#DestroyAlarm': (sim, player, args) => {
+    const index = sim.alarms.findIndex((alarm) => alarm.ID === args.ID)
+    if (index < 0) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    sim.alarms.splice(index, 1)
+  },
+
+  'AlarmClock#ListAlarms': (sim) => {
+    const alarms = sim.alarms.map((alarm) => {
+      const attributes = Object.keys(alarm)
+        .map((name) => `${name}="${encodeXml(alarm[name])}"`)
+      return `<Alarm ${attributes.join(' ')}/>`
+    })
+    return {
+      'CurrentAlarmList': `<Alarms>${alarms.join('')}</Alarms>`,
+      'CurrentAlarmListVersion': `${sim.players[0].uuid}:${sim.nextAlarmId}`
+    }
+  },
+
+  'AlarmClock#UpdateAlarm': (sim, player, args) => {
+    const index = sim.alarms.findIndex((alarm) => alarm.ID === args.ID)
+    if (index < 0) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    sim.alarms[index] = getAlarmFromArguments(args.ID, args)
+  },
+
+  // ContentDirectory: Q:0 SONOS-Queue, FV:2 My Sonos, SQ: SONOS-Playlists - others are empty
+  'ContentDirectory#Browse': (sim, player, args) => {
+    const objectId = String(args.ObjectID)
+    let entries
+    if (objectId === 'Q:0') {
+      entries = sim.getCoordinator(player).queue
+        .map((track, index) => getDidlItem(`Q:0/${index + 1}`, 'Q:0', track))
+    } else if (objectId === 'FV:2') {
+      entries = sim.favorites.map((favorite) => getDidlFavorite(favorite))
+    } else if (objectId === 'SQ:') {
+      entries = sim.playlists.map((playlist) => getDidlPlaylist(playlist))
+    } else if (objectId.startsWith('SQ:')) {
+      entries = getPlaylist(sim, objectId).tracks
+        .map((track, index) => getDidlItem(`${objectId}/${index}`, objectId, track))
+    } else if (objectId.startsWith('A:') || objectId.startsWith('S:')) {
+      entries = getLibraryEntries(sim, player, objectId)
+    } else {
+      entries = []
+    }
+    const start = Number(args.StartingIndex || 0)
+    const requested = Number(args.RequestedCount || 0)
+    const selected = entries.slice(start, (requested > 0 ? start + requested : undefined))
+    return {
+      'Result': getDidl(selected.join('')),
+      'NumberReturned': selected.length,
+      'TotalMatches': entries.length,
+      'UpdateID': sim.nextUpdateId()
+    }
+  },
+
+  // only My Sonos favorites can be created
+  'ContentDirectory#CreateObject': (sim, player, args) => {
+    const elements = String(args.Elements)
+    const title = /<dc:title>([^<]*)<\/dc:title>/.exec(elements)
+    const uri = /<res[^>]*>([^<]*)<\/res>/.exec(elements)
+    const resMD = /<r:resMD>([^<]*)<\/r:resMD>/.exec(elements)
+    if (args.ContainerID !== 'FV:2' || title === null || uri === null) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    const favorite = {
+      'id': `FV:2/${sim.nextFavoriteId++}`,
+      'title': decodeXml(title[1]),
+      'uri': decodeXml(uri[1]),
+      'upnpClass': 'object.item.audioItem.musicTrack',
+      'metadata': (resMD === null ? '' : decodeXml(resMD[1]))
+    }
+    sim.favorites.push(favorite)
+    return { 'ObjectID': favorite.id, 'Result': getDidl(getDidlFavorite(favorite)) }
+  },
+
+  'ContentDirectory#DestroyObject': (sim, player, args) => {
+    const list = (String(args.ObjectID).startsWith('FV:2/') ? sim.favorites : sim.playlists)
+    const index = list.findIndex((item) => item.id === args.ObjectID)
+    if (index < 0) {
+      throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+    }
+    list.splice(index, 1)
+  },
+
+  'ContentDirectory#RefreshShareIndex': () => {},
+
+  // only the title of SONOS-Playlists and My Sonos favorites can be updated
+  'ContentDirectory#UpdateObject': (sim, player, args) => {
+    const item = (String(args.ObjectID).startsWith('FV:2/')
+      ? sim.favorites.find((favorite) => favorite.id === args.ObjectID)
+      : getPlaylist(sim, args.ObjectID))
+    if (item === undefined) {
+      throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+    }
+    const currentTitle = /^<dc:title>([^<]*)<\/dc:title>$/.exec(args.CurrentTagValue)
+    const newTitle = /^<dc:title>([^<]*)<\/dc:title>$/.exec(args.NewTagValue)
+    if (currentTitle === null || newTitle === null
+      || decodeXml(currentTitle[1]) !== item.title) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    item.title = decodeXml(newTitle[1])
+  },
+
+  // DeviceProperties
+  // autoplay (TV, line in) - the source is ignored
+  'DeviceProperties#GetAutoplayLinkedZones': (sim, player) => {
+    return { 'IncludeLinkedZones': (player.autoplay.includeLinkedZones ? 1 : 0) }
+  },
+
+  'DeviceProperties#GetAutoplayRoomUUID': (sim, player) => {
+    return { 'RoomUUID': player.autoplay.roomUuid }
+  },
+
+  'DeviceProperties#GetButtonLockState': (sim, player) => {
+    return { 'CurrentButtonLockState': player.buttonLock }
+  },
+
+  'DeviceProperties#GetLEDState': (sim, player) => {
+    return { 'CurrentLEDState': player.led }
+  },
+
+  'DeviceProperties#GetZoneAttributes': (sim, player) => {
+    return {
+      'CurrentZoneName': player.name,
+      'CurrentIcon': '',
+      'CurrentConfiguration': 1,
+      'CurrentTargetRoomName': player.name
+    }
+  },
+
+  'DeviceProperties#GetZoneInfo': (sim, player) => {
+    return {
+      'SerialNumber': player.serial,
+      'SoftwareVersion': SOFTWARE_VERSION,
+      'DisplaySoftwareVersion': '13.4',
+      'HardwareVersion': '1.8.1.2-1.0',
+      'IPAddress': player.host,
+      'MACAddress': player.mac.match(/.{2}/g).join(':'),
+      'CopyrightInfo': 'Simulator',
+      'ExtraInfo': '',
+      'HTAudioIn': 0,
+      'Flags': 0
+    }
+  },
+
+  'DeviceProperties#SetAutoplayLinkedZones': (sim, player, args) => {
+    player.autoplay.includeLinkedZones = (args.IncludeLinkedZones === '1')
+  },
+
+  'DeviceProperties#SetAutoplayRoomUUID': (sim, player, args) => {
+    player.autoplay.roomUuid = String(args.RoomUUID || '')
+  },
+
+  'DeviceProperties#SetButtonLockState': (sim, player, args) => {
+    player.buttonLock = (args.DesiredButtonLockState === 'On' ? 'On' : 'Off')
+  },
+
+  'DeviceProperties#SetLEDState': (sim, player, args) => {
+    player.led = (args.DesiredLEDState === 'On' ? 'On' : 'Off')
+  },
+
+  // GroupRenderingControl: acts on all members of the group
+  'GroupRenderingControl#GetGroupMute': (sim, player) => {
+    const members = sim.getMembers(sim.getCoordinator(player))
+    return { 'CurrentMute': (members.every((member) => member.mute) ? 1 : 0) }
+  },
+
+  'GroupRenderingControl#GetGroupVolume': (sim, player) => {
+    return { 'CurrentVolume': getGroupVolume(sim.getMembers(sim.getCoordinator(player))) }
+  },
+
+  'GroupRenderingControl#SetGroupMute': (sim, player, args) => {
+    sim.getMembers(sim.getCoordinator(player)).forEach((member) => {
+      member.mute = (args.DesiredMute === '1')
+    })
+  },
+
+  'GroupRenderingControl#SetGroupVolume': (sim, player, args) => {
+    const volume = validVolume(args.DesiredVolume)
+    sim.getMembers(sim.getCoordinator(player)).forEach((member) => {
+      member.volume = volume
+    })
+  },
+
+  'GroupRenderingControl#SetRelativeGroupVolume': (sim, player, args) => {
+    const members = sim.getMembers(sim.getCoordinator(player))
+    members.forEach((member) => {
+      member.volume = Math.min(100, Math.max(0, member.volume + Number(args.Adjustment)))
+    })
+    return { 'NewVolume': getGroupVolume(members) }
+  },
+
+  'GroupRenderingControl#SnapshotGroupVolume': () => {},
+
+  // MusicServices
+  'MusicServices#ListAvailableServices': () => {
+    const services = DEFAULT_MUSIC_SERVICES.map((service) => {
+      return `<Service Id="${service.Id}" Name="${encodeXml(service.Name)}" Version="1.1"`
+        + ` Uri="https://simulator.local/${service.Id}" ContainerType="MService">`
+        + `<Policy Auth="${service.Auth}" PollInterval="30"/></Service>`
+    })
+    return {
+      'AvailableServiceDescriptorList':
+        `<Services SchemaVersion="1">${services.join('')}</Services>`,
+      'AvailableServiceTypeList': DEFAULT_MUSIC_SERVICES
+        .map((service) => service.Id * 256 + 7).join(','),
+      'AvailableServiceListVersion': 'RINCON_SIMULATOR:1'
+    }
+  },
+
+  // RenderingControl
+  'RenderingControl#GetBass': (sim, player) => {
+    return { 'CurrentBass': player.bass }
+  },
+
+  'RenderingControl#GetEQ': (sim, player, args) => {
+    if (!Object.prototype.hasOwnProperty.call(player.eq, args.EQType)) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    return { 'CurrentValue': player.eq[args.EQType] }
+  },
+
+  'RenderingControl#GetLoudness': (sim, player) => {
+    return { 'CurrentLoudness': (player.loudness ? 1 : 0) }
+  },
+
+  'RenderingControl#GetMute': (sim, player) => {
+    return { 'CurrentMute': (player.mute ? 1 : 0) }
+  },
+
+  'RenderingControl#GetTreble': (sim, player) => {
+    return { 'CurrentTreble': player.treble }
+  },
+
+  'RenderingControl#GetVolume': (sim, player) => {
+    return { 'CurrentVolume': player.volume }
+  },
+
+  // the simulator ramps instantly
+  'RenderingControl#RampToVolume': (sim, player, args) => {
+    player.volume = validVolume(args.DesiredVolume)
+    return { 'RampTime': 0 }
+  },
+
+  'RenderingControl#SetBass': (sim, player, args) => {
+    player.bass = validRange(args.DesiredBass, -10, 10)
+  },
+
+  'RenderingControl#SetEQ': (sim, player, args) => {
+    if (!Object.prototype.hasOwnProperty.call(player.eq, args.EQType)) {
+      throw newUpnpError(UPNP_INVALID_ARGS)
+    }
+    player.eq[args.EQType] = validRange(args.DesiredValue, -15, 15)
+  },
+
+  'RenderingControl#SetLoudness': (sim, player, args) => {
+    player.loudness = (args.DesiredLoudness === '1')
+  },
+
+  'RenderingControl#SetMute': (sim, player, args) => {
+    player.mute = (args.DesiredMute === '1')
+  },
+
+  'RenderingControl#SetRelativeVolume': (sim, player, args) => {
+    player.volume = Math.min(100, Math.max(0, player.volume + Number(args.Adjustment)))
+    return { 'NewVolume': player.volume }
+  },
+
+  'RenderingControl#SetTreble': (sim, player, args) => {
+    player.treble = validRange(args.DesiredTreble, -10, 10)
+  },
+
+  'RenderingControl#SetVolume': (sim, player, args) => {
+    player.volume = validVolume(args.DesiredVolume)
+  },
+
+  // ZoneGroupTopology
+  'ZoneGroupTopology#GetZoneGroupAttributes': (sim, player) => {
+    const coordinator = sim.getCoordinator(player)
+    return {
+      'CurrentZoneGroupName': coordinator.name,
+      'CurrentZoneGroupID': coordinator.groupId,
+      'CurrentZonePlayerUUIDsInGroup': sim.getMembers(coordinator)
+        .map((member) => member.uuid).join(','),
+      'CurrentMuseHouseholdId': sim.householdId
+    }
+  },
+
+  'ZoneGroupTopology#GetZoneGroupState': (sim) => {
+    return { 'ZoneGroupState': sim.getZoneGroupState() }
+  }
+}
+
+class SonosSimulator {
+
+  /**
+   * @param {object} [options] all optional
+   * @param {object[]} [options.players] array of
+   * { name, [groupWith], [invisible], [battery], [homeTheater] }
+   * groupWith is the name of the coordinator, battery the level 0 .. 100 (Roam, Move),
+   * homeTheater true for soundbars (TV, surround and height channel settings but no Sub)
+   * @param {string} [options.addressPrefix = '127.0.0.']
+   * @param {number} [options.firstAddress = 2] players are at addressPrefix + firstAddress, ...
+   * @param {number} [options.port = 1400] 0 means random port for each player
+   * @param {string} [options.householdId = 'Sonos_SIMULATOR0000000000']
+   * @param {boolean} [options.ssdp = false] start SSDP responder
+   * @param {number} [options.ssdpPort = 1900] 0 means random port
+   */
+  constructor (options) {
+    const config = Object.assign({
+      'players': DEFAULT_PLAYERS,
+      'addressPrefix': '127.0.0.',
+      'firstAddress': 2,
+      'port': 1400,
+      'householdId': 'Sonos_SIMULATOR0000000000',
+      'ssdp': false,
+      'ssdpPort': 1900
+    }, options)
+    this.config = config
+    this.householdId = config.householdId
+    this.servers = []
+    this.ssdpSocket = null
+    this.groupCounter = 1
+    this.updateCounter = 1
+
+    this.players = config.players.map((item, index) => {
+      const number = config.firstAddress + index
+      const mac = `000E5800${number.toString(16).toUpperCase().padStart(4, '0')}`
+      return {
+        'name': item.name,
+        'uuid': `RINCON_${mac}01400`,
+        'mac': mac,
+        'serial': `${mac.match(/.{2}/g).join('-')}:7`,
+        'host': `${config.addressPrefix}${number}`,
+        'port': config.port,
+        'invisible': Boolean(item.invisible),
+        'battery': item.battery,
+        'groupWith': item.groupWith,
+        'coordinatorUuid': '',
+        'groupId': '',
+        'volume': 20,
+        'mute': false,
+        'bass': 0,
+        'treble': 0,
+        'loudness': true,
+        'homeTheater': Boolean(item.homeTheater),
+        'eq': Object.assign({ 'DialogLevel': 0, 'NightMode': 0, 'SubGain': 0 },
+          (item.homeTheater ? HOME_THEATER_EQ : {})),
+        'autoplay': { 'roomUuid': '', 'includeLinkedZones': true },
+        'led': 'On',
+        'buttonLock': 'Off',
+        'transport': newTransport(),
+        'queue': []
+      }
+    })
+    // first all coordinators, then the members
+    const coordinatorOf = (player) => this.players.find((item) => item.name === player.groupWith)
+    this.players.filter((player) => coordinatorOf(player) === undefined)
+      .forEach((player) => this.joinGroup(player, player.uuid))
+    this.players.filter((player) => coordinatorOf(player) !== undefined)
+      .forEach((player) => this.joinGroup(player, coordinatorOf(player).uuid))
+
+    this.favorites = DEFAULT_FAVORITES.map((item, index) => {
+      return Object.assign({ 'id': `FV:2/${index}`, 'metadata': '' }, item)
+    })
+    this.nextFavoriteId = this.favorites.length
+    this.playlists = DEFAULT_PLAYLISTS.map((item, index) => {
+      return {
+        'id': `SQ:${index}`,
+        'title': item.title,
+        'tracks': item.tracks.map((uri) => newTrack(uri, ''))
+      }
+    })
+    this.nextPlaylistId = this.playlists.length
+    this.library = DEFAULT_LIBRARY.map((item) => {
+      const path = [item.artist, item.album, `${item.title}.mp3`]
+        .map((segment) => encodeURIComponent(segment))
+        .join('/')
+      return Object.assign({ path }, item)
+    })
+    this.alarms = []
+    this.nextAlarmId = 1
+  }
+
+  /**
+   * Start the http server of each player and the SSDP responder.
+   * @returns {Promise<object[]>} array of { name, uuid, serial, host, port }
+   */
+  async start () {
+    debug('method:%s', 'start')
+    for (const player of this.players) {
+      const server = http.createServer((req, res) => {
+        this.handleRequest(player, req, res)
+      })
+      await new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(player.port, player.host, () => {
+          server.removeListener('error', reject)
+          player.port = server.address().port
+          resolve()
+        })
+      })
+      this.servers.push(server)
+    }
+    if (this.config.ssdp) {
+      await this.startSsdpResponder()
+    }
+    return this.players.map((player) => {
+      return {
+        'name': player.name,
+        'uuid': player.uuid,
+        'serial': player.serial,
+        'host': player.host,
+        'port': player.port
+      }
+    })
+  }
+
+  /**
+   * Stop all servers.
+   * @returns {Promise} resolves when all servers are closed
+   */
+  async stop () {
+    debug('method:%s', 'stop')
+    await Promise.all(this.servers.map((server) => new Promise((resolve) => {
+      server.close(() => resolve())
+    })))
+    this.servers = []
+    if (this.ssdpSocket !== null) {
+      this.ssdpSocket.close()
+      this.ssdpSocket = null
+    }
+  }
+
+  /**
+   * Get player state by name - for tests.
+   * @param {string} name player name
+   * @returns {object} player state
+   */
+  getPlayer (name) {
+    return this.players.find((player) => player.name === name)
+  }
+
+  //
+  //     HTTP AND SSDP
+  //     ...........................................................................
+
+  handleRequest (player, req, res) {
+    debug('request >>%s %s', req.method, req.url)
+    if (req.method === 'GET' && req.url === '/info') {
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify(this.getInfo(player)))
+      return
+    }
+    if (req.method === 'GET' && req.url === '/xml/device_description.xml') {
+      res.setHeader('Content-Type', 'text/xml; charset="utf-8"')
+      res.end(getDeviceDescription(player))
+      return
+    }
+    if (req.method === 'GET' && req.url === '/status/batterystatus') {
+      res.setHeader('Content-Type', 'text/xml')
+      res.end(getBatteryStatus(player))
+      return
+    }
+    if (req.method === 'POST' && req.url.endsWith('/Control')) {
+      let body = ''
+      req.setEncoding('utf8')
+      req.on('data', (chunk) => {
+        body += chunk
+      })
+      req.on('end', () => {
+        this.handleSoap(player, req.headers.soapaction, body, res)
+      })
+      return
+    }
+    res.statusCode = 404
+    res.end()
+  }
+
+  handleSoap (player, soapAction, body, res) {
+    // SOAPAction: "urn:schemas-upnp-org:service:AVTransport:1#Play"
+    const found = /urn:schemas-upnp-org:service:([A-Za-z]+):1#([A-Za-z]+)/.exec(soapAction || '')
+    let xml
+    try {
+      if (found === null) {
+        throw newUpnpError(UPNP_INVALID_ACTION)
+      }
+      const serviceName = found[1]
+      const actionName = found[2]
+      debug('action >>%s#%s', serviceName, actionName)
+      const key = `${serviceName}#${actionName}`
+      if (!Object.prototype.hasOwnProperty.call(ACTIONS, key)) {
+        throw newUpnpError(UPNP_INVALID_ACTION)
+      }
+      const outArgs = ACTIONS[key](this, player, parseArguments(body, actionName))
+      xml = getSoapResponse(serviceName, actionName, outArgs || {})
+    } catch (error) {
+      if (error.upnpErrorCode === undefined) {
+        debug('simulator error >>%s', error.message)
+      }
+      res.statusCode = 500
+      res.setHeader('Content-Type', 'text/xml; charset="utf-8"')
+      res.end(getSoapFault(error.upnpErrorCode || UPNP_INVALID_ARGS))
+      return
+    }
+    res.setHeader('Content-Type', 'text/xml; charset="utf-8"')
+    res.end(xml)
+  }
+
+  async startSsdpResponder () {
+    debug('method:%s', 'startSsdpResponder')
+    this.ssdpSocket = dgram.createSocket({ 'type': 'udp4', 'reuseAddr': true })
+    this.ssdpSocket.on('error', (error) => {
+      debug('ssdp error >>%s', error.message)
+    })
+    this.ssdpSocket.on('message', (msg, rinfo) => {
+      const message = msg.toString()
+      if (!message.startsWith('M-SEARCH')) {
+        return
+      }
+      const searchTarget = /^ST:\s*(.+)$/im.exec(message)
+      if (searchTarget === null || !SSDP_SEARCH_TARGETS.includes(searchTarget[1].trim())) {
+        return
+      }
+      this.players.forEach((player) => {
+        this.sendSsdpResponse(player, rinfo)
+      })
+    })
+    await new Promise((resolve) => {
+      this.ssdpSocket.bind(this.config.ssdpPort, () => {
+        try {
+          this.ssdpSocket.addMembership(SSDP_ADDRESS)
+        } catch (error) {
+          debug('multicast not available - only unicast M-SEARCH >>%s', error.message)
+        }
+        resolve()
+      })
+    })
+    this.ssdpPort = this.ssdpSocket.address().port
+  }
+
+  sendSsdpResponse (player, rinfo) {
+    const response = Buffer.from(['HTTP/1.1 200 OK',
+      'CACHE-CONTROL: max-age = 1800',
+      'EXT:',
+      `LOCATION: http://${player.host}:${player.port}/xml/device_description.xml`,
+      `SERVER: Linux UPnP/1.0 Sonos/${SOFTWARE_VERSION} (ZPS12)`,
+      'ST: urn:schemas-upnp-org:device:ZonePlayer:1',
+      `USN: uuid:${player.uuid}::urn:schemas-upnp-org:device:ZonePlayer:1`,
+      `X-RINCON-HOUSEHOLD: ${this.householdId}`,
+      '', ''].join('\r\n'))
+    // sender must be the player address
+    const socket = dgram.createSocket('udp4')
+    socket.on('error', (error) => {
+      debug('ssdp response error >>%s', error.message)
+      socket.close()
+    })
+    socket.bind(0, player.host, () => {
+      socket.send(response, rinfo.port, rinfo.address, () => {
+        socket.close()
+      })
+    })
+  }
+
+  //
+  //     HOUSEHOLD STATE
+  //     ...........................................................................
+
+  getInfo (player) {
+    return {
+      'device': {
+        'id': player.uuid,
+        'name': player.name,
+        'model': 'S18',
+        'modelDisplayName': 'One',
+        'serialNumber': player.serial,
+        'softwareVersion': SOFTWARE_VERSION,
+        'capabilities': ['PLAYBACK', 'CLOUD', 'AIRPLAY']
+          .concat(player.homeTheater ? ['HT_PLAYBACK'] : [])
+      },
+      'householdId': this.householdId,
+      'playerId': player.uuid,
+      'groupId': player.groupId
+    }
+  }
+
+  getCoordinator (player) {
+    return this.players.find((item) => item.uuid === player.coordinatorUuid)
+  }
+
+  getMembers (coordinator) {
+    return this.players.filter((item) => item.coordinatorUuid === coordinator.uuid)
+  }
+
+  joinGroup (player, coordinatorUuid) {
+    this.leaveGroup(player)
+    player.coordinatorUuid = coordinatorUuid
+    if (coordinatorUuid === player.uuid) {
+      player.groupId = `${player.uuid}:${this.groupCounter++}`
+    } else {
+      player.groupId = this.players.find((item) => item.uuid === coordinatorUuid).groupId
+    }
+  }
+
+  // remaining members get the first one as new coordinator, taking over the transport
+  leaveGroup (player) {
+    if (player.coordinatorUuid !== player.uuid) {
+      return
+    }
+    const others = this.getMembers(player).filter((item) => item.uuid !== player.uuid)
+    if (others.length === 0) {
+      return
+    }
+    this.delegateCoordination(player, others[0])
+  }
+
+  delegateCoordination (coordinator, newCoordinator) {
+    newCoordinator.transport = coordinator.transport
+    if (newCoordinator.transport.uri.startsWith('x-rincon-queue:')) {
+      newCoordinator.queue = coordinator.queue.slice()
+      newCoordinator.transport.uri = `x-rincon-queue:${newCoordinator.uuid}#0`
+    }
+    coordinator.transport = newTransport()
+    const groupId = `${newCoordinator.uuid}:${this.groupCounter++}`
+    this.getMembers(coordinator).forEach((member) => {
+      member.coordinatorUuid = newCoordinator.uuid
+      member.groupId = groupId
+    })
+  }
+
+  becomeStandalone (player) {
+    if (player.coordinatorUuid === player.uuid && this.getMembers(player).length === 1) {
+      return
+    }
+    const wasCoordinator = (player.coordinatorUuid === player.uuid)
+    this.leaveGroup(player)
+    if (!wasCoordinator) {
+      player.transport = newTransport()
+    }
+    player.coordinatorUuid = player.uuid
+    player.groupId = `${player.uuid}:${this.groupCounter++}`
+  }
+
+  getZoneGroupState () {
+    const groups = this.players
+      .filter((player) => player.coordinatorUuid === player.uuid)
+      .map((coordinator) => {
+        const members = this.getMembers(coordinator).map((member) => {
+          return `<ZoneGroupMember UUID="${member.uuid}"`
+            + ` Location="http://${member.host}:${member.port}/xml/device_description.xml"`
+            + ` ZoneName="${encodeXml(member.name)}" Icon="" Configuration="1"`
+            + ` SoftwareVersion="${SOFTWARE_VERSION}"`
+            + (member.invisible ? ' Invisible="1"' : '') + '/>'
+        })
+        return `<ZoneGroup Coordinator="${coordinator.uuid}" ID="${coordinator.groupId}">`
+          + members.join('') + '</ZoneGroup>'
+      })
+    return `<ZoneGroupState><ZoneGroups>${groups.join('')}</ZoneGroups>`
+      + '<VanishedDevices></VanishedDevices></ZoneGroupState>'
+  }
+
+  nextUpdateId () {
+    return this.updateCounter++
+  }
+}
+
+//
+//     HELPER
+//     ...........................................................................
+
+function newTransport () {
+  return {
+    'state': 'STOPPED',
+    'uri': '',
+    'metadata': '',
+    'trackNumber': 0,
+    'relTime': '0:00:00',
+    'playMode': 'NORMAL',
+    'crossfade': false,
+    'sleepTimer': ''
+  }
+}
+
+function newTrack (uri, metadata) {
+  let title = decodeURIComponent(uri.split('/').pop() || uri)
+  const foundTitle = /<dc:title>([^<]*)<\/dc:title>/.exec(metadata || '')
+  if (foundTitle !== null) {
+    title = decodeXml(foundTitle[1])
+  }
+  return { uri, 'metadata': metadata || '', title }
+}
+
+function getPlaylist (sim, id) {
+  const playlist = sim.playlists.find((item) => item.id === id)
+  if (playlist === undefined) {
+    throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+  }
+  return playlist
+}
+
+// SONOS-Playlist uri such as file:///jffs/settings/savedqueues.rsq#0 adds all tracks
+function getTracksFromUri (sim, uri, metadata) {
+  const found = /^file:\/\/\/jffs\/settings\/savedqueues\.rsq#(\d+)/.exec(uri || '')
+  if (found !== null) {
+    return getPlaylist(sim, `SQ:${found[1]}`).tracks.map((track) => Object.assign({}, track))
+  }
+  if (typeof uri !== 'string' || uri === '') {
+    throw newUpnpError(UPNP_INVALID_ARGS)
+  }
+  const container = /^x-rincon-playlist:[^#]*#(.+)$/.exec(uri)
+  if (container !== null) {
+    return getLibraryTracks(sim, container[1]).map((track) => {
+      return Object.assign(newTrack(getLibraryTrackUri(track), ''), { 'title': track.title })
+    })
+  }
+  return [newTrack(uri, metadata)]
+}
+
+// returns null if there is nothing to play
+function getCurrentTrack (coordinator) {
+  const transport = coordinator.transport
+  if (transport.uri === '') {
+    return null
+  }
+  if (transport.uri.startsWith('x-rincon-queue:')) {
+    const track = coordinator.queue[transport.trackNumber - 1]
+    return (track === undefined ? null : track)
+  }
+  return { 'uri': transport.uri, 'metadata': transport.metadata }
+}
+
+function skipTrack (coordinator, delta) {
+  const transport = coordinator.transport
+  const trackNumber = transport.trackNumber + delta
+  if (!transport.uri.startsWith('x-rincon-queue:')
+    || trackNumber < 1 || trackNumber > coordinator.queue.length) {
+    throw newUpnpError(UPNP_TRANSITION_NOT_AVAILABLE)
+  }
+  transport.trackNumber = trackNumber
+  transport.relTime = '0:00:00'
+}
+
+function getMediaInfo (uri, metadata, numberTracks) {
+  return {
+    'NrTracks': numberTracks,
+    'MediaDuration': 'NOT_IMPLEMENTED',
+    'CurrentURI': uri,
+    'CurrentURIMetaData': metadata,
+    'NextURI': '',
+    'NextURIMetaData': '',
+    'PlayMedium': 'NETWORK',
+    'RecordMedium': 'NOT_IMPLEMENTED',
+    'WriteStatus': 'NOT_IMPLEMENTED'
+  }
+}
+
+function getGroupVolume (members) {
+  const sum = members.reduce((total, member) => total + member.volume, 0)
+  return Math.round(sum / members.length)
+}
+
+function validVolume (value) {
+  return validRange(value, 0, 100)
+}
+
+function validRange (value, min, max) {
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw newUpnpError(UPNP_INVALID_ARGS)
+  }
+  return number
+}
+
+function getAlarmFromArguments (id, args) {
+  return {
+    'ID': id,
+    'StartTime': args.StartLocalTime,
+    'Duration': args.Duration,
+    'Recurrence': args.Recurrence,
+    'Enabled': args.Enabled,
+    'RoomUUID': args.RoomUUID,
+    'ProgramURI': args.ProgramURI,
+    'ProgramMetaData': args.ProgramMetaData || '',
+    'PlayMode': args.PlayMode,
+    'Volume': args.Volume,
+    'IncludeLinkedZones': args.IncludeLinkedZones
+  }
+}
+
+function newUpnpError (upnpErrorCode) {
+  const error = new Error(`${PACKAGE_PREFIX} simulator upnp error ${upnpErrorCode}`)
+  error.upnpErrorCode = upnpErrorCode
+  return error
+}
+
+// in arguments are entity decoded - values are strings, empty string if missing
+function parseArguments (body, actionName) {
+  const parser = new XMLParser({
+    'ignoreAttributes': true,
+    'removeNSPrefix': false,
+    'parseTagValue': false,
+    'processEntities': true
+  })
+  const parsed = parser.parse(body)
+  let args = {}
+  try {
+    args = parsed['s:Envelope']['s:Body'][`u:${actionName}`]
+  } catch (error) {
+    throw newUpnpError(UPNP_INVALID_ARGS)
+  }
+  return (typeof args === 'object' && args !== null ? args : {})
+}
+
+function encodeXml (value) {
+  return String(value).replace(/[<>"'&]/g, (singleChar) => {
+    switch (singleChar) {
+    case '<': return '&lt;'
+    case '>': return '&gt;'
+    case '"': return '&quot;'
+    case '\'': return '&apos;'
+    case '&': return '&amp;'
+    }
+  })
+}
+
+function decodeXml (value) {
+  return String(value).replace(/(&lt;|&gt;|&apos;|&quot;|&amp;)/g, (substring) => {
+    switch (substring) {
+    case '&lt;': return '<'
+    case '&gt;': return '>'
+    case '&apos;': return '\''
+    case '&quot;': return '"'
+    case '&amp;': return '&'
+    }
+  })
+}
+
+function getSoapResponse (serviceName, actionName, outArgs) {
+  const values = Object.keys(outArgs)
+    .map((name) => `<${name}>${encodeXml(outArgs[name])}</${name}>`)
+  return '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"'
+    + ' s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/"><s:Body>'
+    + `<u:${actionName}Response xmlns:u="urn:schemas-upnp-org:service:${serviceName}:1">`
+    + values.join('')
+    + `</u:${actionName}Response></s:Body></s:Envelope>`
+}
+
+function getSoapFault (upnpErrorCode) {
+  return '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"'
+    + ' s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/"><s:Body><s:Fault>'
+    + '<faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>'
+    + '<UPnPError xmlns="urn:schemas-upnp-org:control-1-0">'
+    + `<errorCode>${upnpErrorCode}</errorCode></UPnPError>`
+    + '</detail></s:Fault></s:Body></s:Envelope>'
+}
+
+function getDidl (entries) {
+  return '<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/"'
+    + ' xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/"'
+    + ' xmlns:r="urn:schemas-rinconnetworks-com:metadata-1-0/"'
+    + ` xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">${entries}</DIDL-Lite>`
+}
+
+function getDidlItem (id, parentId, track) {
+  return `<item id="${id}" parentID="${parentId}" restricted="true">`
+    + `<res protocolInfo="http-get:*:audio/mpeg:*">${encodeXml(track.uri)}</res>`
+    + `<dc:title>${encodeXml(track.title)}</dc:title>`
+    + '<upnp:class>object.item.audioItem.musicTrack</upnp:class>'
+    + '<dc:creator>Simulator</dc:creator><upnp:album>Simulator</upnp:album></item>'
+}
+
+// metadata (resMD) is generated if not provided
+function getDidlFavorite (favorite) {
+  const id = favorite.id
+  const metadata = favorite.metadata
+    || getDidl(`<item id="${id}" parentID="FV:2" restricted="true">`
+    + `<dc:title>${encodeXml(favorite.title)}</dc:title>`
+    + `<upnp:class>${favorite.upnpClass}</upnp:class>`
+    + '<desc id="cdudn" nameSpace="urn:schemas-rinconnetworks-com:metadata-1-0/">'
+    + 'SA_RINCON65031_</desc></item>')
+  return `<item id="${id}" parentID="FV:2" restricted="false">`
+    + `<dc:title>${encodeXml(favorite.title)}</dc:title>`
+    + '<upnp:class>object.itemobject.item.sonos-favorite</upnp:class>'
+    + `<res protocolInfo="http-get:*:audio/mpeg:*">${encodeXml(favorite.uri)}</res>`
+    + '<r:type>instantPlay</r:type><r:description>Simulator</r:description>'
+    + `<r:resMD>${encodeXml(metadata)}</r:resMD></item>`
+}
+
+function getDidlPlaylist (playlist) {
+  const number = playlist.id.replace('SQ:', '')
+  return `<container id="${playlist.id}" parentID="SQ:" restricted="true">`
+    + '<res protocolInfo="file:*:audio/mpegurl:*">'
+    + `file:///jffs/settings/savedqueues.rsq#${number}</res>`
+    + `<dc:title>${encodeXml(playlist.title)}</dc:title>`
+    + '<upnp:class>object.container.playlistContainer</upnp:class></container>'
+}
+
+// object ids: A:<category>[:search] or A:<category>/<level 1>/<level 2>, .. url encoded.
+// An empty level means all - the "All" container. Share: S://simulator/music/<folder>/..
+function getLibraryEntries (sim, player, objectId) {
+  if (objectId === 'A:') {
+    return Object.keys(LIBRARY_HIERARCHIES).concat(['A:PLAYLISTS', 'A:TRACKS']).sort()
+      .map((id) => getDidlLibraryContainer(player, id, 'A:', id.substring(2), 'object.container'))
+  }
+  if (objectId === 'S:') {
+    return [getDidlLibraryContainer(player, LIBRARY_SHARE, 'S:', 'music', 'object.container')]
+  }
+  if (objectId === LIBRARY_SHARE || objectId.startsWith(`${LIBRARY_SHARE}/`)) {
+    const folder = objectId.substring(LIBRARY_SHARE.length + 1)
+    const depth = (folder === '' ? 0 : folder.split('/').length)
+    const tracks = getLibraryTracks(sim, objectId)
+    const folders = [...new Set(tracks
+      .map((track) => track.path.split('/'))
+      .filter((segments) => segments.length > depth + 1)
+      .map((segments) => segments[depth]))]
+    return folders.map((name) => getDidlLibraryContainer(player, `${objectId}/${name}`, objectId,
+      decodeURIComponent(name), 'object.container'))
+      .concat(tracks.filter((track) => track.path.split('/').length === depth + 1)
+        .map((track) => getDidlLibraryTrack(track, objectId)))
+  }
+  if (objectId === 'A:PLAYLISTS' || objectId.startsWith('A:PLAYLISTS:')) {
+    return []
+  }
+  if (objectId === 'A:TRACKS' || objectId.startsWith('A:TRACKS:')) {
+    const term = decodeURIComponent(objectId.substring('A:TRACKS:'.length)).toLowerCase()
+    return sim.library.filter((track) => track.title.toLowerCase().includes(term))
+      .map((track) => getDidlLibraryTrack(track, objectId))
+  }
+
+  const category = Object.keys(LIBRARY_HIERARCHIES).find((id) => objectId === id
+    || objectId.startsWith(`${id}:`) || objectId.startsWith(`${id}/`))
+  if (category === undefined) {
+    throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+  }
+  const levels = LIBRARY_HIERARCHIES[category]
+  const rest = objectId.substring(category.length)
+  const term = (rest.startsWith(':') ? decodeURIComponent(rest.substring(1)).toLowerCase() : '')
+  const selection = (rest.startsWith('/') ? rest.substring(1).split('/') : [])
+    .map((segment) => decodeURIComponent(segment))
+  const tracks = getLibraryTracks(sim, (term === '' ? objectId : category))
+  if (selection.length === levels.length) {
+    return tracks.map((track) => getDidlLibraryTrack(track, objectId))
+  }
+
+  const base = [category].concat(selection.map((value) => encodeURIComponent(value))).join('/')
+  const level = levels[selection.length]
+  const values = [...new Set(tracks.map((track) => track[level]))]
+    .filter((value) => value.toLowerCase().includes(term))
+    .sort()
+  const entries = values.map((value) => {
+    const artist = (level === 'album'
+      ? tracks.find((track) => track.album === value).artist : undefined)
+    return getDidlLibraryContainer(player, `${base}/${encodeURIComponent(value)}`, objectId,
+      value, LIBRARY_CLASSES[level], artist)
+  })
+  if (selection.length > 0) {
+    entries.unshift(getDidlLibraryContainer(player, `${base}/`, objectId, 'All',
+      'object.container.playlistContainer.sameArtist'))
+  }
+  return entries
+}
+
+// all tracks of a library container such as A:GENRE/Jazz/ or a share folder (no search)
+function getLibraryTracks (sim, objectId) {
+  let tracks
+  if (objectId === LIBRARY_SHARE || objectId.startsWith(`${LIBRARY_SHARE}/`)) {
+    const folder = objectId.substring(LIBRARY_SHARE.length + 1)
+    tracks = sim.library.filter((track) => folder === '' || track.path.startsWith(`${folder}/`))
+  } else {
+    const category = Object.keys(LIBRARY_HIERARCHIES)
+      .find((id) => objectId === id || objectId.startsWith(`${id}/`))
+    if (category === undefined) {
+      throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+    }
+    const levels = LIBRARY_HIERARCHIES[category]
+    const selection = (objectId === category ? []
+      : objectId.substring(category.length + 1).split('/'))
+      .map((segment) => decodeURIComponent(segment))
+    if (selection.length > levels.length) {
+      throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+    }
+    tracks = sim.library.filter((track) => selection
+      .every((value, index) => value === '' || track[levels[index]] === value))
+  }
+  if (tracks.length === 0) {
+    throw newUpnpError(UPNP_NO_SUCH_OBJECT)
+  }
+  return tracks
+}
+
+function getDidlLibraryContainer (player, id, parentId, title, upnpClass, artist) {
+  return `<container id="${encodeXml(id)}" parentID="${encodeXml(parentId)}" restricted="true">`
+    + `<dc:title>${encodeXml(title)}</dc:title><upnp:class>${upnpClass}</upnp:class>`
+    + (artist === undefined ? '' : `<dc:creator>${encodeXml(artist)}</dc:creator>`)
+    + '<res protocolInfo="x-rincon-playlist:*:*:*">'
+    + `${encodeXml(`x-rincon-playlist:${player.uuid}#${id}`)}</res></container>`
+}
+
+function getLibraryTrackUri (track) {
+  return `x-file-cifs:${LIBRARY_SHARE.substring(2)}/${track.path}`
+}
+
+function getDidlLibraryTrack (track, parentId) {
+  const uri = getLibraryTrackUri(track)
+  return `<item id="${encodeXml(`${LIBRARY_SHARE}/${track.path}`)}"`
+    + ` parentID="${encodeXml(parentId)}" restricted="true">`
+    + `<res protocolInfo="x-file-cifs:*:audio/mpeg:*">${encodeXml(uri)}</res>`
+    + `<upnp:albumArtURI>${encodeXml(`/getaa?s=1&u=${encodeURIComponent(uri)}`)}</upnp:albumArtURI>`
+    + `<dc:title>${encodeXml(track.title)}</dc:title>`
+    + '<upnp:class>object.item.audioItem.musicTrack</upnp:class>'
+    + `<dc:creator>${encodeXml(track.artist)}</dc:creator>`
+    + `<upnp:album>${encodeXml(track.album)}</upnp:album>`
+    + `<dc:date>${track.year}-01-01</dc:date></item>`
+}
+
+function getDeviceDescription (player) {
+  return '<?xml version="1.0" encoding="utf-8" ?>'
+    + '<root xmlns="urn:schemas-upnp-org:device-1-0"><specVersion><major>1</major>'
+    + '<minor>0</minor></specVersion><device>'
+    + '<deviceType>urn:schemas-upnp-org:device:ZonePlayer:1</deviceType>'
+    + `<friendlyName>${player.host} - Sonos One - ${player.uuid}</friendlyName>`
+    + '<manufacturer>Sonos, Inc.</manufacturer><modelNumber>S18</modelNumber>'
+    + '<modelDescription>Sonos One</modelDescription><modelName>Sonos One</modelName>'
+    + `<softwareVersion>${SOFTWARE_VERSION}</softwareVersion>`
+    + '<hardwareVersion>1.8.1.2-1.0</hardwareVersion>'
+    + `<serialNum>${player.serial}</serialNum><UDN>uuid:${player.uuid}</UDN>`
+    + `<roomName>${encodeXml(player.name)}</roomName><displayName>One</displayName>`
+    + `<zoneType>${player.battery === undefined ? 1 : 23}</zoneType>`
+    + '</device></root>'
+}
+
+function getBatteryStatus (player) {
+  const status = (player.battery === undefined ? '' : '<LocalBatteryStatus>'
+    + '<Data name="Health">GREEN</Data>'
+    + `<Data name="Level">${player.battery}</Data>`
+    + '<Data name="Temperature">NORMAL</Data>'
+    + '<Data name="PowerSource">BATTERY</Data></LocalBatteryStatus>')
+  return '<?xml version="1.0" ?><?xml-stylesheet type="text/xsl" href="/xml/review.xsl"?>'
+    + `<ZPSupportInfo>${status}<!-- SDT: 0 ms --></ZPSupportInfo>`
+}
+
+module.exports = SonosSimulator
+
+// standalone: simulator with default household and SSDP responder
+if (require.main === module) {
+  const simulator = new SonosSimulator({ 'ssdp': true })
+  simulator.start()
+    .then((players) => {
+      players.forEach((player) => {
+        console.log(`${player.name} at ${player.host}:${player.port} serial ${player.serial}`)
+      })
+      process.on('SIGINT', () => {
+        simulator.stop()
+          .then(() => process.exit(0))
+      })
+    })
+    .catch((error) => {
+      console.error(`could not start simulator: ${error.message}`)
+      process.exit(1)
+    })
+}
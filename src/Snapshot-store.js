@@ -0,0 +1,156 @@
+/**
+ * File based store for named group snapshots (see createGroupSnapshot) - survives restarts.
+ * All snapshots are stored in one JSON file: { name: { savedAt, snapshot } }
+ *
+ * @module Snapshot-store
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-03-12
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX } = require('./Globals.js')
+
+const fs = require('fs')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}snapshot-store`)
+
+// Writes are serialized - key is file path, value is promise of last write
+const pendingWrites = {}
+
+module.exports = {
+
+  /**  Read all snapshots from file.
+   * @param {string} filePath JSON file
+   *
+   * @returns {promise<object>} all snapshots, key is name - empty object if file does not exist
+   *
+   * @throws {error} 'snapshot file >> is corrupt'
+   * @throws {error} all methods
+   */
+  readSnapshots: async (filePath) => {
+    debug('method:%s', 'readSnapshots')
+    let content
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {}
+      }
+      throw error
+    }
+    let snapshots
+    try {
+      snapshots = JSON.parse(content)
+    } catch (error) {
+      throw new Error(`${PACKAGE_PREFIX} snapshot file >>${filePath} is corrupt`)
+    }
+    if (snapshots === null || typeof snapshots !== 'object' || Array.isArray(snapshots)) {
+      throw new Error(`${PACKAGE_PREFIX} snapshot file >>${filePath} is corrupt`)
+    }
+    return snapshots
+  },
+
+  /**  Save snapshot under given name - overwrites existing one.
+   * @param {string} filePath JSON file
+   * @param {string} name snapshot name
+   * @param {object<Snapshot>} snapshot see createGroupSnapshot
+   *
+   * @returns {promise} true
+   *
+   * @throws {error} all methods
+   */
+  saveSnapshot: async (filePath, name, snapshot) => {
+    debug('method:%s', 'saveSnapshot')
+    await updateSnapshots(filePath, (snapshots) => {
+      snapshots[name] = { 'savedAt': new Date().toISOString(), snapshot }
+    })
+    return true
+  },
+
+  /**  Load snapshot with given name.
+   * @param {string} filePath JSON file
+   * @param {string} name snapshot name
+   *
+   * @returns {promise<object>} { savedAt, snapshot }
+   *
+   * @throws {error} 'snapshot >> does not exist'
+   * @throws {error} all methods
+   */
+  loadSnapshot: async (filePath, name) => {
+    debug('method:%s', 'loadSnapshot')
+    const snapshots = await module.exports.readSnapshots(filePath)
+    if (!Object.prototype.hasOwnProperty.call(snapshots, name)) {
+      throw new Error(`${PACKAGE_PREFIX} snapshot >>${name} does not exist`)
+    }
+    return snapshots[name]
+  },
+
+  /**  Delete snapshot with given name.
+   * @param {string} filePath JSON file
+   * @param {string} name snapshot name
+   *
+   * @returns {promise} true
+   *
+   * @throws {error} 'snapshot >> does not exist'
+   * @throws {error} all methods
+   */
+  deleteSnapshot: async (filePath, name) => {
+    debug('method:%s', 'deleteSnapshot')
+    await updateSnapshots(filePath, (snapshots) => {
+      if (!Object.prototype.hasOwnProperty.call(snapshots, name)) {
+        throw new Error(`${PACKAGE_PREFIX} snapshot >>${name} does not exist`)
+      }
+      delete snapshots[name]
+    })
+    return true
+  },
+
+  /**  List all snapshots, sorted by name.
+   * @param {string} filePath JSON file
+   *
+   * @returns {promise<object[]>} array of { name, savedAt, playerNames }, coordinator first
+   *
+   * @throws {error} all methods
+   */
+  listSnapshots: async (filePath) => {
+    debug('method:%s', 'listSnapshots')
+    const snapshots = await module.exports.readSnapshots(filePath)
+    return Object.keys(snapshots)
+      .sort()
+      .map((name) => {
+        return {
+          name,
+          'savedAt': snapshots[name].savedAt,
+          'playerNames': snapshots[name].snapshot.membersData.map((member) => member.playerName)
+        }
+      })
+  }
+}
+
+/**  Read, modify and write snapshots. Serialized per file, written to temporary file first.
+ * @param {string} filePath JSON file
+ * @param {function} modify modifies the given snapshots object, may throw
+ *
+ * @returns {promise} resolves when written
+ *
+ * @throws {error} errors of modify and all methods
+ */
+function updateSnapshots (filePath, modify) {
+  const previous = pendingWrites[filePath] || Promise.resolve()
+  const current = previous
+    .catch(() => {
+      debug('Info: previous write failed - ignored')
+    })
+    .then(async () => {
+      const snapshots = await module.exports.readSnapshots(filePath)
+      modify(snapshots)
+      const temporaryPath = `${filePath}.tmp`
+      await fs.promises.writeFile(temporaryPath, JSON.stringify(snapshots, null, 2))
+      await fs.promises.rename(temporaryPath, filePath)
+    })
+  pendingWrites[filePath] = current
+  return current
+}
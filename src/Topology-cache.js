@@ -0,0 +1,150 @@
+/**
+ * Household topology cache: the ZoneGroupState of each household is kept in memory and
+ * shared by all nodes. Key is the household id from /info.
+ *
+ * The cache is kept fresh by ZoneGroupTopology events (Events node) or expires after a short
+ * time. Commands changing the group topology invalidate the cache.
+ * The household id of a player (hostname) expires as well - ip addresses may be reassigned.
+ *
+ * @module Topology-cache
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-03-19
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX, TIMEOUT_HTTP_REQUEST } = require('./Globals.js')
+
+const { getDeviceInfo, parseZoneGroupToArray } = require('./Extensions.js')
+
+const { isTruthyProperty, isTruthyStringNotEmpty } = require('./Helper.js')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}topology-cache`)
+
+const TTL_REQUEST = 5000 // in milliseconds, data received by GetZoneGroupState
+const TTL_EVENT = 600000 // in milliseconds, data received by ZoneGroupTopology event
+const TTL_HOUSEHOLD_ID = 600000 // in milliseconds, household id from /info
+
+// key is household id, value { zoneGroupState, parsed, updatedAt, ttl }
+const households = {}
+
+// key is player hostname such as 192.168.178.37, value { householdId, updatedAt }
+const householdIds = {}
+
+module.exports = {
+
+  /** Get array of all groups - from cache if fresh, otherwise from player.
+   * Same result as getGroupsAll.
+   * @param {object} anyTsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {boolean} removeHidden removes all hidden players
+   *
+   * @returns {promise<playerGroupData[]>} array of arrays with playerGroupData
+   *          First group member is coordinator
+   *
+   * @throws {error} 'property ZoneGroupState is missing'
+   * @throws {error} all methods
+   */
+  getGroupsAllCached: async (anyTsPlayer, removeHidden) => {
+    debug('method:%s', 'getGroupsAllCached')
+    const householdId = await module.exports.getHouseholdId(anyTsPlayer.urlObject)
+    let entry = households[householdId]
+    if (entry === undefined || Date.now() - entry.updatedAt > entry.ttl) {
+      debug('Info: cache stale - requesting ZoneGroupState')
+      const householdGroups = await anyTsPlayer.ZoneGroupTopologyService.GetZoneGroupState({})
+      if (!isTruthyProperty(householdGroups, ['ZoneGroupState'])) {
+        throw new Error(`${PACKAGE_PREFIX} property ZoneGroupState is missing`)
+      }
+      entry = storeZoneGroupState(householdId, householdGroups.ZoneGroupState, TTL_REQUEST)
+    }
+
+    const key = (removeHidden ? 'visible' : 'all')
+    if (entry.parsed[key] === undefined) {
+      entry.parsed[key] = await parseZoneGroupToArray(entry.zoneGroupState, Boolean(removeHidden))
+    }
+    return copyGroups(entry.parsed[key])
+  },
+
+  /** Get the household id of a player - cached, see TTL_HOUSEHOLD_ID.
+   * @param {object} playerUrlObject player JavaScript build-in URL
+   *
+   * @returns {promise<string>} household id such as Sonos_5CAAFD00223601400
+   *
+   * @throws {error} 'response from player is invalid - householdId missing'
+   * @throws {error} all methods
+   */
+  getHouseholdId: async (playerUrlObject) => {
+    debug('method:%s', 'getHouseholdId')
+    const hostname = playerUrlObject.hostname
+    const entry = householdIds[hostname]
+    if (entry !== undefined && Date.now() - entry.updatedAt <= TTL_HOUSEHOLD_ID) {
+      return entry.householdId
+    }
+    const deviceInfo = await getDeviceInfo(playerUrlObject, TIMEOUT_HTTP_REQUEST)
+    if (!isTruthyStringNotEmpty(deviceInfo.householdId)) {
+      throw new Error(`${PACKAGE_PREFIX} response from player is invalid - householdId missing`)
+    }
+    householdIds[hostname] = { 'householdId': deviceInfo.householdId, 'updatedAt': Date.now() }
+    return deviceInfo.householdId
+  },
+
+  /** Update the cache with the ZoneGroupState of a ZoneGroupTopology event.
+   * @param {object} playerUrlObject player JavaScript build-in URL, the event source
+   * @param {string} zoneGroupState the ZoneGroupState from event (html entity encoded)
+   *
+   * @returns {promise<boolean>} true
+   *
+   * @throws {error} all methods
+   */
+  updateTopologyFromEvent: async (playerUrlObject, zoneGroupState) => {
+    debug('method:%s', 'updateTopologyFromEvent')
+    const householdId = await module.exports.getHouseholdId(playerUrlObject)
+    storeZoneGroupState(householdId, zoneGroupState, TTL_EVENT)
+    return true
+  },
+
+  /** Invalidate the cache of the household of a player and the household id of the player,
+   * such as after grouping commands or a changed ip address.
+   * @param {object} playerUrlObject player JavaScript build-in URL
+   *
+   * @returns {boolean} true
+   */
+  invalidateTopology: (playerUrlObject) => {
+    debug('method:%s', 'invalidateTopology')
+    const entry = householdIds[playerUrlObject.hostname]
+    if (entry !== undefined) {
+      delete households[entry.householdId]
+      delete householdIds[playerUrlObject.hostname]
+    }
+    return true
+  }
+}
+
+/** Store ZoneGroupState in cache - parsing is done on demand.
+ * @param {string} householdId household id
+ * @param {string} zoneGroupState ZoneGroupState (html entity encoded)
+ * @param {number} ttl time to live in milliseconds
+ *
+ * @returns {object} cache entry
+ */
+function storeZoneGroupState (householdId, zoneGroupState, ttl) {
+  const entry = { zoneGroupState, 'parsed': {}, 'updatedAt': Date.now(), ttl }
+  households[householdId] = entry
+  return entry
+}
+
+/** Copy groups: callers may modify the result without modifying the cache.
+ * @param {playerGroupData[]} groups array of arrays with playerGroupData
+ *
+ * @returns {playerGroupData[]} copy
+ */
+function copyGroups (groups) {
+  return groups.map((members) => members.map((member) => {
+    const copy = Object.assign({}, member)
+    if (member.urlObject !== undefined) {
+      copy.urlObject = new URL(member.urlObject.href)
+    }
+    return copy
+  }))
+}
@@ -0,0 +1,208 @@
+/**
+ * Text-to-speech: render text to an audio file with a configurable provider and
+ * cache the files on disk by hash.
+ *
+ * Provider type command: a command line engine such as pico2wave or espeak. The command
+ * template is split at blanks into executable and arguments - no shell is being used.
+ * Placeholders {text}, {language}, {file} are replaced in each argument.
+ * Example: pico2wave -l {language} -w {file} {text}
+ * Text starting with - is refused as the engine would take it as option.
+ *
+ * Provider type http: the url template is requested with http GET and the response body
+ * is stored. Placeholders {text}, {language} are replaced (url encoded).
+ * Example: http://192.168.178.20:5002/api/tts?text={text}&lang={language}
+ *
+ * @module Tts
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-03-05
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX } = require('./Globals.js')
+
+const { isTruthyPropertyStringNotEmpty } = require('./Helper.js')
+
+const request = require('axios').default
+const { execFile } = require('child_process')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}tts`)
+
+const TIMEOUT_TTS_RENDER = 30000 // in milliseconds
+
+module.exports = {
+
+  /**  Get the TTS provider from config node.
+   * @param {object} configNode config node
+   * @param {string} configNode.ttsProvider none, command, http
+   * @param {string} configNode.ttsCommand command template, required for command
+   * @param {string} configNode.ttsUrl url template, required for http
+   * @param {string} [configNode.ttsFormat=mp3] file extension mp3, wav
+   * @param {string} [configNode.ttsLanguage=en-US] default language
+   *
+   * @returns {promise<object>} provider {type, template, format, language}
+   *
+   * @throws {error} 'TTS provider is not configured (config node)',
+   * 'TTS command template is missing', 'TTS url template is missing',
+   * 'TTS format >> is not mp3/wav'
+   */
+  validatedTtsProvider: async (configNode) => {
+    debug('method:%s', 'validatedTtsProvider')
+    const provider = {
+      'type': 'none',
+      'template': '',
+      'format': 'mp3',
+      'language': 'en-US'
+    }
+    if (isTruthyPropertyStringNotEmpty(configNode, ['ttsProvider'])) {
+      provider.type = configNode.ttsProvider
+    }
+    if (provider.type === 'command') {
+      if (!isTruthyPropertyStringNotEmpty(configNode, ['ttsCommand'])) {
+        throw new Error(`${PACKAGE_PREFIX} TTS command template is missing`)
+      }
+      provider.template = configNode.ttsCommand.trim()
+    } else if (provider.type === 'http') {
+      if (!isTruthyPropertyStringNotEmpty(configNode, ['ttsUrl'])) {
+        throw new Error(`${PACKAGE_PREFIX} TTS url template is missing`)
+      }
+      provider.template = configNode.ttsUrl.trim()
+    } else {
+      throw new Error(`${PACKAGE_PREFIX} TTS provider is not configured (config node)`)
+    }
+    if (isTruthyPropertyStringNotEmpty(configNode, ['ttsFormat'])) {
+      provider.format = configNode.ttsFormat.toLowerCase()
+      if (!['mp3', 'wav'].includes(provider.format)) {
+        throw new Error(`${PACKAGE_PREFIX} TTS format >>${configNode.ttsFormat} is not mp3/wav`)
+      }
+    }
+    if (isTruthyPropertyStringNotEmpty(configNode, ['ttsLanguage'])) {
+      provider.language = configNode.ttsLanguage
+    }
+    return provider
+  },
+
+  /**  Get the cache file name: sha1 hash of provider, language and text.
+   * A changed provider renders the text again.
+   * @param {object} provider see validatedTtsProvider
+   * @param {string} text text to be spoken
+   * @param {string} language such as en-US
+   *
+   * @returns {promise<string>} file name such as 2fd4e1c67a2d28fced849ee1bb76e7391b93eb12.mp3
+   */
+  getTtsFileName: async (provider, text, language) => {
+    debug('method:%s', 'getTtsFileName')
+    const hash = crypto.createHash('sha1')
+      .update(`${provider.type}|${provider.template}|${language}|${text}`)
+      .digest('hex')
+    return `${hash}.${provider.format}`
+  },
+
+  /**  Render text to an audio file in cache directory - if not already cached.
+   * @param {object} provider see validatedTtsProvider
+   * @param {string} text text to be spoken
+   * @param {string} language such as en-US
+   * @param {string} cacheDirectory directory for audio files, is created if missing
+   *
+   * @returns {promise<string>} file name, see getTtsFileName
+   *
+   * @throws {error} 'TTS provider created an empty file', 'TTS text must not start with -'
+   * @throws {error} all methods such as command not found, http errors
+   */
+  renderTts: async (provider, text, language, cacheDirectory) => {
+    debug('method:%s', 'renderTts')
+    const fileName = await module.exports.getTtsFileName(provider, text, language)
+    const filePath = path.join(cacheDirectory, fileName)
+    try {
+      await fs.promises.access(filePath)
+      debug('Info: using cached file >>%s', fileName)
+      return fileName
+    } catch (error) {
+      debug('Info: file not in cache >>%s', fileName)
+    }
+    await fs.promises.mkdir(cacheDirectory, { 'recursive': true })
+
+    // render to temporary file, then rename - an incomplete file is never being served
+    const temporaryPath = path.join(cacheDirectory,
+      `tmp-${process.pid}-${Date.now()}-${fileName}`)
+    try {
+      if (provider.type === 'command') {
+        await renderByCommand(provider.template, text, language, temporaryPath)
+      } else {
+        await renderByHttp(provider.template, text, language, temporaryPath)
+      }
+      const stats = await fs.promises.stat(temporaryPath)
+      if (stats.size === 0) {
+        throw new Error(`${PACKAGE_PREFIX} TTS provider created an empty file`)
+      }
+      await fs.promises.rename(temporaryPath, filePath)
+    } catch (error) {
+      await fs.promises.unlink(temporaryPath)
+        .catch(() => {
+          debug('Info: no temporary file to be removed')
+        })
+      throw error
+    }
+    return fileName
+  }
+}
+
+/**  Render with command line engine - see module description.
+ * @param {string} template command template
+ * @param {string} text text to be spoken
+ * @param {string} language such as en-US
+ * @param {string} filePath the audio file to be created
+ *
+ * @returns {promise} resolves when command finished
+ *
+ * @throws {error} 'TTS text must not start with -'
+ * @throws {error} execFile errors such as ENOENT, command exit code
+ */
+function renderByCommand (template, text, language, filePath) {
+  if (text.trim().startsWith('-')) {
+    return Promise.reject(new Error(`${PACKAGE_PREFIX} TTS text must not start with -`))
+  }
+  const replaced = template.split(/\s+/)
+    .map((item) => item
+      .replace(/{text}/g, () => text) // function: $ in text is not a replacement pattern
+      .replace(/{language}/g, () => language)
+      .replace(/{file}/g, () => filePath))
+  const executable = replaced.shift()
+  debug('Info: executing TTS command >>%s', executable)
+  return new Promise((resolve, reject) => {
+    execFile(executable, replaced, { 'timeout': TIMEOUT_TTS_RENDER }, (error) => {
+      if (error) {
+        reject(error)
+        return
+      }
+      resolve()
+    })
+  })
+}
+
+/**  Render with http endpoint - see module description.
+ * @param {string} template url template
+ * @param {string} text text to be spoken
+ * @param {string} language such as en-US
+ * @param {string} filePath the audio file to be created
+ *
+ * @returns {promise} resolves when file is written
+ *
+ * @throws {error} http errors
+ */
+async function renderByHttp (template, text, language, filePath) {
+  const url = template
+    .replace(/{text}/g, () => encodeURIComponent(text))
+    .replace(/{language}/g, () => encodeURIComponent(language))
+  debug('Info: requesting TTS url')
+  const response = await request.get(url, {
+    'responseType': 'arraybuffer',
+    'timeout': TIMEOUT_TTS_RENDER
+  })
+  await fs.promises.writeFile(filePath, Buffer.from(response.data))
+}
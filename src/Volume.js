@@ -0,0 +1,560 @@
+/**
+ * Volume ramps (fades) and volume limits for players and groups.
+ *
+ * Ramps:
+ * - curve linear: software stepping
+ * - curve sleeptimer, alarm: player ramps by itself (RampToVolume) where supported,
+ *   otherwise software stepping with a similar curve. Groups always use software stepping.
+ * A ramp is cancelled by the next ramp or volume command for one of its players.
+ *
+ * Limits: maximum volume per SONOS-Playername, optionally lower in time windows (quiet hours)
+ * and a separate maximum for notifications. Limits are kept in memory, separately for each
+ * config node (scope, the config node id) - players of different households never share limits.
+ * Every volume is clamped before it is being set, each clamp is reported as violation.
+ * A group with a limited member is changed member by member - never above the limit.
+ *
+ * @module Volume
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-04-23
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX, REGEX_TIME_24 } = require('./Globals.js')
+
+const { isPlainObject, isTruthyProperty } = require('./Helper.js')
+
+const { SonosDevice } = require('@svrooij/sonos/lib')
+
+const debug = require('debug')(`${PACKAGE_PREFIX}volume`)
+
+// RampType of RampToVolume, key is curve
+const RAMP_TYPES = { 'sleeptimer': 'SLEEP_TIMER_RAMP_TYPE', 'alarm': 'ALARM_RAMP_TYPE' }
+
+const RAMP_STEP_INTERVAL = 250 // milliseconds, software stepping
+
+// key is player hostname such as 192.168.178.37, value the ramp { cancelled, hostnames }
+const activeRamps = {}
+
+// key is scope (config node id), value: key is SONOS-Playername, value see validatedVolumeLimits
+const volumeLimits = {}
+
+module.exports = {
+
+  /** Get the volume of a ramp at a given progress.
+   * linear: constant speed, alarm: slow start, sleeptimer: slow end.
+   * @param {number} startVolume volume at start, 0 .. 100
+   * @param {number} targetVolume volume at end, 0 .. 100
+   * @param {number} progress 0 .. 1
+   * @param {string} curve linear, sleeptimer, alarm
+   *
+   * @returns {number} volume, integer 0 .. 100
+   */
+  getRampVolume: (startVolume, targetVolume, progress, curve) => {
+    let factor = progress
+    if (curve === 'alarm') {
+      factor = progress * progress
+    } else if (curve === 'sleeptimer') {
+      factor = 1 - (1 - progress) * (1 - progress)
+    }
+    return Math.round(startVolume + (targetVolume - startVolume) * factor)
+  },
+
+  /** Ramp player volume to target volume. Cancels running ramps of that player.
+   * @param {object} tsPlayer sonos-ts player with .urlObject
+   * @param {number} targetVolume volume at end, integer 0 .. 100
+   * @param {object} options options
+   * @param {number} options.duration duration in milliseconds
+   * @param {string} options.curve linear, sleeptimer, alarm
+   *
+   * @returns {promise<string>} completed, cancelled or native (ramped by player)
+   *
+   * @throws {error} all methods
+   */
+  rampPlayerVolume: async (tsPlayer, targetVolume, options) => {
+    debug('method:%s', 'rampPlayerVolume')
+    const hostname = tsPlayer.urlObject.hostname
+    if (Object.prototype.hasOwnProperty.call(RAMP_TYPES, options.curve)) {
+      module.exports.cancelRamps([hostname])
+      try {
+        await tsPlayer.RenderingControlService.RampToVolume({
+          'InstanceID': 0, 'Channel': 'Master', 'RampType': RAMP_TYPES[options.curve],
+          'DesiredVolume': targetVolume, 'ResetVolumeAfter': false, 'ProgramURI': ''
+        })
+        return 'native'
+      } catch (error) {
+        if (error.UpnpErrorCode === undefined) {
+          throw error
+        }
+        debug('Info: RampToVolume not supported - using software stepping')
+      }
+    }
+
+    const result = await tsPlayer.RenderingControlService.GetVolume(
+      { 'InstanceID': 0, 'Channel': 'Master' })
+    return stepVolume([hostname], result.CurrentVolume, targetVolume, options,
+      (volume) => tsPlayer.RenderingControlService.SetVolume(
+        { 'InstanceID': 0, 'Channel': 'Master', 'DesiredVolume': volume }))
+  },
+
+  /** Ramp group volume to target volume. Cancels running ramps of all members.
+   * If a member has a volume limit, the end value and every step are clamped per member.
+   * @param {string} scope config node id, undefined means no limits
+   * @param {object} tsCoordinator sonos-ts player, the group coordinator
+   * @param {object[]} members array of playerGroupData (playerName, urlObject)
+   * @param {number} targetVolume volume at end, integer 0 .. 100
+   * @param {object} options see rampPlayerVolume
+   * @param {object[]} [violations = []] violations of the end value are added, see limitVolume
+   *
+   * @returns {promise<string>} completed or cancelled
+   *
+   * @throws {error} all methods
+   */
+  rampGroupVolume: async (scope, tsCoordinator, members, targetVolume, options,
+    violations = []) => {
+    debug('method:%s', 'rampGroupVolume')
+    const hostnames = members.map((member) => member.urlObject.hostname)
+    if (!hasVolumeLimits(scope, members)) {
+      const result = await tsCoordinator.GroupRenderingControlService.GetGroupVolume(
+        { 'InstanceID': 0 })
+      return stepVolume(hostnames, result.CurrentVolume, targetVolume, options,
+        (volume) => tsCoordinator.GroupRenderingControlService.SetGroupVolume(
+          { 'InstanceID': 0, 'DesiredVolume': volume }))
+    }
+
+    const players = await getMemberVolumes(members)
+    const startVolume = getGroupVolume(players.map((player) => player.volume))
+    getScaledVolumes(scope, players, startVolume, targetVolume, violations)
+    return stepVolume(hostnames, startVolume, targetVolume, options, (volume) => setMemberVolumes(
+      players, getScaledVolumes(scope, players, startVolume, volume, [])))
+  },
+
+  /** Ramp the volume of several players in parallel, each to its own target volume.
+   * @param {object[]} tsPlayers sonos-ts players with .urlObject
+   * @param {number[]} targetVolumes volume at end for each player, integer 0 .. 100
+   * @param {object} options see rampPlayerVolume
+   *
+   * @returns {promise<string[]>} result for each player, see rampPlayerVolume
+   *
+   * @throws {error} all methods
+   */
+  rampPlayersVolume: async (tsPlayers, targetVolumes, options) => {
+    debug('method:%s', 'rampPlayersVolume')
+    return Promise.all(tsPlayers.map((tsPlayer, index) => module.exports.rampPlayerVolume(
+      tsPlayer, targetVolumes[index], options)))
+  },
+
+  /** Cancel all running ramps of the given players.
+   * @param {string[]} hostnames player hostnames
+   *
+   * @returns {number} number of cancelled ramps
+   */
+  cancelRamps: (hostnames) => {
+    debug('method:%s', 'cancelRamps')
+    const ramps = []
+    for (const hostname of hostnames) {
+      const ramp = activeRamps[hostname]
+      if (ramp !== undefined && !ramps.includes(ramp)) {
+        ramps.push(ramp)
+      }
+    }
+    for (const ramp of ramps) {
+      ramp.cancelled = true
+      for (const hostname of ramp.hostnames) {
+        delete activeRamps[hostname]
+      }
+    }
+    return ramps.length
+  },
+
+  /**
+   * @typedef {object} VolumeLimit volume limits of one player
+   * @global
+   * @property {number} [max] maximum volume, integer 0 .. 100
+   * @property {number} [notificationMax] maximum notification volume, integer 0 .. 100,
+   *           if missing max is used
+   * @property {object[]} [windows] time windows with lower limits such as quiet hours
+   * @property {string} windows.from start time hh:mm, local time
+   * @property {string} windows.to end time hh:mm (exclusive), may be before from (next day)
+   * @property {number} [windows.max] maximum volume in time window
+   * @property {number} [windows.notificationMax] maximum notification volume in time window
+   */
+
+  /** Validate volume limits.
+   * @param {object} limits key is SONOS-Playername, value <VolumeLimit>, {} removes the limits
+   *
+   * @returns {object} validated copy
+   *
+   * @throws {error} 'volume limits is not object', 'volume limits of >> is not object',
+   * 'volume limit >> of >> is not integer 0 .. 100', 'windows of >> is not array',
+   * 'time window >> of >> is invalid'
+   */
+  validatedVolumeLimits: (limits) => {
+    debug('method:%s', 'validatedVolumeLimits')
+    if (!isPlainObject(limits)) {
+      throw new Error(`${PACKAGE_PREFIX} volume limits is not object`)
+    }
+    const validLimits = {}
+    for (const playerName of Object.keys(limits)) {
+      const limit = limits[playerName]
+      if (!isPlainObject(limit)) {
+        throw new Error(`${PACKAGE_PREFIX} volume limits of >>${playerName} is not object`)
+      }
+      const validLimit = validatedMaxima(limit, playerName)
+      if (isTruthyProperty(limit, ['windows'])) {
+        if (!Array.isArray(limit.windows)) {
+          throw new Error(`${PACKAGE_PREFIX} windows of >>${playerName} is not array`)
+        }
+        validLimit.windows = limit.windows.map((window, index) => {
+          if (!isPlainObject(window) || typeof window.from !== 'string'
+            || typeof window.to !== 'string'
+            || !REGEX_TIME_24.test(window.from) || !REGEX_TIME_24.test(window.to)) {
+            throw new Error(
+              `${PACKAGE_PREFIX} time window >>${index} of >>${playerName} is invalid`)
+          }
+          return Object.assign({ 'from': window.from, 'to': window.to },
+            validatedMaxima(window, playerName))
+        })
+      }
+      validLimits[playerName] = validLimit
+    }
+    return validLimits
+  },
+
+  /** Set volume limits of the given players - other players are not touched.
+   * @param {string} scope config node id
+   * @param {object} limits key is SONOS-Playername, value <VolumeLimit>, {} removes the limits
+   *
+   * @returns {boolean} true
+   *
+   * @throws {error} see validatedVolumeLimits
+   */
+  setVolumeLimits: (scope, limits) => {
+    debug('method:%s', 'setVolumeLimits')
+    const validLimits = module.exports.validatedVolumeLimits(limits)
+    const scopeLimits = Object.assign({}, volumeLimits[scope], validLimits)
+    module.exports.replaceVolumeLimits(scope, scopeLimits)
+    return true
+  },
+
+  /** Replace all volume limits of a scope such as after deploy of the config node.
+   * @param {string} scope config node id
+   * @param {object} limits key is SONOS-Playername, value <VolumeLimit>, {} removes all limits
+   *
+   * @returns {boolean} true
+   *
+   * @throws {error} see validatedVolumeLimits
+   */
+  replaceVolumeLimits: (scope, limits) => {
+    debug('method:%s', 'replaceVolumeLimits')
+    const validLimits = module.exports.validatedVolumeLimits(limits)
+    for (const playerName of Object.keys(validLimits)) {
+      if (Object.keys(validLimits[playerName]).length === 0) {
+        delete validLimits[playerName]
+      }
+    }
+    if (Object.keys(validLimits).length === 0) {
+      delete volumeLimits[scope]
+    } else {
+      volumeLimits[scope] = validLimits
+    }
+    return true
+  },
+
+  /** Get volume limits of all players of a scope.
+   * @param {string} scope config node id
+   *
+   * @returns {object} copy, key is SONOS-Playername, value <VolumeLimit>
+   */
+  getVolumeLimits: (scope) => {
+    debug('method:%s', 'getVolumeLimits')
+    return JSON.parse(JSON.stringify(volumeLimits[scope] || {}))
+  },
+
+  /** Get the volume limit of a player at a given time.
+   * @param {string} scope config node id, undefined means no limits
+   * @param {string} playerName SONOS-Playername
+   * @param {boolean} isNotification true: notification limits
+   * @param {Date} [date = now] time
+   *
+   * @returns {number} maximum volume, 100 if no limit
+   */
+  getVolumeLimit: (scope, playerName, isNotification, date = new Date()) => {
+    const scopeLimits = volumeLimits[scope]
+    if (scopeLimits === undefined
+      || !Object.prototype.hasOwnProperty.call(scopeLimits, playerName)) {
+      return 100
+    }
+    const limit = scopeLimits[playerName]
+    const minutes = date.getHours() * 60 + date.getMinutes()
+    let max = getMaximum(limit, isNotification)
+    for (const window of (limit.windows || [])) {
+      const from = hhmm2minutes(window.from)
+      const to = hhmm2minutes(window.to)
+      const isInWindow = (from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to)
+      if (isInWindow) {
+        max = Math.min(max, getMaximum(window, isNotification))
+      }
+    }
+    return max
+  },
+
+  /** Clamp a volume to the limit of the player and record the violation.
+   * @param {string} scope config node id, undefined means no limit
+   * @param {string} playerName SONOS-Playername, undefined means no limit
+   * @param {number} volume requested volume, -1 means no change
+   * @param {boolean} isNotification true: notification limits
+   * @param {object[]} violations array, violation { playerName, requested, limit } is added
+   *
+   * @returns {number} volume to be used
+   */
+  limitVolume: (scope, playerName, volume, isNotification, violations) => {
+    if (volume === -1 || playerName === undefined) {
+      return volume
+    }
+    const limit = module.exports.getVolumeLimit(scope, playerName, isNotification)
+    if (volume <= limit) {
+      return volume
+    }
+    debug('Info: volume limit applied >>%s', playerName)
+    violations.push({ playerName, 'requested': volume, limit })
+    return limit
+  },
+
+  /** Set player volume, clamped to the volume limit of the player.
+   * @param {string} scope config node id, undefined means no limit
+   * @param {object} tsPlayer sonos-ts player
+   * @param {string} playerName SONOS-Playername
+   * @param {number} volume new volume 0 .. 100 or adjustment -100 .. 100
+   * @param {boolean} isAdjustment true: volume is relative to the current volume
+   *
+   * @returns {promise<object>} { newVolume, violations } violations see limitVolume
+   *
+   * @throws {error} all methods
+   */
+  setPlayerVolume: async (scope, tsPlayer, playerName, volume, isAdjustment) => {
+    debug('method:%s', 'setPlayerVolume')
+    const violations = []
+    if (isAdjustment && module.exports.getVolumeLimit(scope, playerName, false) === 100) {
+      const result = await tsPlayer.RenderingControlService.SetRelativeVolume(
+        { 'InstanceID': 0, 'Channel': 'Master', 'Adjustment': volume })
+      return { 'newVolume': result.NewVolume, violations }
+    }
+    let newVolume = volume
+    if (isAdjustment) {
+      const result = await tsPlayer.RenderingControlService.GetVolume(
+        { 'InstanceID': 0, 'Channel': 'Master' })
+      newVolume = clampVolume(result.CurrentVolume + volume)
+    }
+    newVolume = module.exports.limitVolume(scope, playerName, newVolume, false, violations)
+    await tsPlayer.RenderingControlService.SetVolume(
+      { 'InstanceID': 0, 'Channel': 'Master', 'DesiredVolume': newVolume })
+    return { newVolume, violations }
+  },
+
+  /** Set group volume, no member exceeds its volume limit. Without any limit the group
+   * volume is set. Otherwise each member volume is changed proportionally (as SONOS does),
+   * clamped and set member by member.
+   * @param {string} scope config node id, undefined means no limits
+   * @param {object} tsCoordinator sonos-ts player, the group coordinator
+   * @param {object[]} members array of playerGroupData (playerName, urlObject)
+   * @param {number} volume new group volume 0 .. 100 or adjustment -100 .. 100
+   * @param {boolean} isAdjustment true: volume is relative to the current group volume
+   *
+   * @returns {promise<object>} { newVolume, violations } violations see limitVolume
+   *
+   * @throws {error} all methods
+   */
+  setGroupVolume: async (scope, tsCoordinator, members, volume, isAdjustment) => {
+    debug('method:%s', 'setGroupVolume')
+    const violations = []
+    if (!hasVolumeLimits(scope, members)) {
+      if (isAdjustment) {
+        const result = await tsCoordinator.GroupRenderingControlService.SetRelativeGroupVolume(
+          { 'InstanceID': 0, 'Adjustment': volume })
+        return { 'newVolume': result.NewVolume, violations }
+      }
+      await tsCoordinator.GroupRenderingControlService.SetGroupVolume(
+        { 'InstanceID': 0, 'DesiredVolume': volume })
+      return { 'newVolume': volume, violations }
+    }
+
+    const players = await getMemberVolumes(members)
+    const groupVolume = getGroupVolume(players.map((player) => player.volume))
+    const targetVolume = clampVolume(isAdjustment ? groupVolume + volume : volume)
+    const volumes = getScaledVolumes(scope, players, groupVolume, targetVolume, violations)
+    await setMemberVolumes(players, volumes)
+    return { 'newVolume': getGroupVolume(volumes), violations }
+  }
+}
+
+/** Software stepping: set volume every RAMP_STEP_INTERVAL until target volume is reached.
+ * @param {string[]} hostnames players of this ramp - used for cancellation
+ * @param {number} startVolume volume at start
+ * @param {number} targetVolume volume at end
+ * @param {object} options see rampPlayerVolume
+ * @param {function} setVolume async function setting the volume
+ *
+ * @returns {promise<string>} completed or cancelled
+ *
+ * @throws {error} all methods
+ */
+async function stepVolume (hostnames, startVolume, targetVolume, options, setVolume) {
+  module.exports.cancelRamps(hostnames)
+  const ramp = { 'cancelled': false, hostnames }
+  for (const hostname of hostnames) {
+    activeRamps[hostname] = ramp
+  }
+
+  try {
+    const steps = Math.max(1, Math.round(options.duration / RAMP_STEP_INTERVAL))
+    let lastVolume = startVolume
+    for (let step = 1; step <= steps; step++) {
+      await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](options.duration / steps)
+      if (ramp.cancelled) {
+        debug('Info: ramp cancelled')
+        return 'cancelled'
+      }
+      const volume = module.exports.getRampVolume(
+        startVolume, targetVolume, step / steps, options.curve)
+      if (volume !== lastVolume) {
+        await setVolume(volume)
+        lastVolume = volume
+      }
+    }
+    return 'completed'
+  } finally {
+    if (!ramp.cancelled) {
+      for (const hostname of hostnames) {
+        delete activeRamps[hostname]
+      }
+    }
+  }
+}
+
+/** Has any of the members a volume limit at this time?
+ * @param {string} scope config node id
+ * @param {object[]} members array of playerGroupData (playerName)
+ *
+ * @returns {boolean} true if at least one member has a limit
+ */
+function hasVolumeLimits (scope, members) {
+  return members.some(
+    (member) => module.exports.getVolumeLimit(scope, member.playerName, false) < 100)
+}
+
+/** Get the current volume of each member.
+ * @param {object[]} members array of playerGroupData (playerName, urlObject)
+ *
+ * @returns {promise<object[]>} array of { playerName, tsPlayer, volume }
+ *
+ * @throws {error} all methods
+ */
+async function getMemberVolumes (members) {
+  return Promise.all(members.map(async (member) => {
+    const tsPlayer = new SonosDevice(member.urlObject.hostname)
+    const result = await tsPlayer.RenderingControlService.GetVolume(
+      { 'InstanceID': 0, 'Channel': 'Master' })
+    return { 'playerName': member.playerName, tsPlayer, 'volume': result.CurrentVolume }
+  }))
+}
+
+/** Set the volume of each member.
+ * @param {object[]} players see getMemberVolumes
+ * @param {number[]} volumes volume for each player
+ *
+ * @returns {promise<boolean>} true
+ *
+ * @throws {error} all methods
+ */
+async function setMemberVolumes (players, volumes) {
+  await Promise.all(players.map((player, index) => player.tsPlayer.RenderingControlService
+    .SetVolume({ 'InstanceID': 0, 'Channel': 'Master', 'DesiredVolume': volumes[index] })))
+  return true
+}
+
+/** Get the member volumes for a new group volume: changed proportionally, then clamped.
+ * @param {string} scope config node id
+ * @param {object[]} players see getMemberVolumes, volume is the volume at start
+ * @param {number} groupVolume group volume at start
+ * @param {number} targetVolume new group volume 0 .. 100
+ * @param {object[]} violations see limitVolume
+ *
+ * @returns {number[]} volume for each player
+ */
+function getScaledVolumes (scope, players, groupVolume, targetVolume, violations) {
+  return players.map((player) => {
+    const volume = (groupVolume === 0 ? targetVolume
+      : clampVolume(Math.round(player.volume * targetVolume / groupVolume)))
+    return module.exports.limitVolume(scope, player.playerName, volume, false, violations)
+  })
+}
+
+/** Group volume: average of the member volumes (as SONOS does).
+ * @param {number[]} volumes member volumes
+ *
+ * @returns {number} group volume, integer 0 .. 100
+ */
+function getGroupVolume (volumes) {
+  return Math.round(volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length)
+}
+
+/** Clamp volume to 0 .. 100.
+ * @param {number} volume volume
+ *
+ * @returns {number} volume 0 .. 100
+ */
+function clampVolume (volume) {
+  return Math.min(100, Math.max(0, volume))
+}
+
+/** Validate max and notificationMax of a limit or time window.
+ * @param {object} limit limit or time window
+ * @param {string} playerName SONOS-Playername - used in error message
+ *
+ * @returns {object} { max, notificationMax } only defined properties
+ *
+ * @throws {error} 'volume limit >> of >> is not integer 0 .. 100'
+ */
+function validatedMaxima (limit, playerName) {
+  const maxima = {}
+  for (const name of ['max', 'notificationMax']) {
+    if (limit[name] === undefined) {
+      continue
+    }
+    const value = limit[name]
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      throw new Error(
+        `${PACKAGE_PREFIX} volume limit >>${name} of >>${playerName} is not integer 0 .. 100`)
+    }
+    maxima[name] = value
+  }
+  return maxima
+}
+
+/** Get the maximum of a limit or time window.
+ * @param {object} limit validated limit or time window
+ * @param {boolean} isNotification true: notificationMax, falls back to max
+ *
+ * @returns {number} maximum volume, 100 if not defined
+ */
+function getMaximum (limit, isNotification) {
+  if (isNotification && limit.notificationMax !== undefined) {
+    return limit.notificationMax
+  }
+  return (limit.max === undefined ? 100 : limit.max)
+}
+
+/** Convert hh:mm or hh:mm:ss to minutes of day.
+ * @param {string} hhmm time, see REGEX_TIME_24
+ *
+ * @returns {number} minutes since midnight
+ */
+function hhmm2minutes (hhmm) {
+  const parts = hhmm.split(':')
+  return parseInt(parts[0]) * 60 + parseInt(parts[1])
+}
@@ -12,9 +12,12 @@
 
 const { PACKAGE_PREFIX, TIMEOUT_DISCOVERY } = require('./Globals.js')
 
-const { discoverAllPlayerWithHost, discoverAllPlayerWithSerialnumber } = require('./Discovery.js')
+const { discoverAllHouseholds, discoverAllPlayerWithHost, discoverAllPlayerWithSerialnumber
+} = require('./Discovery.js')
 
-const { isTruthyProperty } = require('./Helper.js')
+const { isTruthyProperty, isTruthyStringNotEmpty } = require('./Helper.js')
+
+const { replaceVolumeLimits } = require('./Volume.js')
 
 const debug = require('debug')(`${PACKAGE_PREFIX}config`)
 
@@ -28,6 +31,28 @@ module.exports = function (RED) {
     node = this
     node.serialnum = config.serialnum
     node.ipaddress = config.ipaddress
+    node.householdId = config.householdId
+    node.ttsProvider = config.ttsProvider
+    node.ttsCommand = config.ttsCommand
+    node.ttsUrl = config.ttsUrl
+    node.ttsFormat = config.ttsFormat
+    node.ttsLanguage = config.ttsLanguage
+    node.mediaDirectory = config.mediaDirectory
+
+    // Volume limits are kept per config node and replaced on each deploy.
+    // Invalid limits are reported but not applied
+    const volumeLimitScope = node.id
+    if (isTruthyStringNotEmpty(config.volumeLimits)) {
+      try {
+        replaceVolumeLimits(volumeLimitScope, JSON.parse(config.volumeLimits))
+      } catch (err) {
+        node.error(`volume limits not applied >>${err.message}`)
+      }
+    }
+    node.on('close', function (done) {
+      replaceVolumeLimits(volumeLimitScope, {})
+      done()
+    })
   }
 
   RED.httpAdmin.get('/nrcsp/*', function (req, response) {
@@ -35,10 +60,40 @@ module.exports = function (RED) {
 
     const NO_PLAYER_MESSAGE = 'No players found' // from sonos-ts
 
+    // optional: restrict the player lists to the household selected in dialog
+    const householdId = req.query.householdId
+
     switch (req.params[0]) {
+    case 'discoverAllHouseholds':
+      debug('starting discovery')
+      discoverAllHouseholds(TIMEOUT_DISCOVERY)
+        .then((households) => {
+          debug('found households during discovery')
+          response.json(households.map((household) => {
+            const playerNames = household.player.map((item) => item.playerName)
+            return {
+              'label': `${household.householdId} with ${playerNames.join(', ')}`,
+              'value': household.householdId
+            }
+          }))
+        })
+        .catch((error) => {
+          if (isTruthyProperty(error, ['message'])) {
+            if (error.message === NO_PLAYER_MESSAGE) {
+              debug('could not find any player')   
+              response.json({ 'label': 'no player found', 'value': '' })
+              return
+            } 
+          }
+          debug('error discovery >>%s', JSON.stringify(error, Object.getOwnPropertyNames(error)))  
+          const message = (isTruthyProperty(error, ['message']) ? error.message : 'unknown error')
+          response.status(500).json({ 'error': `discovery failed >>${message}` })
+        })
+      break
+
     case 'discoverAllPlayerWithHost':
       debug('starting discovery')
-      discoverAllPlayerWithHost(TIMEOUT_DISCOVERY)
+      discoverAllPlayerWithHost(TIMEOUT_DISCOVERY, householdId)
         .then((playerList) => {
           debug('found player during discovery')
           response.json(playerList)
@@ -57,7 +112,7 @@ module.exports = function (RED) {
     
     case 'discoverAllPlayerWithSerialnumber':
       debug('starting discovery')
-      discoverAllPlayerWithSerialnumber(TIMEOUT_DISCOVERY)
+      discoverAllPlayerWithSerialnumber(TIMEOUT_DISCOVERY, householdId)
         .then((playerList) => {
           debug('found player during discovery')
           response.json(playerList)
@@ -76,7 +131,7 @@ module.exports = function (RED) {
 
     default:
       // eslint-disable-next-line max-len
-      response.json('available endpoints: discoverAllPlayerWithSerialnumber, discoverAllPlayerWithHost')
+      response.json('available endpoints: discoverAllHouseholds, discoverAllPlayerWithSerialnumber, discoverAllPlayerWithHost')
     }   
   })
 
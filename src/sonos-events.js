@@ -0,0 +1,345 @@
+/**
+ * Events node: subscribes to UPnP events of a SONOS player and outputs one message per change.
+ * No polling necessary. Payloads match those of the Universal node.
+ * Optionally detects the TV or line-in input signal and applies the input rule.
+ *
+ * @module Events
+ *
+ * @author Henning Klages
+ *
+ * @since 2022-02-20
+ */
+
+'use strict'
+
+const { PACKAGE_PREFIX, REGEX_IP, REGEX_DNS, REGEX_SERIAL, TIMEOUT_DISCOVERY
+} = require('./Globals.js')
+
+const { discoverSpecificSonosPlayerBySerial } = require('./Discovery.js')
+
+const { getGroupsAll } = require('./Commands.js')
+
+const { failure, parseBrowseToArray, parseEventLastChange, parseZoneGroupToArray
+} = require('./Extensions.js')
+
+const { isTruthyPropertyStringNotEmpty, isTruthyStringNotEmpty } = require('./Helper.js')
+
+const { getInputRuleAction, getInputSignal, restoreInputRule, snapshotInputRule,
+  startInputRule, validatedInputRule } = require('./Input-monitor.js')
+
+const { invalidateTopology, updateTopologyFromEvent } = require('./Topology-cache.js')
+
+const SonosEventSubscriber = require('./Events-base-hk.js')
+
+const { SonosDevice } = require('@svrooij/sonos/lib')
+const Dns = require('dns')
+
+const dnsPromises = Dns.promises
+
+const debug = require('debug')(`${PACKAGE_PREFIX}events`)
+
+module.exports = function (RED) {
+
+  // Services being subscribed to
+  const EVENT_SERVICES = ['AVTransport', 'RenderingControl', 'GroupRenderingControl',
+    'ZoneGroupTopology']
+
+  // Additional service for input detection, key is config inputsource
+  const INPUT_SERVICES = { 'tv': 'DeviceProperties', 'linein': 'AudioIn' }
+  const INPUT_TOPICS = ['tvsignal', 'lineinsignal']
+
+  /**
+   * Create Events node, get valid ip address, subscribe to player events.
+   * @param {object} config current node configuration data
+   */
+  function SonosEventsNode (config) {
+    debug('command:%s', 'SonosEventsNode')
+    const thisFunctionName = 'create and subscribe'
+    RED.nodes.createNode(this, config)
+    const node = this
+    node.status({}) // Clear node status
+    node.subscriber = null
+    node.lastPayloads = {} // key is topic, value JSON payload - used to output only changes
+    node.inputRule = null // see validatedInputRule
+    node.inputSnapshot = null // household snapshot while input rule is active
+    node.inputRuleChain = Promise.resolve() // input rule actions are serialized
+
+    // has to be registered immediately - subscriptions are being created asynchronously
+    node.on('close', (done) => {
+      debug('node closed >>%s', 'events node')
+      if (node.subscriber === null) {
+        done()
+        return
+      }
+      // cache is no longer kept fresh by this node
+      invalidateTopology(node.subscriber.playerUrlObject)
+      node.subscriber.stop()
+        .then(() => done())
+        .catch(() => done())
+    })
+
+    const configNode = RED.nodes.getNode(config.confignode)
+    // volume limits of the input rule are kept per config node
+    node.volumeLimitScope = (configNode !== null ? configNode.id : undefined)
+
+    // port: blank means random port
+    let port = 0
+    if (isTruthyStringNotEmpty(config.port)) {
+      port = parseInt(config.port)
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        failure(node, null,
+          new Error(`${PACKAGE_PREFIX} port >>${config.port} is invalid`), thisFunctionName)
+        return
+      }
+    }
+
+    // input source: blank means no input detection
+    const serviceNames = EVENT_SERVICES.slice()
+    if (isTruthyStringNotEmpty(config.inputsource)) {
+      if (!Object.prototype.hasOwnProperty.call(INPUT_SERVICES, config.inputsource)) {
+        failure(node, null,
+          new Error(`${PACKAGE_PREFIX} input source >>${config.inputsource} is invalid`),
+          thisFunctionName)
+        return
+      }
+      serviceNames.push(INPUT_SERVICES[config.inputsource])
+      try {
+        node.inputRule = validatedInputRule(config.inputplayers, config.inputvolume)
+      } catch (error) {
+        failure(node, null, error, thisFunctionName)
+        return
+      }
+    }
+
+    getValidHostname(configNode)
+      .then((ipv4Address) => {
+        debug('using ip address >>%s', ipv4Address)
+        const playerUrlObject = new URL(`http://${ipv4Address}:1400`)
+        return startSubscriptions(node, playerUrlObject, port, serviceNames)
+      })
+      .then(() => {
+        debug('successfully subscribed - events')
+        node.status({ fill: 'green', shape: 'dot', text: 'ok:subscribed' })
+      })
+      .catch((err) => {
+        debug('subscription failed >>%s', JSON.stringify(err, Object.getOwnPropertyNames(err)))
+        failure(node, null, err, thisFunctionName)
+      })
+  }
+
+  /**
+   * Get the player ipv4 address from config node: ipv4 address, DNS name or serial number.
+   * Same order of processing as in Universal node.
+   * @param {object} configNode config node
+   *
+   * @returns {promise<string>} ipv4 address
+   *
+   * @throws {error} 'serial number/ipv4//DNS name are invalid', ...invalid syntax
+   * @throws {error} all methods
+   */
+  async function getValidHostname (configNode) {
+    debug('method:%s', 'getValidHostname')
+    if (isTruthyPropertyStringNotEmpty(configNode, ['ipaddress'])) {
+      const hostname = configNode.ipaddress
+      if (REGEX_IP.test(hostname)) {
+        return hostname // priority 1
+      }
+      if (REGEX_DNS.test(hostname)) {
+        const ipv4Array = await dnsPromises.resolve4(hostname)
+        return ipv4Array[0] // priority 2
+      }
+      throw new Error(`${PACKAGE_PREFIX} ipv4//DNS name >>${hostname} invalid syntax`)
+    }
+    if (isTruthyPropertyStringNotEmpty(configNode, ['serialnum'])) {
+      const serialNb = configNode.serialnum
+      if (!REGEX_SERIAL.test(serialNb)) {
+        throw new Error(`${PACKAGE_PREFIX} serial number >>${serialNb} invalid syntax`)
+      }
+      return await discoverSpecificSonosPlayerBySerial(serialNb, TIMEOUT_DISCOVERY,
+        configNode.householdId)
+    }
+    throw new Error(`${PACKAGE_PREFIX} serial number/ipv4//DNS name are invalid`)
+  }
+
+  /**
+   * Subscribe to all services and send a message for every changed state.
+   * @param {object} node current node
+   * @param {object} playerUrlObject player JavaScript build-in URL
+   * @param {number} port port of the local http server, 0 means random port
+   * @param {string[]} serviceNames services being subscribed to
+   *
+   * @returns {promise}
+   *
+   * @throws {error} all methods
+   */
+  async function startSubscriptions (node, playerUrlObject, port, serviceNames) {
+    debug('method:%s', 'startSubscriptions')
+    const subscriber = new SonosEventSubscriber(playerUrlObject, port)
+    node.subscriber = subscriber
+
+    subscriber.on('event', (serviceName, properties) => {
+      transformEvent(serviceName, properties, playerUrlObject)
+        .then((messages) => {
+          for (const msg of messages) {
+            // only changes are being send
+            const payloadJson = JSON.stringify(msg.payload)
+            if (node.lastPayloads[msg.topic] !== payloadJson) {
+              node.lastPayloads[msg.topic] = payloadJson
+              node.send(msg)
+              if (INPUT_TOPICS.includes(msg.topic) && node.inputRule !== null) {
+                applyInputRule(node, playerUrlObject, msg.payload === 'on')
+              }
+            }
+          }
+          node.status({ fill: 'green', shape: 'dot', text: 'ok:subscribed' })
+        })
+        .catch((error) => {
+          failure(node, null, error, `event ${serviceName}`)
+        })
+    })
+    subscriber.on('error', (error) => {
+      // subscriber tries to subscribe again
+      debug('subscriber error >>%s', JSON.stringify(error, Object.getOwnPropertyNames(error)))
+      node.status({ fill: 'red', shape: 'dot', text: 'error: subscription - retrying' })
+    })
+
+    await subscriber.start(serviceNames)
+  }
+
+  /**
+   * Apply the input rule to a changed input signal - serialized, no parallel execution.
+   * Sends a message with topic inputrule and payload started|restored - started with
+   * volumeLimitViolations if the volume was clamped.
+   * @param {object} node current node
+   * @param {object} playerUrlObject player JavaScript build-in URL
+   * @param {boolean} isSignalOn true if input is active
+   */
+  function applyInputRule (node, playerUrlObject, isSignalOn) {
+    debug('method:%s', 'applyInputRule')
+    node.inputRuleChain = node.inputRuleChain
+      .then(async () => {
+        const action = getInputRuleAction(isSignalOn, node.inputSnapshot !== null)
+        if (action === 'none') {
+          return
+        }
+        const tsPlayer = new SonosDevice(playerUrlObject.hostname)
+        tsPlayer.urlObject = playerUrlObject
+        tsPlayer.volumeLimitScope = node.volumeLimitScope
+        if (action === 'start') {
+          const violations = []
+          // stored first: a failing regroup is restored with the next signal off
+          node.inputSnapshot = await snapshotInputRule(tsPlayer)
+          await startInputRule(tsPlayer, node.inputRule, violations)
+          const msg = { 'topic': 'inputrule', 'payload': 'started' }
+          if (violations.length > 0) {
+            msg.volumeLimitViolations = violations
+          }
+          node.send(msg)
+        } else {
+          const snapshot = node.inputSnapshot
+          node.inputSnapshot = null
+          await restoreInputRule(tsPlayer, snapshot)
+          node.send({ 'topic': 'inputrule', 'payload': 'restored' })
+        }
+      })
+      .catch((error) => {
+        failure(node, null, error, 'input rule')
+      })
+  }
+
+  /**
+   * Transform the properties of an event into messages.
+   * @param {string} serviceName such as AVTransport
+   * @param {object} properties all properties from the event, see parseEventPropertySet
+   * @param {object} playerUrlObject player JavaScript build-in URL
+   *
+   * @returns {promise<object[]>} array of messages { topic, payload }, may be empty
+   *
+   * @throws {error} all methods
+   */
+  async function transformEvent (serviceName, properties, playerUrlObject) {
+    debug('method:%s', 'transformEvent')
+    const messages = []
+    switch (serviceName) {
+    case 'AVTransport': {
+      if (!isTruthyStringNotEmpty(properties.LastChange)) {
+        break
+      }
+      const stateVariables = await parseEventLastChange(properties.LastChange)
+      if (isTruthyStringNotEmpty(stateVariables.TransportState)) {
+        // same as group.get.playbackstate
+        messages.push({
+          'topic': 'transportstate', 'payload': stateVariables.TransportState.toLowerCase()
+        })
+      }
+      const metadata = stateVariables.CurrentTrackMetaData
+      if (isTruthyStringNotEmpty(metadata) && metadata !== 'NOT_IMPLEMENTED') {
+        const tracks = await parseBrowseToArray(
+          { 'NumberReturned': 1, 'TotalMatches': 1, 'Result': metadata }, 'item')
+        if (tracks.length > 0) {
+          const track = tracks[0]
+          if (track.artUri.startsWith('/getaa')) {
+            track.artUri = playerUrlObject.origin + track.artUri
+          }
+          messages.push({ 'topic': 'track', 'payload': track })
+        }
+      }
+      break
+    }
+    case 'RenderingControl': {
+      if (!isTruthyStringNotEmpty(properties.LastChange)) {
+        break
+      }
+      const stateVariables = await parseEventLastChange(properties.LastChange)
+      if (isTruthyStringNotEmpty(stateVariables.Volume)) {
+        messages.push({ 'topic': 'volume', 'payload': parseInt(stateVariables.Volume) })
+      }
+      if (isTruthyStringNotEmpty(stateVariables.Mute)) {
+        messages.push({
+          'topic': 'mutestate', 'payload': (stateVariables.Mute === '1' ? 'on' : 'off')
+        })
+      }
+      break
+    }
+    case 'GroupRenderingControl': {
+      if (isTruthyStringNotEmpty(properties.GroupVolume)) {
+        messages.push({ 'topic': 'groupvolume', 'payload': parseInt(properties.GroupVolume) })
+      }
+      if (isTruthyStringNotEmpty(properties.GroupMute)) {
+        messages.push({
+          'topic': 'groupmutestate', 'payload': (properties.GroupMute === '1' ? 'on' : 'off')
+        })
+      }
+      break
+    }
+    case 'ZoneGroupTopology': {
+      // same as household.get.groups. Newer firmware may omit ZoneGroupState in events.
+      let groups
+      if (isTruthyStringNotEmpty(properties.ZoneGroupState)) {
+        groups = await parseZoneGroupToArray(properties.ZoneGroupState, true)
+        // keeps the topology cache fresh for all nodes
+        await updateTopologyFromEvent(playerUrlObject, properties.ZoneGroupState)
+      } else {
+        const tsPlayer = new SonosDevice(playerUrlObject.hostname)
+        groups = await getGroupsAll(tsPlayer, true)
+        invalidateTopology(playerUrlObject)
+      }
+      messages.push({ 'topic': 'topology', 'payload': groups })
+      break
+    }
+    case 'DeviceProperties':
+    case 'AudioIn': {
+      const inputMessage = getInputSignal(serviceName, properties)
+      if (inputMessage !== null) {
+        messages.push(inputMessage)
+      }
+      break
+    }
+    default:
+      debug('unsupported service >>%s', serviceName)
+    }
+    return messages
+  }
+
+  RED.nodes.registerType('sonos-events', SonosEventsNode)
+}
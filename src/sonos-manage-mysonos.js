@@ -10,18 +10,23 @@
 
 const {
   PACKAGE_PREFIX, REGEX_ANYCHAR, REGEX_ANYCHAR_BLANK, REGEX_IP, REGEX_DNS,
-  REGEX_SERIAL, ML_REQUESTS_MAXIMUM, TIMEOUT_DISCOVERY, TIMEOUT_HTTP_REQUEST
+  REGEX_SERIAL, ML_REQUESTS_MAXIMUM, ML_SEARCH_REQUESTS_MAXIMUM, TIMEOUT_DISCOVERY,
+  TIMEOUT_HTTP_REQUEST
 } = require('./Globals.js')
 
 const { discoverSpecificSonosPlayerBySerial } = require('./Discovery.js')
 
-const { getMusicLibraryItemsV2, getMySonos
+const { getGroupCurrent, getMusicLibraryItemsV2, getMySonos
 } = require('./Commands.js')
 
-const { failure, decideCreateNodeOn, success, replaceAposColon
+const { browseMusicLibrary, searchMusicLibrary, validatedLibraryQuery
+} = require('./Music-library.js')
+
+const { failure, decideCreateNodeOn, success, replaceAposColon, executeActionV8, getMediaInfo
 } = require('./Extensions.js')
 
-const { isTruthy, isTruthyProperty, isTruthyPropertyStringNotEmpty, validRegex, validToInteger
+const { isTruthy, isTruthyProperty, isTruthyPropertyStringNotEmpty, validRegex, validToInteger,
+  decodeHtmlEntity, encodeHtmlEntity, isTruthyStringNotEmpty
 } = require('./Helper.js')
 
 const { SonosDevice } = require('@svrooij/sonos/lib')
@@ -35,6 +40,7 @@ module.exports = function (RED) {
 
   // function lexical order, ascending
   const COMMAND_TABLE_MYSONOS = {
+    'library.browse': libraryBrowse,
     'library.export.album': libraryExportItem,
     'library.export.artist': libraryExportItem,
     'library.export.playlist': libraryExportItem,
@@ -43,9 +49,13 @@ module.exports = function (RED) {
     'library.get.artists': libraryGetItem,
     'library.get.playlists': libraryGetItem,
     'library.get.tracks': libraryGetItem,
+    'library.search': librarySearch,
+    'mysonos.add.item': mysonosAddItem,
     'mysonos.export.item': mysonosExportItem,
     'mysonos.get.items': mysonosGetItems,
     'mysonos.queue.item': mysonosQueueItem,
+    'mysonos.remove.item': mysonosRemoveItem,
+    'mysonos.rename.item': mysonosRenameItem,
     'mysonos.stream.item': mysonosStreamItem
   }
 
@@ -141,7 +151,8 @@ module.exports = function (RED) {
           thisFunctionName)
         return
       }
-      discoverSpecificSonosPlayerBySerial(configNode.serialnum, TIMEOUT_DISCOVERY)
+      discoverSpecificSonosPlayerBySerial(configNode.serialnum, TIMEOUT_DISCOVERY,
+        configNode.householdId)
         .then((discoveredHost) => {
           debug('found ip address >>%s', discoveredHost)
           const validHost = discoveredHost
@@ -251,6 +262,108 @@ module.exports = function (RED) {
     return COMMAND_TABLE_MYSONOS[command](msg, tsPlayer)
   }
 
+  /** Find My Sonos favorite by exact title or by id such as FV:2/5.
+   * SONOS-Playlists are not included - see household.*.sonosplaylist in Universal node.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {string} titleOrId exact title (case sensitive) or id
+   *
+   * @returns {promise<object>} first matching My Sonos item
+   *
+   * @throws {error} 'no My Sonos favorite matching >>'
+   * @throws {error} all methods
+   */
+  async function findMySonosFavorite (tsPlayer, titleOrId) {
+    debug('method:%s', 'findMySonosFavorite')
+    const mySonosItems = await getMySonos(tsPlayer)
+    const found = mySonosItems.find((item) => {
+      return (item.id.startsWith('FV:2/') && (item.id === titleOrId || item.title === titleOrId))
+    })
+    if (found === undefined) {
+      throw new Error(`${PACKAGE_PREFIX} no My Sonos favorite matching >>${titleOrId}`)
+    }
+    return found
+  }
+
+  /** Get uri and metadata of the current track of a group - the stream if not playing a queue.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {string} playerName SONOS-Playername, '' means tsPlayer
+   *
+   * @returns {promise<object>} {uri, metadata} metadata html entity encoded DIDL-Lite
+   *
+   * @throws {error} 'group is not playing anything'
+   * @throws {error} all methods
+   */
+  async function getCurrentTrackExport (tsPlayer, playerName) {
+    debug('method:%s', 'getCurrentTrackExport')
+    const groupData = await getGroupCurrent(tsPlayer, playerName)
+    const coordinatorUrlObject = groupData.members[0].urlObject
+    // Caution: metadata as string not as object
+    const mediaData = await getMediaInfo(coordinatorUrlObject)
+    let uri = mediaData.CurrentURI
+    let metadata = mediaData.CurrentURIMetaData
+    if (isTruthyStringNotEmpty(uri) && uri.startsWith('x-rincon-queue:')) {
+      const positionData = await executeActionV8(coordinatorUrlObject,
+        '/MediaRenderer/AVTransport/Control', 'GetPositionInfo', { 'InstanceID': 0 })
+      uri = positionData.TrackURI
+      metadata = positionData.TrackMetaData
+    }
+    if (!isTruthyStringNotEmpty(uri)) {
+      throw new Error(`${PACKAGE_PREFIX} group is not playing anything`)
+    }
+    return { uri, 'metadata': (isTruthyStringNotEmpty(metadata) ? metadata : '') }
+  }
+
+  /** Get the My Sonos favorite DIDL-Lite (used by CreateObject) of an exported item.
+   * @param {string} title title of favorite
+   * @param {string} uri uri - plain or already html entity encoded such as &amp;
+   * @param {string} metadata html entity encoded DIDL-Lite, may be empty
+   *
+   * @returns {promise<string>} DIDL-Lite, not encoded
+   *
+   * @throws {error} all methods
+   */
+  async function getFavoriteDidl (title, uri, metadata) {
+    debug('method:%s', 'getFavoriteDidl')
+    // protocolInfo of the original item, if provided
+    let protocolInfo = '*:*:*:*'
+    if (metadata !== '') {
+      const found = /<res protocolInfo="([^"]*)"/.exec(await decodeHtmlEntity(metadata))
+      if (found !== null) {
+        protocolInfo = found[1]
+      }
+    }
+    // decode first: encoding an already encoded uri would result in &amp;amp;
+    const encodedUri = await encodeHtmlEntity(await decodeHtmlEntity(uri))
+    return '<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/"'
+      + ' xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/"'
+      + ' xmlns:r="urn:schemas-rinconnetworks-com:metadata-1-0/"'
+      + ' xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">'
+      + '<item id="" parentID="FV:2" restricted="false">'
+      + `<dc:title>${await encodeHtmlEntity(title)}</dc:title>`
+      + '<upnp:class>object.itemobject.item.sonos-favorite</upnp:class>'
+      + '<r:ordinal>-1</r:ordinal>'
+      + `<res protocolInfo="${protocolInfo}">${encodedUri}</res>`
+      + '<r:type>instantPlay</r:type>'
+      + `<r:resMD>${metadata}</r:resMD>`
+      + '</item></DIDL-Lite>'
+  }
+
+  /** Get the title from metadata.
+   * @param {string} metadata html entity encoded DIDL-Lite, may be empty
+   *
+   * @returns {promise<string>} title, '' if not found
+   *
+   * @throws {error} all methods
+   */
+  async function getTitleFromMetadata (metadata) {
+    debug('method:%s', 'getTitleFromMetadata')
+    if (metadata === '') {
+      return ''
+    }
+    const found = /<dc:title>([^<]+)<\/dc:title>/.exec(await decodeHtmlEntity(metadata))
+    return (found === null ? '' : decodeHtmlEntity(found[1]))
+  }
+
   //
   //                                          COMMANDS
   //
@@ -263,6 +376,28 @@ module.exports = function (RED) {
    * @property {boolean} queue true means use AddURI otherwise SetAVTransport
    */
 
+  /**  Outputs the children of a Music-Library object (container) such as genres, albums, tracks
+   * or folders of a share - one level, with paging.
+   * @param {object} msg incoming message
+   * @param {string} [msg.payload = 'A:'] object id such as A:, A:ARTIST, A:ARTIST/Miles%20Davis,
+   * A:ALBUM:Blue (search), S://nas/music - usually the id of a child from a previous browse
+   * @param {number|string} [msg.offset = 0] first child
+   * @param {number|string} [msg.limit = 100] maximum number of children, 1 .. 1000
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise} {payload: { objectId, total, offset, items }}
+   * items: array of objects: id, type (container or item), title, upnpClass, uri, metadata, ..
+   * uri, metadata and queue true can be used in group.play.export (if uri is not empty)
+   *
+   * @throws {error} all methods
+   */
+  async function libraryBrowse (msg, tsPlayer) {
+    debug('command:%s', 'libraryBrowse')
+    const objectId = (msg.payload === undefined || msg.payload === '' ? undefined : msg.payload)
+    const payload = await browseMusicLibrary(tsPlayer, objectId, msg.offset, msg.limit)
+    return { payload }
+  }
+
   /**  Exports  first matching playlist, album, artist, track from Music Library 
    * @param {object} msg incoming message
    * @param {string} msg.payload search string, part of item title
@@ -355,6 +490,71 @@ module.exports = function (RED) {
     return { payload }
   }
   
+  /**  Search the Music-Library with filters, sorting and paging.
+   * @param {object} msg incoming message
+   * @param {object} msg.payload query such as { category: 'albums', artist: 'Miles Davis',
+   * sort: '-year', limit: 10 } - see validatedLibraryQuery
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise} {payload: { total, offset, limit, complete, items }}
+   * items: array of objects: id, uri, metadata, title, artist, album, year, ...
+   * complete is false if the request limit was reached
+   *
+   * @throws {error} all methods
+   */
+  async function librarySearch (msg, tsPlayer) {
+    debug('command:%s', 'librarySearch')
+    const validQuery = validatedLibraryQuery(msg.payload)
+    const payload = await searchMusicLibrary(tsPlayer, validQuery, ML_SEARCH_REQUESTS_MAXIMUM)
+    return { payload }
+  }
+
+  /**  Add an exported item or the current track of a group to My Sonos (as favorite).
+   * @param {object} msg incoming message
+   * @param {exportedItem} [msg.payload] exported item such as from mysonos.export.item
+   * or library.export.* - if missing the current track of the group is used
+   * @param {string} [msg.title] title of favorite - default is title from metadata
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername, only for current track
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {payload: {id, title}} id of new favorite such as FV:2/12
+   *
+   * @throws {error} 'uri is missing', 'title is missing', 'group is not playing anything'
+   * @throws {error} all methods
+   */
+  async function mysonosAddItem (msg, tsPlayer) {
+    debug('command:%s', 'mysonosAddItem')
+    let exportData
+    if (isTruthyProperty(msg, ['payload'])) {
+      if (!isTruthyPropertyStringNotEmpty(msg.payload, ['uri'])) {
+        throw new Error(`${PACKAGE_PREFIX} uri is missing`)
+      }
+      exportData = {
+        'uri': msg.payload.uri,
+        'metadata': (isTruthyStringNotEmpty(msg.payload.metadata) ? msg.payload.metadata : '')
+      }
+    } else {
+      const playerName = validRegex(msg, 'playerName', REGEX_ANYCHAR, 'player name', '')
+      exportData = await getCurrentTrackExport(tsPlayer, playerName)
+    }
+
+    let title = validRegex(msg, 'title', REGEX_ANYCHAR, 'title', '')
+    if (title === '') {
+      title = await getTitleFromMetadata(exportData.metadata)
+      if (title === '') {
+        throw new Error(`${PACKAGE_PREFIX} title is missing`)
+      }
+    }
+
+    // Elements is DIDL-Lite and has to be encoded as argument value
+    const didl = await getFavoriteDidl(title, exportData.uri, exportData.metadata)
+    const result = await tsPlayer.ContentDirectoryService.CreateObject({
+      'ContainerID': 'FV:2', 'Elements': await encodeHtmlEntity(didl)
+    })
+
+    return { 'payload': { 'id': result.ObjectID, title } }
+  }
+
   /**  Export first My-Sonos item matching search string.
    * @param {object} msg incoming message
    * @param {string} msg.payload search string
@@ -453,6 +653,56 @@ module.exports = function (RED) {
     return {}
   }
 
+  /**  Remove My Sonos favorite with given title or id.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload exact title (case sensitive) or id such as FV:2/12
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise} {}
+   *
+   * @throws {error} 'no My Sonos favorite matching >>'
+   * @throws {error} all methods
+   */
+  async function mysonosRemoveItem (msg, tsPlayer) {
+    debug('command:%s', 'mysonosRemoveItem')
+    // payload title or id is required.
+    const validTitleOrId = validRegex(msg, 'payload', REGEX_ANYCHAR, 'title or id')
+    const favorite = await findMySonosFavorite(tsPlayer, validTitleOrId)
+    await tsPlayer.ContentDirectoryService.DestroyObject({ 'ObjectID': favorite.id })
+
+    return {}
+  }
+
+  /**  Rename My Sonos favorite with given title or id.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload exact title (case sensitive) or id such as FV:2/12
+   * @param {string} msg.newTitle new title
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise} {}
+   *
+   * @throws {error} 'no My Sonos favorite matching >>'
+   * @throws {error} all methods
+   */
+  async function mysonosRenameItem (msg, tsPlayer) {
+    debug('command:%s', 'mysonosRenameItem')
+    // payload title or id and new title are required.
+    const validTitleOrId = validRegex(msg, 'payload', REGEX_ANYCHAR, 'title or id')
+    const validNewTitle = validRegex(msg, 'newTitle', REGEX_ANYCHAR, 'new title')
+    const favorite = await findMySonosFavorite(tsPlayer, validTitleOrId)
+
+    // tag values are xml (titles encoded) and are encoded again as argument values
+    const currentTag = `<dc:title>${await encodeHtmlEntity(favorite.title)}</dc:title>`
+    const newTag = `<dc:title>${await encodeHtmlEntity(validNewTitle)}</dc:title>`
+    await tsPlayer.ContentDirectoryService.UpdateObject({
+      'ObjectID': favorite.id,
+      'CurrentTagValue': await encodeHtmlEntity(currentTag),
+      'NewTagValue': await encodeHtmlEntity(newTag)
+    })
+
+    return {}
+  }
+
   /** Stream (aka play) first My-Sonos item matching search string.
    * @param {object} msg incoming message
    * @param {string} msg.payload search string
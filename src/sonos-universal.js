@@ -11,37 +11,107 @@
 'use strict'
 
 const { PACKAGE_PREFIX, REGEX_ANYCHAR, REGEX_CSV, REGEX_HTTP, REGEX_IP, REGEX_DNS,
-  REGEX_QUEUEMODES, REGEX_RADIO_ID, REGEX_SERIAL, REGEX_TIME,
+  REGEX_QUEUEMODES, REGEX_RADIO_ID, REGEX_RAMP_CURVES, REGEX_SERIAL, REGEX_TIME,
   REGEX_TIME_DELTA, TIMEOUT_DISCOVERY, TIMEOUT_HTTP_REQUEST,
-  ML_REQUESTS_MAXIMUM, QUEUE_REQUESTS_MAXIMUM,
-  ERROR_NOT_FOUND_BY_SERIAL, REGEX_ALBUMARTISTDISPLAY
+  ML_REQUESTS_MAXIMUM, QUEUE_REORDER_REQUESTS_MAXIMUM, QUEUE_REQUESTS_MAXIMUM,
+  ERROR_NOT_FOUND_BY_SERIAL, REGEX_ALBUMARTISTDISPLAY, REGEX_LANGUAGE, REGEX_TTS_FILE
 } = require('./Globals.js')
 
-const { discoverSpecificSonosPlayerBySerial } = require('./Discovery.js')
+const { discoverSpecificSonosPlayerBySerial, discoverSpecificSonosPlayerByUuid
+} = require('./Discovery.js')
 
 const { createGroupSnapshot, getGroupCurrent, getGroupsAll, getSonosPlaylists, getSonosQueueV2,
-  playGroupNotification, playJoinerNotification, restoreGroupSnapshot, getAlarmsAll, getMySonos,
-  getMusicLibraryItemsV2, getSonosPlaylistTracks, setVolumeOnMembers
+  restoreGroupSnapshot, getAlarmsAll, getMySonos,
+  getMusicLibraryItemsV2, getSonosPlaylistTracks, setVolumeOnMembers, getAlarm, getAlarmArguments,
+  createGroup, createHouseholdSnapshot, restoreHouseholdSnapshot, executeGroupPlan, getGroupNames,
+  planCreateGroup, cancelWindDown, windDownGroup
 } = require('./Commands.js')
 
-const { executeActionV8, failure, getDeviceInfo, getDeviceProperties,
-  getMusicServiceId, getMusicServiceName, getRadioId, decideCreateNodeOn,
-  success, validatedGroupProperties, replaceAposColon, getDeviceBatteryLevel
+const { queueGroupNotification, queueJoinerNotification } = require('./Notification-queue.js')
+
+const { executeActionV8, failure, getDeviceInfo, getDeviceProperties, isConnectionError,
+  getMusicServiceId, getMusicServiceName, getMusicServiceSerial, getRadioId, decideCreateNodeOn,
+  success, validatedGroupProperties, replaceAposColon, getDeviceBatteryLevel,
+  validatedAlarmProperties, validatedSnapshotOptions, checkSnapshotTopology
 } = require('./Extensions.js')
 
 const { isOnOff, isTruthy, isTruthyProperty, isTruthyPropertyStringNotEmpty, validRegex,
-  validToInteger, encodeHtmlEntity
+  validToInteger, validToPosition, encodeHtmlEntity, getLocalIpv4Address, isTruthyStringNotEmpty,
+  hhmmss2msec
 } = require('./Helper.js')
 
+const { renderTts, validatedTtsProvider } = require('./Tts.js')
+
+const { getMediaUrl, getMimeType, isLocalFilePath } = require('./Media-server.js')
+
+const { deleteSnapshot, listSnapshots, loadSnapshot, saveSnapshot
+} = require('./Snapshot-store.js')
+
+const { getHouseholdId, invalidateTopology } = require('./Topology-cache.js')
+
+const { isGroupInPlace, validatedScene } = require('./Scene.js')
+
+const { getShareData, parseShareLink } = require('./Share-link.js')
+
+const { cancelRamps, getVolumeLimits, limitVolume, rampGroupVolume, rampPlayerVolume,
+  setGroupVolume, setPlayerVolume, setVolumeLimits } = require('./Volume.js')
+
 const { SonosDevice, MetaDataHelper } = require('@svrooij/sonos/lib')
 const Dns = require('dns')
+const path = require('path')
+const os = require('os')
 
 const dnsPromises = Dns.promises
 
 const debug = require('debug')(`${PACKAGE_PREFIX}universal`)
 
 module.exports = function (RED) {
+
+  // Rendered TTS files, served at /nrcsp-tts/
+  const TTS_CACHE_DIRECTORY = path.join(RED.settings.userDir || os.homedir(), 'nrcsp-tts')
+
+  // Named snapshots, see group.save.snap
+  const SNAPSHOT_FILE = path.join(RED.settings.userDir || os.homedir(), 'nrcsp-snapshots.json')
   
+  // Commands changing the group topology - the topology cache is invalidated afterwards
+  const TOPOLOGY_COMMANDS = ['coordinator.delegate', 'household.apply.scene',
+    'household.create.group', 'household.create.stereopair', 'household.execute.plan',
+    'household.restore.snap', 'household.separate.group', 'household.separate.stereopair',
+    'joiner.play.notification', 'player.become.standalone', 'player.join.group',
+    'player.play.avtransport', 'player.play.linein', 'player.play.tv']
+
+  // Commands being processed once more after rediscovery of the player: only commands that
+  // do not change anything or set an absolute value. Others such as queue and notification
+  // commands might have been executed partially. Additionally all get, list and player.set
+  const RETRY_COMMANDS = ['group.create.snap', 'group.create.volumesnap', 'group.pause',
+    'group.play', 'group.seek', 'group.set.crossfade', 'group.set.mutestate',
+    'group.set.queuemode', 'group.set.sleeptimer', 'group.set.volume', 'group.stop',
+    'household.plan.group', 'household.test.player']
+  const REGEX_RETRY_COMMANDS = /^(group|household|player)\.(get|list)\.|^player\.set\./
+
+  // SONOS uris being played directly (radio, line-in, TV) - all others are queued
+  const REGEX_STREAM_URI
+    = /^(x-rincon-(mp3radio|stream)|x-sonosapi-(stream|radio|hls)|x-sonos-htastream):/
+
+  // Home theater settings (RenderingControl EQ), key is last part of command player.get.xxx
+  // onOff: 1|0 is on|off, modes: value is index, otherwise integer min .. max
+  const HT_SETTINGS = {
+    'audiodelay': { 'eqType': 'AudioDelay', 'min': 0, 'max': 5 },
+    'dialoglevel': { 'eqType': 'DialogLevel', 'onOff': true },
+    'heightlevel': { 'eqType': 'HeightChannelLevel', 'min': -10, 'max': 10 },
+    'nightmode': { 'eqType': 'NightMode', 'onOff': true },
+    'subcrossover': { 'eqType': 'SubCrossover', 'min': 50, 'max': 110 },
+    'subenable': { 'eqType': 'SubEnable', 'onOff': true },
+    'subgain': { 'eqType': 'SubGain', 'min': -15, 'max': 15 },
+    'subpolarity': { 'eqType': 'SubPolarity', 'modes': ['normal', 'inverted'] },
+    'surroundenable': { 'eqType': 'SurroundEnable', 'onOff': true },
+    'surroundlevel': { 'eqType': 'SurroundLevel', 'min': -15, 'max': 15 },
+    'surroundmode': { 'eqType': 'SurroundMode', 'modes': ['ambient', 'full'] }
+  }
+
+  // Autoplay source of the TV input, see player.play.tv
+  const HT_AUTOPLAY_SOURCE = 'spdif'
+
   // Function lexical order, ascending
   const COMMAND_TABLE_UNIVERSAL = {
     'coordinator.delegate': coordinatorDelegateCoordination,
@@ -50,6 +120,7 @@ module.exports = function (RED) {
     'group.clear.queue': groupClearQueue,
     'group.create.snap': groupCreateSnapshot,
     'group.create.volumesnap': groupCreateVolumeSnapshot,
+    'group.dedupe.queue': groupDedupeQueue,
     'group.get.actions': groupGetTransportActions,
     'group.get.crossfade': groupGetCrossfadeMode,
     'group.get.members': groupGetMembers,
@@ -61,6 +132,8 @@ module.exports = function (RED) {
     'group.get.state': groupGetState,
     'group.get.trackplus': groupGetTrackPlus,
     'group.get.volume': groupGetVolume,
+    'group.insert.uri': groupInsertUri,
+    'group.move.tracks': groupMoveTracks,
     'group.next.track': groupNextTrack,
     'group.pause': groupPause,
     'group.play': groupPlay,
@@ -72,21 +145,27 @@ module.exports = function (RED) {
     'group.play.mysonos': groupPlayMySonos,
     'group.play.notification': groupPlayNotification,
     'group.play.queue': groupPlayQueue,
+    'group.play.share': groupPlayShare,
     'group.play.snap': groupPlaySnapshot,
     'group.play.sonosplaylist': groupPlaySonosPlaylist,
     'group.play.streamhttp': groupPlayStreamHttp,
     'group.play.track': groupPlayTrack,
+    'group.play.tts': groupPlayTts,
     'group.play.tunein': groupPlayTuneIn,
     'group.previous.track': groupPreviousTrack,
     'group.queue.library.playlist': groupQueueLibraryItem,
     'group.queue.library.album': groupQueueLibraryItem,
     'group.queue.library.artist': groupQueueLibraryItem,
     'group.queue.library.track': groupQueueLibraryItem,
+    'group.queue.share': groupQueueShare,
     'group.queue.sonosplaylist': groupQueueSonosPlaylist,
     'group.queue.uri': groupQueueUri,
     'group.queue.urispotify': groupQueueUriFromSpotify,
+    'group.ramp.volume': groupRampVolume,
     'group.remove.tracks': groupRemoveTracks,
+    'group.restore.snap': groupRestoreSnapshot,
     'group.save.queue': groupSaveQueueToSonosPlaylist,
+    'group.save.snap': groupSaveSnapshot,
     'group.seek': groupSeek,
     'group.seek.delta': groupSeekDelta,
     'group.set.crossfade': groupSetCrossfade,
@@ -94,29 +173,52 @@ module.exports = function (RED) {
     'group.set.queuemode': groupSetQueuemode,
     'group.set.sleeptimer': groupSetSleeptimer,
     'group.set.volume': groupSetVolume,
+    'group.set.windown': groupSetWindDown,
+    'group.shuffle.queue': groupShuffleQueue,
     'group.stop': groupStop,
     'group.toggle.playback': groupTogglePlayback,
+    'household.add.sonosplaylisttracks': householdAddSonosPlaylistTracks,
+    'household.apply.scene': householdApplyScene,
+    'household.copy.alarm': householdCopyAlarm,
+    'household.create.alarm': householdCreateAlarm,
     'household.create.group': householdCreateGroup,
+    'household.create.snap': householdCreateSnapshot,
+    'household.create.sonosplaylist': householdCreateSonosPlaylist,
     'household.create.stereopair': householdCreateStereoPair,
+    'household.delete.alarm': householdDeleteAlarm,
+    'household.delete.snap': householdDeleteSnapshot,
     'household.disable.alarm': householdDisableAlarm,
     'household.enable.alarm': householdEnableAlarm,
+    'household.execute.plan': householdExecutePlan,
     'household.get.alarms': householdGetAlarms,
     'household.get.musiclibrary.options': householdGetMusicLibraryAlbumArtistDisplayOption,
+    'household.get.musicservices': householdGetMusicServices,
     'household.get.groups': householdGetGroups,
     'household.get.sonosplaylists': householdGetSonosPlaylists,
     'household.get.sonosplaylisttracks': householdGetSonosPlaylistTracks,
+    'household.get.volumelimits': householdGetVolumeLimits,
+    'household.list.snaps': householdListSnapshots,
+    'household.move.sonosplaylisttrack': householdMoveSonosPlaylistTrack,
+    'household.plan.group': householdPlanGroup,
     'household.remove.sonosplaylist': householdRemoveSonosPlaylist,
+    'household.remove.sonosplaylisttracks': householdRemoveSonosPlaylistTracks,
+    'household.rename.sonosplaylist': householdRenameSonosPlaylist,
+    'household.restore.snap': householdRestoreSnapshot,
     'household.separate.group': householdSeparateGroup,
     'household.separate.stereopair': householdSeparateStereoPair,
+    'household.set.volumelimits': householdSetVolumeLimits,
     'household.test.player': householdTestPlayerOnline,
+    'household.update.alarm': householdUpdateAlarm,
     'household.update.musiclibrary': householdMusicLibraryUpdate,
     'joiner.play.notification': joinerPlayNotification,
     'player.adjust.volume': playerAdjustVolume,
     'player.become.standalone': playerBecomeStandalone,
+    'player.get.audiodelay': playerGetEq,
     'player.get.bass': playerGetBass,
     'player.get.batterylevel': playerGetBatteryLevel,
     'player.get.buttonlockstate': playerGetButtonLockState,
     'player.get.dialoglevel': playerGetEq,
+    'player.get.heightlevel': playerGetEq,
     'player.get.led': playerGetLed,
     'player.get.loudness': playerGetLoudness,
     'player.get.mutestate': playerGetMute,
@@ -124,22 +226,41 @@ module.exports = function (RED) {
     'player.get.properties': playerGetProperties,
     'player.get.queue': playerGetQueue,
     'player.get.role': playerGetRole,
+    'player.get.subcrossover': playerGetEq,
+    'player.get.subenable': playerGetEq,
     'player.get.subgain': playerGetEq,
+    'player.get.subpolarity': playerGetEq,
+    'player.get.surroundenable': playerGetEq,
+    'player.get.surroundlevel': playerGetEq,
+    'player.get.surroundmode': playerGetEq,
     'player.get.treble': playerGetTreble,
+    'player.get.tvautoplay': playerGetTvAutoplay,
+    'player.get.tvautoplayungroup': playerGetTvAutoplay,
     'player.get.volume': playerGetVolume,
     'player.join.group': playerJoinGroup,
     'player.play.avtransport': playerPlayAvtransport,
     'player.play.linein': playerPlayLineIn,
     'player.play.tv': playerPlayTv,
+    'player.ramp.volume': playerRampVolume,
+    'player.set.audiodelay': playerSetEQ,
     'player.set.bass': playerSetBass,
     'player.set.buttonlockstate': playerSetButtonLockState,
     'player.set.dialoglevel': playerSetEQ,
+    'player.set.heightlevel': playerSetEQ,
     'player.set.led': playerSetLed,
     'player.set.loudness': playerSetLoudness,
     'player.set.mutestate': playerSetMute,
     'player.set.nightmode': playerSetEQ,
+    'player.set.subcrossover': playerSetEQ,
+    'player.set.subenable': playerSetEQ,
     'player.set.subgain': playerSetEQ,
+    'player.set.subpolarity': playerSetEQ,
+    'player.set.surroundenable': playerSetEQ,
+    'player.set.surroundlevel': playerSetEQ,
+    'player.set.surroundmode': playerSetEQ,
     'player.set.treble': playerSetTreble,
+    'player.set.tvautoplay': playerSetTvAutoplay,
+    'player.set.tvautoplayungroup': playerSetTvAutoplay,
     'player.set.volume': playerSetVolume,
     'player.test': playerTest,
     'player.execute.action.v8': playerDirectAction8  // hidden
@@ -157,6 +278,7 @@ module.exports = function (RED) {
     node.status({}) // Clear node status
     
     const configNode = RED.nodes.getNode(config.confignode)
+    node.configNode = configNode // some commands use config node data such as TTS provider
 
     // Order of processing of the two fields ip/dns field versus serial number field:
     // 1. ipv4 address entered and syntax is valid
@@ -190,25 +312,15 @@ module.exports = function (RED) {
           config.avoidCheckPlayerAvailability)
           .then((createNodeOn) => {
             if (createNodeOn) {
-              // subscribe and set processing function
-              node.on('input', (msg) => {
-                debug('msg received >>%s', 'universal node')
-                processInputMsg(node, config, msg, playerUrlObject.hostname)
-                // processInputMsg sets msg.nrcspCmd to current command
-                  .then((msgUpdate) => {
-                    Object.assign(msg, msgUpdate) // Defines the output message
-                    success(node, msg, msg.nrcspCmd)
-                  })
-                  .catch((error) => {
-                    let lastFunction = 'processInputMsg'
-                    if (msg.nrcspCmd && typeof msg.nrcspCmd === 'string') {
-                      lastFunction = msg.nrcspCmd
-                    }
-                    failure(node, msg, error, lastFunction)
-                  })
-              })
-              debug('successfully subscribed - node.on')
-              node.status({ fill: 'green', shape: 'dot', text: 'ok:ready' })
+              subscribeInputMsg(node, config, playerUrlObject.hostname)
+              // uuid is needed to rediscover the player after ip address change
+              getDeviceInfo(playerUrlObject, TIMEOUT_HTTP_REQUEST)
+                .then((deviceInfo) => {
+                  node.playerUuid = deviceInfo.device.id
+                })
+                .catch(() => {
+                  debug('uuid not available - rediscovery only by DNS name')
+                })
             } else {
               debug('device not reachable/rejected')
               node.status({
@@ -239,31 +351,11 @@ module.exports = function (RED) {
         return
       }
 
-      discoverSpecificSonosPlayerBySerial(serialNb, TIMEOUT_DISCOVERY)
+      discoverSpecificSonosPlayerBySerial(serialNb, TIMEOUT_DISCOVERY,
+        configNode.householdId)
         .then((discoveredHost) => {
           debug('found ip address >>%s', discoveredHost)
-          const validHost = discoveredHost
-          
-          // subscribe and set processing function
-          node.on('input', (msg) => {
-            debug('msg received >>%s', 'universal node')
-            processInputMsg(node, config, msg, validHost)
-              // processInputMsg sets msg.nrcspCmd to current command
-              .then((msgUpdate) => {
-                Object.assign(msg, msgUpdate) // Defines the output message
-                success(node, msg, msg.nrcspCmd)
-              })
-              .catch((error) => {
-                let lastFunction = 'processInputMsg'
-                if (msg.nrcspCmd && typeof msg.nrcspCmd === 'string') {
-                  lastFunction = msg.nrcspCmd
-                }
-                failure(node, msg, error, lastFunction)
-              })
-          })
-          debug('successfully subscribed - node.on')
-          node.status({ fill: 'green', shape: 'dot', text: 'ok:ready' })
-
+          subscribeInputMsg(node, config, discoveredHost)
         })
         .catch((err) => {
           // discovery failed - most likely because could not find any matching player
@@ -283,6 +375,126 @@ module.exports = function (RED) {
     }
   }
 
+  /**
+   * Store the player host and subscribe to messages.
+   * @param {object} node current node
+   * @param {object} config current node configuration
+   * @param {string} urlHost host of SONOS player such as 192.168.178.37
+   * 
+   * node.playerHost is being updated if the player got a new ip address.
+   */
+  function subscribeInputMsg (node, config, urlHost) {
+    debug('command:%s', 'subscribeInputMsg')
+    node.playerHost = urlHost
+    node.on('input', (msg) => {
+      debug('msg received >>%s', 'universal node')
+      processInputMsgWithRediscovery(node, config, msg)
+        // processInputMsg sets msg.nrcspCmd to current command
+        .then((msgUpdate) => {
+          Object.assign(msg, msgUpdate) // Defines the output message
+          success(node, msg, msg.nrcspCmd)
+        })
+        .catch((error) => {
+          let lastFunction = 'processInputMsg'
+          if (msg.nrcspCmd && typeof msg.nrcspCmd === 'string') {
+            lastFunction = msg.nrcspCmd
+          }
+          failure(node, msg, error, lastFunction)
+        })
+    })
+    debug('successfully subscribed - node.on')
+    node.status({ fill: 'green', shape: 'dot', text: 'ok:ready' })
+  }
+
+  /**
+   * Process message and in case of a connection error rediscover the player. 
+   * If the player got a new ip address the message is processed once more - but only if
+   * the command was not yet started or is in RETRY_COMMANDS.
+   * @param {object} node current node, with .playerHost
+   * @param {object} config current node configuration
+   * @param {object} msg incoming message
+   *
+   * @returns {promise} see processInputMsg
+   *
+   * @throws {error} all methods
+   */
+  async function processInputMsgWithRediscovery (node, config, msg) {
+    debug('command:%s', 'processInputMsgWithRediscovery')
+    const usedHost = node.playerHost
+    delete msg.nrcspCmd // set by processInputMsg before the command is started
+    try {
+      return await processInputMsg(node, config, msg, usedHost)
+    } catch (error) {
+      if (!isConnectionError(error)) {
+        throw error
+      }
+      if (msg.nrcspCmd !== undefined && !RETRY_COMMANDS.includes(msg.nrcspCmd)
+        && !REGEX_RETRY_COMMANDS.test(msg.nrcspCmd)) {
+        throw error // might have been executed partially
+      }
+      let newHost
+      try {
+        newHost = await rediscoverPlayerHost(node)
+      } catch (rediscoveryError) {
+        debug('rediscovery failed >>%s', rediscoveryError.message)
+        throw error // the original error is more meaningful
+      }
+      if (newHost === usedHost) {
+        throw error
+      }
+      return processInputMsg(node, config, msg, newHost)
+    }
+  }
+
+  /**
+   * Rediscover the player - by DNS name, serial number or uuid. Updates node.playerHost
+   * and node status if the ip address changed. Concurrent calls share one rediscovery.
+   * @param {object} node current node, with .configNode, .playerHost, .playerUuid
+   *
+   * @returns {promise<string>} the current host of the player such as 192.168.178.38
+   *
+   * @throws {error} 'rediscovery not possible - player uuid unknown'
+   * @throws {error} all methods
+   */
+  function rediscoverPlayerHost (node) {
+    debug('command:%s', 'rediscoverPlayerHost')
+    if (node.rediscovery !== undefined) {
+      return node.rediscovery
+    }
+    node.status({ fill: 'yellow', shape: 'ring', text: 'rediscovering player' })
+    node.rediscovery = (async function () {
+      const configNode = node.configNode
+      const hostname = (isTruthyPropertyStringNotEmpty(configNode, ['ipaddress'])
+        ? configNode.ipaddress : '')
+      let newHost
+      if (hostname !== '' && !REGEX_IP.test(hostname)) {
+        const ipv4Array = await dnsPromises.resolve4(hostname)
+        newHost = ipv4Array[0]
+      } else if (isTruthyStringNotEmpty(node.playerUuid)) {
+        newHost = await discoverSpecificSonosPlayerByUuid(node.playerUuid,
+          TIMEOUT_DISCOVERY, configNode.householdId)
+      } else if (isTruthyPropertyStringNotEmpty(configNode, ['serialnum'])) {
+        newHost = await discoverSpecificSonosPlayerBySerial(configNode.serialnum,
+          TIMEOUT_DISCOVERY, configNode.householdId)
+      } else {
+        throw new Error(`${PACKAGE_PREFIX} rediscovery not possible - player uuid unknown`)
+      }
+      if (newHost !== node.playerHost) {
+        // both ip addresses might now belong to other players
+        invalidateTopology(new URL(`http://${node.playerHost}:1400`))
+        invalidateTopology(new URL(`http://${newHost}:1400`))
+        node.warn(`player moved from ${node.playerHost} to ${newHost}`)
+        node.status({ fill: 'yellow', shape: 'dot', text: `ok:player moved to ${newHost}` })
+        node.playerHost = newHost
+      }
+      return newHost
+    })()
+      .finally(() => {
+        delete node.rediscovery
+      })
+    return node.rediscovery
+  }
+
   /**
    * Validate sonos player object, command and dispatch further.
    * @param {object} node current node
@@ -312,6 +524,17 @@ module.exports = function (RED) {
     }
     // needed for my extension in Extensions
     tsPlayer.urlObject = new URL(`http://${tsPlayer.host}:${tsPlayer.port}`)
+    // volume limits are kept per config node
+    tsPlayer.volumeLimitScope = node.configNode.id
+
+    // several households in network: refuse player of any other household
+    if (isTruthyPropertyStringNotEmpty(node.configNode, ['householdId'])) {
+      const householdId = await getHouseholdId(tsPlayer.urlObject)
+      if (householdId !== node.configNode.householdId) {
+        // eslint-disable-next-line max-len
+        throw new Error(`${PACKAGE_PREFIX} player >>${urlHost} belongs to household >>${householdId} not to >>${node.configNode.householdId}`)
+      }
+    }
     
     // Command, required: node dialog overrules msg, store lowercase version in msg.nrcspCmd
     let command
@@ -351,7 +574,335 @@ module.exports = function (RED) {
       }
     }
 
-    return COMMAND_TABLE_UNIVERSAL[msg.nrcspCmd](msg, tsPlayer)
+    if (!TOPOLOGY_COMMANDS.includes(msg.nrcspCmd)) {
+      return COMMAND_TABLE_UNIVERSAL[msg.nrcspCmd](msg, tsPlayer, node)
+    }
+    try {
+      return await COMMAND_TABLE_UNIVERSAL[msg.nrcspCmd](msg, tsPlayer, node)
+    } finally {
+      // also in case of error - the topology might have been changed partially
+      invalidateTopology(tsPlayer.urlObject)
+    }
+  }
+
+  /**
+   * Get the player reachable url of a local file (media directory, config node).
+   * Other values are returned unchanged.
+   * @param {string} uri local absolute file path or any uri
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode
+   *
+   * @returns {promise<string>} url served by media server or the unchanged uri
+   *
+   * @throws {error} all methods
+   */
+  async function getPlayerReachableUri (uri, tsPlayer, node) {
+    debug('method:%s', 'getPlayerReachableUri')
+    if (!isLocalFilePath(uri)) {
+      return uri
+    }
+    const origin = await getLocalOrigin(tsPlayer)
+    const nodeRoot = getValidRoot('httpNodeRoot')
+    const configNode = node.configNode
+    return getMediaUrl(uri, configNode.mediaDirectory,
+      `${origin}${nodeRoot}nrcsp-media/${configNode.id}/`)
+  }
+
+  /**
+   * Get the Node-RED origin as seen from the player: protocol, LAN ipv4 address facing
+   * the player and port.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<string>} such as http://192.168.178.20:1880
+   *
+   * @throws {error} all methods
+   */
+  async function getLocalOrigin (tsPlayer) {
+    debug('method:%s', 'getLocalOrigin')
+    const protocol = (isTruthy(RED.settings.https) ? 'https' : 'http')
+    const localAddress = await getLocalIpv4Address(tsPlayer.urlObject.hostname)
+    return `${protocol}://${localAddress}:${RED.settings.uiPort}`
+  }
+
+  /**
+   * Get the root path of Node-RED admin or node server - ending with /.
+   * @param {string} settingName httpAdminRoot or httpNodeRoot
+   *
+   * @returns {string} such as / or /red/
+   *
+   * @throws {error} 'Node-RED server is disabled (settingName)'
+   */
+  function getValidRoot (settingName) {
+    debug('method:%s', 'getValidRoot')
+    let root = RED.settings[settingName]
+    if (root === false) {
+      throw new Error(`${PACKAGE_PREFIX} Node-RED server is disabled (${settingName})`)
+    }
+    root = (isTruthyStringNotEmpty(root) ? root : '/')
+    return (root.endsWith('/') ? root : `${root}/`)
+  }
+
+  /**
+   * Get the first SONOS-Playlist matching title and its current UpdateID and length.
+   * Caution: titles may not be unique! Case sensitive!
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {string} title title of SONOS-Playlist
+   *
+   * @returns {promise<object>} {id, title, updateId, length}
+   *
+   * @throws {error} 'no SONOS-Playlist title matching search string'
+   * @throws {error} all methods
+   */
+  async function getSonosPlaylistByTitle (tsPlayer, title) {
+    debug('method:%s', 'getSonosPlaylistByTitle')
+    const sonosPlaylists = await getSonosPlaylists(tsPlayer)
+    const found = sonosPlaylists.find((playlist) => (playlist.title === title))
+    if (found === undefined) {
+      throw new Error(`${PACKAGE_PREFIX} no SONOS-Playlist title matching search string`)
+    }
+    // UpdateID is required by all modifying actions
+    const browsePlaylist = await tsPlayer.ContentDirectoryService.Browse({
+      'ObjectID': found.id, 'BrowseFlag': 'BrowseDirectChildren', 'Filter': '*',
+      'StartingIndex': 0, 'RequestedCount': 1, 'SortCriteria': ''
+    })
+    return {
+      'id': found.id,
+      'title': found.title,
+      'updateId': browsePlaylist.UpdateID,
+      'length': browsePlaylist.TotalMatches
+    }
+  }
+
+  /**
+   * Get validated tracks for SONOS-Playlist from msg.tracks.
+   * @param {object} msg incoming message
+   * @param {array} msg.tracks array of uris (local files in media directory allowed)
+   * or items with uri and metadata such as exported items, queue or SONOS-Playlist tracks
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
+   *
+   * @returns {promise<object[]>} array of {uri, metadata}
+   *
+   * @throws {error} 'msg.tracks is not array', 'msg.tracks item >> has no uri'
+   * @throws {error} all methods
+   */
+  async function validatedPlaylistTracks (msg, tsPlayer, node) {
+    debug('method:%s', 'validatedPlaylistTracks')
+    if (!Array.isArray(msg.tracks)) {
+      throw new Error(`${PACKAGE_PREFIX} msg.tracks is not array`)
+    }
+    const tracks = []
+    for (let i = 0; i < msg.tracks.length; i++) {
+      const item = msg.tracks[i]
+      if (isTruthyStringNotEmpty(item)) {
+        const uri = await getPlayerReachableUri(item, tsPlayer, node)
+        const guessed = MetaDataHelper.GuessMetaDataAndTrackUri(uri)
+        tracks.push({ 'uri': guessed.trackUri, 'metadata': guessed.metadata })
+      } else if (isTruthyPropertyStringNotEmpty(item, ['uri'])) {
+        tracks.push({ 'uri': item.uri, 'metadata': (item.metadata || '') })
+      } else {
+        throw new Error(`${PACKAGE_PREFIX} msg.tracks item >>${i} has no uri`)
+      }
+    }
+    return tracks
+  }
+
+  /**
+   * Add tracks to SONOS-Playlist at given index.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} playlist {id, updateId}
+   * @param {object[]} tracks array of {uri, metadata}
+   * @param {number} index 0 based index of first track, -1 = at the end
+   *
+   * @returns {promise<number>} new length of SONOS-Playlist
+   *
+   * @throws {error} all methods
+   */
+  async function addTracksToSonosPlaylist (tsPlayer, playlist, tracks, index) {
+    debug('method:%s', 'addTracksToSonosPlaylist')
+    const AT_THE_END = 4294967295
+    let updateId = playlist.updateId
+    let length = playlist.length
+    for (let i = 0; i < tracks.length; i++) {
+      const result = await tsPlayer.AVTransportService.AddURIToSavedQueue({
+        'InstanceID': 0,
+        'ObjectID': playlist.id,
+        'UpdateID': updateId,
+        'EnqueuedURI': tracks[i].uri,
+        'EnqueuedURIMetaData': tracks[i].metadata,
+        'AddAtIndex': (index < 0 ? AT_THE_END : index + i)
+      })
+      updateId = result.NewUpdateID
+      length = result.NewQueueLength
+    }
+    return length
+  }
+
+  /**
+   * Get the home theater player (msg.playerName or tsPlayer) - verifies that TV is supported.
+   * @param {object} msg incoming message
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} sonos-ts player with .urlObject and .Uuid
+   *
+   * @throws {error} 'player does not support TV'
+   * @throws {error} all methods
+   */
+  async function getHomeTheaterPlayer (msg, tsPlayer) {
+    debug('method:%s', 'getHomeTheaterPlayer')
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+    const member = groupData.members[groupData.playerIndex]
+    const tsHtPlayer = new SonosDevice(member.urlObject.hostname, undefined, member.uuid)
+    tsHtPlayer.urlObject = member.urlObject
+
+    const deviceInfo = await getDeviceInfo(tsHtPlayer.urlObject, TIMEOUT_HTTP_REQUEST)
+    if (!deviceInfo.device.capabilities.includes('HT_PLAYBACK')) {
+      throw new Error(`${PACKAGE_PREFIX} player does not support TV`)
+    }
+    return tsHtPlayer
+  }
+
+  /**
+   * Get the error for a failed GetEQ, SetEQ: SONOS answers with an upnp error if the setting
+   * is not available (such as SubCrossover without Sub).
+   * @param {object} error error thrown by sonos-ts
+   * @param {string} eqType EQ type such as SubCrossover
+   *
+   * @returns {object} error 'player does not support >>' or the original error
+   */
+  function unsupportedSettingError (error, eqType) {
+    if (isTruthyProperty(error, ['UpnpErrorCode'])) {
+      return new Error(`${PACKAGE_PREFIX} player does not support >>${eqType}`)
+    }
+    return error
+  }
+
+  /**
+   * Validate the ramp options msg.duration and msg.curve.
+   * @param {object} msg incoming message
+   * @param {string} [msg.duration = 00:00:10] ramp duration hh:mm:ss
+   * @param {string} [msg.curve = linear] linear|sleeptimer|alarm
+   *
+   * @returns {object} { duration, curve } duration in milliseconds, curve lowercase
+   *
+   * @throws {error} 'duration is 0'
+   * @throws {error} all methods
+   */
+  function validatedRampOptions (msg) {
+    const duration = hhmmss2msec(validRegex(msg, 'duration', REGEX_TIME, 'duration', '00:00:10'))
+    if (duration === 0) {
+      throw new Error(`${PACKAGE_PREFIX} duration is 0`)
+    }
+    const curve = validRegex(msg, 'curve', REGEX_RAMP_CURVES, 'curve', 'linear').toLowerCase()
+    return { duration, curve }
+  }
+
+  /**
+   * Validate the player list of a new group.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload csv list of playerNames, first will become coordinator
+   *
+   * @returns {string[]} SONOS-Playernames
+   *
+   * @throws {error} 'List includes a player multiple times'
+   * @throws {error} all methods
+   */
+  function validatedGroupPlayerList (msg) {
+    const validatedPlayerList = validRegex(msg, 'payload', REGEX_CSV, 'player list')
+    const newGroupPlayerArray = validatedPlayerList.split(',')
+
+    // Verify all are unique
+    const uniqueArray = newGroupPlayerArray.filter((x, i, a) => a.indexOf(x) === i)
+    if (uniqueArray.length < newGroupPlayerArray.length) {
+      throw new Error(`${PACKAGE_PREFIX} List includes a player multiple times`)
+    }
+    return newGroupPlayerArray
+  }
+
+  /**
+   * Execute one step of a scene and record the result - errors do not stop the scene.
+   * @param {object[]} steps array of { step, playerName, result[, error] } - step is added
+   * @param {string} step name such as group, content.tunein, volume
+   * @param {string} playerName SONOS-Playername
+   * @param {function} action async function returning true if something was changed
+   *
+   * @returns {promise<boolean>} true if step did not fail
+   */
+  async function applySceneStep (steps, step, playerName, action) {
+    try {
+      const isChanged = await action()
+      steps.push({ step, playerName, 'result': (isChanged ? 'done' : 'skipped') })
+      return true
+    } catch (err) {
+      debug('Info: scene step failed >>%s', step)
+      steps.push({ step, playerName, 'result': 'failed', 'error': err.message })
+      return false
+    }
+  }
+
+  /**
+   * Play the uri content of a scene: http(s) and local files as stream (group.play.streamhttp),
+   * SONOS uris with guessed metadata - streams directly, all others via the queue.
+   * @param {object} msg message
+   * @param {string} msg.payload uri, see Scene.js REGEX_CONTENT_URI
+   * @param {string} msg.playerName SONOS-Playername of coordinator
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
+   *
+   * @returns {promise<object>} {} or volumeLimitViolations
+   *
+   * @throws {error} all methods
+   */
+  async function groupPlaySceneUri (msg, tsPlayer, node) {
+    if (REGEX_HTTP.test(msg.payload) || isLocalFilePath(msg.payload)) {
+      return groupPlayStreamHttp(msg, tsPlayer, node)
+    }
+    const guessed = MetaDataHelper.GuessMetaDataAndTrackUri(msg.payload)
+    return groupPlayExport({
+      'payload': {
+        'uri': guessed.trackUri,
+        'metadata': guessed.metadata,
+        'queue': !REGEX_STREAM_URI.test(guessed.trackUri)
+      },
+      'playerName': msg.playerName
+    }, tsPlayer)
+  }
+
+  /**
+   * Apply a scene setting only if the current value differs.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {string} playerName SONOS-Playername
+   * @param {object} setting { get, set } commands, get null means always set
+   * @param {string|number} value desired value
+   *
+   * @returns {promise<boolean>} true if value was set
+   *
+   * @throws {error} all methods
+   */
+  async function applySceneSetting (tsPlayer, playerName, setting, value) {
+    if (setting.get !== null) {
+      const current = await setting.get({ playerName }, tsPlayer)
+      if (String(current.payload).toLowerCase() === String(value).toLowerCase()) {
+        return false
+      }
+    }
+    await setting.set({ 'payload': value, playerName }, tsPlayer)
+    return true
+  }
+
+  /**
+   * Output for volume limit violations - to be merged into the output message.
+   * @param {object[]} violations array of { playerName, requested, limit }
+   *
+   * @returns {object} {} or { volumeLimitViolations }
+   */
+  function volumeLimitOutput (violations) {
+    if (violations.length === 0) {
+      return {}
+    }
+    return { 'volumeLimitViolations': violations }
   }
 
   //
@@ -407,7 +958,8 @@ module.exports = function (RED) {
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
    *
-   * @returns {promise<object>} property newVolume as string, range 0 ... 100
+   * @returns {promise<object>} property newVolume as string, range 0 ... 100 and
+   * volumeLimitViolations if volume limits were enforced
    *
    * @throws {error} all methods
    */
@@ -418,16 +970,17 @@ module.exports = function (RED) {
     const validated = await validatedGroupProperties(msg)
     const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
 
+    cancelRamps(groupData.members.map((member) => member.urlObject.hostname))
     const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
-    const result = await tsCoordinator.GroupRenderingControlService.SetRelativeGroupVolume(
-      { 'InstanceID': 0, 'Adjustment': adjustVolume })
-    
-    const newVolume = result.NewVolume
-    return { newVolume } // caution newVolume property!
+    const result = await setGroupVolume(tsPlayer.volumeLimitScope, tsCoordinator,
+      groupData.members, adjustVolume, true)
+
+    // caution newVolume!
+    return Object.assign({ 'newVolume': result.newVolume }, volumeLimitOutput(result.violations))
   }
 
   /**
-   *  Cancel group sleep timer.
+   *  Cancel group sleep timer and a running wind down (see group.set.windown).
    * @param {object} msg incoming message
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
@@ -441,6 +994,7 @@ module.exports = function (RED) {
     const validated = await validatedGroupProperties(msg)
     const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
 
+    cancelWindDown(groupData.members[0].urlObject.hostname)
     const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
     await tsCoordinator.AVTransportService.ConfigureSleepTimer(
       { 'InstanceID': 0, 'NewSleepTimerDuration': '' })
@@ -487,30 +1041,7 @@ module.exports = function (RED) {
   async function groupCreateSnapshot (msg, tsPlayer) {
     debug('command:%s', 'groupCreateSnapshot')
     // Validate msg properties
-    const options
-      = { 'snapVolumes': false, 'snapMutestates': false, sonosPlaylistName: null } // defaults
-    if (isTruthyProperty(msg, ['snapVolumes'])) {
-      if (typeof msg.snapVolumes !== 'boolean') {
-        throw new Error(`${PACKAGE_PREFIX}: snapVolumes (snapVolumes) is not boolean`)
-      }
-      options.snapVolumes = msg.snapVolumes
-    }
-    if (isTruthyProperty(msg, ['snapMutestates'])) {
-      if (typeof msg.snapMutestates !== 'boolean') {
-        throw new Error(`${PACKAGE_PREFIX}: snapMutestates (snapMutestates) is not boolean`)
-      }
-      options.snapMutestates = msg.snapMutestates
-    }
-    if (isTruthyProperty(msg, ['sonosPlaylistName'])) {
-      if (typeof msg.sonosPlaylistName !== 'string') {
-        throw new Error(`${PACKAGE_PREFIX}: sonosPlaylistName is not string`)
-      }
-      if (!REGEX_ANYCHAR.test(msg.sonosPlaylistName)) {
-        // eslint-disable-next-line max-len
-        throw new Error(`${PACKAGE_PREFIX}: sonosPlaylistName name has wrong syntax`)
-      }
-      options.sonosPlaylistName = msg.sonosPlaylistName
-    }
+    const options = await validatedSnapshotOptions(msg)
 
     // Validate msg.playerName 
     const validated = await validatedGroupProperties(msg)
@@ -989,20 +1520,10 @@ module.exports = function (RED) {
     tsCoordinator.urlObject = groupData.members[0].urlObject // to be on the save side
     await tsCoordinator.Play()
 
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
 
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
@@ -1071,20 +1592,10 @@ module.exports = function (RED) {
     })
     await tsCoordinator.SwitchToQueue()
       
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
     await tsCoordinator.Play()
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
@@ -1153,20 +1664,10 @@ module.exports = function (RED) {
       })
     }
 
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
     await tsCoordinator.Play()
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
@@ -1225,46 +1726,41 @@ module.exports = function (RED) {
       })
     }
 
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
     await tsCoordinator.Play()
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
    *  Play notification on current group. Group topology will not being touched.
    * @param {object} msg incoming message
-   * @param {string} msg.payload notification uri
+   * @param {string} msg.payload notification uri or local file in media directory
    * @param {number/string} [msg.volume] volume - if missing do not touch volume
    * @param {boolean} [msg.sameVolume=true] shall all players play at same volume level
    * @param {string} [msg.duration] duration of notification hh:mm:ss 
+   * @param {string} [msg.fade] fade down before and fade up after notification hh:mm:ss
+   * @param {number/string} [msg.priority=0] 0 .. 10, higher priority interrupts lower priority
+   * @param {number/string} [msg.maxAge] seconds, drop notification if it waited longer
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
    *
-   * @returns {promise<object>} {}
+   * @returns {promise<object>} property notificationState: played, interrupted, dropped and
+   * volumeLimitViolations if notification volume limits were enforced
    *
    * @throws {error} 'duration (msg.duration) is not a string', 
    * 'duration (msg.duration) is not format hh:mm:ss'
    * @throws {error} all methods
    *
    * Hint:
-   * While playing a notification (start .. to end + 1 seconds)
-   * there should not be send another request to this group.
+   * Notifications for the same group are queued: the group is restored after the last one.
    */
-  async function groupPlayNotification (msg, tsPlayer) {
+  async function groupPlayNotification (msg, tsPlayer, node) {
     debug('command:%s', 'groupPlayNotification')
-    // Payload notification uri is required.
-    const validatedUri = validRegex(msg, 'payload', REGEX_ANYCHAR, 'uri')
+    // Payload notification uri is required. Local files are served by the media server.
+    const validatedUri = await getPlayerReachableUri(
+      validRegex(msg, 'payload', REGEX_ANYCHAR, 'uri'), tsPlayer, node)
 
     // Validate msg.playerName, msg.volume, msg.sameVolume -errors are thrown
     const validated = await validatedGroupProperties(msg)
@@ -1290,16 +1786,27 @@ module.exports = function (RED) {
       options.automaticDuration = false
     }
 
+    // Fading only if group is playing, 0 means no fading
+    options.fadeDuration = hhmmss2msec(validRegex(msg, 'fade', REGEX_TIME, 'fade', '00:00:00'))
+
+    // Notification queue: priority and max age in seconds (-1 means never drop)
+    options.priority = validToInteger(msg, 'priority', 0, 10, 'priority', 0)
+    options.maxAge = validToInteger(msg, 'maxAge', 1, 3600, 'max age', -1)
+
     // Create the array of players in that group
     const tsPlayerArray = []
     for (let index = 0; index < groupData.members.length; index++) {
       const tsNewPlayer = new SonosDevice(groupData.members[index].urlObject.hostname)
       tsNewPlayer.urlObject = groupData.members[index].urlObject
+      tsNewPlayer.playerName = groupData.members[index].playerName
+      tsNewPlayer.uuid = groupData.members[index].uuid
       tsPlayerArray.push(tsNewPlayer)
     }
-    await playGroupNotification(tsPlayerArray, options)
+    options.volumeLimitScope = tsPlayer.volumeLimitScope
+    options.volumeLimitViolations = []
+    const notificationState = await queueGroupNotification(tsPlayerArray, options)
     
-    return {}
+    return Object.assign({ notificationState }, volumeLimitOutput(options.volumeLimitViolations))
   }
 
   /**
@@ -1341,22 +1848,41 @@ module.exports = function (RED) {
     tsCoordinator.urlObject = groupData.members[0].urlObject
     await tsCoordinator.SwitchToQueue()
 
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
 
     await tsCoordinator.Play()
 
-    return {}
+    return volumeLimitOutput(violations)
+  }
+
+  /**
+   *  Play share link (https link or service uri) on a current group.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload share link such as https://open.spotify.com/album/...,
+   * spotify:album:..., https://music.apple.com/..., https://www.deezer.com/..., tidal,
+   * YouTube Music, SoundCloud
+   * @param {number/string} [msg.volume] volume - if missing do not touch volume
+   * @param {boolean} [msg.sameVolume=true] shall all players play at same volume level.
+   * @param {boolean} [msg.clearQueue=true] if true and album, playlist, artist: queue is cleared
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {} or volumeLimitViolations if volume limits were enforced
+   *
+   * @throws {error} 'share link is not supported', 'share link type >> is not supported
+   * for service >>'
+   * @throws {error} all methods
+   *
+   * Hint: The account of the music service is taken from My Sonos items of that service.
+   */
+  async function groupPlayShare (msg, tsPlayer) {
+    debug('command:%s', 'groupPlayShare')
+    const validatedLink = validRegex(msg, 'payload', REGEX_ANYCHAR, 'share link')
+    const share = parseShareLink(validatedLink)
+    const exportData = await getShareData(share, await getMySonos(tsPlayer))
+
+    return groupPlayExport(Object.assign({}, msg, { 'payload': exportData }), tsPlayer)
   }
 
   /**
@@ -1388,21 +1914,7 @@ module.exports = function (RED) {
 
     const snapshot = msg.payload
     // Compare current group with group data from snap
-    if (groupData.members.length !== snapshot.membersData.length) {
-      throw new Error(`${PACKAGE_PREFIX}: snapshot/current group have different size`)
-    }
-    if (groupData.members[0].playerName !== snapshot.membersData[0].playerName) {
-      throw new Error(`${PACKAGE_PREFIX}: snapshot/current group have different coordinator`)
-    }
-    // Check all other member except 0 = coordinator
-    let foundIndex
-    for (let i = 1; i < groupData.members.length; i++) {
-      foundIndex = snapshot.membersData.findIndex(
-        (item) => (item.playerName === groupData.members[i].playerName))
-      if (foundIndex === -1) {
-        throw new Error(`${PACKAGE_PREFIX}: snapshot/current group members are different`)
-      }
-    }
+    await checkSnapshotTopology(groupData.members, snapshot)
     await restoreGroupSnapshot(snapshot)
     if (snapshot.wasPlaying) {
       const tsPlayer = new SonosDevice(groupData.members[0].urlObject.hostname)
@@ -1457,32 +1969,36 @@ module.exports = function (RED) {
 
     // Validated with volume, sameVolume, groupData.members
     
-    await setVolumeOnMembers(groupData.members, iCoord, validated.volume, validated.sameVolume)
+    const violations = await setVolumeOnMembers(groupData.members, iCoord, validated.volume,
+      validated.sameVolume, tsPlayer.volumeLimitScope)
     await tsCoordinator.Play()
     
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
    *  Play stream using http such as http://www.fritz.de/live.m3u, https://live.radioarabella.de
    * @param {object} msg incoming message
-   * @param {string} msg.payload uri start with http(s):// 
+   * @param {string} msg.payload uri start with http(s):// or local file in media directory
    * @param {string} [msg.info = ''] text be used as title of URI
    *  @param {string} [msg.artUri = ''] uri to art, used as cover logo
    * @param {(number|string)} [msg.volume = unchanged] new volume
    * @param {boolean} [msg.sameVolume = true] force all players to play at same volume level.
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
    *
    * @returns {promise<object>} {}
    * 
    * @throws {error} 'msg.sameVolume is nonsense: player is standalone'
    * @throws {error} all methods
    */
-  async function groupPlayStreamHttp (msg, tsPlayer) {
+  async function groupPlayStreamHttp (msg, tsPlayer, node) {
     debug('command:%s', 'groupPlayStreamHttp')
-    // msg.payload uri is required.
-    let validatedUri = validRegex(msg, 'payload', REGEX_HTTP, 'uri')
+    // msg.payload uri is required. Local files are served by the media server.
+    const payload = await getPlayerReachableUri(
+      validRegex(msg, 'payload', REGEX_ANYCHAR, 'uri'), tsPlayer, node)
+    let validatedUri = validRegex({ payload }, 'payload', REGEX_HTTP, 'uri')
 
     //validate optional msg.info, msg.artUri
     const track = { 'Title': '', 'AlbumArtUri': '' }
@@ -1509,20 +2025,10 @@ module.exports = function (RED) {
     
     await tsCoordinator.Play()
 
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
     
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
@@ -1570,20 +2076,51 @@ module.exports = function (RED) {
     await tsCoordinator.SwitchToQueue()
     await tsCoordinator.SeekTrack(validatedPosition)
     
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
     await tsCoordinator.Play()
-    return {}
+    return volumeLimitOutput(violations)
+  }
+
+  /**
+   *  Play text as notification on current group: render text with TTS provider (config node),
+   * serve audio file from Node-RED admin server and play it with group.play.notification.
+   * Rendered text is cached on disk.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload text to be spoken
+   * @param {string} [msg.language] language such as en-US, default from config node
+   * @param {number/string} [msg.volume] volume - if missing do not touch volume
+   * @param {boolean} [msg.sameVolume=true] shall all players play at same volume level
+   * @param {string} [msg.duration] duration of notification hh:mm:ss 
+   * @param {number/string} [msg.priority=0] 0 .. 10, higher priority interrupts lower priority
+   * @param {number/string} [msg.maxAge] seconds, drop notification if it waited longer
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode
+   *
+   * @returns {promise<object>} property notificationState: played, interrupted, dropped and
+   * volumeLimitViolations if notification volume limits were enforced
+   *
+   * @throws {error} all methods
+   */
+  async function groupPlayTts (msg, tsPlayer, node) {
+    debug('command:%s', 'groupPlayTts')
+    // Payload text is required.
+    const validatedText = validRegex(msg, 'payload', REGEX_ANYCHAR, 'text')
+    const provider = await validatedTtsProvider(node.configNode)
+    const validatedLanguage = validRegex(msg, 'language', REGEX_LANGUAGE, 'language',
+      provider.language)
+
+    const fileName = await renderTts(provider, validatedText, validatedLanguage,
+      TTS_CACHE_DIRECTORY)
+
+    // The SONOS-Player fetches the file from the admin server
+    const origin = await getLocalOrigin(tsPlayer)
+    const adminRoot = getValidRoot('httpAdminRoot')
+    const uri = `${origin}${adminRoot}nrcsp-tts/${fileName}`
+    debug('Info: TTS uri >>%s', uri)
+
+    return groupPlayNotification(Object.assign({}, msg, { 'payload': uri }), tsPlayer, node)
   }
 
   /**
@@ -1614,21 +2151,11 @@ module.exports = function (RED) {
     tsCoordinator.urlObject = groupData.members[0].urlObject
     await tsCoordinator.SetAVTransportURI(`radio:${validatedRadioId}`)
 
-    if (validated.volume !== -1) {
-      if (validated.sameVolume) { // set all player
-        for (let i = 0; i < groupData.members.length; i++) {
-          const tsPlayer = new SonosDevice(groupData.members[i].urlObject.hostname)
-          await tsPlayer.SetVolume(validated.volume)
-        }
-      } else { // set only one player
-        const tsPlayer = new SonosDevice(
-          groupData.members[groupData.playerIndex].urlObject.hostname)
-        await tsPlayer.SetVolume(validated.volume)
-      }
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, validated.sameVolume, tsPlayer.volumeLimitScope)
     tsCoordinator.Play()
     
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
@@ -1717,6 +2244,42 @@ module.exports = function (RED) {
     }
   }
 
+  /**
+   *  Queue share link (https link or service uri) on given group queue.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload share link such as https://open.spotify.com/track/...,
+   * see group.play.share
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} newQueueLength, firstTrackNumberEnqueued
+   *
+   * @throws {error} 'share link is not supported', 'share link type >> is not supported
+   * for service >>'
+   * @throws {error} all methods
+   */
+  async function groupQueueShare (msg, tsPlayer) {
+    debug('command:%s', 'groupQueueShare')
+    const validatedLink = validRegex(msg, 'payload', REGEX_ANYCHAR, 'share link')
+    const share = parseShareLink(validatedLink)
+    const shareData = await getShareData(share, await getMySonos(tsPlayer))
+
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+    const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
+    tsCoordinator.urlObject = groupData.members[0].urlObject
+    // position in queue = 0 (at the end), enqueue next true (only effective in shuffle mode)
+    const result = await tsCoordinator.AVTransportService.AddURIToQueue({
+      InstanceID: 0, EnqueuedURI: shareData.uri, EnqueuedURIMetaData: shareData.metadata,
+      DesiredFirstTrackNumberEnqueued: 0, EnqueueAsNext: true
+    })
+
+    return {
+      'newQueueLength': result.NewQueueLength,
+      'firstTrackNumberEnqueued': result.FirstTrackNumberEnqueued
+    }
+  }
+
   /**
    *  Queue SONOS-Playlist aka insert into the SONOS-Queue.
    * @param {object} msg incoming message
@@ -1765,18 +2328,20 @@ module.exports = function (RED) {
   /**
    *  Queue uri.
    * @param {object} msg incoming message
-   * @param {string/number}msg.payload valid uri
+   * @param {string/number}msg.payload valid uri or local file in media directory
    * @param {string} [msg.playerName = using nodesonosPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
    *
    * @returns {promise<object>} {}
    *
    * @throws {error} all methods
    */
-  async function groupQueueUri (msg, tsPlayer) {
+  async function groupQueueUri (msg, tsPlayer, node) {
     debug('command:%s', 'groupQueueUri')
-    // Payload uri is required.
-    const validatedUri = validRegex(msg, 'payload', REGEX_ANYCHAR, 'uri')
+    // Payload uri is required. Local files are served by the media server.
+    const validatedUri = await getPlayerReachableUri(
+      validRegex(msg, 'payload', REGEX_ANYCHAR, 'uri'), tsPlayer, node)
     const validated = await validatedGroupProperties(msg)
     const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
     const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
@@ -1835,6 +2400,37 @@ module.exports = function (RED) {
     }
   }
 
+  /**
+   *  Ramp group volume to target volume. Running ramps of the group members are cancelled.
+   * @param {object} msg incoming message
+   * @param {string/number} msg.payload target volume, integer 0 .. 100
+   * @param {string} [msg.duration = 00:00:10] ramp duration hh:mm:ss
+   * @param {string} [msg.curve = linear] linear|sleeptimer|alarm
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property rampState: completed, cancelled and
+   * volumeLimitViolations if volume limits were enforced
+   *
+   * @throws {error} all methods
+   *
+   * Hint: group ramps always use software stepping - curve only changes the shape.
+   */
+  async function groupRampVolume (msg, tsPlayer) {
+    debug('command:%s', 'groupRampVolume')
+    const targetVolume = validToInteger(msg, 'payload', 0, 100, 'target volume')
+    const options = validatedRampOptions(msg)
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+
+    const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
+    const violations = []
+    const rampState = await rampGroupVolume(tsPlayer.volumeLimitScope, tsCoordinator,
+      groupData.members, targetVolume, options, violations)
+
+    return Object.assign({ rampState }, volumeLimitOutput(violations))
+  }
+
   /**
    *  Remove a number of tracks in queue (queue must be non empty)
    * @param {object} msg incoming message
@@ -1886,6 +2482,198 @@ module.exports = function (RED) {
     return {}
   }
 
+  /**
+   *  Remove all tracks with duplicate uri from queue - the first occurrence is kept.
+   * @param {object} msg incoming message
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * Only the first QUEUE_REQUESTS_MAXIMUM * 1000 tracks are considered.
+   *
+   * @returns {promise<object>} property payload is the number of removed tracks
+   *
+   * @throws {error} all methods
+   */
+  async function groupDedupeQueue (msg, tsPlayer) {
+    debug('command:%s', 'groupDedupeQueue')
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+    const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
+    tsCoordinator.urlObject = groupData.members[0].urlObject
+    const queue = await getSonosQueueV2(tsCoordinator, QUEUE_REQUESTS_MAXIMUM)
+
+    // positions (1 based) of duplicates in ascending order
+    const uris = new Set()
+    const duplicates = []
+    queue.forEach((item, index) => {
+      if (uris.has(item.uri)) {
+        duplicates.push(index + 1)
+      } else {
+        uris.add(item.uri)
+      }
+    })
+
+    // remove ranges of consecutive duplicates, starting at the end - positions stay valid
+    let end = duplicates.length - 1
+    while (end >= 0) {
+      let start = end
+      while (start > 0 && duplicates[start - 1] === duplicates[start] - 1) {
+        start--
+      }
+      await tsCoordinator.AVTransportService.RemoveTrackRangeFromQueue({
+        'InstanceID': 0,
+        'StartingIndex': duplicates[start],
+        'NumberOfTracks': end - start + 1,
+        'UpdateID': ''
+      })
+      end = start - 1
+    }
+
+    return { 'payload': duplicates.length }
+  }
+
+  /**
+   *  Insert uri into queue at given position.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload valid uri or local file in media directory
+   * @param {string/number} [msg.position = 0] position of first inserted track: 
+   * 1 ... queue length + 1, 0 = at the end, 'next' = after the current track
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
+   *
+   * @returns {promise<object>} {newQueueLength, firstTrackNumberEnqueued}
+   *
+   * @throws {error} all methods
+   */
+  async function groupInsertUri (msg, tsPlayer, node) {
+    debug('command:%s', 'groupInsertUri')
+    // Payload uri is required. Local files are served by the media server.
+    const validatedUri = await getPlayerReachableUri(
+      validRegex(msg, 'payload', REGEX_ANYCHAR, 'uri'), tsPlayer, node)
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+    const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
+    tsCoordinator.urlObject = groupData.members[0].urlObject
+
+    // Get size of queue. Q:0 = SONOS-Queue // browseQueue.TotalMatches
+    const browseQueue = await tsCoordinator.ContentDirectoryService.Browse({
+      'ObjectID': 'Q:0', 'BrowseFlag': 'BrowseDirectChildren', 'Filter': '*',
+      'StartingIndex': 0, 'RequestedCount': 1, 'SortCriteria': ''
+    })
+    const queueLength = browseQueue.TotalMatches
+
+    let validatedPosition
+    if (msg.position === 'next') {
+      // after current track - only if the queue is being played, otherwise at the beginning
+      validatedPosition = 1
+      const mediaInfo = await tsCoordinator.AVTransportService.GetMediaInfo({ 'InstanceID': 0 })
+      if (mediaInfo.CurrentURI.startsWith('x-rincon-queue:')) {
+        const positionInfo = await tsCoordinator.AVTransportService.GetPositionInfo({
+          'InstanceID': 0
+        })
+        validatedPosition = Math.min(positionInfo.Track + 1, queueLength + 1)
+      }
+    } else {
+      validatedPosition = validToInteger(msg, 'position', 0, queueLength + 1,
+        'position in queue', 0)
+    }
+    // enqueue as next false - position is respected
+    const result = await tsCoordinator.AddUriToQueue(validatedUri, validatedPosition, false)
+
+    return {
+      'newQueueLength': result.NewQueueLength,
+      'firstTrackNumberEnqueued': result.FirstTrackNumberEnqueued
+    }
+  }
+
+  /**
+   *  Move a number of tracks in queue to a new position (queue must have at least 2 tracks).
+   * @param {object} msg incoming message
+   * @param {string/number} msg.payload position of first track to be moved. 1 ... queue length.
+   * @param {number/string} [msg.numberOfTracks=1] number of tracks 1 ... queue length.
+   * @param {number/string} msg.newPosition new position of first moved track. 1 ... queue length.
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'queue has less than 2 tracks', 'position + amount of tracks is out of range',
+   * 'new position + amount of tracks is out of range'
+   * @throws {error} all methods
+   */
+  async function groupMoveTracks (msg, tsPlayer) {
+    debug('command:%s', 'groupMoveTracks')
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+    const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
+    tsCoordinator.urlObject = groupData.members[0].urlObject
+
+    // Get size of queue. Q:0 = SONOS-Queue // browseQueue.TotalMatches
+    const browseQueue = await tsCoordinator.ContentDirectoryService.Browse({
+      'ObjectID': 'Q:0', 'BrowseFlag': 'BrowseDirectChildren', 'Filter': '*',
+      'StartingIndex': 0, 'RequestedCount': 1, 'SortCriteria': ''
+    })
+    const lastTrackInQueue = browseQueue.TotalMatches
+    if (lastTrackInQueue < 2) {
+      throw new Error(`${PACKAGE_PREFIX} queue has less than 2 tracks`)
+    }
+
+    // Payload track position and new position are required.
+    const validatedPosition = validToInteger(msg, 'payload', 1, lastTrackInQueue,
+      'position in queue')
+    const validatedNumberOfTracks = validToInteger(msg, 'numberOfTracks', 1,
+      lastTrackInQueue, 'number of tracks', 1)
+    const validatedNewPosition = validToInteger(msg, 'newPosition', 1, lastTrackInQueue,
+      'new position in queue')
+    if ((validatedPosition + validatedNumberOfTracks - 1) > lastTrackInQueue) {
+      throw new Error(`${PACKAGE_PREFIX} position + amount of tracks is out of range`)
+    }
+    if ((validatedNewPosition + validatedNumberOfTracks - 1) > lastTrackInQueue) {
+      throw new Error(`${PACKAGE_PREFIX} new position + amount of tracks is out of range`)
+    }
+    if (validatedNewPosition === validatedPosition) {
+      return {}
+    }
+
+    // InsertBefore refers to the positions before the move
+    const insertBefore = (validatedNewPosition > validatedPosition
+      ? validatedNewPosition + validatedNumberOfTracks
+      : validatedNewPosition)
+    await tsCoordinator.AVTransportService.ReorderTracksInQueue({
+      'InstanceID': 0,
+      'StartingIndex': validatedPosition,
+      'NumberOfTracks': validatedNumberOfTracks,
+      'InsertBefore': insertBefore,
+      'UpdateID': 0
+    })
+
+    return {}
+  }
+
+  /**
+   *  Restore a named snapshot (see group.save.snap) on the given group of players.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload snapshot name
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'snapshot >> does not exist', 
+   * 'snapshot/current group have different coordinator', 
+   * 'snapshot/current group have different size', 'snapshot/current group members are different'
+   * @throws {error} all methods
+   */
+  async function groupRestoreSnapshot (msg, tsPlayer) {
+    debug('command:%s', 'groupRestoreSnapshot')
+    // Payload snapshot name is required.
+    const validatedName = validRegex(msg, 'payload', REGEX_ANYCHAR, 'snapshot name')
+    const stored = await loadSnapshot(SNAPSHOT_FILE, validatedName)
+
+    return groupPlaySnapshot(Object.assign({}, msg, { 'payload': stored.snapshot }), tsPlayer)
+  }
+
   /**
    *  Save SONOS-Queue to SONOS-Playlist. SONOS-Queue must not be empty!
    * @param {object} msg incoming message
@@ -1924,6 +2712,35 @@ module.exports = function (RED) {
     return {}
   }
 
+  /**
+   *  Save a snapshot of the given group of players under a name - persistent, survives restarts.
+   * An existing snapshot with same name is overwritten.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload snapshot name
+   * @param {boolean} [msg.snapVolumes = false] will capture the players volumes
+   * @param {boolean} [msg.snapMutestates = false] will capture the players mutestates
+   * @param {string} [msg.sonosPlaylistName = null] will save the SONOS-Queue in SONOS-Playlist
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} all methods
+   */
+  async function groupSaveSnapshot (msg, tsPlayer) {
+    debug('command:%s', 'groupSaveSnapshot')
+    // Payload snapshot name is required.
+    const validatedName = validRegex(msg, 'payload', REGEX_ANYCHAR, 'snapshot name')
+    const options = await validatedSnapshotOptions(msg)
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+    
+    const snapshot = await createGroupSnapshot(groupData.members, options)
+    await saveSnapshot(SNAPSHOT_FILE, validatedName, snapshot)
+    
+    return {}
+  }
+
   /**
    *  Group seek to specific time.
    * @param {object} msg incoming message
@@ -2116,7 +2933,7 @@ module.exports = function (RED) {
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
    *
-   * @returns {promise<object>} {}
+   * @returns {promise<object>} {} or volumeLimitViolations
    *
    * @throws {error} all methods
    */
@@ -2126,9 +2943,113 @@ module.exports = function (RED) {
     const validated = await validatedGroupProperties(msg)
     const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
 
+    cancelRamps(groupData.members.map((member) => member.urlObject.hostname))
     const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
-    await tsCoordinator.GroupRenderingControlService.SetGroupVolume(
-      { 'InstanceID': 0, 'DesiredVolume': newVolume })
+    const result = await setGroupVolume(tsPlayer.volumeLimitScope, tsCoordinator,
+      groupData.members, newVolume, false)
+
+    return volumeLimitOutput(result.violations)
+  }
+
+  /**
+   *  Wind down group: optionally play a calmer My Sonos item, fade out all members in the
+   * last part of the duration, stop and restore the original volumes.
+   * The output message is sent when the wind down has finished.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload duration hh:mm:ss - until playback stops
+   * @param {string} [msg.fade = 00:05:00] duration of fade hh:mm:ss, at most payload duration
+   * @param {string} [msg.mysonos] search string, part of title in My Sonos - played first
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property windDownState: completed, cancelled and
+   * volumeLimitViolations if the restored volumes were clamped
+   *
+   * @throws {error} 'duration is 0'
+   * @throws {error} all methods
+   *
+   * Hint: group.cancel.sleeptimer cancels the wind down and restores the volumes.
+   */
+  async function groupSetWindDown (msg, tsPlayer) {
+    debug('command:%s', 'groupSetWindDown')
+    // Payload duration is required.
+    const duration = hhmmss2msec(validRegex(msg, 'payload', REGEX_TIME, 'wind down duration'))
+    if (duration === 0) {
+      throw new Error(`${PACKAGE_PREFIX} duration is 0`)
+    }
+    const fadeDuration = Math.min(duration,
+      hhmmss2msec(validRegex(msg, 'fade', REGEX_TIME, 'fade', '00:05:00')))
+    const validatedMySonos = validRegex(msg, 'mysonos', REGEX_ANYCHAR, 'My Sonos title', '')
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+
+    if (validatedMySonos !== '') {
+      await groupPlayMySonos(
+        { 'payload': validatedMySonos, 'playerName': groupData.members[0].playerName }, tsPlayer)
+    }
+
+    const tsPlayerArray = groupData.members.map((member) => {
+      const tsMember = new SonosDevice(member.urlObject.hostname)
+      tsMember.urlObject = member.urlObject
+      tsMember.playerName = member.playerName
+      return tsMember
+    })
+    const violations = []
+    const windDownState = await windDownGroup(tsPlayerArray, {
+      duration, fadeDuration,
+      'volumeLimitScope': tsPlayer.volumeLimitScope,
+      'volumeLimitViolations': violations
+    })
+
+    return Object.assign({ windDownState }, volumeLimitOutput(violations))
+  }
+
+  /**
+   *  Shuffle the queue - the tracks are physically reordered (not the shuffle play mode).
+   * @param {object} msg incoming message
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * Each track being moved needs one request. Therefore only the first
+   * QUEUE_REORDER_REQUESTS_MAXIMUM + 1 tracks are shuffled, the others stay in order behind them.
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} all methods
+   */
+  async function groupShuffleQueue (msg, tsPlayer) {
+    debug('command:%s', 'groupShuffleQueue')
+    const validated = await validatedGroupProperties(msg)
+    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
+    const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
+    tsCoordinator.urlObject = groupData.members[0].urlObject
+    const queue = await getSonosQueueV2(tsCoordinator, QUEUE_REQUESTS_MAXIMUM)
+    const count = Math.min(queue.length, QUEUE_REORDER_REQUESTS_MAXIMUM + 1)
+
+    // target order (Fisher-Yates) of the original positions
+    const target = queue.slice(0, count).map((item, index) => index + 1)
+    for (let i = target.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      const swap = target[i]
+      target[i] = target[j]
+      target[j] = swap
+    }
+
+    // move the track of each target position in place, current keeps track of the queue
+    const current = target.map((item, index) => index + 1)
+    for (let i = 0; i < target.length - 1; i++) {
+      const j = current.indexOf(target[i])
+      if (j !== i) {
+        await tsCoordinator.AVTransportService.ReorderTracksInQueue({
+          'InstanceID': 0,
+          'StartingIndex': j + 1,
+          'NumberOfTracks': 1,
+          'InsertBefore': i + 1,
+          'UpdateID': 0
+        })
+        current.splice(i, 0, current.splice(j, 1)[0])
+      }
+    }
 
     return {}
   }
@@ -2174,110 +3095,316 @@ module.exports = function (RED) {
   }
 
   /**
-   *  Create a new group in household.
+   *  Add tracks to first SONOS-Playlist matching given title.
+   * Caution: titles may not be unique! Case sensitive!
    * @param {object} msg incoming message
-   * @param {string} msg.payload csv list of playerNames, first will become coordinator
+   * @param {string} msg.payload title of SONOS-Playlist
+   * @param {array} msg.tracks array of uris or items with uri and metadata (such as exported)
+   * @param {string/number} [msg.position = 0] position of first added track: 
+   * 1 ... SONOS-Playlist length + 1, 0 = at the end
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
    *
-   * @returns {promise<object>} {}
+   * @returns {promise<object>} {newPlaylistLength}
    *
-   * @throws {error} 'List includes a player multiple times', 'all groups data undefined',
-   * 'Could not find player *'
+   * @throws {error} 'no SONOS-Playlist title matching search string', 'msg.tracks is not array'
    * @throws {error} all methods
    */
+  async function householdAddSonosPlaylistTracks (msg, tsPlayer, node) {
+    debug('command:%s', 'householdAddSonosPlaylistTracks')
+    // Payload title search string is required.
+    const validatedTitle = validRegex(msg, 'payload', REGEX_ANYCHAR, 'title')
+    const tracks = await validatedPlaylistTracks(msg, tsPlayer, node)
+    const playlist = await getSonosPlaylistByTitle(tsPlayer, validatedTitle)
+    const validatedPosition = validToInteger(msg, 'position', 0, playlist.length + 1,
+      'position in SONOS-Playlist', 0)
+    const newPlaylistLength = await addTracksToSonosPlaylist(tsPlayer, playlist, tracks,
+      validatedPosition - 1)
+
+    return { newPlaylistLength }
+  }
 
-  // Algorithm: If the new coordinator is already the coordinator in an existing group, 
-  // then just take that group and remove (first step)/ add (second step) the needed players.
-  // else make the new coordinator stand alone and add all needed players.
-  // TODO check else: maybe better to find "closest" group and make coordinator
-  // Maybe 2 options. Find the closest (number of players) group and define coordinator 
-  // and add other
-  
-  async function householdCreateGroup (msg, tsPlayer) {
-    debug('command:%s', 'householdCreateGroup')
-    const validatedPlayerList = validRegex(msg, 'payload', REGEX_CSV, 'player list')
-    const newGroupPlayerArray = validatedPlayerList.split(',')
-
-    // Verify all are unique
-    const uniqueArray = newGroupPlayerArray.filter((x, i, a) => a.indexOf(x) === i)
-    if (uniqueArray.length < newGroupPlayerArray.length) {
-      throw new Error(`${PACKAGE_PREFIX} List includes a player multiple times`)
+  /**
+   *  Apply a scene: drive the household to the desired state with minimal changes.
+   * Groups already in place and player settings already having the desired value are skipped.
+   * Content and sleep timer are always applied.
+   * @param {object} msg incoming message
+   * @param {object} msg.payload scene, see Scene: groups (players, content, queueMode,
+   * crossfade, sleepTimer) and players (volume, mute, bass, treble, loudness)
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
+   *
+   * @returns {promise<object>} property payload is array of steps { step, playerName, result }
+   * result is done, skipped or failed (with property error) and volumeLimitViolations
+   * if volume limits were enforced
+   *
+   * @throws {error} 'scene (msg.payload) is missing/not object'
+   * @throws {error} all methods of validatedScene
+   *
+   * Hint: a failing step does not stop the scene - all following steps are executed.
+   */
+  async function householdApplyScene (msg, tsPlayer, node) {
+    debug('command:%s', 'householdApplyScene')
+    // Payload scene is required - it is validated completely before anything is changed
+    if (!isTruthyProperty(msg, ['payload']) || typeof msg.payload !== 'object') {
+      throw new Error(`${PACKAGE_PREFIX} scene (msg.payload) is missing/not object`)
     }
+    const scene = validatedScene(msg.payload)
 
-    // Get groups with members and convert multi dimensional array to simple array 
-    // where objects have new property groupIndex, memberIndex
-    const allGroupsData = await getGroupsAll(tsPlayer, true)
-    if (!isTruthy(allGroupsData)) {
-      throw new Error(`${PACKAGE_PREFIX} all groups data undefined`)
+    const playContent = {
+      'mysonos': groupPlayMySonos,
+      'sonosplaylist': groupPlaySonosPlaylist,
+      'tunein': groupPlayTuneIn,
+      'uri': groupPlaySceneUri
     }
-    const allPlayerList = []
-    for (let iGroup = 0; iGroup < allGroupsData.length; iGroup++) {
-      for (let iMember = 0; iMember < allGroupsData[iGroup].length; iMember++) {
-        if (!allGroupsData[iGroup][iMember].invisible) {
-          const player = {
-            playerName: allGroupsData[iGroup][iMember].playerName,
-            urlObject: allGroupsData[iGroup][iMember].urlObject,
-            uuid: allGroupsData[iGroup][iMember].uuid,
-            isCoordinator: (iMember === 0),
-            groupIndex: iGroup
-          }
-          allPlayerList.push(player)
+    // get: current value (payload), set: command - value is payload
+    const groupSettings = {
+      'queueMode': {
+        'get': async (groupMsg) => {
+          const groupData = await getGroupCurrent(tsPlayer, groupMsg.playerName)
+          const tsCoordinator = new SonosDevice(groupData.members[0].urlObject.hostname)
+          const result = await tsCoordinator.AVTransportService.GetTransportSettings(
+            { 'InstanceID': 0 })
+          return { 'payload': result.PlayMode.toLowerCase() }
+        },
+        'set': groupSetQueuemode
+      },
+      'crossfade': { 'get': groupGetCrossfadeMode, 'set': groupSetCrossfade },
+      'sleepTimer': { 'get': null, 'set': groupSetSleeptimer }
+    }
+    const playerSettings = {
+      'volume': { 'get': playerGetVolume, 'set': null }, // setVolumeOnMembers, limits
+      'mute': { 'get': playerGetMute, 'set': playerSetMute },
+      'bass': { 'get': playerGetBass, 'set': playerSetBass },
+      'treble': { 'get': playerGetTreble, 'set': playerSetTreble },
+      'loudness': { 'get': playerGetLoudness, 'set': playerSetLoudness }
+    }
+
+    const steps = []
+    const violations = []
+
+    // Groups - creating a group may change other groups, topology is requested again after
+    // each change (cache is invalidated)
+    let allGroups = await getGroupsAll(tsPlayer, true)
+    for (const group of scene.groups) {
+      await applySceneStep(steps, 'group', group.players[0], async () => {
+        if (isGroupInPlace(allGroups, group.players)) {
+          return false
         }
-      }
+        await householdCreateGroup({ 'payload': group.players.join(',') }, tsPlayer)
+        invalidateTopology(tsPlayer.urlObject)
+        allGroups = await getGroupsAll(tsPlayer, true)
+        return true
+      })
     }
 
-    // Validate all player names in newGroupPlayerArray and get index of new coordinator
-    let iNewCoordinator
-    for (let i = 0; i < newGroupPlayerArray.length; i++) {
-      const indexInList
-        = allPlayerList.findIndex((p) => p.playerName === newGroupPlayerArray[i])
-      if (indexInList === -1) {
-        throw new Error(`${PACKAGE_PREFIX} Could not find player: ${newGroupPlayerArray[i]}`)
+    // Content first - queue mode requires an activated queue
+    for (const group of scene.groups) {
+      const coordinatorName = group.players[0]
+      if (group.content !== null) {
+        await applySceneStep(steps, `content.${group.content.type}`, coordinatorName, async () => {
+          await playContent[group.content.type](
+            { 'payload': group.content.value, 'playerName': coordinatorName }, tsPlayer, node)
+          return true
+        })
       }
-      if (i === 0) iNewCoordinator = indexInList  // new coordinator is first in csv
-    }
-    const coordinatorRincon = `x-rincon:${allPlayerList[iNewCoordinator].uuid}`
-
-    // Is new coordinator already the coordinator in its group? Then use this group and adjust
-    if (allPlayerList[iNewCoordinator].isCoordinator) { // Means is a coordinator
-      // Modify this group (remove those not needed and add some)
-      for (const player of allPlayerList) {
-        // Should this player be in group?
-        const found = newGroupPlayerArray.indexOf(player.playerName)
-        if (found === -1) {
-          // Remove from group
-          if (player.groupIndex === allPlayerList[iNewCoordinator].groupIndex) {
-            // Leave group, no check - always returns true
-            const ts1Player = new SonosDevice(player.urlObject.hostname)
-            await ts1Player.AVTransportService.BecomeCoordinatorOfStandaloneGroup(
-              { 'InstanceID': 0 })
-          }
-        } else if (player.groupIndex !== allPlayerList[iNewCoordinator].groupIndex) {
-          // Add to group
-          const ts1Player = new SonosDevice(player.urlObject.hostname)
-          await ts1Player.AVTransportService.SetAVTransportURI(
-            { 'InstanceID': 0, 'CurrentURI': coordinatorRincon, 'CurrentURIMetaData': '' })
+      for (const name of Object.keys(groupSettings)) {
+        if (group[name] !== null) {
+          await applySceneStep(steps, name, coordinatorName,
+            () => applySceneSetting(tsPlayer, coordinatorName, groupSettings[name], group[name]))
         }
       }
-    } else {
-      const ts1Player = new SonosDevice(allPlayerList[iNewCoordinator].urlObject.hostname)
-      await ts1Player.AVTransportService.BecomeCoordinatorOfStandaloneGroup(
-        { 'InstanceID': 0 })
-      // Because it takes time to BecomeCoordinator
-      await setTimeout[Object.getOwnPropertySymbols(setTimeout)[0]](500) 
-
-      for (let i = 1; i < newGroupPlayerArray.length; i++) { // Start with 1
-        const indexPlayer = allPlayerList.findIndex((p) => p.playerName === newGroupPlayerArray[i])
-        // No check - always returns true. Using SetAVTransportURI as AddMember does not work
-        const ts1Player = new SonosDevice(allPlayerList[indexPlayer].urlObject.hostname)
-        await ts1Player.AVTransportService.SetAVTransportURI(
-          { 'InstanceID': 0, 'CurrentURI': coordinatorRincon, 'CurrentURIMetaData': '' })
+    }
+
+    for (const playerName of Object.keys(scene.players)) {
+      const settings = scene.players[playerName]
+      for (const name of Object.keys(settings)) {
+        await applySceneStep(steps, name, playerName, async () => {
+          if (name !== 'volume') {
+            return applySceneSetting(tsPlayer, playerName, playerSettings[name], settings[name])
+          }
+          const current = await playerGetVolume({ playerName }, tsPlayer)
+          if (current.payload === settings.volume) {
+            return false
+          }
+          const groupData = await getGroupCurrent(tsPlayer, playerName)
+          violations.push(...await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+            settings.volume, false, tsPlayer.volumeLimitScope))
+          return true
+        })
       }
     }
 
+    return Object.assign({ 'payload': steps }, volumeLimitOutput(violations))
+  }
+
+  /**
+   *  Copy alarm. The copy uses the properties of the existing alarm - overruled by the 
+   * given properties (such as playerName).
+   * @param {object} msg incoming message
+   * @param {object} msg.payload alarm data
+   * @param {(string|number)} msg.payload.id id of existing alarm, integer, not negative
+   * @param {string} [msg.payload.*] see validatedAlarmProperties
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload is the new alarm (as in household.get.alarms)
+   *
+   * @throws {error} all methods
+   */
+  async function householdCopyAlarm (msg, tsPlayer) {
+    debug('command:%s', 'householdCopyAlarm')
+    // Payload alarm data is required.
+    if (!isTruthyProperty(msg, ['payload'])) {
+      throw new Error(`${PACKAGE_PREFIX} alarm data (msg.payload) is missing`)
+    }
+    const validAlarmId = validToInteger(msg.payload, 'id', 0, 9999, 'alarm id')
+    const baseAlarm = await getAlarm(tsPlayer, validAlarmId)
+    const validated = await validatedAlarmProperties(msg.payload, baseAlarm)
+    const alarmArguments = await getAlarmArguments(tsPlayer, validated, baseAlarm)
+    const result = await executeActionV8(tsPlayer.urlObject,
+      '/AlarmClock/Control', 'CreateAlarm', alarmArguments)
+    const payload = await getAlarm(tsPlayer, result.AssignedID)
+
+    return { payload }
+  }
+
+  /**
+   *  Create alarm. 
+   * @param {object} msg incoming message
+   * @param {object} msg.payload alarm data
+   * @param {string} msg.payload.startTime start time hh:mm or hh:mm:ss
+   * @param {string} [msg.payload.duration = '01:00:00'] duration hh:mm or hh:mm:ss
+   * @param {string} [msg.payload.recurrence = 'DAILY'] such as WEEKDAYS, ON_135
+   * @param {boolean} [msg.payload.enabled = true] alarm enabled
+   * @param {(string|number)} [msg.payload.volume = 20] volume, integer 0 .. 100
+   * @param {string} [msg.payload.playMode = 'NORMAL'] NORMAL, REPEAT_ALL, SHUFFLE, ...
+   * @param {boolean} [msg.payload.includeLinkedZones = false] also for grouped players
+   * @param {string} [msg.payload.playerName = using tsPlayer] SONOS-Playername of room
+   * @param {string} [msg.payload.mySonosTitle = SONOS chime] My-Sonos title to be played
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload is the new alarm (as in household.get.alarms)
+   *
+   * @throws {error} all methods
+   */
+  async function householdCreateAlarm (msg, tsPlayer) {
+    debug('command:%s', 'householdCreateAlarm')
+    // defaults as in SONOS app, StartTime is required
+    const ALARM_DEFAULTS = {
+      'Duration': '01:00:00',
+      'Recurrence': 'DAILY',
+      'Enabled': '1',
+      'RoomUUID': '', // tsPlayer
+      'ProgramURI': 'x-rincon-buzzer:0', // SONOS chime
+      'ProgramMetaData': '',
+      'PlayMode': 'NORMAL',
+      'Volume': '20',
+      'IncludeLinkedZones': '0'
+    }
+    // Payload alarm data is required.
+    if (!isTruthyProperty(msg, ['payload'])) {
+      throw new Error(`${PACKAGE_PREFIX} alarm data (msg.payload) is missing`)
+    }
+    const validated = await validatedAlarmProperties(msg.payload, ALARM_DEFAULTS)
+    const alarmArguments = await getAlarmArguments(tsPlayer, validated, ALARM_DEFAULTS)
+    const result = await executeActionV8(tsPlayer.urlObject,
+      '/AlarmClock/Control', 'CreateAlarm', alarmArguments)
+    const payload = await getAlarm(tsPlayer, result.AssignedID)
+
+    return { payload }
+  }
+
+  /**
+   *  Create a new group in household.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload csv list of playerNames, first will become coordinator
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'List includes a player multiple times', 'all groups data undefined',
+   * 'Could not find player *'
+   * @throws {error} all methods
+   */
+  async function householdCreateGroup (msg, tsPlayer) {
+    debug('command:%s', 'householdCreateGroup')
+    const newGroupPlayerArray = validatedGroupPlayerList(msg)
+
+    await createGroup(tsPlayer, newGroupPlayerArray)
+
     return {}
   }
 
+  /**
+   *  Create a snapshot of the household: group topology and for each group content, 
+   * queue, position, volume and mutestate of all members. 
+   * @param {object} msg incoming message
+   * @param {boolean} [msg.snapVolumes = true] will capture the players volumes
+   * @param {boolean} [msg.snapMutestates = true] will capture the players mutestates
+   * @param {string} [msg.sonosPlaylistName = null] will save each queue in a SONOS-Playlist
+   *                 named sonosPlaylistName and coordinator name
+   * @param {boolean} [msg.snapQueues = false] if true and sonosPlaylistName is missing: will
+   *                 save each queue in a temporary SONOS-Playlist - deleted by
+   *                 household.restore.snap. Such a snapshot can be restored only once.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload is object see createHouseholdSnapshot
+   *
+   * @throws {error} 'snapQueues (msg.snapQueues) is not boolean'
+   * @throws {error} all methods
+   */
+  async function householdCreateSnapshot (msg, tsPlayer) {
+    debug('command:%s', 'householdCreateSnapshot')
+    const options = await validatedSnapshotOptions(msg, true)
+    options.snapQueues = false // default
+    if (isTruthyProperty(msg, ['snapQueues'])) {
+      if (typeof msg.snapQueues !== 'boolean') {
+        throw new Error(`${PACKAGE_PREFIX}: snapQueues (msg.snapQueues) is not boolean`)
+      }
+      options.snapQueues = msg.snapQueues
+    }
+    const payload = await createHouseholdSnapshot(tsPlayer, options)
+    
+    return { payload }
+  }
+
+  /**
+   *  Create a SONOS-Playlist - empty or with given tracks.
+   * Caution: titles may not be unique - an existing SONOS-Playlist with same title is kept!
+   * @param {object} msg incoming message
+   * @param {string} msg.payload title of new SONOS-Playlist
+   * @param {array} [msg.tracks] array of uris or items with uri and metadata (such as exported)
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * @param {object} node current node, with .configNode (media directory)
+   *
+   * @returns {promise<object>} {playlistId, newPlaylistLength}
+   *
+   * @throws {error} 'msg.tracks is not array'
+   * @throws {error} all methods
+   */
+  async function householdCreateSonosPlaylist (msg, tsPlayer, node) {
+    debug('command:%s', 'householdCreateSonosPlaylist')
+    // Payload title is required.
+    const validatedTitle = validRegex(msg, 'payload', REGEX_ANYCHAR, 'title')
+    let tracks = []
+    if (isTruthyProperty(msg, ['tracks'])) {
+      tracks = await validatedPlaylistTracks(msg, tsPlayer, node)
+    }
+
+    const result = await tsPlayer.AVTransportService.CreateSavedQueue({
+      'InstanceID': 0,
+      'Title': await encodeHtmlEntity(validatedTitle),
+      'EnqueuedURI': '',
+      'EnqueuedURIMetaData': ''
+    })
+    const playlist = {
+      'id': result.AssignedObjectID, 'updateId': result.NewUpdateID, 'length': 0
+    }
+    const newPlaylistLength = await addTracksToSonosPlaylist(tsPlayer, playlist, tracks, -1)
+
+    return { 'playlistId': playlist.id, newPlaylistLength }
+  }
+
   /**
    *  Create a stereo pair of players. Right one will be hidden!
    * Stereopairing is only supported for some type of SONOS player.
@@ -2337,6 +3464,45 @@ module.exports = function (RED) {
     return {}
   }
 
+  /**
+   *  Delete alarm in household.
+   * @param {object} msg incoming message
+   * @param {string/number} msg.payload alarm id, integer, not negative
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload is the deleted alarm
+   *
+   * @throws {error} all methods
+   */
+  async function householdDeleteAlarm (msg, tsPlayer) {
+    debug('command:%s', 'householdDeleteAlarm')
+    // Payload alarm id is required.
+    const validAlarmId = validToInteger(msg, 'payload', 0, 9999, 'delete alarm')
+    const payload = await getAlarm(tsPlayer, validAlarmId)
+    await tsPlayer.AlarmClockService.DestroyAlarm({ ID: validAlarmId })
+
+    return { payload }
+  }
+
+  /**
+   *  Delete a named snapshot (see group.save.snap).
+   * @param {object} msg incoming message
+   * @param {string} msg.payload snapshot name
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'snapshot >> does not exist'
+   * @throws {error} all methods
+   */
+  async function householdDeleteSnapshot (msg) {
+    debug('command:%s', 'householdDeleteSnapshot')
+    // Payload snapshot name is required.
+    const validatedName = validRegex(msg, 'payload', REGEX_ANYCHAR, 'snapshot name')
+    await deleteSnapshot(SNAPSHOT_FILE, validatedName)
+
+    return {}
+  }
+
   /**
    *  Disable alarm in household.
    * @param {object} msg incoming message
@@ -2350,7 +3516,7 @@ module.exports = function (RED) {
   async function householdDisableAlarm (msg, tsPlayer) {
     debug('command:%s', 'householdDisableAlarm')
     // Payload alarm id is required.
-    const validAlarmId = validToInteger(msg, 'payload', 0, 10000, 'enable alarm')
+    const validAlarmId = validToInteger(msg, 'payload', 0, 9999, 'enable alarm')
     await tsPlayer.AlarmClockService.PatchAlarm({ ID: validAlarmId, Enabled: false })   
     
     return {}
@@ -2366,12 +3532,40 @@ module.exports = function (RED) {
    *
    * @throws {error} all methods
    */
-  async function householdEnableAlarm (msg, tsPlayer) {
-    debug('command:%s', 'householdEnableAlarm')
-    // Payload alarm id is required.
-    const validAlarmId = validToInteger(msg, 'payload', 0, 10000, 'enable alarm')
-    await tsPlayer.AlarmClockService.PatchAlarm({ ID: validAlarmId, Enabled: true })   
-    
+  async function householdEnableAlarm (msg, tsPlayer) {
+    debug('command:%s', 'householdEnableAlarm')
+    // Payload alarm id is required.
+    const validAlarmId = validToInteger(msg, 'payload', 0, 9999, 'enable alarm')
+    await tsPlayer.AlarmClockService.PatchAlarm({ ID: validAlarmId, Enabled: true })   
+    
+    return {}
+  }
+
+  /**
+   *  Execute a group plan created by household.plan.group - exactly the planned actions.
+   * @param {object} msg incoming message
+   * @param {object} msg.payload plan - output from household.plan.group
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'plan (msg.payload) is missing/not object',
+   * 'topology changed since plan was created', see executeGroupPlan
+   * @throws {error} all methods
+   */
+  async function householdExecutePlan (msg, tsPlayer) {
+    debug('command:%s', 'householdExecutePlan')
+    if (!isTruthyProperty(msg, ['payload']) || typeof msg.payload !== 'object') {
+      throw new Error(`${PACKAGE_PREFIX} plan (msg.payload) is missing/not object`)
+    }
+
+    // The plan is based on the topology at planning time - it must not have changed
+    const allGroups = await getGroupsAll(tsPlayer, true)
+    if (JSON.stringify(getGroupNames(allGroups)) !== JSON.stringify(msg.payload.current)) {
+      throw new Error(`${PACKAGE_PREFIX} topology changed since plan was created`)
+    }
+    await executeGroupPlan(msg.payload, allGroups)
+
     return {}
   }
 
@@ -2413,6 +3607,60 @@ module.exports = function (RED) {
     return { payload }
   }
 
+  /**
+   *  Get all available music services and the linked account serial numbers.
+   * @param {object} msg incoming message
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload is array of services sorted by name:
+   * sid, serviceName, serviceType, authentication, accounts (serial numbers, could be empty)
+   *
+   * @throws {error} all methods
+   *
+   * The serial numbers (sn=) are inferred from My Sonos items and the queues of all groups.
+   * A linked account without any of these items is not reported.
+   */
+  async function householdGetMusicServices (msg, tsPlayer) {
+    debug('command:%s', 'householdGetMusicServices')
+    const services = await tsPlayer.MusicServicesService.ListAndParseAvailableServices()
+
+    let items = await getMySonos(tsPlayer)
+    const allGroups = await getGroupsAll(tsPlayer)
+    for (const group of allGroups) {
+      const tsCoordinator = new SonosDevice(group[0].urlObject.hostname)
+      tsCoordinator.urlObject = group[0].urlObject
+      items = items.concat(await getSonosQueueV2(tsCoordinator, QUEUE_REQUESTS_MAXIMUM))
+    }
+
+    const accounts = {} // key is sid, value array of serial numbers
+    for (const item of items) {
+      if (!isTruthyProperty(item, ['uri'])) {
+        continue
+      }
+      const sid = await getMusicServiceId(item.uri)
+      const serial = getMusicServiceSerial(item.uri)
+      if (sid !== '' && serial !== '') {
+        accounts[sid] = (accounts[sid] || [])
+        if (!accounts[sid].includes(serial)) {
+          accounts[sid].push(serial)
+        }
+      }
+    }
+
+    const payload = services.map((service) => {
+      const sid = String(service.Id)
+      return {
+        sid,
+        'serviceName': getMusicServiceName(sid) || service.Name,
+        'serviceType': service.Id * 256 + 7,
+        'authentication': service.Policy.Auth,
+        'accounts': (accounts[sid] || []).sort((a, b) => Number(a) - Number(b))
+      }
+    })
+
+    return { payload }
+  }
+
   /**
    *  Get household groups. Ignores hidden player.
 
@@ -2467,6 +3715,103 @@ module.exports = function (RED) {
     return { payload }
   }
 
+  /**
+   *  Get the volume limits of all players of this config node (see household.set.volumelimits).
+   * @param {object} msg incoming message
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * and .volumeLimitScope
+   *
+   * @returns {promise<object>} property payload: key is SONOS-Playername,
+   * value { max, notificationMax, windows }
+   *
+   * @throws nothing
+   */
+  async function householdGetVolumeLimits (msg, tsPlayer) {
+    debug('command:%s', 'householdGetVolumeLimits')
+    const payload = getVolumeLimits(tsPlayer.volumeLimitScope)
+
+    return { payload }
+  }
+
+  /**
+   *  List all named snapshots (see group.save.snap).
+   *
+   * @returns {promise<object>} property payload is array of {name, savedAt, playerNames}
+   *
+   * @throws {error} all methods
+   */
+  async function householdListSnapshots () {
+    debug('command:%s', 'householdListSnapshots')
+    const payload = await listSnapshots(SNAPSHOT_FILE)
+
+    return { payload }
+  }
+
+  /**
+   *  Move a track in first SONOS-Playlist matching given title.
+   * Caution: titles may not be unique! Case sensitive!
+   * @param {object} msg incoming message
+   * @param {string} msg.payload title of SONOS-Playlist
+   * @param {string/number} msg.position position of track. 1 ... SONOS-Playlist length.
+   * @param {string/number} msg.newPosition new position of track. 1 ... SONOS-Playlist length.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'no SONOS-Playlist title matching search string',
+   * 'SONOS-Playlist has less than 2 tracks'
+   * @throws {error} all methods
+   */
+  async function householdMoveSonosPlaylistTrack (msg, tsPlayer) {
+    debug('command:%s', 'householdMoveSonosPlaylistTrack')
+    // Payload title search string is required.
+    const validatedTitle = validRegex(msg, 'payload', REGEX_ANYCHAR, 'title')
+    const playlist = await getSonosPlaylistByTitle(tsPlayer, validatedTitle)
+    if (playlist.length < 2) {
+      throw new Error(`${PACKAGE_PREFIX} SONOS-Playlist has less than 2 tracks`)
+    }
+    const validatedPosition = validToInteger(msg, 'position', 1, playlist.length,
+      'position in SONOS-Playlist')
+    const validatedNewPosition = validToInteger(msg, 'newPosition', 1, playlist.length,
+      'new position in SONOS-Playlist')
+    if (validatedNewPosition === validatedPosition) {
+      return {}
+    }
+
+    // 0 based index
+    await tsPlayer.AVTransportService.ReorderTracksInSavedQueue({
+      'InstanceID': 0,
+      'ObjectID': playlist.id,
+      'UpdateID': playlist.updateId,
+      'TrackList': String(validatedPosition - 1),
+      'NewPositionList': String(validatedNewPosition - 1)
+    })
+
+    return {}
+  }
+
+  /**
+   *  Plan a new group in household (dry run) - no player is touched.
+   * @param {object} msg incoming message
+   * @param {string} msg.payload csv list of playerNames, first will become coordinator
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload is plan: ordered SOAP actions and
+   * current, desired groups and changes - see planCreateGroup
+   *
+   * @throws {error} 'List includes a player multiple times', 'Could not find player *'
+   * @throws {error} all methods
+   */
+  async function householdPlanGroup (msg, tsPlayer) {
+    debug('command:%s', 'householdPlanGroup')
+    const newGroupPlayerArray = validatedGroupPlayerList(msg)
+
+    const allGroups = await getGroupsAll(tsPlayer, true)
+    const payload = planCreateGroup(allGroups, newGroupPlayerArray)
+
+    return { payload }
+  }
+
   /**
    *  Remove first SONOS-Playlist matching given title. 
    * Caution: titles may not be unique! Case sensitive!
@@ -2511,6 +3856,107 @@ module.exports = function (RED) {
     return {}
   }
 
+  /**
+   *  Remove a number of tracks from first SONOS-Playlist matching given title.
+   * Caution: titles may not be unique! Case sensitive!
+   * @param {object} msg incoming message
+   * @param {string} msg.payload title of SONOS-Playlist
+   * @param {string/number} msg.position position of first track. 1 ... SONOS-Playlist length.
+   * @param {string/number} [msg.numberOfTracks=1] number of tracks 1 ... SONOS-Playlist length.
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {newPlaylistLength}
+   *
+   * @throws {error} 'no SONOS-Playlist title matching search string', 'SONOS-Playlist is empty',
+   * 'position + amount of tracks is out of range'
+   * @throws {error} all methods
+   */
+  async function householdRemoveSonosPlaylistTracks (msg, tsPlayer) {
+    debug('command:%s', 'householdRemoveSonosPlaylistTracks')
+    // Payload title search string is required.
+    const validatedTitle = validRegex(msg, 'payload', REGEX_ANYCHAR, 'title')
+    const playlist = await getSonosPlaylistByTitle(tsPlayer, validatedTitle)
+    if (playlist.length === 0) {
+      throw new Error(`${PACKAGE_PREFIX} SONOS-Playlist is empty`)
+    }
+    const validatedPosition = validToPosition(msg, 'position', playlist.length,
+      'position in SONOS-Playlist')
+    const validatedNumberOfTracks = validToPosition(msg, 'numberOfTracks', playlist.length,
+      'number of tracks', 1)
+    if ((validatedPosition + validatedNumberOfTracks - 1) > playlist.length) {
+      throw new Error(`${PACKAGE_PREFIX} position + amount of tracks is out of range`)
+    }
+
+    // 0 based indexes, empty new position list means remove
+    const trackList = []
+    for (let i = 0; i < validatedNumberOfTracks; i++) {
+      trackList.push(validatedPosition - 1 + i)
+    }
+    const result = await tsPlayer.AVTransportService.ReorderTracksInSavedQueue({
+      'InstanceID': 0,
+      'ObjectID': playlist.id,
+      'UpdateID': playlist.updateId,
+      'TrackList': trackList.join(','),
+      'NewPositionList': ''
+    })
+
+    return { 'newPlaylistLength': result.NewQueueLength }
+  }
+
+  /**
+   *  Rename first SONOS-Playlist matching given title.
+   * Caution: titles may not be unique! Case sensitive!
+   * @param {object} msg incoming message
+   * @param {string} msg.payload title of SONOS-Playlist
+   * @param {string} msg.newTitle new title
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'no SONOS-Playlist title matching search string'
+   * @throws {error} all methods
+   */
+  async function householdRenameSonosPlaylist (msg, tsPlayer) {
+    debug('command:%s', 'householdRenameSonosPlaylist')
+    // Payload title search string and new title are required.
+    const validatedTitle = validRegex(msg, 'payload', REGEX_ANYCHAR, 'title')
+    const validatedNewTitle = validRegex(msg, 'newTitle', REGEX_ANYCHAR, 'new title')
+    const playlist = await getSonosPlaylistByTitle(tsPlayer, validatedTitle)
+
+    // tag values are xml (titles encoded) and are encoded again as argument values
+    const currentTag = `<dc:title>${await encodeHtmlEntity(playlist.title)}</dc:title>`
+    const newTag = `<dc:title>${await encodeHtmlEntity(validatedNewTitle)}</dc:title>`
+    await tsPlayer.ContentDirectoryService.UpdateObject({
+      'ObjectID': playlist.id,
+      'CurrentTagValue': await encodeHtmlEntity(currentTag),
+      'NewTagValue': await encodeHtmlEntity(newTag)
+    })
+
+    return {}
+  }
+
+  /**
+   *  Restore a household snapshot: rebuild all groups and then restore each group.
+   * @param {object} msg incoming message
+   * @param {object} msg.payload household snapshot - output from household.create.snap
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'household snapshot (msg.payload) is missing/not object', 
+   * 'Could not find player *'
+   * @throws {error} all methods
+   */
+  async function householdRestoreSnapshot (msg, tsPlayer) {
+    debug('command:%s', 'householdRestoreSnapshot')
+    if (!isTruthyProperty(msg, ['payload']) || typeof msg.payload !== 'object') {
+      throw new Error(`${PACKAGE_PREFIX} household snapshot (msg.payload) is missing/not object`)
+    }
+    await restoreHouseholdSnapshot(tsPlayer, msg.payload)
+    
+    return {}
+  }
+
   /**
    *  Separate group in household.
    * @param {object} msg incoming message
@@ -2576,6 +4022,32 @@ module.exports = function (RED) {
     return {}
   }
 
+  /**
+   *  Set the volume limits of players. They apply to all volume commands and notifications
+   * of all nodes using the same config node and replace the limits from the config node
+   * for the given players - until the next deploy.
+   * @param {object} msg incoming message
+   * @param {object} msg.payload key is SONOS-Playername, value { max, notificationMax, windows }
+   * windows is array of { from, to, max, notificationMax } with from, to as hh:mm,
+   * value {} removes the limits of that player
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   * and .volumeLimitScope
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'volume limits (msg.payload) is missing/not object'
+   * @throws {error} all methods
+   */
+  async function householdSetVolumeLimits (msg, tsPlayer) {
+    debug('command:%s', 'householdSetVolumeLimits')
+    if (!isTruthyProperty(msg, ['payload']) || typeof msg.payload !== 'object') {
+      throw new Error(`${PACKAGE_PREFIX} volume limits (msg.payload) is missing/not object`)
+    }
+    setVolumeLimits(tsPlayer.volumeLimitScope, msg.payload)
+
+    return {}
+  }
+
   /**
    *  Household test player connection
    * @param {object} msg incoming message
@@ -2620,6 +4092,35 @@ module.exports = function (RED) {
     return { 'payload': false }
   }
 
+  /**
+   *  Update alarm. Only the given properties are being modified.
+   * @param {object} msg incoming message
+   * @param {object} msg.payload alarm data
+   * @param {(string|number)} msg.payload.id alarm id, integer, not negative
+   * @param {string} [msg.payload.*] see validatedAlarmProperties
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload is the updated alarm
+   *
+   * @throws {error} all methods
+   */
+  async function householdUpdateAlarm (msg, tsPlayer) {
+    debug('command:%s', 'householdUpdateAlarm')
+    // Payload alarm data is required.
+    if (!isTruthyProperty(msg, ['payload'])) {
+      throw new Error(`${PACKAGE_PREFIX} alarm data (msg.payload) is missing`)
+    }
+    const validAlarmId = validToInteger(msg.payload, 'id', 0, 9999, 'alarm id')
+    const baseAlarm = await getAlarm(tsPlayer, validAlarmId)
+    const validated = await validatedAlarmProperties(msg.payload, baseAlarm)
+    const alarmArguments = await getAlarmArguments(tsPlayer, validated, baseAlarm)
+    await executeActionV8(tsPlayer.urlObject, '/AlarmClock/Control', 'UpdateAlarm',
+      Object.assign({ 'ID': validAlarmId }, alarmArguments))
+    const payload = await getAlarm(tsPlayer, validAlarmId)
+
+    return { payload }
+  }
+
   /**
    *  Household Music Library Update Index
    * @param {object} msg incoming message
@@ -2650,18 +4151,21 @@ module.exports = function (RED) {
    * @param {string} msg.payload notification uri
    * @param {number/string} [msg.volume] volume - if missing do not touch volume
    * @param {string} [msg.duration] duration of notification hh:mm:ss 
+   * @param {number/string} [msg.priority=0] 0 .. 10, higher priority interrupts lower priority
+   * @param {number/string} [msg.maxAge] seconds, drop notification if it waited longer
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
    *
-   * @returns {promise<object>} {}
+   * @returns {promise<object>} property notificationState: played, interrupted, dropped and
+   * volumeLimitViolations if notification volume limits were enforced
    *
    * @throws {error} 'player (msg.player/node) is not a joiner', 
    * 'duration (msg.duration) is not a string', duration (msg.duration) is not format hh:mm:ss'
    * @throws {error} all methods
    *
    * Hints:
-   *  While playing a notification (start .. to end + 1 seconds)
-   *     there should not be send another request to this player and the group shound be modified
+   *  Notifications for the same joiner are queued: the joiner rejoins after the last one.
+   *  While playing a notification the group should not be modified.
    */
   async function joinerPlayNotification (msg, tsPlayer) {
     debug('command:%s', 'joinerPlayNotification')
@@ -2697,15 +4201,22 @@ module.exports = function (RED) {
       options.automaticDuration = false
     }
 
+    // Notification queue: priority and max age in seconds (-1 means never drop)
+    options.priority = validToInteger(msg, 'priority', 0, 10, 'priority', 0)
+    options.maxAge = validToInteger(msg, 'maxAge', 1, 3600, 'max age', -1)
+
     // The coordinator is not being used - group is not changed
     const iCoord = 0
     const coordinatorUuid = groupData.members[iCoord].uuid
     const tsJoiner = new SonosDevice(groupData.members[groupData.playerIndex].urlObject.hostname)
     tsJoiner.urlObject = groupData.members[groupData.playerIndex].urlObject
+    tsJoiner.playerName = groupData.members[groupData.playerIndex].playerName
+    options.volumeLimitScope = tsPlayer.volumeLimitScope
+    options.volumeLimitViolations = []
     
-    await playJoinerNotification(tsJoiner, coordinatorUuid, options)
+    const notificationState = await queueJoinerNotification(tsJoiner, coordinatorUuid, options)
 
-    return {}
+    return Object.assign({ notificationState }, volumeLimitOutput(options.volumeLimitViolations))
   }
 
   /**
@@ -2715,7 +4226,8 @@ module.exports = function (RED) {
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
    *
-   * @returns {promise<object>} property newVolume as string, range 0 ... 100
+   * @returns {promise<object>} property newVolume as string, range 0 ... 100 and
+   * volumeLimitViolations if volume limits were enforced
    *
    * @throws {error} all methods
    */
@@ -2726,12 +4238,14 @@ module.exports = function (RED) {
     const validated = await validatedGroupProperties(msg)
     const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
 
-    const ts1Player = new SonosDevice(groupData.members[groupData.playerIndex].urlObject.hostname)
-    const result = await ts1Player.RenderingControlService.SetRelativeVolume(
-      { 'InstanceID': 0, 'Channel': 'Master', 'Adjustment': adjustVolume })
+    const member = groupData.members[groupData.playerIndex]
+    cancelRamps([member.urlObject.hostname])
+    const ts1Player = new SonosDevice(member.urlObject.hostname)
+    const result = await setPlayerVolume(tsPlayer.volumeLimitScope, ts1Player,
+      member.playerName, adjustVolume, true)
 
-    const newVolume = result.NewVolume
-    return { newVolume } // caution newVolume property!
+    // caution newVolume!
+    return Object.assign({ 'newVolume': result.newVolume }, volumeLimitOutput(result.violations))
   }
 
   /**
@@ -2825,16 +4339,16 @@ module.exports = function (RED) {
   }
 
   /**
-   *  Get player EQ data.
+   *  Get player home theater setting such as nightmode, subgain, surroundmode.
    * @param {object} msg incoming message + msg.nrcspCmd
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
-   * @param {string} msg.nrcspCmd command
+   * @param {string} msg.nrcspCmd command such as player.get.nightmode, see HT_SETTINGS
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
    *
-   * @returns {promise<object>} property payload either nightmode (on|off), 
-   * subgain(nubmer), dialogLevel(on|off)
+   * @returns {promise<object>} property payload either on|off (such as nightmode),
+   * number (such as subgain) or mode (surroundmode full|ambient, subpolarity normal|inverted)
    *
-   * @throws {error} 'Sonos player model name undefined', 'Selected player does not support TV',
+   * @throws {error} 'player does not support TV', 'player does not support >>',
    * 'player response is undefined`'
    * @throws {error} all methods
    *
@@ -2842,40 +4356,30 @@ module.exports = function (RED) {
    */
   async function playerGetEq (msg, tsPlayer) {
     debug('command:%s', 'playerGetEq')
-    const validated = await validatedGroupProperties(msg)
-    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
-    // eslint-disable-next-line max-len
-    const ts1Player = new SonosDevice(groupData.members[groupData.playerIndex].urlObject.hostname)
-    ts1Player.urlObject = groupData.members[groupData.playerIndex].urlObject
-
-    // Verify that player has a TV mode
-    const deviceInfo = await getDeviceInfo(ts1Player.urlObject, TIMEOUT_HTTP_REQUEST)
-    const found = deviceInfo.device.capabilities.findIndex((cap) => (cap === 'HT_PLAYBACK'))
-    if (found === -1) {
-      throw new Error(`${PACKAGE_PREFIX} player does not support TV`)
-    }
+    const tsHtPlayer = await getHomeTheaterPlayer(msg, tsPlayer)
 
-    let args
     // No check exist needed as command has already been checked
-    if (msg.nrcspCmd === 'player.get.nightmode') {
-      args = { 'InstanceID': 0, 'EQType': 'NightMode' }
-    } else if (msg.nrcspCmd === 'player.get.subgain') {
-      args = { 'InstanceID': 0, 'EQType': 'SubGain' }
-    } else if (msg.nrcspCmd === 'player.get.dialoglevel') {
-      args = { 'InstanceID': 0, 'EQType': 'DialogLevel' }
-    } else {
-      // Can not happen
+    const setting = HT_SETTINGS[msg.nrcspCmd.split('.')[2]]
+    let result
+    try {
+      result = await tsHtPlayer.RenderingControlService.GetEQ(
+        { 'InstanceID': 0, 'EQType': setting.eqType })
+    } catch (error) {
+      throw unsupportedSettingError(error, setting.eqType)
     }
-
-    const result = await ts1Player.RenderingControlService.GetEQ(args)
     let payload = result.CurrentValue
     if (!isTruthy(payload)) {
       throw new Error(`${PACKAGE_PREFIX} player response is undefined`)
     }
-    if (args.EQType !== 'SubGain') {
+    if (setting.onOff) {
       payload = (payload === 1 ? 'on' : 'off')
+    } else if (setting.modes !== undefined) {
+      payload = setting.modes[payload]
+      if (payload === undefined) {
+        throw new Error(`${PACKAGE_PREFIX} player response is invalid`)
+      }
     }
-    // else SubGain is value
+    // else value
 
     return { payload }
   }
@@ -3019,6 +4523,36 @@ module.exports = function (RED) {
     return { 'payload': role, 'playerName': groupData.members[groupData.playerIndex].playerName }
   }
 
+  /**
+   *  Get player TV autoplay or ungroup on TV autoplay.
+   * @param {object} msg incoming message, uses msg.nrcspCmd
+   * @param {string} msg.nrcspCmd player.get.tvautoplay, player.get.tvautoplayungroup
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property payload on|off
+   *
+   * @throws {error} 'player does not support TV'
+   * @throws {error} all methods
+   */
+  async function playerGetTvAutoplay (msg, tsPlayer) {
+    debug('command:%s', 'playerGetTvAutoplay')
+    const tsHtPlayer = await getHomeTheaterPlayer(msg, tsPlayer)
+
+    let isOn
+    if (msg.nrcspCmd === 'player.get.tvautoplay') {
+      const result = await tsHtPlayer.DevicePropertiesService.GetAutoplayRoomUUID(
+        { 'Source': HT_AUTOPLAY_SOURCE })
+      isOn = (result.RoomUUID === tsHtPlayer.Uuid)
+    } else {
+      const result = await tsHtPlayer.DevicePropertiesService.GetAutoplayLinkedZones(
+        { 'Source': HT_AUTOPLAY_SOURCE })
+      isOn = !result.IncludeLinkedZones
+    }
+
+    return { 'payload': (isOn ? 'on' : 'off') }
+  }
+
   /**
    *  Get player treble.
    * @param {object} msg incoming message
@@ -3139,12 +4673,11 @@ module.exports = function (RED) {
     
     await ts1Player.SetAVTransportURI(validatedUri)
 
-    if (validated.volume !== -1) {
-      await ts1Player.SetVolume(validated.volume)
-    }
+    const violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+      validated.volume, false, tsPlayer.volumeLimitScope)
     await ts1Player.Play()
   
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
@@ -3168,6 +4701,7 @@ module.exports = function (RED) {
     // eslint-disable-next-line max-len
     const ts1Player = new SonosDevice(groupData.members[groupData.playerIndex].urlObject.hostname)
     ts1Player.urlObject = groupData.members[groupData.playerIndex].urlObject
+    let violations = []
     // Get the device info, check whether line in is supported and get uuid
     const deviceInfo = await getDeviceInfo(ts1Player.urlObject, TIMEOUT_HTTP_REQUEST)
     const found = deviceInfo.device.capabilities.findIndex((cap) => (cap === 'LINE_IN'))
@@ -3179,14 +4713,13 @@ module.exports = function (RED) {
         {
           'InstanceID': 0, 'CurrentURI': `x-rincon-stream:${uuid}`, 'CurrentURIMetaData': ''
         })
-      if (validated.volume !== -1) {
-        await ts1Player.SetVolume(validated.volume)
-      }
+      violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+        validated.volume, false, tsPlayer.volumeLimitScope)
     } else {
       throw new Error(`${PACKAGE_PREFIX} player does not support line in`)
     }
 
-    return {}
+    return volumeLimitOutput(violations)
   }
 
   /**
@@ -3210,6 +4743,7 @@ module.exports = function (RED) {
     // eslint-disable-next-line max-len
     const ts1Player = new SonosDevice(groupData.members[groupData.playerIndex].urlObject.hostname)
     ts1Player.urlObject = groupData.members[groupData.playerIndex].urlObject
+    let violations = []
     // Get the device info, check whether TV is supported and get uuid
     const deviceInfo = await getDeviceInfo(ts1Player.urlObject, TIMEOUT_HTTP_REQUEST)
     const found = deviceInfo.device.capabilities.findIndex((cap) => (cap === 'HT_PLAYBACK'))
@@ -3223,14 +4757,48 @@ module.exports = function (RED) {
           'CurrentURIMetaData': ''
         })
       
-      if (validated.volume !== -1) {
-        await ts1Player.SetVolume(validated.volume)
-      }
+      violations = await setVolumeOnMembers(groupData.members, groupData.playerIndex,
+        validated.volume, false, tsPlayer.volumeLimitScope)
     } else {
       throw new Error(`${PACKAGE_PREFIX} player does not support TV`)
     }
 
-    return {}
+    return volumeLimitOutput(violations)
+  }
+
+  /**
+   *  Ramp player volume to target volume. Running ramps of this player are cancelled.
+   * @param {object} msg incoming message
+   * @param {string/number} msg.payload target volume, integer 0 .. 100
+   * @param {string} [msg.duration = 00:00:10] ramp duration hh:mm:ss
+   * @param {string} [msg.curve = linear] linear|sleeptimer|alarm
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} property rampState: completed, cancelled, native and
+   * volumeLimitViolations if volume limits were enforced
+   * @throws {error} all methods
+   *
+   * Hint: curve sleeptimer, alarm use the ramp of the player (duration is ignored) and
+   * fall back to software stepping if not supported.
+   */
+  async function playerRampVolume (msg, tsPlayer) {
+    debug('command:%s', 'playerRampVolume')
+    const targetVolume = validToInteger(msg, 'payload', 0, 100, 'target volume')
+    const options = validatedRampOptions(msg)
+    const validatedPlayerName = validRegex(msg, 'playerName', REGEX_ANYCHAR,
+      'player name', '')
+    const groupData = await getGroupCurrent(tsPlayer, validatedPlayerName)
+
+    const member = groupData.members[groupData.playerIndex]
+    const ts1Player = new SonosDevice(member.urlObject.hostname)
+    ts1Player.urlObject = member.urlObject
+    const violations = []
+    const newVolume = limitVolume(tsPlayer.volumeLimitScope, member.playerName, targetVolume,
+      false, violations)
+    const rampState = await rampPlayerVolume(ts1Player, newVolume, options)
+
+    return Object.assign({ rampState }, volumeLimitOutput(violations))
   }
 
   /**
@@ -3284,51 +4852,71 @@ module.exports = function (RED) {
   }
 
   /**
-   *  Set player EQ type
+   *  Set player home theater setting such as nightmode, subgain, surroundmode.
    * @param {object} msg incoming message, uses msg.nrcspCmd
-   * @param {string} msg.nrcspCmd the lowercase, player.set.nightmode/subgain/dialoglevel
-   * @param {string} msg.payload value on,off or -15 .. 15 in case of subgain
+   * @param {string} msg.nrcspCmd the lowercase, such as player.set.nightmode, see HT_SETTINGS
+   * @param {string} msg.payload value on|off, integer such as -15 .. 15 for subgain or mode
+   * (surroundmode full|ambient, subpolarity normal|inverted)
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
    *
    * @returns {promise<object>} {}
    *
-   * @throws {error} 'Sonos player model name undefined', 'Selected player does not support TV'
+   * @throws {error} 'player does not support TV', 'player does not support >>'
    * @throws {error} all methods
    */
   async function playerSetEQ (msg, tsPlayer) {
     debug('command:%s', 'playerSetEQ')
-    const validated = await validatedGroupProperties(msg)
-    const groupData = await getGroupCurrent(tsPlayer, validated.playerName)
-    const ts1Player = new SonosDevice(groupData.members[groupData.playerIndex].urlObject.hostname)
-    ts1Player.urlObject = groupData.members[groupData.playerIndex].urlObject
+    // No check exist needed as command has already been checked
+    const name = msg.nrcspCmd.split('.')[2]
+    const setting = HT_SETTINGS[name]
+    let eqValue
+    if (setting.onOff) {
+      eqValue = (isOnOff(msg, 'payload', name) ? 1 : 0) // Required
+    } else if (setting.modes !== undefined) {
+      const modesRegex = new RegExp(`^(${setting.modes.join('|')})$`, 'i')
+      eqValue = setting.modes.indexOf(validRegex(msg, 'payload', modesRegex, name).toLowerCase())
+    } else {
+      eqValue = validToInteger(msg, 'payload', setting.min, setting.max, name) // Required
+    }
 
-    // Verify that player has a TV mode
-    const deviceInfo = await getDeviceInfo(ts1Player.urlObject, TIMEOUT_HTTP_REQUEST)
-    const found = deviceInfo.device.capabilities.findIndex((cap) => (cap === 'HT_PLAYBACK'))
-    if (found === -1) {
-      throw new Error(`${PACKAGE_PREFIX} player does not support TV`)
+    const tsHtPlayer = await getHomeTheaterPlayer(msg, tsPlayer)
+    try {
+      await tsHtPlayer.RenderingControlService.SetEQ(
+        { 'InstanceID': 0, 'EQType': setting.eqType, 'DesiredValue': eqValue })
+    } catch (error) {
+      throw unsupportedSettingError(error, setting.eqType)
     }
 
-    let eqType
-    let eqValue
-    // No check exist needed as command has already been checked
-    if (msg.nrcspCmd === 'player.set.nightmode') {
-      eqType = 'NightMode'
-      eqValue = isOnOff(msg, 'payload', 'nightmode') // Required
-      eqValue = (eqValue ? 1 : 0)
-    } else if (msg.nrcspCmd === 'player.set.subgain') {
-      eqType = 'SubGain'
-      eqValue = validToInteger(msg, 'payload', -15, 15, 'subgain') // Required
-    } else if (msg.nrcspCmd === 'player.set.dialoglevel') {
-      eqType = 'DialogLevel'
-      eqValue = isOnOff(msg, 'payload', 'dialoglevel') // Required
-      eqValue = (eqValue ? 1 : 0)
+    return {}
+  }
+
+  /**
+   *  Set player TV autoplay or ungroup on TV autoplay.
+   * @param {object} msg incoming message, uses msg.nrcspCmd
+   * @param {string} msg.nrcspCmd player.set.tvautoplay, player.set.tvautoplayungroup
+   * @param {string} msg.payload on|off
+   * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
+   * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
+   *
+   * @returns {promise<object>} {}
+   *
+   * @throws {error} 'player does not support TV'
+   * @throws {error} all methods
+   */
+  async function playerSetTvAutoplay (msg, tsPlayer) {
+    debug('command:%s', 'playerSetTvAutoplay')
+    const isOn = isOnOff(msg, 'payload', 'autoplay') // Required
+    const tsHtPlayer = await getHomeTheaterPlayer(msg, tsPlayer)
+
+    if (msg.nrcspCmd === 'player.set.tvautoplay') {
+      await tsHtPlayer.DevicePropertiesService.SetAutoplayRoomUUID(
+        { 'RoomUUID': (isOn ? tsHtPlayer.Uuid : ''), 'Source': HT_AUTOPLAY_SOURCE })
     } else {
-      // Can not happen
+      // ungroup means: do not include the group members (linked zones)
+      await tsHtPlayer.DevicePropertiesService.SetAutoplayLinkedZones(
+        { 'IncludeLinkedZones': !isOn, 'Source': HT_AUTOPLAY_SOURCE })
     }
-    await ts1Player.RenderingControlService.SetEQ(
-      { 'InstanceID': 0, 'EQType': eqType, 'DesiredValue': eqValue })
 
     return {}
   }
@@ -3444,7 +5032,7 @@ module.exports = function (RED) {
    * @param {string} [msg.playerName = using tsPlayer] SONOS-Playername
    * @param {object} tsPlayer sonos-ts player with .urlObject as Javascript build-in URL
    *
-   * @returns {promise<object>} {}
+   * @returns {promise<object>} {} or volumeLimitViolations
    *
    * @throws {error} all methods
    */
@@ -3456,11 +5044,13 @@ module.exports = function (RED) {
       'player name', '')
     const groupData = await getGroupCurrent(tsPlayer, validatedPlayerName)
 
-    const ts1Player = new SonosDevice(groupData.members[groupData.playerIndex].urlObject.hostname)
-    await ts1Player.RenderingControlService.SetVolume(
-      { 'InstanceID': 0, 'Channel': 'Master', 'DesiredVolume': validatedVolume })
+    const member = groupData.members[groupData.playerIndex]
+    cancelRamps([member.urlObject.hostname])
+    const ts1Player = new SonosDevice(member.urlObject.hostname)
+    const result = await setPlayerVolume(tsPlayer.volumeLimitScope, ts1Player,
+      member.playerName, validatedVolume, false)
 
-    return {}
+    return volumeLimitOutput(result.violations)
   }
 
   /**
@@ -3518,5 +5108,44 @@ module.exports = function (RED) {
     return { payload }
   }
 
+  // Serves rendered TTS files to the SONOS-Player - see group.play.tts
+  RED.httpAdmin.get('/nrcsp-tts/:file', function (req, response) {
+    debug('method:%s', 'REDhttpAdmin.get tts')
+    if (!REGEX_TTS_FILE.test(req.params.file)) {
+      response.sendStatus(404)
+      return
+    }
+    response.sendFile(req.params.file, { 'root': TTS_CACHE_DIRECTORY }, (error) => {
+      if (error) {
+        debug('could not send TTS file >>%s', req.params.file)
+        if (!response.headersSent) {
+          response.sendStatus(404)
+        }
+      }
+    })
+  })
+
+  // Serves files of the media directory (config node) to the SONOS-Player
+  RED.httpNode.get('/nrcsp-media/:configId/*', function (req, response) {
+    debug('method:%s', 'REDhttpNode.get media')
+    const configNode = RED.nodes.getNode(req.params.configId)
+    if (!isTruthyPropertyStringNotEmpty(configNode, ['mediaDirectory'])) {
+      response.sendStatus(404)
+      return
+    }
+    response.setHeader('Content-Type', getMimeType(req.params[0]))
+    // sendFile: rejects paths outside root, supports range requests
+    response.sendFile(req.params[0], { 'root': configNode.mediaDirectory, 'dotfiles': 'deny' },
+      (error) => {
+        if (error) {
+          debug('could not send media file >>%s', req.params[0])
+          if (!response.headersSent) {
+            response.removeHeader('Content-Type')
+            response.sendStatus(error.status || 404)
+          }
+        }
+      })
+  })
+
   RED.nodes.registerType('sonos-universal', SonosUniversalNode)
 }
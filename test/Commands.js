@@ -0,0 +1,138 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { executeGroupPlan, getGroupNames, planCreateGroup } = require('../src/Commands.js')
+
+const { describe, it } = require('mocha')
+const { expect } = require('chai')
+
+// playerGroupData as being provided by getGroupsAll
+const member = (playerName, lastOctet, invisible) => {
+  return {
+    playerName,
+    'urlObject': new URL(`http://192.168.178.${lastOctet}:1400`),
+    'uuid': `RINCON_00000000000${lastOctet}01400`,
+    'invisible': (invisible === true)
+  }
+}
+
+// Kitchen (coordinator) + Living + hidden Sub, Bath standalone, Office standalone
+const ALL_GROUPS = [
+  [member('Kitchen', 31), member('Living', 32), member('Sub', 33, true)],
+  [member('Bath', 34)],
+  [member('Office', 35)]
+]
+
+describe('getGroupNames function', function () {
+
+  it('hidden players removed and groups sorted by coordinator', () => {
+    expect(getGroupNames(ALL_GROUPS))
+      .to.eql([['Bath'], ['Kitchen', 'Living'], ['Office']])
+  })
+})
+
+describe('planCreateGroup function', function () {
+
+  it('coordinator keeps group: remove and add players', () => {
+    const plan = planCreateGroup(ALL_GROUPS, ['Kitchen', 'Bath'])
+    expect(plan.actions.map((item) => `${item.action} ${item.playerName}`))
+      .to.eql(['BecomeCoordinatorOfStandaloneGroup Living', 'SetAVTransportURI Bath'])
+    expect(plan.actions[1])
+      .to.eql({
+        'playerName': 'Bath', 'hostname': '192.168.178.34', 'action': 'SetAVTransportURI',
+        'args': {
+          'InstanceID': 0, 'CurrentURI': 'x-rincon:RINCON_000000000003101400',
+          'CurrentURIMetaData': ''
+        },
+        'delay': 0
+      })
+    expect(plan.desired)
+      .to.eql([['Kitchen', 'Bath'], ['Living'], ['Office']])
+    expect(plan.changes)
+      .to.eql([
+        { 'playerName': 'Living', 'from': 'Kitchen', 'to': 'Living' },
+        { 'playerName': 'Bath', 'from': 'Bath', 'to': 'Kitchen' }
+      ])
+  })
+
+  it('new coordinator becomes standalone first and waits', () => {
+    const plan = planCreateGroup(ALL_GROUPS, ['Living', 'Office'])
+    expect(plan.actions.map((item) => `${item.action} ${item.playerName} ${item.delay}`))
+      .to.eql(['BecomeCoordinatorOfStandaloneGroup Living 500', 'SetAVTransportURI Office 0'])
+    expect(plan.current)
+      .to.eql([['Bath'], ['Kitchen', 'Living'], ['Office']])
+    expect(plan.desired)
+      .to.eql([['Bath'], ['Kitchen'], ['Living', 'Office']])
+  })
+
+  it('group already in place needs no actions', () => {
+    const plan = planCreateGroup(ALL_GROUPS, ['Kitchen', 'Living'])
+    expect(plan.actions)
+      .to.eql([])
+    expect(plan.changes)
+      .to.eql([])
+    expect(plan.desired)
+      .to.eql(plan.current)
+  })
+
+  it('unknown player throws error', () => {
+    expect(() => planCreateGroup(ALL_GROUPS, ['Kitchen', 'Garage']))
+      .to.throw('nrcsp: Could not find player: Garage')
+  })
+})
+
+describe('executeGroupPlan function', function () {
+
+  it('invalid plan throws error before any action', async () => {
+    let error = null
+    try {
+      await executeGroupPlan({
+        'actions': [
+          {
+            'playerName': 'Bath', 'hostname': '192.168.178.34',
+            'action': 'BecomeCoordinatorOfStandaloneGroup', 'args': { 'InstanceID': 0 }
+          },
+          {
+            'playerName': 'Living', 'hostname': '192.168.178.32',
+            'action': 'RemoveAllTracksFromQueue', 'args': {}
+          }
+        ]
+      }, ALL_GROUPS)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message)
+      .equal('nrcsp: plan action >>1 is invalid')
+  })
+
+  it('host not in household throws error before any action', async () => {
+    let error = null
+    try {
+      await executeGroupPlan({
+        'actions': [{
+          'playerName': 'Bath', 'hostname': '10.0.0.1',
+          'action': 'BecomeCoordinatorOfStandaloneGroup', 'args': { 'InstanceID': 0 }
+        }]
+      }, ALL_GROUPS)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message)
+      .equal('nrcsp: plan action >>0 player is not in household')
+  })
+
+  it('join uri not planned coordinator throws error before any action', async () => {
+    const plan = planCreateGroup(ALL_GROUPS, ['Kitchen', 'Bath'])
+    plan.actions[1].args.CurrentURI = 'x-rincon:RINCON_000000000003501400' // Office
+    let error = null
+    try {
+      await executeGroupPlan(plan, ALL_GROUPS)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message)
+      .equal('nrcsp: plan action >>1 is invalid')
+  })
+})
@@ -0,0 +1,89 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const SonosEventSubscriber = require('../src/Events-base-hk.js')
+
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+
+const http = require('http')
+
+// eslint-disable-next-line max-len
+const PROPERTY_SET = '<e:propertyset xmlns:e="urn:schemas-upnp-org:event-1-0"><e:property><GroupVolume>23</GroupVolume></e:property></e:propertyset>'
+
+// Sends a NOTIFY to the callback url and resolves with the status code
+const sendNotify = (callback, sid) => {
+  return new Promise((resolve, reject) => {
+    const req = http.request(callback, {
+      'method': 'NOTIFY',
+      'headers': { 'SID': sid, 'NT': 'upnp:event', 'NTS': 'upnp:propchange' }
+    }, (res) => {
+      res.resume()
+      resolve(res.statusCode)
+    })
+    req.on('error', reject)
+    req.end(PROPERTY_SET)
+  })
+}
+
+describe('SonosEventSubscriber class with fake player', function () {
+  this.timeout(5000)
+  const requests = [] // { method, sid }
+  let onSubscribe // async (req, sid) - called before the SUBSCRIBE response is sent
+  let nextSid = 1
+  let player
+  let playerUrlObject
+
+  before(async () => {
+    player = http.createServer((req, res) => {
+      const sid = (req.method === 'SUBSCRIBE' && req.headers['sid'] === undefined
+        ? `uuid:sub-${nextSid++}` : req.headers['sid'])
+      requests.push({ 'method': req.method, sid })
+      const respond = () => {
+        res.writeHead(200, { 'SID': sid, 'TIMEOUT': 'Second-1800' })
+        res.end()
+      }
+      if (req.method === 'SUBSCRIBE') {
+        onSubscribe(req, sid).then(respond)
+      } else {
+        respond()
+      }
+    })
+    await new Promise((resolve) => player.listen(0, '127.0.0.1', resolve))
+    playerUrlObject = new URL(`http://127.0.0.1:${player.address().port}`)
+  })
+
+  after(async () => {
+    await new Promise((resolve) => player.close(resolve))
+  })
+
+  it('NOTIFY before SUBSCRIBE response is emitted', async () => {
+    let notifyStatus
+    onSubscribe = async (req, sid) => {
+      notifyStatus = await sendNotify(req.headers['callback'].slice(1, -1), sid)
+    }
+    const subscriber = new SonosEventSubscriber(playerUrlObject)
+    const events = []
+    subscriber.on('event', (serviceName, properties) => events.push([serviceName, properties]))
+    await subscriber.start(['GroupRenderingControl'])
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    await subscriber.stop()
+    expect(notifyStatus)
+      .equal(200)
+    expect(events)
+      .to.eql([['GroupRenderingControl', { 'GroupVolume': '23' }]])
+  })
+
+  it('stop during SUBSCRIBE unsubscribes the sid afterwards', async () => {
+    const subscriber = new SonosEventSubscriber(playerUrlObject)
+    onSubscribe = () => subscriber.stop()
+    requests.length = 0
+    await subscriber.start(['AVTransport'])
+    expect(requests.map((item) => item.method))
+      .to.eql(['SUBSCRIBE', 'UNSUBSCRIBE'])
+    expect(requests[1].sid)
+      .equal(requests[0].sid)
+  })
+})
@@ -12,7 +12,8 @@
 const { decideCreateNodeOn, getDeviceInfo, matchSerialUuid, parseZoneGroupToArray,
   parseBrowseToArray, guessProcessingType, validatedGroupProperties, extractGroup,
   // eslint-disable-next-line max-len
-  parseAlarmsToArray
+  parseAlarmsToArray, parseEventPropertySet, parseEventLastChange, validatedAlarmProperties,
+  checkSnapshotTopology, validatedSnapshotOptions, getMusicServiceSerial
 } = require('../src/Extensions.js')
 
 const PLAY5 = 'http://192.168.178.51:1400'
@@ -1041,6 +1042,23 @@ describe('guessProcessingType function', function () {
   })
 })
 
+describe('getMusicServiceSerial function', function () {
+
+  it('serial number from uri, also html entity encoded', () => {
+    expect(getMusicServiceSerial('x-sonos-spotify:spotify%3atrack%3a1?sid=9&flags=8224&sn=7'))
+      .equal('7')
+    expect(getMusicServiceSerial('x-sonosapi-stream:s24896?sid=254&amp;flags=8224&amp;sn=0'))
+      .equal('0')
+  })
+
+  it('no serial number provides empty string', () => {
+    expect(getMusicServiceSerial('x-rincon-mp3radio://simulator.local/radio.mp3'))
+      .equal('')
+    expect(getMusicServiceSerial(undefined))
+      .equal('')
+  })
+})
+
 describe('parseAlarmsToArray function', function () {
   
   it('no alarms means empty array ', async () => {
@@ -1078,4 +1096,263 @@ describe('parseAlarmsToArray function', function () {
       .be.a('string')
       .equal('21')
   })
-})
\ No newline at end of file
+})
+
+describe('parseEventPropertySet function', function () {
+  
+  it('empty string throws error', async () => {
+    let error = null
+    await parseEventPropertySet('')
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: parameter propertySet is missing')
+  })
+
+  it('missing propertyset throws error', async () => {
+    let error = null
+    await parseEventPropertySet('<a>1</a>')
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: invalid event - missing e:propertyset')
+  })
+
+  it('one property ', async () => {
+    // eslint-disable-next-line max-len
+    const xmlIn = '<e:propertyset xmlns:e="urn:schemas-upnp-org:event-1-0"><e:property><LastChange>&lt;Event xmlns=&quot;urn:schemas-upnp-org:metadata-1-0/AVT/&quot;&gt;&lt;/Event&gt;</LastChange></e:property></e:propertyset>'
+    const result = await parseEventPropertySet(xmlIn)
+    expect(result)
+      .be.a('object')
+    expect(result.LastChange)
+      .be.a('string')
+      .equal('&lt;Event xmlns=&quot;urn:schemas-upnp-org:metadata-1-0/AVT/&quot;&gt;&lt;/Event&gt;')
+  })
+
+  it('several properties including empty one ', async () => {
+    // eslint-disable-next-line max-len
+    const xmlIn = '<e:propertyset xmlns:e="urn:schemas-upnp-org:event-1-0"><e:property><GroupVolume>23</GroupVolume></e:property><e:property><GroupMute>0</GroupMute></e:property><e:property><GroupVolumeChangeable></GroupVolumeChangeable></e:property></e:propertyset>'
+    const result = await parseEventPropertySet(xmlIn)
+    expect(result.GroupVolume)
+      .be.a('string')
+      .equal('23')
+    expect(result.GroupMute)
+      .be.a('string')
+      .equal('0')
+    expect(result.GroupVolumeChangeable)
+      .be.a('string')
+      .equal('')
+  })
+})
+
+describe('parseEventLastChange function', function () {
+  
+  it('empty string throws error', async () => {
+    let error = null
+    await parseEventLastChange('')
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: parameter lastChange is missing')
+  })
+
+  it('transport state and track metadata ', async () => {
+    // eslint-disable-next-line max-len
+    const lastChange = '&lt;Event xmlns=&quot;urn:schemas-upnp-org:metadata-1-0/AVT/&quot;&gt;&lt;InstanceID val=&quot;0&quot;&gt;&lt;TransportState val=&quot;PLAYING&quot;/&gt;&lt;CurrentPlayMode val=&quot;NORMAL&quot;/&gt;&lt;CurrentTrackMetaData val=&quot;&amp;lt;DIDL-Lite xmlns:dc=&amp;quot;http://purl.org/dc/elements/1.1/&amp;quot; xmlns:upnp=&amp;quot;urn:schemas-upnp-org:metadata-1-0/upnp/&amp;quot; xmlns=&amp;quot;urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/&amp;quot;&amp;gt;&amp;lt;item id=&amp;quot;-1&amp;quot; parentID=&amp;quot;-1&amp;quot;&amp;gt;&amp;lt;res protocolInfo=&amp;quot;x-file-cifs:*:audio/mpeg:*&amp;quot;&amp;gt;x-file-cifs://nas/music/a.mp3&amp;lt;/res&amp;gt;&amp;lt;dc:title&amp;gt;Hello &amp;amp;amp; Bye&amp;lt;/dc:title&amp;gt;&amp;lt;upnp:class&amp;gt;object.item.audioItem.musicTrack&amp;lt;/upnp:class&amp;gt;&amp;lt;/item&amp;gt;&amp;lt;/DIDL-Lite&amp;gt;&quot;/&gt;&lt;/InstanceID&gt;&lt;/Event&gt;'
+    const result = await parseEventLastChange(lastChange)
+    expect(result.TransportState)
+      .be.a('string')
+      .equal('PLAYING')
+    expect(result.CurrentPlayMode)
+      .be.a('string')
+      .equal('NORMAL')
+    const tracks = await parseBrowseToArray(
+      { 'NumberReturned': 1, 'TotalMatches': 1, 'Result': result.CurrentTrackMetaData }, 'item')
+    expect(tracks[0].title)
+      .be.a('string')
+      .equal('Hello & Bye')
+    expect(tracks[0].uri)
+      .be.a('string')
+      .equal('x-file-cifs://nas/music/a.mp3')
+  })
+
+  it('volume uses channel Master ', async () => {
+    // eslint-disable-next-line max-len
+    const lastChange = '&lt;Event xmlns=&quot;urn:schemas-upnp-org:metadata-1-0/RCS/&quot;&gt;&lt;InstanceID val=&quot;0&quot;&gt;&lt;Volume channel=&quot;Master&quot; val=&quot;12&quot;/&gt;&lt;Volume channel=&quot;LF&quot; val=&quot;100&quot;/&gt;&lt;Volume channel=&quot;RF&quot; val=&quot;100&quot;/&gt;&lt;Mute channel=&quot;Master&quot; val=&quot;1&quot;/&gt;&lt;Bass val=&quot;0&quot;/&gt;&lt;/InstanceID&gt;&lt;/Event&gt;'
+    const result = await parseEventLastChange(lastChange)
+    expect(result.Volume)
+      .be.a('string')
+      .equal('12')
+    expect(result.Mute)
+      .be.a('string')
+      .equal('1')
+    expect(result.Bass)
+      .be.a('string')
+      .equal('0')
+  })
+})
+
+describe('validatedAlarmProperties function', function () {
+  const ALARM_EXISTING = {
+    'ID': '20', 'StartTime': '07:00:00', 'Duration': '02:00:00', 'Recurrence': 'DAILY',
+    'Enabled': '1', 'RoomUUID': 'RINCON_949F3EC13B9901400', 'ProgramURI': 'x-rincon-buzzer:0',
+    'ProgramMetaData': '', 'PlayMode': 'SHUFFLE', 'Volume': '25', 'IncludeLinkedZones': '0'
+  }
+  
+  it('not object throws error', async () => {
+    let error = null
+    await validatedAlarmProperties('07:00', ALARM_EXISTING)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp:: alarm data (msg.payload) is not object')
+  })
+
+  it('missing start time without default throws error', async () => {
+    let error = null
+    await validatedAlarmProperties({ 'volume': 10 }, { 'Volume': '20' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: start time (startTime) is missing/invalid')
+  })
+
+  it('empty object uses existing alarm ', async () => {
+    const result = await validatedAlarmProperties({}, ALARM_EXISTING)
+    expect(result)
+      .to.eql({
+        'startTime': '07:00:00', 'duration': '02:00:00', 'recurrence': 'DAILY', 'enabled': true,
+        'volume': 25, 'playMode': 'SHUFFLE', 'includeLinkedZones': false, 'playerName': '',
+        'mySonosTitle': ''
+      })
+  })
+
+  it('given properties overrule existing alarm ', async () => {
+    const alarmData = {
+      'startTime': '06:30', 'recurrence': 'on_135', 'enabled': false, 'volume': '15',
+      'playMode': 'normal', 'includeLinkedZones': true, 'playerName': 'Kitchen'
+    }
+    const result = await validatedAlarmProperties(alarmData, ALARM_EXISTING)
+    expect(result)
+      .to.eql({
+        'startTime': '06:30:00', 'duration': '02:00:00', 'recurrence': 'ON_135', 'enabled': false,
+        'volume': 15, 'playMode': 'NORMAL', 'includeLinkedZones': true, 'playerName': 'Kitchen',
+        'mySonosTitle': ''
+      })
+  })
+
+  it('invalid recurrence throws error', async () => {
+    let error = null
+    await validatedAlarmProperties({ 'recurrence': 'ON_7' }, ALARM_EXISTING)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      // eslint-disable-next-line max-len
+      .equal('nrcsp: recurrence (recurrence) >>ON_7 wrong syntax. Regular expr. - see documentation')
+  })
+
+  it('volume out of range throws error', async () => {
+    let error = null
+    await validatedAlarmProperties({ 'volume': 101 }, ALARM_EXISTING)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: volume (msg.volume) >>101 is out of range')
+  })
+
+  it('enabled not boolean throws error', async () => {
+    let error = null
+    await validatedAlarmProperties({ 'enabled': 'true' }, ALARM_EXISTING)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp:: enabled (msg.payload.enabled) is not boolean')
+  })
+})
+
+describe('checkSnapshotTopology function', function () {
+  const SNAPSHOT = {
+    'membersData': [
+      { 'playerName': 'Kitchen' }, { 'playerName': 'Bath' }, { 'playerName': 'Living' }
+    ]
+  }
+
+  it('same group in different order ', async () => {
+    const members = [
+      { 'playerName': 'Kitchen' }, { 'playerName': 'Living' }, { 'playerName': 'Bath' }
+    ]
+    const result = await checkSnapshotTopology(members, SNAPSHOT)
+    expect(result)
+      .be.a('boolean')
+      .equal(true)
+  })
+
+  it('different size throws error', async () => {
+    let error = null
+    await checkSnapshotTopology([{ 'playerName': 'Kitchen' }], SNAPSHOT)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp:: snapshot/current group have different size')
+  })
+
+  it('different coordinator throws error', async () => {
+    const members = [
+      { 'playerName': 'Bath' }, { 'playerName': 'Kitchen' }, { 'playerName': 'Living' }
+    ]
+    let error = null
+    await checkSnapshotTopology(members, SNAPSHOT)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp:: snapshot/current group have different coordinator')
+  })
+
+  it('different member throws error', async () => {
+    const members = [
+      { 'playerName': 'Kitchen' }, { 'playerName': 'Bath' }, { 'playerName': 'Office' }
+    ]
+    let error = null
+    await checkSnapshotTopology(members, SNAPSHOT)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp:: snapshot/current group members are different')
+  })
+})
+
+describe('validatedSnapshotOptions function', function () {
+
+  it('empty message uses defaults ', async () => {
+    const result = await validatedSnapshotOptions({})
+    expect(result)
+      .to.eql({ 'snapVolumes': false, 'snapMutestates': false, 'sonosPlaylistName': null })
+  })
+
+  it('snapDefault true and given snapMutestates ', async () => {
+    const result = await validatedSnapshotOptions({ 'snapMutestates': false }, true)
+    expect(result)
+      .to.eql({ 'snapVolumes': true, 'snapMutestates': false, 'sonosPlaylistName': null })
+  })
+
+  it('snapVolumes not boolean throws error', async () => {
+    let error = null
+    await validatedSnapshotOptions({ 'snapVolumes': 'true' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp:: snapVolumes (snapVolumes) is not boolean')
+  })
+})
@@ -5,7 +5,7 @@
 
 const { hhmmss2msec, encodeHtmlEntity, decodeHtmlEntity, isTruthyProperty,
   isTruthyPropertyStringNotEmpty, isTruthy, isTruthyStringNotEmpty, isTruthyArray,
-  isOnOff, validToInteger, validRegex }
+  isOnOff, validToInteger, validToPosition, validRegex, getLocalIpv4Address }
   = require('../src/Helper.js')
 
 const { describe, it } = require('mocha')
@@ -496,6 +496,52 @@ describe('validToInteger function', function () {
       .equal(10)
   })
   
+  it('max equal min throw error', () => {
+    const msg = { 'payload': 1 }
+    expect(validToInteger.bind(validToInteger, msg, 'payload', 1, 1, 'just a test'))
+      .to.throw('nrcsp: just a test max is not greater then min')
+  })
+
+})
+
+describe('validToPosition function', function () {
+
+  it('string 3 in length 5 to integer 3', () => {
+    const msg = { 'position': '3' }
+    expect(validToPosition(msg, 'position', 5, 'just a test'))
+      .equal(3)
+  })
+
+  it('integer 1 in length 1 to integer 1', () => {
+    const msg = { 'position': 1 }
+    expect(validToPosition(msg, 'position', 1, 'just a test'))
+      .equal(1)
+  })
+
+  it('missing in length 1 to default 1', () => {
+    const msg = {}
+    expect(validToPosition(msg, 'position', 1, 'just a test', 1))
+      .equal(1)
+  })
+
+  it('0 in length 1 throw error', () => {
+    const msg = { 'position': 0 }
+    expect(validToPosition.bind(validToPosition, msg, 'position', 1, 'just a test'))
+      .to.throw('nrcsp: just a test (msg.position) >>0 is out of range')
+  })
+
+  it('2 in length 1 throw error', () => {
+    const msg = { 'position': 2 }
+    expect(validToPosition.bind(validToPosition, msg, 'position', 1, 'just a test'))
+      .to.throw('nrcsp: just a test (msg.position) >>2 is out of range')
+  })
+
+  it('length 0 throw error', () => {
+    const msg = { 'position': 1 }
+    expect(validToPosition.bind(validToPosition, msg, 'position', 0, 'just a test'))
+      .to.throw('nrcsp: just a test length is less than 1')
+  })
+
 })
 
 describe('validRegex function', function () {
@@ -1147,3 +1193,12 @@ describe('isTruthyArray function', function () {
   })
 })
 
+describe('getLocalIpv4Address function', function () {
+
+  it('loopback returns loopback', async () => {
+    const result = await getLocalIpv4Address('127.0.0.1')
+    expect(result)
+      .be.a('string')
+      .equal('127.0.0.1')
+  })
+})
@@ -0,0 +1,148 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { getInputRuleAction, getInputSignal, restoreInputRule, snapshotInputRule,
+  startInputRule, validatedInputRule } = require('../src/Input-monitor.js')
+
+const SonosSimulator = require('../src/Simulator.js')
+
+const { getGroupsAll } = require('../src/Commands.js')
+
+const { SonosDevice } = require('@svrooij/sonos/lib')
+
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+
+describe('getInputSignal function', function () {
+
+  it('TV format PCM 2.0 means on', () => {
+    expect(getInputSignal('DeviceProperties', { 'HTAudioIn': '33554434' }))
+      .to.eql({ 'topic': 'tvsignal', 'payload': 'on' })
+  })
+
+  it('TV format no input and no audio means off', () => {
+    expect(getInputSignal('DeviceProperties', { 'HTAudioIn': '0' }).payload)
+      .equal('off')
+    expect(getInputSignal('DeviceProperties', { 'HTAudioIn': '21' }).payload)
+      .equal('off')
+    expect(getInputSignal('DeviceProperties', { 'HTAudioIn': '33554454' }).payload)
+      .equal('off')
+  })
+
+  it('line-in connected', () => {
+    expect(getInputSignal('AudioIn', { 'LineInConnected': '1' }))
+      .to.eql({ 'topic': 'lineinsignal', 'payload': 'on' })
+    expect(getInputSignal('AudioIn', { 'LineInConnected': 'false' }).payload)
+      .equal('off')
+  })
+
+  it('event without input data returns null', () => {
+    expect(getInputSignal('DeviceProperties', { 'ZoneName': 'Kitchen' }))
+      .to.be.null
+    expect(getInputSignal('DeviceProperties', { 'HTAudioIn': 'abc' }))
+      .to.be.null
+  })
+})
+
+describe('validatedInputRule function', function () {
+
+  it('blank player list means no rule', () => {
+    expect(validatedInputRule('', '20'))
+      .to.be.null
+    expect(validatedInputRule(undefined, undefined))
+      .to.be.null
+  })
+
+  it('player list and volume', () => {
+    expect(validatedInputRule('Kitchen,Bath,Kitchen', '20'))
+      .to.eql({ 'playerNames': ['Kitchen', 'Bath'], 'volume': 20 })
+    expect(validatedInputRule('Kitchen', ''))
+      .to.eql({ 'playerNames': ['Kitchen'], 'volume': -1 })
+  })
+
+  it('invalid volume throws error', () => {
+    expect(() => validatedInputRule('Kitchen', '101'))
+      .to.throw('nrcsp: input rule volume >>101 is invalid')
+  })
+
+  it('invalid player list throws error', () => {
+    expect(() => validatedInputRule('Kitchen,,Bath', ''))
+      .to.throw('nrcsp: input rule player list >>Kitchen,,Bath is invalid')
+  })
+})
+
+describe('getInputRuleAction function', function () {
+
+  it('start, restore and none', () => {
+    expect(getInputRuleAction(true, false))
+      .equal('start')
+    expect(getInputRuleAction(false, true))
+      .equal('restore')
+    expect(getInputRuleAction(true, true))
+      .equal('none')
+    expect(getInputRuleAction(false, false))
+      .equal('none')
+  })
+})
+
+describe('Input rule with simulator', function () {
+  this.timeout(20000)
+  // default port 1400 - snapshots address players by hostname only
+  const simulator = new SonosSimulator({ 'firstAddress': 22 })
+  let players
+  let living
+
+  const groupNames = async () => {
+    const groups = await getGroupsAll(living, true)
+    return groups.map((group) => group.map((member) => member.playerName))
+  }
+
+  before(async () => {
+    players = await simulator.start()
+    living = new SonosDevice(players[1].host)
+    living.urlObject = new URL(`http://${players[1].host}:1400`)
+  })
+
+  after(async () => {
+    await simulator.stop()
+  })
+
+  it('start joins players and sets volume, restore rebuilds groups', async () => {
+    const bath = new SonosDevice(players[2].host)
+    await bath.SetVolume(30)
+    expect(await groupNames())
+      .to.eql([['Kitchen', 'Living'], ['Bath']])
+
+    const snapshot = await snapshotInputRule(living)
+    await startInputRule(living, { 'playerNames': ['Bath'], 'volume': 15 })
+    expect(await groupNames())
+      .to.eql([['Kitchen'], ['Living', 'Bath']])
+    expect((await bath.RenderingControlService.GetVolume(
+      { 'InstanceID': 0, 'Channel': 'Master' })).CurrentVolume)
+      .equal(15)
+
+    await restoreInputRule(living, snapshot)
+    expect(await groupNames())
+      .to.eql([['Kitchen', 'Living'], ['Bath']])
+    expect((await bath.RenderingControlService.GetVolume(
+      { 'InstanceID': 0, 'Channel': 'Master' })).CurrentVolume)
+      .equal(30)
+  })
+
+  it('failing start can be restored with the snapshot taken before', async () => {
+    const snapshot = await snapshotInputRule(living)
+    let error = null
+    await startInputRule(living, { 'playerNames': ['Bath', 'Attic'], 'volume': -1 })
+      .catch((err) => {
+        error = err
+      })
+    expect(error)
+      .not.equal(null)
+
+    await restoreInputRule(living, snapshot)
+    expect(await groupNames())
+      .to.eql([['Kitchen', 'Living'], ['Bath']])
+  })
+})
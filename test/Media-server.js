@@ -0,0 +1,96 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { getMediaUrl, getMimeType, isLocalFilePath } = require('../src/Media-server.js')
+
+const { describe, it } = require('mocha')
+const { expect } = require('chai')
+
+const PREFIX = 'http://192.168.178.20:1880/nrcsp-media/1f2d3c4b5a697887/'
+
+describe('isLocalFilePath function', function () {
+
+  it('unix path is local', async () => {
+    expect(isLocalFilePath('/home/pi/sounds/bell.mp3'))
+      .be.a('boolean')
+      .to.be.true
+  })
+
+  it('windows path is local', async () => {
+    expect(isLocalFilePath('C:\\sounds\\bell.mp3'))
+      .be.a('boolean')
+      .to.be.true
+  })
+
+  it('http uri is not local', async () => {
+    expect(isLocalFilePath('http://www.fritz.de/live.m3u'))
+      .be.a('boolean')
+      .to.be.false
+  })
+
+  it('number is not local', async () => {
+    expect(isLocalFilePath(1))
+      .be.a('boolean')
+      .to.be.false
+  })
+})
+
+describe('getMimeType function', function () {
+
+  it('mp3', async () => {
+    expect(getMimeType('/home/pi/sounds/bell.MP3'))
+      .equal('audio/mpeg')
+  })
+
+  it('flac', async () => {
+    expect(getMimeType('music/track.flac'))
+      .equal('audio/flac')
+  })
+
+  it('unknown extension', async () => {
+    expect(getMimeType('readme.txt'))
+      .equal('application/octet-stream')
+  })
+})
+
+describe('getMediaUrl function', function () {
+
+  it('missing media directory throws error', async () => {
+    let error = null
+    await getMediaUrl('/home/pi/sounds/bell.mp3', '', PREFIX)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: media directory is not configured (config node)')
+  })
+
+  it('file outside throws error', async () => {
+    let error = null
+    await getMediaUrl('/home/pi/secret/bell.mp3', '/home/pi/sounds', PREFIX)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: file >>/home/pi/secret/bell.mp3 is not inside media directory')
+  })
+
+  it('file with .. outside throws error', async () => {
+    let error = null
+    await getMediaUrl('/home/pi/sounds/../settings.js', '/home/pi/sounds', PREFIX)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: file >>/home/pi/sounds/../settings.js is not inside media directory')
+  })
+
+  it('file in sub directory is not encoded - sonos-ts encodes', async () => {
+    const result = await getMediaUrl('/home/pi/sounds/door bell/ding dong.mp3',
+      '/home/pi/sounds/', PREFIX)
+    expect(result)
+      .equal(`${PREFIX}door bell/ding dong.mp3`)
+  })
+})
@@ -0,0 +1,293 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { browseMusicLibrary, filterLibraryItems, searchMusicLibrary, sortLibraryItems,
+  validatedLibraryQuery
+} = require('../src/Music-library.js')
+
+const SonosSimulator = require('../src/Simulator.js')
+
+const { SonosDevice } = require('@svrooij/sonos/lib')
+
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+
+const ITEMS = [
+  { 'id': '1', 'title': 'Angie', 'artist': 'The Rolling Stones', 'album': 'Goats Head Soup',
+    'year': 1973 },
+  { 'id': '2', 'title': 'angel', 'artist': 'Robbie Williams', 'album': 'Life thru a Lens',
+    'year': 1997 },
+  { 'id': '3', 'title': 'Diamonds', 'artist': 'Rihanna', 'album': 'Unapologetic' },
+  { 'id': '4', 'title': 'Wild Horses', 'artist': 'The Rolling Stones', 'album': 'Sticky Fingers',
+    'year': 1971 }
+]
+
+describe('validatedLibraryQuery function', function () {
+
+  it('empty query provides defaults', async () => {
+    expect(validatedLibraryQuery({}))
+      .to.eql({
+        'category': 'tracks', 'match': 'contains', 'sort': [], 'offset': 0, 'limit': 100
+      })
+  })
+
+  it('strings for year, offset, limit are converted', async () => {
+    const result = validatedLibraryQuery({ 'year': '1980', 'offset': '20', 'limit': '10' })
+    expect(result.year)
+      .equal(1980)
+    expect(result.offset)
+      .equal(20)
+    expect(result.limit)
+      .equal(10)
+  })
+
+  it('sort keys with descending', async () => {
+    expect(validatedLibraryQuery({ 'sort': '-year, title' }).sort)
+      .to.eql([{ 'key': 'year', 'descending': true }, { 'key': 'title', 'descending': false }])
+  })
+
+  it('unknown category throws error', async () => {
+    expect(() => validatedLibraryQuery({ 'category': 'books' }))
+      .to.throw('nrcsp: category >>books is unknown')
+  })
+
+  it('year not supported for albums throws error', async () => {
+    expect(() => validatedLibraryQuery({ 'category': 'albums', 'year': 1980 }))
+      .to.throw('nrcsp: filter >>year is not supported for category >>albums')
+  })
+
+  it('genre and composer throws error', async () => {
+    expect(() => validatedLibraryQuery({ 'genre': 'Rock', 'composer': 'Bach' }))
+      .to.throw('nrcsp: genre and composer can not be combined')
+  })
+
+  it('container and genre throws error', async () => {
+    expect(() => validatedLibraryQuery({ 'container': 'S://nas/music', 'genre': 'Rock' }))
+      .to.throw('nrcsp: container and genre can not be combined')
+  })
+
+  it('invalid container throws error', async () => {
+    expect(() => validatedLibraryQuery({ 'container': 'SQ:3' }))
+      .to.throw('nrcsp: container >>SQ:3 is invalid')
+  })
+
+  it('limit 0 throws error', async () => {
+    expect(() => validatedLibraryQuery({ 'limit': 0 }))
+      .to.throw('nrcsp: limit is not integer or out of range')
+  })
+
+  it('unknown sort key throws error', async () => {
+    expect(() => validatedLibraryQuery({ 'sort': 'genre' }))
+      .to.throw('nrcsp: sort key >>genre is unknown')
+  })
+
+  it('string as query throws error', async () => {
+    expect(() => validatedLibraryQuery('Angie'))
+      .to.throw('nrcsp: query is not object')
+  })
+})
+
+describe('filterLibraryItems function', function () {
+
+  it('contains is case insensitive', async () => {
+    const query = validatedLibraryQuery({ 'title': 'ANG' })
+    expect(filterLibraryItems(ITEMS, query).map((item) => item.id))
+      .to.eql(['1', '2'])
+  })
+
+  it('exact', async () => {
+    const query = validatedLibraryQuery({ 'title': 'angie', 'match': 'exact' })
+    expect(filterLibraryItems(ITEMS, query).map((item) => item.id))
+      .to.eql(['1'])
+  })
+
+  it('prefix and artist', async () => {
+    const query = validatedLibraryQuery({ 'artist': 'the', 'album': 's', 'match': 'prefix' })
+    expect(filterLibraryItems(ITEMS, query).map((item) => item.id))
+      .to.eql(['4'])
+  })
+
+  it('year excludes items without year', async () => {
+    const query = validatedLibraryQuery({ 'year': 1997 })
+    expect(filterLibraryItems(ITEMS, query).map((item) => item.id))
+      .to.eql(['2'])
+  })
+
+  it('album is title for category albums', async () => {
+    const query = validatedLibraryQuery({ 'category': 'albums', 'album': 'dia' })
+    expect(filterLibraryItems(ITEMS, query).map((item) => item.id))
+      .to.eql(['3'])
+  })
+})
+
+describe('sortLibraryItems function', function () {
+
+  it('title ascending ignores case', async () => {
+    expect(sortLibraryItems(ITEMS, [{ 'key': 'title', 'descending': false }])
+      .map((item) => item.id))
+      .to.eql(['2', '1', '3', '4'])
+  })
+
+  it('artist then year descending', async () => {
+    const sort = [{ 'key': 'artist', 'descending': false }, { 'key': 'year', 'descending': true }]
+    expect(sortLibraryItems(ITEMS, sort).map((item) => item.id))
+      .to.eql(['3', '2', '1', '4'])
+  })
+
+  it('no sort keeps order and does not modify input', async () => {
+    const result = sortLibraryItems(ITEMS, [])
+    expect(result.map((item) => item.id))
+      .to.eql(['1', '2', '3', '4'])
+    expect(result)
+      .not.equal(ITEMS)
+  })
+})
+
+describe('searchMusicLibrary function with simulator', function () {
+  this.timeout(10000)
+  const simulator = new SonosSimulator({ 'port': 0 })
+  let tsPlayer
+
+  const search = (query, requestLimit = 100) => {
+    return searchMusicLibrary(tsPlayer, validatedLibraryQuery(query), requestLimit)
+  }
+
+  before(async () => {
+    const players = await simulator.start()
+    tsPlayer = new SonosDevice(players[0].host, players[0].port)
+    tsPlayer.urlObject = new URL(`http://${players[0].host}:${players[0].port}`)
+  })
+
+  after(async () => {
+    await simulator.stop()
+  })
+
+  it('tracks by title with paging', async () => {
+    const result = await search({ 'title': 'morning', 'sort': 'title', 'limit': 1 })
+    expect(result.total)
+      .equal(2)
+    expect(result.complete)
+      .be.true
+    expect(result.items.map((item) => item.title))
+      .to.eql(['Morning Rain'])
+    expect(result.items[0].artUri.startsWith(tsPlayer.urlObject.origin))
+      .be.true
+    expect(result.items[0].year)
+      .equal(2015)
+  })
+
+  it('tracks of genre sorted by year descending', async () => {
+    const result = await search({ 'genre': 'jazz', 'match': 'exact', 'sort': '-year,title' })
+    expect(result.items.map((item) => item.title))
+      .to.eql(['Lighthouse', 'Morning Tide', 'Night Ferry'])
+  })
+
+  it('tracks of composer and artist', async () => {
+    const result = await search({ 'composer': 'Tom Reed', 'artist': 'Bo Berg' })
+    expect(result.items.map((item) => item.title))
+      .to.eql(['River Song'])
+  })
+
+  it('albums of artist', async () => {
+    const result = await search({ 'category': 'albums', 'artist': 'Ada', 'sort': 'title' })
+    expect(result.items.map((item) => item.title))
+      .to.eql(['Coastline', 'Harbour'])
+  })
+
+  it('genres with prefix', async () => {
+    const result = await search({ 'category': 'genres', 'title': 'j', 'match': 'prefix' })
+    expect(result.items.map((item) => item.title))
+      .to.eql(['Jazz'])
+  })
+
+  it('tracks of year in share', async () => {
+    const result = await search({ 'container': 'S:', 'year': 1987, 'sort': 'title' })
+    expect(result.items.map((item) => item.title))
+      .to.eql(['Iron Road', 'River Song'])
+    expect(result.items[0].album)
+      .equal('Rails & Rivers')
+  })
+
+  it('tracks without filter - page browsed directly with one request', async () => {
+    const all = await browseMusicLibrary(tsPlayer, 'A:TRACKS')
+    const result = await search({ 'offset': 1, 'limit': 2 }, 1)
+    expect(result.complete)
+      .be.true
+    expect(result.total)
+      .equal(all.total)
+    expect(result.items.map((item) => item.id))
+      .to.eql(all.items.slice(1, 3).map((item) => item.id))
+    expect(result.items[0].queue)
+      .equal(true)
+  })
+
+  it('request limit reached - not complete', async () => {
+    const result = await search({ 'container': 'S:' }, 2)
+    expect(result.complete)
+      .be.false
+    expect(result.total)
+      .equal(0)
+  })
+
+  it('browse root provides categories as containers', async () => {
+    const result = await browseMusicLibrary(tsPlayer)
+    expect(result.objectId)
+      .equal('A:')
+    expect(result.total)
+      .equal(7)
+    expect(result.items.map((item) => item.id))
+      .to.include.members(['A:ALBUM', 'A:COMPOSER', 'A:GENRE', 'A:TRACKS'])
+    expect(result.items[0].type)
+      .equal('container')
+  })
+
+  it('browse artist provides All and albums with exportable uri', async () => {
+    const result = await browseMusicLibrary(tsPlayer, 'A:ARTIST/Ada%20Lane')
+    expect(result.items.map((item) => item.title))
+      .to.eql(['All', 'Coastline', 'Harbour'])
+    const album = result.items[2]
+    expect(album.id)
+      .equal('A:ARTIST/Ada%20Lane/Harbour')
+    expect(album.uri)
+      .equal(`x-rincon-playlist:RINCON_000E5800000201400#${album.id}`)
+    expect(album.metadata)
+      .to.include('&lt;dc:title&gt;Harbour&lt;/dc:title&gt;')
+    expect(album.processingType)
+      .equal('queue')
+    expect(album.queue)
+      .equal(true)
+  })
+
+  it('browse share folder with paging provides tracks as items', async () => {
+    const result = await browseMusicLibrary(tsPlayer, 'S://simulator/music/Ada%20Lane/Harbour',
+      '1', 5)
+    expect(result.total)
+      .equal(2)
+    expect(result.offset)
+      .equal(1)
+    expect(result.items.map((item) => [item.type, item.title, item.year]))
+      .to.eql([['item', 'Night Ferry', 1998]])
+  })
+
+  it('browse invalid object id throws error', async () => {
+    let error = null
+    await browseMusicLibrary(tsPlayer, 'FV:2')
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: object id >>FV:2 is invalid')
+  })
+
+  it('browse limit out of range throws error', async () => {
+    let error = null
+    await browseMusicLibrary(tsPlayer, 'A:', 0, 1001)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: limit is not integer or out of range')
+  })
+})
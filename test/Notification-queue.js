@@ -0,0 +1,166 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { enqueueNotification } = require('../src/Notification-queue.js')
+
+const { describe, it } = require('mocha')
+const { expect } = require('chai')
+
+// Creates a fake notification, all steps are being logged in protocol
+const fakeNotification = (name, protocol, priority, maxAge, duration) => {
+  return {
+    'priority': priority,
+    'maxAge': maxAge,
+    'createSnapshot': async () => {
+      protocol.push(`snapshot ${name}`)
+      return name
+    },
+    'start': async () => {
+      protocol.push(`start ${name}`)
+      return duration
+    },
+    'restore': async (snapshot) => {
+      protocol.push(`restore ${snapshot}`)
+    }
+  }
+}
+
+describe('enqueueNotification function', function () {
+
+  it('single notification snapshot, start, restore', async () => {
+    const protocol = []
+    const state = await enqueueNotification('test:single',
+      fakeNotification('A', protocol, 0, -1, 10))
+    expect(state)
+      .equal('played')
+    expect(protocol)
+      .to.eql(['snapshot A', 'start A', 'restore A'])
+  })
+
+  it('overlapping notifications only first snapshot is restored', async () => {
+    const protocol = []
+    const results = await Promise.all([
+      enqueueNotification('test:overlap', fakeNotification('A', protocol, 0, -1, 20)),
+      enqueueNotification('test:overlap', fakeNotification('B', protocol, 0, -1, 20))
+    ])
+    expect(results)
+      .to.eql(['played', 'played'])
+    expect(protocol)
+      .to.eql(['snapshot A', 'start A', 'start B', 'restore A'])
+  })
+
+  it('notifications of other kind restore and take their own snapshot', async () => {
+    const protocol = []
+    const joiner = fakeNotification('B', protocol, 0, -1, 20)
+    joiner.snapshotKey = 'joiner:192.168.178.38'
+    const results = await Promise.all([
+      enqueueNotification('test:kind', fakeNotification('A', protocol, 0, -1, 20)),
+      enqueueNotification('test:kind', joiner),
+      enqueueNotification('test:kind', fakeNotification('C', protocol, 0, -1, 20))
+    ])
+    expect(results)
+      .to.eql(['played', 'played', 'played'])
+    expect(protocol)
+      .to.eql(['snapshot A', 'start A', 'restore A', 'snapshot B', 'start B', 'restore B',
+        'snapshot C', 'start C', 'restore C'])
+  })
+
+  it('higher priority interrupts lower priority', async () => {
+    const protocol = []
+    const low = enqueueNotification('test:priority', fakeNotification('A', protocol, 0, -1, 5000))
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    const high = enqueueNotification('test:priority', fakeNotification('B', protocol, 5, -1, 10))
+    const results = await Promise.all([low, high])
+    expect(results)
+      .to.eql(['interrupted', 'played'])
+    expect(protocol)
+      .to.eql(['snapshot A', 'start A', 'start B', 'restore A'])
+  })
+
+  it('pending notifications in order of priority', async () => {
+    const protocol = []
+    const results = await Promise.all([
+      enqueueNotification('test:order', fakeNotification('A', protocol, 1, -1, 20)),
+      enqueueNotification('test:order', fakeNotification('B', protocol, 1, -1, 10)),
+      enqueueNotification('test:order', fakeNotification('C', protocol, 1, -1, 10)),
+      enqueueNotification('test:order', fakeNotification('D', protocol, 2, -1, 10))
+    ])
+    expect(results)
+      .to.eql(['interrupted', 'played', 'played', 'played'])
+    expect(protocol)
+      .to.eql(['snapshot A', 'start D', 'start B', 'start C', 'restore A'])
+  })
+
+  it('too old notification is dropped', async () => {
+    const protocol = []
+    const results = await Promise.all([
+      enqueueNotification('test:drop', fakeNotification('A', protocol, 0, -1, 1200)),
+      enqueueNotification('test:drop', fakeNotification('B', protocol, 0, 1, 10))
+    ])
+    expect(results)
+      .to.eql(['played', 'dropped'])
+    expect(protocol)
+      .to.eql(['snapshot A', 'start A', 'restore A'])
+  })
+
+  it('higher priority arriving while restoring is played first', async () => {
+    const protocol = []
+    const first = fakeNotification('A', protocol, 0, -1, 10)
+    const joiner = fakeNotification('B', protocol, 0, -1, 10)
+    joiner.snapshotKey = 'joiner:192.168.178.38'
+    let high
+    first.restore = async (snapshot) => {
+      protocol.push(`restore ${snapshot}`)
+      high = enqueueNotification('test:restoring', fakeNotification('C', protocol, 5, -1, 10))
+      await new Promise((resolve) => setTimeout(resolve, 20))
+    }
+    const results = await Promise.all([
+      enqueueNotification('test:restoring', first),
+      enqueueNotification('test:restoring', joiner)
+    ])
+    results.push(await high)
+    expect(results)
+      .to.eql(['played', 'played', 'played'])
+    expect(protocol)
+      .to.eql(['snapshot A', 'start A', 'restore A', 'snapshot C', 'start C', 'restore C',
+        'snapshot B', 'start B', 'restore B'])
+  })
+
+  it('notification getting too old while restoring is dropped', async () => {
+    const protocol = []
+    const first = fakeNotification('A', protocol, 0, -1, 10)
+    first.restore = async (snapshot) => {
+      protocol.push(`restore ${snapshot}`)
+      await new Promise((resolve) => setTimeout(resolve, 1200))
+    }
+    const joiner = fakeNotification('B', protocol, 0, 1, 10)
+    joiner.snapshotKey = 'joiner:192.168.178.38'
+    const results = await Promise.all([
+      enqueueNotification('test:restoring-old', first),
+      enqueueNotification('test:restoring-old', joiner)
+    ])
+    expect(results)
+      .to.eql(['played', 'dropped'])
+    expect(protocol)
+      .to.eql(['snapshot A', 'start A', 'restore A'])
+  })
+
+  it('error in start rejects but restores', async () => {
+    const protocol = []
+    const notification = fakeNotification('A', protocol, 0, -1, 10)
+    notification.start = async () => {
+      throw new Error('start failed')
+    }
+    let error = null
+    await enqueueNotification('test:error', notification)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('start failed')
+    expect(protocol)
+      .to.eql(['snapshot A', 'restore A'])
+  })
+})
@@ -0,0 +1,97 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { isGroupInPlace, validatedScene } = require('../src/Scene.js')
+
+const { describe, it } = require('mocha')
+const { expect } = require('chai')
+
+describe('validatedScene function', function () {
+
+  it('empty scene has no groups and players', () => {
+    expect(validatedScene({}))
+      .to.eql({ 'groups': [], 'players': {} })
+  })
+
+  it('valid scene is normalized', () => {
+    const scene = {
+      'groups': [{ 'players': ['Living', 'Bath'], 'content': { 'tunein': 's24896' },
+        'crossfade': 'on' }],
+      'players': { 'Bath': { 'volume': 12, 'loudness': 'off' } }
+    }
+    expect(validatedScene(scene))
+      .to.eql({
+        'groups': [{
+          'players': ['Living', 'Bath'], 'content': { 'type': 'tunein', 'value': 's24896' },
+          'queueMode': null, 'crossfade': 'on', 'sleepTimer': null
+        }],
+        'players': { 'Bath': { 'volume': 12, 'loudness': 'off' } }
+      })
+  })
+
+  it('invalid groups throw error', () => {
+    expect(() => validatedScene({ 'groups': {} }))
+      .to.throw('nrcsp: scene groups is not array')
+    expect(() => validatedScene({ 'groups': [{ 'players': [] }] }))
+      .to.throw('nrcsp: scene group >>0 players is invalid')
+    expect(() => validatedScene({ 'groups': [{ 'players': ['Bath'] }, { 'players': ['Bath'] }] }))
+      .to.throw('nrcsp: scene player >>Bath is in several groups')
+    expect(() => validatedScene({
+      'groups': [{ 'players': ['Bath'], 'content': { 'tunein': 's1', 'uri': 'http://x' } }]
+    }))
+      .to.throw('nrcsp: scene group >>0 content is invalid')
+    expect(() => validatedScene({ 'groups': [{ 'players': ['Bath'], 'sleepTimer': '1:00' }] }))
+      .to.throw('nrcsp: scene group >>0 sleepTimer is invalid')
+  })
+
+  it('uri content allows http, SONOS uris and local files', () => {
+    const uris = ['https://example.org/a.mp3', 'x-file-cifs://nas/music/a.mp3',
+      'x-sonos-spotify:spotify%3atrack%3a5AdoS3gS47x40nBNlNmPQ8?sid=9&flags=8224&sn=1',
+      'x-rincon-mp3radio://example.org/radio.mp3', '/home/pi/sounds/bell.mp3']
+    for (const uri of uris) {
+      expect(validatedScene({ 'groups': [{ 'players': ['Bath'], 'content': { uri } }] })
+        .groups[0].content)
+        .to.eql({ 'type': 'uri', 'value': uri })
+    }
+    expect(() => validatedScene({
+      'groups': [{ 'players': ['Bath'], 'content': { 'uri': 'ftp://example.org/a.mp3' } }]
+    }))
+      .to.throw('nrcsp: scene group >>0 content is invalid')
+  })
+
+  it('invalid player settings throw error', () => {
+    expect(() => validatedScene({ 'players': { 'Bath': { 'volume': 101 } } }))
+      .to.throw('nrcsp: scene player >>Bath setting >>volume is invalid')
+    expect(() => validatedScene({ 'players': { 'Bath': { 'mute': true } } }))
+      .to.throw('nrcsp: scene player >>Bath setting >>mute is invalid')
+    expect(() => validatedScene({ 'players': { 'Bath': { 'balance': 0 } } }))
+      .to.throw('nrcsp: scene player >>Bath setting >>balance is invalid')
+  })
+})
+
+describe('isGroupInPlace function', function () {
+
+  const ALL_GROUPS = [
+    [{ 'playerName': 'Kitchen' }, { 'playerName': 'Living' },
+      { 'playerName': 'Sub', 'invisible': true }],
+    [{ 'playerName': 'Bath' }]
+  ]
+
+  it('same coordinator and members in any order', () => {
+    expect(isGroupInPlace(ALL_GROUPS, ['Kitchen', 'Living']))
+      .to.be.true
+    expect(isGroupInPlace(ALL_GROUPS, ['Bath']))
+      .to.be.true
+  })
+
+  it('different coordinator or members', () => {
+    expect(isGroupInPlace(ALL_GROUPS, ['Living', 'Kitchen']))
+      .to.be.false
+    expect(isGroupInPlace(ALL_GROUPS, ['Kitchen']))
+      .to.be.false
+    expect(isGroupInPlace(ALL_GROUPS, ['Bath', 'Kitchen']))
+      .to.be.false
+  })
+})
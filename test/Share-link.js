@@ -0,0 +1,105 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { getServiceAccount, getShareData, parseShareLink } = require('../src/Share-link.js')
+
+const { describe, it } = require('mocha')
+const { expect } = require('chai')
+
+describe('parseShareLink function', function () {
+
+  it('spotify https link and uri', () => {
+    expect(parseShareLink('https://open.spotify.com/album/1TSZDcvlPtAnekTaItI3qO?si=abc'))
+      .to.eql({ 'serviceName': 'Spotify', 'type': 'album', 'id': '1TSZDcvlPtAnekTaItI3qO' })
+    expect(parseShareLink('https://open.spotify.com/intl-de/track/5AdoS3gS47x40nBNlNmPQ8'))
+      .to.eql({ 'serviceName': 'Spotify', 'type': 'track', 'id': '5AdoS3gS47x40nBNlNmPQ8' })
+    expect(parseShareLink('spotify:user:spotify:playlist:37i9dQZEVXbMDoHDwVN2tF'))
+      .to.eql({ 'serviceName': 'Spotify', 'type': 'playlist', 'id': '37i9dQZEVXbMDoHDwVN2tF' })
+  })
+
+  it('apple music album with track parameter is track', () => {
+    expect(parseShareLink('https://music.apple.com/de/album/thriller/269572838?i=269573364'))
+      .to.eql({ 'serviceName': 'Apple Music', 'type': 'track', 'id': '269573364' })
+    expect(parseShareLink('https://music.apple.com/de/album/thriller/269572838'))
+      .to.eql({ 'serviceName': 'Apple Music', 'type': 'album', 'id': '269572838' })
+    expect(parseShareLink('https://music.apple.com/us/playlist/todays-hits/pl.f4d106fed2bd4114'))
+      .to.eql({ 'serviceName': 'Apple Music', 'type': 'playlist', 'id': 'pl.f4d106fed2bd4114' })
+  })
+
+  it('deezer, tidal, youtube music and soundcloud', () => {
+    expect(parseShareLink('https://www.deezer.com/en/artist/27'))
+      .to.eql({ 'serviceName': 'Deezer', 'type': 'artist', 'id': '27' })
+    expect(parseShareLink('https://tidal.com/browse/track/77646168'))
+      .to.eql({ 'serviceName': 'TIDAL', 'type': 'track', 'id': '77646168' })
+    expect(parseShareLink('https://music.youtube.com/watch?v=lYBUbBu4W08&feature=share'))
+      .to.eql({ 'serviceName': 'YouTube Music', 'type': 'track', 'id': 'lYBUbBu4W08' })
+    expect(parseShareLink('soundcloud:tracks:293'))
+      .to.eql({ 'serviceName': 'SoundCloud', 'type': 'track', 'id': '293' })
+  })
+
+  it('unsupported link throws error', () => {
+    expect(() => parseShareLink('https://www.example.com/track/1'))
+      .to.throw('nrcsp: share link is not supported')
+    expect(() => parseShareLink(12))
+      .to.throw('nrcsp: share link is not string')
+  })
+})
+
+describe('getServiceAccount function', function () {
+
+  it('no My Sonos item of service provides default token', () => {
+    expect(getServiceAccount([], '9'))
+      .to.eql({ 'serialNumber': null, 'token': 'SA_RINCON2311_X_#Svc2311-0-Token' })
+  })
+
+  it('serial number and token from My Sonos item', () => {
+    const items = [
+      { 'sid': '204', 'uri': 'x-sonos-http:song%3a1.mp4?sid=204&flags=8224&sn=3', 'metadata': '' },
+      {
+        'sid': '9', 'uri': 'x-sonos-spotify:spotify%3atrack%3a1?sid=9&flags=8224&sn=14',
+        'metadata': '&lt;desc&gt;SA_RINCON2311_hk&lt;/desc&gt;'
+      }
+    ]
+    expect(getServiceAccount(items, '9'))
+      .to.eql({ 'serialNumber': '14', 'token': 'SA_RINCON2311_hk' })
+  })
+})
+
+describe('getShareData function', function () {
+
+  it('spotify album is queued container with account serial number', async () => {
+    const items = [{ 'sid': '9', 'uri': 'x-sonos-spotify:x?sid=9&flags=8224&sn=7', 'metadata': '' }]
+    const result = await getShareData(
+      { 'serviceName': 'Spotify', 'type': 'album', 'id': '1TSZDcvlPtAnekTaItI3qO' }, items)
+    expect(result.uri)
+      .to.equal('x-rincon-cpcontainer:1004206cspotify%3aalbum%3a1TSZDcvlPtAnekTaItI3qO'
+        + '?sid=9&flags=8300&sn=7')
+    expect(result.queue)
+      .to.be.true
+    expect(result.metadata)
+      .to.include('&lt;item id=&quot;1004206cspotify%3aalbum%3a1TSZDcvlPtAnekTaItI3qO&quot;')
+      .and.to.include('object.container.album.musicAlbum')
+      .and.to.include('SA_RINCON2311_X_#Svc2311-0-Token')
+  })
+
+  it('deezer track is played directly without serial number', async () => {
+    const result = await getShareData(
+      { 'serviceName': 'Deezer', 'type': 'track', 'id': '3135556' }, [])
+    expect(result.uri)
+      .to.equal('x-sonos-http:tr%3a3135556.mp3?sid=2&flags=8224')
+    expect(result.queue)
+      .to.be.false
+  })
+
+  it('unsupported type throws error', async () => {
+    let error
+    await getShareData({ 'serviceName': 'TIDAL', 'type': 'artist', 'id': '1' }, [])
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('share link type >>artist is not supported for service >>TIDAL')
+  })
+})
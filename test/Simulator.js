@@ -0,0 +1,929 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+// End-to-end: the package functions against the player simulator (random ports).
+
+const SonosSimulator = require('../src/Simulator.js')
+
+const { executeActionV8, getDeviceBatteryLevel, getDeviceInfo, getDeviceProperties
+} = require('../src/Extensions.js')
+
+const { getGroupsAll, getMySonos, getSonosQueueV2 } = require('../src/Commands.js')
+
+const { SonosDevice } = require('@svrooij/sonos/lib')
+
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+
+const dgram = require('dgram')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// sonos-ts player with urlObject, as being used in Universal node
+const tsPlayerOf = (player) => {
+  const tsPlayer = new SonosDevice(player.host, player.port)
+  tsPlayer.urlObject = new URL(`http://${player.host}:${player.port}`)
+  return tsPlayer
+}
+
+describe('Simulator with package functions', function () {
+  this.timeout(10000)
+  const simulator = new SonosSimulator({ 'port': 0, 'ssdp': true, 'ssdpPort': 0 })
+  let players
+  let kitchen
+  let bath
+
+  before(async () => {
+    players = await simulator.start()
+    kitchen = tsPlayerOf(players[0])
+    bath = tsPlayerOf(players[2])
+  })
+
+  after(async () => {
+    await simulator.stop()
+  })
+
+  it('info provides household id and uuid', async () => {
+    const result = await getDeviceInfo(kitchen.urlObject, 2000)
+    expect(result.householdId)
+      .equal('Sonos_SIMULATOR0000000000')
+    expect(result.device.id)
+      .equal(players[0].uuid)
+  })
+
+  it('device properties provide serial number', async () => {
+    const result = await getDeviceProperties(kitchen.urlObject)
+    expect(result.serialNum)
+      .equal(players[0].serial)
+  })
+
+  it('battery level only for battery player', async () => {
+    const result = await getDeviceBatteryLevel(bath.urlObject, 2000)
+    expect(result.level)
+      .equal(80)
+    let error = null
+    await getDeviceBatteryLevel(kitchen.urlObject, 2000)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: SONOS player did not provide battery level status!')
+  })
+
+  it('topology has 2 groups with coordinator first', async () => {
+    const result = await getGroupsAll(kitchen)
+    expect(result.map((group) => group.map((member) => member.playerName)))
+      .to.eql([['Kitchen', 'Living'], ['Bath']])
+  })
+
+  it('executeActionV8 set and get volume', async () => {
+    await executeActionV8(kitchen.urlObject, '/MediaRenderer/RenderingControl/Control',
+      'SetVolume', { 'InstanceID': 0, 'Channel': 'Master', 'DesiredVolume': 33 })
+    const result = await executeActionV8(kitchen.urlObject,
+      '/MediaRenderer/RenderingControl/Control', 'GetVolume',
+      { 'InstanceID': 0, 'Channel': 'Master' })
+    expect(result.CurrentVolume)
+      .equal('33')
+    expect(simulator.getPlayer('Kitchen').volume)
+      .equal(33)
+  })
+
+  it('executeActionV8 unknown action throws upnp error 401', async () => {
+    let error = null
+    await executeActionV8(kitchen.urlObject, '/MediaRenderer/RenderingControl/Control',
+      'Unknown', { 'InstanceID': 0 })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('upnpErrorCode 401')
+  })
+
+  it('play with empty queue throws error', async () => {
+    let error = null
+    await bath.Play()
+      .catch((err) => {
+        error = err
+      })
+    expect(error)
+      .not.equal(null)
+  })
+
+  it('queue tracks, play and skip', async () => {
+    await bath.AddUriToQueue('http://simulator.local/one.mp3')
+    await bath.AddUriToQueue('http://simulator.local/two.mp3')
+    await bath.SetAVTransportURI(`x-rincon-queue:${players[2].uuid}#0`)
+    await bath.Play()
+    await bath.Next()
+    const transportInfo = await bath.AVTransportService.GetTransportInfo({ 'InstanceID': 0 })
+    expect(transportInfo.CurrentTransportState)
+      .equal('PLAYING')
+    const positionInfo = await bath.AVTransportService.GetPositionInfo({ 'InstanceID': 0 })
+    expect(positionInfo.Track)
+      .equal(2)
+    const queue = await getSonosQueueV2(bath, 1)
+    expect(queue.map((item) => item.title))
+      .to.eql(['one.mp3', 'two.mp3'])
+  })
+
+  it('My Sonos includes favorites and SONOS-Playlists', async () => {
+    const result = await getMySonos(kitchen)
+    expect(result.map((item) => item.title))
+      .to.eql(['Simulator Radio', 'Simulator Track', 'Simulator Mix'])
+    expect(result[0].processingType)
+      .equal('stream')
+  })
+
+  it('join and leave group', async () => {
+    await bath.AVTransportService.SetAVTransportURI({
+      'InstanceID': 0, 'CurrentURI': `x-rincon:${players[0].uuid}`, 'CurrentURIMetaData': ''
+    })
+    let result = await getGroupsAll(kitchen)
+    expect(result.map((group) => group.map((member) => member.playerName)))
+      .to.eql([['Kitchen', 'Living', 'Bath']])
+    await kitchen.AVTransportService.BecomeCoordinatorOfStandaloneGroup({ 'InstanceID': 0 })
+    result = await getGroupsAll(kitchen)
+    expect(result.map((group) => group.map((member) => member.playerName)))
+      .to.eql([['Kitchen'], ['Living', 'Bath']])
+  })
+
+  it('ssdp responder answers from player address', async () => {
+    const socket = dgram.createSocket('udp4')
+    const senders = []
+    socket.on('message', (msg, rinfo) => {
+      if (msg.toString().includes('Sonos')) {
+        senders.push(rinfo.address)
+      }
+    })
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve))
+    const search = Buffer.from(['M-SEARCH * HTTP/1.1', 'HOST: 239.255.255.250:1900',
+      'MAN: "ssdp:discover"', 'MX: 1', 'ST: urn:schemas-upnp-org:device:ZonePlayer:1'
+    ].join('\r\n'))
+    socket.send(search, simulator.ssdpPort, '127.0.0.1')
+    await new Promise((resolve) => setTimeout(resolve, 500))
+    socket.close()
+    expect(senders.sort())
+      .to.eql(players.map((player) => player.host).sort())
+  })
+})
+
+// Universal and My Sonos node with a minimal Node-RED runtime - the nodes assume port 1400
+describe('Simulator with Universal node', function () {
+  this.timeout(10000)
+  const simulator = new SonosSimulator({ 'firstAddress': 12 })
+  let node
+  let mySonosNode
+  let userDir // temporary Node-RED user directory: TTS cache, snapshot file
+
+  // sends msg to node (default Universal node) and resolves with output msg or error
+  const sendToNode = (msg, targetNode = node) => {
+    return new Promise((resolve, reject) => {
+      targetNode.send = resolve
+      targetNode.error = (text) => reject(new Error(text))
+      targetNode.emit('input', msg)
+    })
+  }
+
+  // titles of the SONOS queue of the coordinator
+  const queueTitles = () => simulator.getPlayer('Kitchen').queue.map((track) => track.title)
+
+  before(async () => {
+    const players = await simulator.start()
+    userDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nrcsp-simulator-'))
+    const nodeTypes = {}
+    const RED = {
+      'settings': { userDir },
+      'nodes': {
+        'registerType': (name, constructor) => {
+          nodeTypes[name] = constructor
+        },
+        'createNode': (newNode) => {
+          Object.setPrototypeOf(newNode, require('events').EventEmitter.prototype)
+          newNode.status = () => {}
+        },
+        'getNode': () => ({
+          'ipaddress': players[0].host, 'id': 'simulator', 'mediaDirectory': '/home/pi/sounds'
+        })
+      },
+      'httpAdmin': { 'get': () => {} },
+      'httpNode': { 'get': () => {} },
+      'util': {}
+    }
+    require('../src/sonos-universal.js')(RED)
+    require('../src/sonos-manage-mysonos.js')(RED)
+    node = {}
+    nodeTypes['sonos-universal'].call(node, { 'confignode': 'simulator', 'command': 'message' })
+    mySonosNode = {}
+    nodeTypes['sonos-manage-mysonos'].call(mySonosNode,
+      { 'confignode': 'simulator', 'command': 'message' })
+    // nodes subscribe after availability check
+    await new Promise((resolve) => setTimeout(resolve, 500))
+  })
+
+  after(async () => {
+    await simulator.stop()
+    await fs.promises.rm(userDir, { 'recursive': true, 'force': true })
+  })
+
+  it('group.queue.uri with local file containing space is encoded once', async () => {
+    await sendToNode({ 'topic': 'group.clear.queue' })
+    await sendToNode({ 'topic': 'group.queue.uri', 'payload': '/home/pi/sounds/door bell.mp3' })
+    const queue = simulator.getPlayer('Kitchen').queue
+    expect(queue[0].uri)
+      .to.match(/\/nrcsp-media\/simulator\/door%20bell\.mp3$/)
+    expect(queue[0].title)
+      .equal('door bell.mp3')
+  })
+
+  it('player.set.volume and player.get.volume', async () => {
+    await sendToNode({ 'topic': 'player.set.volume', 'payload': 42 })
+    const msg = await sendToNode({ 'topic': 'player.get.volume' })
+    expect(msg.payload)
+      .equal(42)
+  })
+
+  it('group.get.members provides group', async () => {
+    const msg = await sendToNode({ 'topic': 'group.get.members' })
+    expect(msg.payload.map((member) => member.playerName))
+      .to.eql(['Kitchen', 'Living'])
+  })
+
+  it('group.play.mysonos plays favorite', async () => {
+    await sendToNode({ 'topic': 'group.play.mysonos', 'payload': 'Simulator Radio' })
+    const msg = await sendToNode({ 'topic': 'group.get.state' })
+    expect(msg.payload.playbackstate)
+      .equal('playing')
+  })
+
+  it('group.move.tracks, group.insert.uri and group.dedupe.queue edit queue', async () => {
+    await sendToNode({ 'topic': 'group.clear.queue' })
+    for (const name of ['a', 'b', 'c', 'd']) {
+      await sendToNode({
+        'topic': 'group.queue.uri', 'payload': `http://simulator.local/${name}.mp3`
+      })
+    }
+    await sendToNode({ 'topic': 'group.move.tracks', 'payload': 1, 'newPosition': 3 })
+    expect(queueTitles())
+      .to.eql(['b.mp3', 'c.mp3', 'a.mp3', 'd.mp3'])
+    await sendToNode({
+      'topic': 'group.move.tracks', 'payload': 3, 'numberOfTracks': 2, 'newPosition': 1
+    })
+    expect(queueTitles())
+      .to.eql(['a.mp3', 'd.mp3', 'b.mp3', 'c.mp3'])
+    await sendToNode({
+      'topic': 'group.insert.uri', 'payload': 'http://simulator.local/b.mp3', 'position': 2
+    })
+    expect(queueTitles())
+      .to.eql(['a.mp3', 'b.mp3', 'd.mp3', 'b.mp3', 'c.mp3'])
+    const msg = await sendToNode({ 'topic': 'group.dedupe.queue' })
+    expect(msg.payload)
+      .equal(1)
+    expect(queueTitles())
+      .to.eql(['a.mp3', 'b.mp3', 'd.mp3', 'c.mp3'])
+  })
+
+  it('group.insert.uri next inserts after current track', async () => {
+    await sendToNode({ 'topic': 'group.play.queue' })
+    await sendToNode({ 'topic': 'group.next.track' })
+    await sendToNode({
+      'topic': 'group.insert.uri', 'payload': 'http://simulator.local/e.mp3', 'position': 'next'
+    })
+    expect(queueTitles())
+      .to.eql(['a.mp3', 'b.mp3', 'e.mp3', 'd.mp3', 'c.mp3'])
+  })
+
+  it('group.shuffle.queue keeps all tracks', async () => {
+    await sendToNode({ 'topic': 'group.shuffle.queue' })
+    expect(queueTitles().sort())
+      .to.eql(['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3', 'e.mp3'])
+  })
+
+  it('group.move.tracks out of range throws error', async () => {
+    let error = null
+    await sendToNode({
+      'topic': 'group.move.tracks', 'payload': 1, 'numberOfTracks': 2, 'newPosition': 5
+    })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('new position + amount of tracks is out of range')
+  })
+
+  it('household.create.snap captures queue with snapQueues - restore deletes temporary playlist',
+    async () => {
+      await sendToNode({ 'topic': 'group.clear.queue' })
+      for (const name of ['x', 'y']) {
+        await sendToNode({
+          'topic': 'group.queue.uri', 'payload': `http://simulator.local/${name}.mp3`
+        })
+      }
+      const temporaryTitles = () => simulator.playlists
+        .filter((playlist) => playlist.title.startsWith('nrcsp snapshot'))
+        .map((playlist) => playlist.title)
+      await sendToNode({ 'topic': 'household.create.snap' })
+      expect(temporaryTitles())
+        .to.eql([])
+      const snapMsg = await sendToNode({ 'topic': 'household.create.snap', 'snapQueues': true })
+      expect(temporaryTitles())
+        .to.have.lengthOf(1)
+      await sendToNode({ 'topic': 'group.clear.queue' })
+      await sendToNode({ 'topic': 'household.restore.snap', 'payload': snapMsg.payload })
+      expect(queueTitles())
+        .to.eql(['x.mp3', 'y.mp3'])
+      expect(temporaryTitles())
+        .to.eql([])
+    })
+
+  it('household.create.snap failing after saving queue deletes temporary playlist', async () => {
+    await sendToNode({ 'topic': 'group.queue.uri', 'payload': 'http://simulator.local/x.mp3' })
+    const handleSoap = simulator.handleSoap
+    simulator.handleSoap = function (player, soapAction, body, res) {
+      // GetTransportInfo follows SaveQueue in createGroupSnapshot
+      const action = (soapAction.includes('#GetTransportInfo') ? '#Unknown' : soapAction)
+      return handleSoap.call(this, player, action, body, res)
+    }
+    let error
+    await sendToNode({ 'topic': 'household.create.snap', 'snapQueues': true })
+      .catch((err) => {
+        error = err
+      })
+      .finally(() => {
+        simulator.handleSoap = handleSoap
+      })
+    expect(error)
+      .to.be.an('error')
+    expect(simulator.playlists.filter((playlist) => playlist.title.startsWith('nrcsp snapshot')))
+      .to.eql([])
+  })
+
+  it('household.create.sonosplaylist and editing commands', async () => {
+    const playlistTitles = (title) => simulator.playlists
+      .find((playlist) => playlist.title === title).tracks.map((track) => track.title)
+    let msg = await sendToNode({
+      'topic': 'household.create.sonosplaylist',
+      'payload': 'Curated & Co',
+      'tracks': ['http://simulator.local/a.mp3', { 'uri': 'http://simulator.local/b.mp3' }]
+    })
+    expect(msg.newPlaylistLength)
+      .equal(2)
+    msg = await sendToNode({
+      'topic': 'household.add.sonosplaylisttracks',
+      'payload': 'Curated & Co',
+      'tracks': ['http://simulator.local/c.mp3', 'http://simulator.local/d.mp3'],
+      'position': 2
+    })
+    expect(playlistTitles('Curated & Co'))
+      .to.eql(['a.mp3', 'c.mp3', 'd.mp3', 'b.mp3'])
+    await sendToNode({
+      'topic': 'household.move.sonosplaylisttrack', 'payload': 'Curated & Co',
+      'position': 1, 'newPosition': 4
+    })
+    expect(playlistTitles('Curated & Co'))
+      .to.eql(['c.mp3', 'd.mp3', 'b.mp3', 'a.mp3'])
+    msg = await sendToNode({
+      'topic': 'household.remove.sonosplaylisttracks', 'payload': 'Curated & Co',
+      'position': 2, 'numberOfTracks': 2
+    })
+    expect(msg.newPlaylistLength)
+      .equal(2)
+    expect(playlistTitles('Curated & Co'))
+      .to.eql(['c.mp3', 'a.mp3'])
+    await sendToNode({
+      'topic': 'household.rename.sonosplaylist', 'payload': 'Curated & Co',
+      'newTitle': 'Rock & Roll'
+    })
+    msg = await sendToNode({ 'topic': 'household.get.sonosplaylists' })
+    expect(msg.payload.map((playlist) => playlist.title))
+      .to.include('Rock & Roll')
+
+    // last track of a SONOS-Playlist with one track
+    await sendToNode({
+      'topic': 'household.remove.sonosplaylisttracks', 'payload': 'Rock & Roll', 'position': 2
+    })
+    msg = await sendToNode({
+      'topic': 'household.remove.sonosplaylisttracks', 'payload': 'Rock & Roll', 'position': 1
+    })
+    expect(msg.newPlaylistLength)
+      .equal(0)
+  })
+
+  it('household.create.sonosplaylist creates empty SONOS-Playlist', async () => {
+    const msg = await sendToNode({ 'topic': 'household.create.sonosplaylist', 'payload': 'Empty' })
+    expect(msg.newPlaylistLength)
+      .equal(0)
+    const removeMsg = { 'topic': 'household.remove.sonosplaylisttracks', 'payload': 'Empty' }
+    let error = null
+    await sendToNode(removeMsg)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('SONOS-Playlist is empty')
+  })
+
+  it('mysonos.add.item adds current track and exported item', async () => {
+    const favoriteTitles = () => simulator.favorites.map((favorite) => favorite.title)
+    await sendToNode({ 'topic': 'group.play.queue' })
+    let msg = await sendToNode({ 'topic': 'mysonos.add.item', 'title': 'Now & Then' },
+      mySonosNode)
+    expect(msg.payload.title)
+      .equal('Now & Then')
+    const currentTrack = simulator.getPlayer('Kitchen').queue[0]
+    expect(simulator.favorites.find((favorite) => favorite.id === msg.payload.id).uri)
+      .equal(currentTrack.uri)
+    msg = await sendToNode({ 'topic': 'mysonos.export.item', 'payload': 'Simulator Track' },
+      mySonosNode)
+    msg = await sendToNode({ 'topic': 'mysonos.add.item', 'payload': msg.payload }, mySonosNode)
+    expect(msg.payload.title)
+      .equal('Simulator Track')
+    await sendToNode({ 'topic': 'mysonos.remove.item', 'payload': msg.payload.id }, mySonosNode)
+    await sendToNode({
+      'topic': 'mysonos.rename.item', 'payload': 'Now & Then', 'newTitle': 'Favorite'
+    }, mySonosNode)
+    expect(favoriteTitles())
+      .to.eql(['Simulator Radio', 'Simulator Track', 'Favorite'])
+    await sendToNode({ 'topic': 'mysonos.remove.item', 'payload': 'Favorite' }, mySonosNode)
+    expect(favoriteTitles())
+      .to.eql(['Simulator Radio', 'Simulator Track'])
+  })
+
+  it('mysonos.add.item uri with & is encoded once', async () => {
+    const uri = 'x-sonos-http:track%3a42.mp3?sid=9&flags=8224&sn=7'
+    for (const payloadUri of [uri, uri.replace(/&/g, '&amp;')]) {
+      const msg = await sendToNode({
+        'topic': 'mysonos.add.item', 'payload': { 'uri': payloadUri }, 'title': 'Ampersand'
+      }, mySonosNode)
+      expect(simulator.favorites.find((favorite) => favorite.id === msg.payload.id).uri)
+        .equal(uri)
+      await sendToNode({ 'topic': 'mysonos.remove.item', 'payload': msg.payload.id },
+        mySonosNode)
+    }
+  })
+
+  it('mysonos.remove.item unknown title throws error', async () => {
+    let error = null
+    await sendToNode({ 'topic': 'mysonos.remove.item', 'payload': 'Simulator Mix' }, mySonosNode)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('no My Sonos favorite matching >>Simulator Mix')
+  })
+
+  it('library.search provides page and total', async () => {
+    const msg = await sendToNode({
+      'topic': 'library.search',
+      'payload': { 'category': 'albums', 'genre': 'Jazz', 'sort': '-title', 'limit': 1 }
+    }, mySonosNode)
+    expect(msg.payload.total)
+      .equal(2)
+    expect(msg.payload.items.map((item) => item.title))
+      .to.eql(['Harbour'])
+    expect(msg.payload.items[0].uri)
+      .to.include('#A:GENRE/Jazz/')
+  })
+
+  it('library.browse album can be played with group.play.export', async () => {
+    let msg = await sendToNode({ 'topic': 'library.browse', 'payload': 'A:ALBUM' }, mySonosNode)
+    const album = msg.payload.items.find((item) => item.title === 'Rails & Rivers')
+    expect(album.type)
+      .equal('container')
+    msg = await sendToNode({ 'topic': 'library.browse', 'payload': album.id }, mySonosNode)
+    expect(msg.payload.items.map((item) => item.type))
+      .to.eql(['item', 'item'])
+    await sendToNode({
+      'topic': 'group.play.export',
+      'payload': album,
+      'clearQueue': true
+    })
+    expect(queueTitles())
+      .to.eql(['Iron Road', 'River Song'])
+  })
+
+  it('group.queue.share and group.play.share map share link to SONOS uri', async () => {
+    let msg = await sendToNode({
+      'topic': 'group.queue.share',
+      'payload': 'https://open.spotify.com/album/1TSZDcvlPtAnekTaItI3qO'
+    })
+    const queue = simulator.getPlayer('Kitchen').queue
+    expect(msg.newQueueLength)
+      .equal(queue.length)
+    expect(queue[queue.length - 1].uri)
+      .to.match(/^x-rincon-cpcontainer:1004206cspotify%3aalbum%3a1TSZDcvlPtAnekTaItI3qO\?sid=9/)
+    await sendToNode({
+      'topic': 'group.play.share', 'payload': 'spotify:track:5AdoS3gS47x40nBNlNmPQ8'
+    })
+    msg = await sendToNode({ 'topic': 'group.get.state' })
+    expect(msg.payload.playbackstate)
+      .equal('playing')
+  })
+
+  it('group.play.share unsupported link throws error', async () => {
+    let error
+    await sendToNode({ 'topic': 'group.play.share', 'payload': 'https://www.example.com/track/1' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('share link is not supported')
+  })
+
+  it('household.get.musicservices provides account serial numbers', async () => {
+    let msg = await sendToNode({
+      'topic': 'mysonos.add.item', 'title': 'Spotify Track',
+      'payload': { 'uri': 'x-sonos-spotify:spotify%3atrack%3a1?sid=9&flags=8224&sn=7' }
+    }, mySonosNode)
+    const favoriteId = msg.payload.id
+    msg = await sendToNode({ 'topic': 'household.get.musicservices' })
+    await sendToNode({ 'topic': 'mysonos.remove.item', 'payload': favoriteId }, mySonosNode)
+    expect(msg.payload)
+      .to.eql([
+        { 'sid': '204', 'serviceName': 'Apple Music', 'serviceType': 52231,
+          'authentication': 'AppLink', 'accounts': [] },
+        { 'sid': '9', 'serviceName': 'Spotify', 'serviceType': 2311, 'authentication': 'AppLink',
+          'accounts': ['7'] },
+        { 'sid': '254', 'serviceName': 'TuneIn', 'serviceType': 65031,
+          'authentication': 'Anonymous', 'accounts': [] }
+      ])
+  })
+
+  it('home theater settings set and get', async () => {
+    const settings = [['surroundmode', 'AMBIENT', 'ambient'], ['surroundmode', 'full', 'full'],
+      ['surroundenable', 'off', 'off'], ['surroundlevel', -5, -5], ['heightlevel', '3', 3],
+      ['audiodelay', 2, 2], ['nightmode', 'on', 'on']]
+    for (const [name, value, expected] of settings) {
+      await sendToNode({ 'topic': `player.set.${name}`, 'payload': value, 'playerName': 'Living' })
+      const msg = await sendToNode({ 'topic': `player.get.${name}`, 'playerName': 'Living' })
+      expect(msg.payload)
+        .equal(expected)
+    }
+  })
+
+  it('home theater surroundmode uses SONOS values 1 full, 0 ambient', async () => {
+    const living = simulator.getPlayer('Living')
+    await sendToNode({ 'topic': 'player.set.surroundmode', 'payload': 'ambient',
+      'playerName': 'Living' })
+    expect(living.eq.SurroundMode)
+      .equal(0)
+    await sendToNode({ 'topic': 'player.set.surroundmode', 'payload': 'full',
+      'playerName': 'Living' })
+    expect(living.eq.SurroundMode)
+      .equal(1)
+  })
+
+  it('home theater setting without Sub throws error', async () => {
+    let error = null
+    await sendToNode({ 'topic': 'player.get.subcrossover', 'playerName': 'Living' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('player does not support >>SubCrossover')
+  })
+
+  it('home theater setting out of range throws error', async () => {
+    let error = null
+    await sendToNode({ 'topic': 'player.set.heightlevel', 'payload': 11, 'playerName': 'Living' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('heightlevel (msg.payload) >>11 is out of range')
+  })
+
+  it('home theater setting on player without TV throws error', async () => {
+    let error = null
+    await sendToNode({ 'topic': 'player.get.surroundmode', 'playerName': 'Kitchen' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('player does not support TV')
+  })
+
+  it('player.set.tvautoplay and tvautoplayungroup', async () => {
+    for (const value of ['on', 'off']) {
+      for (const name of ['tvautoplay', 'tvautoplayungroup']) {
+        await sendToNode({
+          'topic': `player.set.${name}`, 'payload': value, 'playerName': 'Living'
+        })
+      }
+      let msg = await sendToNode({ 'topic': 'player.get.tvautoplay', 'playerName': 'Living' })
+      expect(msg.payload)
+        .equal(value)
+      msg = await sendToNode({ 'topic': 'player.get.tvautoplayungroup', 'playerName': 'Living' })
+      expect(msg.payload)
+        .equal(value)
+    }
+    expect(simulator.getPlayer('Living').autoplay)
+      .to.eql({ 'roomUuid': '', 'includeLinkedZones': true })
+  })
+
+  it('player.ramp.volume and group.ramp.volume reach target volume', async () => {
+    await sendToNode({ 'topic': 'player.set.volume', 'payload': 10, 'playerName': 'Living' })
+    let msg = await sendToNode({
+      'topic': 'player.ramp.volume', 'payload': 20, 'duration': '00:00:01',
+      'playerName': 'Living'
+    })
+    expect(msg.rampState)
+      .equal('completed')
+    expect(simulator.getPlayer('Living').volume)
+      .equal(20)
+
+    msg = await sendToNode({ 'topic': 'player.ramp.volume', 'payload': 35, 'curve': 'alarm' })
+    expect(msg.rampState)
+      .equal('native')
+    expect(simulator.getPlayer('Kitchen').volume)
+      .equal(35)
+
+    msg = await sendToNode({ 'topic': 'group.ramp.volume', 'payload': 8, 'duration': '00:00:01' })
+    expect(msg.rampState)
+      .equal('completed')
+    expect(['Kitchen', 'Living'].map((name) => simulator.getPlayer(name).volume))
+      .to.eql([8, 8])
+  })
+
+  it('group.set.volume cancels group.ramp.volume', async () => {
+    const outputs = []
+    node.send = (msg) => outputs.push(msg)
+    node.emit('input', { 'topic': 'group.ramp.volume', 'payload': 90, 'duration': '00:00:05' })
+    await new Promise((resolve) => setTimeout(resolve, 600))
+    node.emit('input', { 'topic': 'group.set.volume', 'payload': 3 })
+    while (outputs.length < 2) {
+      await new Promise((resolve) => setTimeout(resolve, 100))
+    }
+    expect(outputs.find((msg) => msg.topic === 'group.ramp.volume').rampState)
+      .equal('cancelled')
+    expect(simulator.getPlayer('Kitchen').volume)
+      .equal(3)
+  })
+
+  it('group.play.notification with fade restores volumes', async () => {
+    await sendToNode({ 'topic': 'group.play.tunein', 'payload': 's24896' })
+    await sendToNode({ 'topic': 'group.set.volume', 'payload': 30 })
+    const msg = await sendToNode({
+      'topic': 'group.play.notification', 'payload': 'http://example.org/bell.mp3',
+      'duration': '00:00:01', 'fade': '00:00:01'
+    })
+    expect(msg.notificationState)
+      .equal('played')
+    expect(['Kitchen', 'Living'].map((name) => simulator.getPlayer(name).volume))
+      .to.eql([30, 30])
+    const kitchen = simulator.getPlayer('Kitchen')
+    expect(kitchen.transport.state)
+      .equal('PLAYING')
+  })
+
+  it('group.set.windown fades out, stops and restores volumes', async () => {
+    await sendToNode({ 'topic': 'group.play.tunein', 'payload': 's24896' })
+    await sendToNode({ 'topic': 'group.set.volume', 'payload': 30 })
+    const msg = await sendToNode({
+      'topic': 'group.set.windown', 'payload': '00:00:02', 'fade': '00:00:01',
+      'mysonos': 'Simulator Radio'
+    })
+    expect(msg.windDownState)
+      .equal('completed')
+    const kitchen = simulator.getPlayer('Kitchen')
+    expect(kitchen.transport.state)
+      .equal('STOPPED')
+    expect(kitchen.transport.uri)
+      .equal('x-rincon-mp3radio://simulator.local/radio.mp3')
+    expect(['Kitchen', 'Living'].map((name) => simulator.getPlayer(name).volume))
+      .to.eql([30, 30])
+  })
+
+  it('group.cancel.sleeptimer cancels group.set.windown', async () => {
+    await sendToNode({ 'topic': 'group.play.tunein', 'payload': 's24896' })
+    const outputs = []
+    node.send = (msg) => outputs.push(msg)
+    node.emit('input', { 'topic': 'group.set.windown', 'payload': '00:00:05' })
+    await new Promise((resolve) => setTimeout(resolve, 600))
+    node.emit('input', { 'topic': 'group.cancel.sleeptimer' })
+    while (outputs.length < 2) {
+      await new Promise((resolve) => setTimeout(resolve, 100))
+    }
+    expect(outputs.find((msg) => msg.topic === 'group.set.windown').windDownState)
+      .equal('cancelled')
+    expect(simulator.getPlayer('Kitchen').transport.state)
+      .equal('PLAYING')
+    expect(simulator.getPlayer('Kitchen').volume)
+      .equal(30)
+  })
+
+  it('group.set.windown restores volumes within the volume limits', async () => {
+    await sendToNode({ 'topic': 'group.play.tunein', 'payload': 's24896' })
+    await sendToNode({ 'topic': 'group.set.volume', 'payload': 30 })
+    await sendToNode({
+      'topic': 'household.set.volumelimits', 'payload': { 'Kitchen': { 'max': 20 } }
+    })
+    try {
+      const msg = await sendToNode({
+        'topic': 'group.set.windown', 'payload': '00:00:01', 'fade': '00:00:01'
+      })
+      expect(msg.windDownState)
+        .equal('completed')
+      expect(msg.volumeLimitViolations)
+        .to.eql([{ 'playerName': 'Kitchen', 'requested': 30, 'limit': 20 }])
+      expect(['Kitchen', 'Living'].map((name) => simulator.getPlayer(name).volume))
+        .to.eql([20, 30])
+    } finally {
+      await sendToNode({ 'topic': 'household.set.volumelimits', 'payload': { 'Kitchen': {} } })
+    }
+  })
+
+  it('household.set.volumelimits clamps player and group volume', async () => {
+    await sendToNode({
+      'topic': 'household.set.volumelimits', 'payload': { 'Kitchen': { 'max': 40 } }
+    })
+    let msg = await sendToNode({ 'topic': 'household.get.volumelimits' })
+    expect(msg.payload)
+      .to.eql({ 'Kitchen': { 'max': 40 } })
+
+    msg = await sendToNode({ 'topic': 'player.set.volume', 'payload': 70 })
+    expect(msg.volumeLimitViolations)
+      .to.eql([{ 'playerName': 'Kitchen', 'requested': 70, 'limit': 40 }])
+    expect(simulator.getPlayer('Kitchen').volume)
+      .equal(40)
+
+    msg = await sendToNode({ 'topic': 'group.set.volume', 'payload': 60 })
+    expect(msg.volumeLimitViolations.map((violation) => violation.playerName))
+      .to.eql(['Kitchen'])
+    expect(simulator.getPlayer('Kitchen').volume)
+      .equal(40)
+
+    msg = await sendToNode({ 'topic': 'player.set.volume', 'payload': 35 })
+    expect(msg)
+      .not.to.have.property('volumeLimitViolations')
+    await sendToNode({ 'topic': 'household.set.volumelimits', 'payload': { 'Kitchen': {} } })
+  })
+
+  it('volume limits are never exceeded - also not during adjust and ramp', async () => {
+    await sendToNode({
+      'topic': 'household.set.volumelimits', 'payload': { 'Kitchen': { 'max': 30 } }
+    })
+    const kitchen = simulator.getPlayer('Kitchen')
+    const living = simulator.getPlayer('Living')
+    const maxima = []
+    const watcher = setInterval(() => maxima.push(kitchen.volume), 20)
+    try {
+      await sendToNode({ 'topic': 'player.set.volume', 'payload': 20 })
+      let msg = await sendToNode({ 'topic': 'player.adjust.volume', 'payload': 50 })
+      expect(msg.newVolume)
+        .equal(30)
+      msg = await sendToNode({ 'topic': 'group.adjust.volume', 'payload': 40 })
+      expect(msg.volumeLimitViolations.map((violation) => violation.playerName))
+        .to.eql(['Kitchen'])
+      msg = await sendToNode({ 'topic': 'group.ramp.volume', 'payload': 90,
+        'duration': '00:00:01' })
+      expect(msg.rampState)
+        .equal('completed')
+      expect(living.volume)
+        .to.be.above(30)
+    } finally {
+      clearInterval(watcher)
+      await sendToNode({ 'topic': 'household.set.volumelimits', 'payload': { 'Kitchen': {} } })
+    }
+    expect(Math.max(...maxima))
+      .equal(30)
+  })
+
+  it('household create, update, copy, disable, enable and delete alarm', async () => {
+    let msg = await sendToNode({
+      'topic': 'household.create.alarm',
+      'payload': { 'startTime': '07:30', 'recurrence': 'WEEKDAYS', 'volume': 15 }
+    })
+    const alarm = msg.payload
+    expect([alarm.StartTime, alarm.Recurrence, alarm.Volume, alarm.Enabled])
+      .to.eql(['07:30:00', 'WEEKDAYS', '15', '1'])
+
+    msg = await sendToNode({
+      'topic': 'household.update.alarm', 'payload': { 'id': alarm.ID, 'startTime': '08:00' }
+    })
+    expect([msg.payload.ID, msg.payload.StartTime, msg.payload.Volume])
+      .to.eql([alarm.ID, '08:00:00', '15'])
+
+    msg = await sendToNode({
+      'topic': 'household.copy.alarm', 'payload': { 'id': Number(alarm.ID), 'volume': 25 }
+    })
+    const copy = msg.payload
+    expect(copy.ID)
+      .not.equal(alarm.ID)
+    expect([copy.StartTime, copy.Recurrence, copy.Volume])
+      .to.eql(['08:00:00', 'WEEKDAYS', '25'])
+
+    await sendToNode({ 'topic': 'household.disable.alarm', 'payload': copy.ID })
+    msg = await sendToNode({ 'topic': 'household.get.alarms' })
+    expect(msg.payload.alarms.find((item) => item.ID === copy.ID).Enabled)
+      .equal('0')
+    await sendToNode({ 'topic': 'household.enable.alarm', 'payload': copy.ID })
+
+    msg = await sendToNode({ 'topic': 'household.delete.alarm', 'payload': alarm.ID })
+    expect(msg.payload.ID)
+      .equal(alarm.ID)
+    msg = await sendToNode({ 'topic': 'household.get.alarms' })
+    expect(msg.payload.alarms.map((item) => [item.ID, item.Enabled]))
+      .to.eql([[copy.ID, '1']])
+    await sendToNode({ 'topic': 'household.delete.alarm', 'payload': copy.ID })
+  })
+
+  it('household.apply.scene creates groups, plays content and skips unchanged', async () => {
+    const scene = {
+      'groups': [
+        { 'players': ['Living', 'Bath'], 'content': { 'sonosplaylist': 'Simulator Mix' },
+          'queueMode': 'SHUFFLE', 'crossfade': 'on' },
+        { 'players': ['Kitchen'], 'content': { 'tunein': 's24896' } }
+      ],
+      'players': { 'Bath': { 'volume': 12, 'mute': 'off' }, 'Living': { 'bass': 3 } }
+    }
+    let msg = await sendToNode({ 'topic': 'household.apply.scene', 'payload': scene })
+    expect(msg.payload.map((step) => `${step.step} ${step.playerName} ${step.result}`))
+      .to.eql(['group Living done', 'group Kitchen skipped', 'content.sonosplaylist Living done',
+        'queueMode Living done', 'crossfade Living done', 'content.tunein Kitchen done',
+        'volume Bath done', 'mute Bath skipped', 'bass Living done'])
+    msg = await sendToNode({ 'topic': 'household.get.groups' })
+    expect(msg.payload.map((group) => group.map((member) => member.playerName)))
+      .to.have.deep.members([['Living', 'Bath'], ['Kitchen']])
+    expect(simulator.getPlayer('Bath').volume)
+      .equal(12)
+
+    msg = await sendToNode({ 'topic': 'household.apply.scene', 'payload': scene })
+    expect(msg.payload.filter((step) => step.result === 'skipped').map((step) => step.step))
+      .to.eql(['group', 'group', 'queueMode', 'crossfade', 'volume', 'mute', 'bass'])
+    await sendToNode({ 'topic': 'household.create.group', 'payload': 'Kitchen,Living' })
+  })
+
+  it('household.apply.scene reports failed step and continues', async () => {
+    const msg = await sendToNode({
+      'topic': 'household.apply.scene',
+      'payload': {
+        'groups': [{ 'players': ['Bath'], 'content': { 'mysonos': 'Unknown Title' } }],
+        'players': { 'Bath': { 'treble': -2 } }
+      }
+    })
+    expect(msg.payload[1])
+      .to.eql({
+        'step': 'content.mysonos', 'playerName': 'Bath', 'result': 'failed',
+        'error': 'nrcsp: no title matching search string >>Unknown Title'
+      })
+    expect(msg.payload[2].result)
+      .equal('done')
+  })
+
+  it('household.apply.scene queues a SONOS uri', async () => {
+    const uri = 'x-file-cifs://simulator/music/bell.mp3'
+    const msg = await sendToNode({
+      'topic': 'household.apply.scene',
+      'payload': { 'groups': [{ 'players': ['Bath'], 'content': { uri } }] }
+    })
+    expect(msg.payload[1])
+      .to.eql({ 'step': 'content.uri', 'playerName': 'Bath', 'result': 'done' })
+    const bath = simulator.getPlayer('Bath')
+    expect(bath.queue.map((track) => track.uri))
+      .to.eql([uri])
+    expect(bath.transport.uri.startsWith('x-rincon-queue:'))
+      .be.true
+  })
+
+  it('household.plan.group does not touch players and execute.plan applies it', async () => {
+    let msg = await sendToNode({ 'topic': 'household.plan.group', 'payload': 'Bath,Kitchen' })
+    const plan = msg.payload
+    expect(plan.actions.map((item) => `${item.action} ${item.playerName}`))
+      .to.eql(['SetAVTransportURI Kitchen'])
+    expect(plan.changes)
+      .to.eql([
+        { 'playerName': 'Kitchen', 'from': 'Kitchen', 'to': 'Bath' },
+        { 'playerName': 'Living', 'from': 'Kitchen', 'to': 'Living' }
+      ])
+    msg = await sendToNode({ 'topic': 'household.get.groups' })
+    expect(msg.payload.map((group) => group.map((member) => member.playerName)))
+      .to.have.deep.members([['Kitchen', 'Living'], ['Bath']])
+
+    await sendToNode({ 'topic': 'household.execute.plan', 'payload': plan })
+    msg = await sendToNode({ 'topic': 'household.get.groups' })
+    expect(msg.payload.map((group) => group.map((member) => member.playerName)))
+      .to.have.deep.members(plan.desired)
+
+    let error = null
+    await sendToNode({ 'topic': 'household.execute.plan', 'payload': plan })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('topology changed since plan was created')
+    await sendToNode({ 'topic': 'household.create.group', 'payload': 'Kitchen,Living' })
+  })
+
+  it('invalid command throws error', async () => {
+    let error = null
+    await sendToNode({ 'topic': 'group.invalid' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .to.include('command is invalid')
+  })
+})
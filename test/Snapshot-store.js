@@ -0,0 +1,105 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { deleteSnapshot, listSnapshots, loadSnapshot, readSnapshots, saveSnapshot }
+  = require('../src/Snapshot-store.js')
+
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const SNAPSHOT_KITCHEN = {
+  'membersData': [
+    { 'urlSchemeAuthority': 'http://192.168.178.37:1400', 'mutestate': null, 'volume': 10,
+      'playerName': 'Kitchen' },
+    { 'urlSchemeAuthority': 'http://192.168.178.38:1400', 'mutestate': null, 'volume': 20,
+      'playerName': 'Bath' }
+  ],
+  'wasPlaying': true,
+  'CurrentURI': 'x-rincon-queue:RINCON_5CAAFD00223601400#0'
+}
+
+describe('Snapshot-store functions', function () {
+  let directory
+  let filePath
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nrcsp-snap-'))
+    filePath = path.join(directory, 'snapshots.json')
+  })
+
+  after(async () => {
+    await fs.promises.rm(directory, { 'recursive': true, 'force': true })
+  })
+
+  it('missing file is empty', async () => {
+    const result = await readSnapshots(filePath)
+    expect(result)
+      .to.eql({})
+  })
+
+  it('save and load', async () => {
+    await saveSnapshot(filePath, 'morning', SNAPSHOT_KITCHEN)
+    const result = await loadSnapshot(filePath, 'morning')
+    expect(result.snapshot)
+      .to.eql(SNAPSHOT_KITCHEN)
+    expect(result.savedAt)
+      .be.a('string')
+  })
+
+  it('load unknown throws error', async () => {
+    let error = null
+    await loadSnapshot(filePath, 'evening')
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: snapshot >>evening does not exist')
+  })
+
+  it('parallel saves are all stored', async () => {
+    await Promise.all([
+      saveSnapshot(filePath, 'b', SNAPSHOT_KITCHEN),
+      saveSnapshot(filePath, 'a', SNAPSHOT_KITCHEN)
+    ])
+    const result = await listSnapshots(filePath)
+    expect(result.map((item) => item.name))
+      .to.eql(['a', 'b', 'morning'])
+    expect(result[0].playerNames)
+      .to.eql(['Kitchen', 'Bath'])
+  })
+
+  it('delete', async () => {
+    await deleteSnapshot(filePath, 'a')
+    const result = await listSnapshots(filePath)
+    expect(result.map((item) => item.name))
+      .to.eql(['b', 'morning'])
+  })
+
+  it('delete unknown throws error', async () => {
+    let error = null
+    await deleteSnapshot(filePath, 'a')
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: snapshot >>a does not exist')
+  })
+
+  it('corrupt file throws error', async () => {
+    const corruptPath = path.join(directory, 'corrupt.json')
+    await fs.promises.writeFile(corruptPath, '[1, 2')
+    let error = null
+    await readSnapshots(corruptPath)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal(`nrcsp: snapshot file >>${corruptPath} is corrupt`)
+  })
+})
@@ -0,0 +1,120 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { getGroupsAllCached, getHouseholdId, invalidateTopology, updateTopologyFromEvent }
+  = require('../src/Topology-cache.js')
+
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+
+const http = require('http')
+
+const testData = require('./testdata-parseZoneGroup.json')
+
+// Fake player: /info via http server, GetZoneGroupState counts requests
+const fakePlayer = (urlObject, zoneGroupState) => {
+  const tsPlayer = {
+    urlObject,
+    'requests': 0,
+    'ZoneGroupTopologyService': {
+      'GetZoneGroupState': async () => {
+        tsPlayer.requests++
+        return { 'ZoneGroupState': zoneGroupState }
+      }
+    }
+  }
+  return tsPlayer
+}
+
+describe('Topology-cache functions', function () {
+  let server
+  let urlObject
+  let householdId = 'Sonos_test'
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify({
+        'device': { 'id': 'RINCON_5CAAFD00223601400', 'capabilities': ['PLAYBACK'] },
+        householdId
+      }))
+    })
+    server.listen(0, '127.0.0.1', () => {
+      urlObject = new URL(`http://127.0.0.1:${server.address().port}`)
+      done()
+    })
+  })
+
+  after((done) => {
+    server.close(done)
+  })
+
+  it('household id from info', async () => {
+    const result = await getHouseholdId(urlObject)
+    expect(result)
+      .equal('Sonos_test')
+  })
+
+  it('household id is invalidated together with topology', async () => {
+    await getHouseholdId(urlObject)
+    householdId = 'Sonos_other'
+    expect(await getHouseholdId(urlObject))
+      .equal('Sonos_test')
+    invalidateTopology(urlObject)
+    expect(await getHouseholdId(urlObject))
+      .equal('Sonos_other')
+    householdId = 'Sonos_test'
+    invalidateTopology(urlObject)
+  })
+
+  it('second call is served from cache', async () => {
+    const tsPlayer = fakePlayer(urlObject,
+      testData['3Player_1Group_Coordinator_Kitchen'].ZoneGroupState)
+    invalidateTopology(urlObject)
+    const first = await getGroupsAllCached(tsPlayer, true)
+    const second = await getGroupsAllCached(tsPlayer, true)
+    expect(tsPlayer.requests)
+      .equal(1)
+    expect(second.length)
+      .equal(first.length)
+    expect(second[0][0].playerName)
+      .equal('Küche')
+  })
+
+  it('modifying result does not modify cache', async () => {
+    const tsPlayer = fakePlayer(urlObject,
+      testData['3Player_1Group_Coordinator_Kitchen'].ZoneGroupState)
+    const first = await getGroupsAllCached(tsPlayer, true)
+    first[0][0].playerName = 'modified'
+    first[0][0].urlObject.hostname = '10.0.0.1'
+    const second = await getGroupsAllCached(tsPlayer, true)
+    expect(second[0][0].playerName)
+      .equal('Küche')
+    expect(second[0][0].urlObject.hostname)
+      .equal('192.168.178.37')
+  })
+
+  it('invalidate forces new request', async () => {
+    const tsPlayer = fakePlayer(urlObject,
+      testData['3Player_1Group_Coordinator_Kitchen'].ZoneGroupState)
+    invalidateTopology(urlObject)
+    await getGroupsAllCached(tsPlayer, true)
+    invalidateTopology(urlObject)
+    await getGroupsAllCached(tsPlayer, true)
+    expect(tsPlayer.requests)
+      .equal(2)
+  })
+
+  it('event updates cache', async () => {
+    const tsPlayer = fakePlayer(urlObject, testData['3Player_3Groups'].ZoneGroupState)
+    await updateTopologyFromEvent(urlObject,
+      testData['3Player_1Group_Coordinator_Living'].ZoneGroupState)
+    const result = await getGroupsAllCached(tsPlayer, true)
+    expect(tsPlayer.requests)
+      .equal(0)
+    expect(result.length)
+      .equal(1)
+  })
+})
@@ -0,0 +1,143 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { getTtsFileName, renderTts, validatedTtsProvider } = require('../src/Tts.js')
+
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('validatedTtsProvider function', function () {
+
+  it('missing provider throws error', async () => {
+    let error = null
+    await validatedTtsProvider({})
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: TTS provider is not configured (config node)')
+  })
+
+  it('command without template throws error', async () => {
+    let error = null
+    await validatedTtsProvider({ 'ttsProvider': 'command', 'ttsCommand': '' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: TTS command template is missing')
+  })
+
+  it('invalid format throws error', async () => {
+    let error = null
+    await validatedTtsProvider({ 'ttsProvider': 'http', 'ttsUrl': 'http://x/{text}',
+      'ttsFormat': 'ogg' })
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: TTS format >>ogg is not mp3/wav')
+  })
+
+  it('http with defaults', async () => {
+    const result = await validatedTtsProvider(
+      { 'ttsProvider': 'http', 'ttsUrl': 'http://x/{text}' })
+    expect(result)
+      .to.eql({
+        'type': 'http', 'template': 'http://x/{text}', 'format': 'mp3', 'language': 'en-US'
+      })
+  })
+})
+
+describe('getTtsFileName function', function () {
+  const provider = { 'type': 'command', 'template': 'pico2wave -w {file} {text}', 'format': 'wav' }
+
+  it('same text same name', async () => {
+    const first = await getTtsFileName(provider, 'Hello', 'en-US')
+    const second = await getTtsFileName(provider, 'Hello', 'en-US')
+    expect(first)
+      .equal(second)
+    expect(first)
+      .match(/^[0-9a-f]{40}\.wav$/)
+  })
+
+  it('different language different name', async () => {
+    const first = await getTtsFileName(provider, 'Hello', 'en-US')
+    const second = await getTtsFileName(provider, 'Hello', 'en-GB')
+    expect(first)
+      .not.equal(second)
+  })
+})
+
+describe('renderTts function', function () {
+  let directory
+  let source
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nrcsp-tts-'))
+    source = path.join(directory, 'source.wav')
+    await fs.promises.writeFile(source, 'RIFF')
+  })
+
+  after(async () => {
+    await fs.promises.rm(directory, { 'recursive': true, 'force': true })
+  })
+
+  it('command creates file in cache', async () => {
+    const provider = { 'type': 'command', 'template': `cp ${source} {file}`, 'format': 'wav' }
+    const cacheDirectory = path.join(directory, 'cache')
+    const fileName = await renderTts(provider, 'Hello $& world', 'en-US', cacheDirectory)
+    const content = await fs.promises.readFile(path.join(cacheDirectory, fileName), 'utf8')
+    expect(content)
+      .equal('RIFF')
+  })
+
+  it('cached file is not rendered again', async () => {
+    const provider = { 'type': 'command', 'template': `cp ${source} {file}`, 'format': 'wav' }
+    const cacheDirectory = path.join(directory, 'cache')
+    const fileName = await renderTts(provider, 'Hello', 'en-US', cacheDirectory)
+    await fs.promises.writeFile(path.join(cacheDirectory, fileName), 'CACHED')
+    const secondName = await renderTts(provider, 'Hello', 'en-US', cacheDirectory)
+    const content = await fs.promises.readFile(path.join(cacheDirectory, secondName), 'utf8')
+    expect(content)
+      .equal('CACHED')
+  })
+
+  it('command text starting with - throws error', async () => {
+    const provider = {
+      'type': 'command', 'template': `cp ${source} {file} {text}`, 'format': 'wav'
+    }
+    const cacheDirectory = path.join(directory, 'option')
+    let error = null
+    await renderTts(provider, '--help', 'en-US', cacheDirectory)
+      .catch((err) => {
+        error = err
+      })
+    expect(error.message)
+      .equal('nrcsp: TTS text must not start with -')
+    const files = await fs.promises.readdir(cacheDirectory)
+    expect(files)
+      .to.eql([])
+  })
+
+  it('failing command throws error and leaves no file', async () => {
+    const provider = { 'type': 'command', 'template': 'false {file}', 'format': 'wav' }
+    const cacheDirectory = path.join(directory, 'failing')
+    let error = null
+    await renderTts(provider, 'Hello', 'en-US', cacheDirectory)
+      .catch((err) => {
+        error = err
+      })
+    expect(error)
+      .not.equal(null)
+    const files = await fs.promises.readdir(cacheDirectory)
+    expect(files)
+      .to.eql([])
+  })
+})
@@ -0,0 +1,220 @@
+// async/await syntax makes plugins such chai-as-promised obsolete
+// Passing lambdas (or arrow functions) to Mocha is discouraged therefore we do:
+// describe('xxxxx', function(){}) instead of describe('xxxxx', () => {})
+// That makes the this.timeout work!
+
+const { cancelRamps, getRampVolume, getVolumeLimit, getVolumeLimits, limitVolume,
+  rampGroupVolume, rampPlayerVolume, replaceVolumeLimits, setVolumeLimits, validatedVolumeLimits
+} = require('../src/Volume.js')
+
+const { describe, it } = require('mocha')
+const { expect } = require('chai')
+
+// Fake player: records all volumes being set. RampToVolume throws an upnp error
+// if not supported
+const fakePlayer = (hostname, volume, supportsRamp) => {
+  const tsPlayer = {
+    'urlObject': new URL(`http://${hostname}:1400`),
+    volume,
+    'volumes': [],
+    'RenderingControlService': {
+      'GetVolume': async () => ({ 'CurrentVolume': tsPlayer.volume }),
+      'SetVolume': async (args) => {
+        tsPlayer.volume = args.DesiredVolume
+        tsPlayer.volumes.push(args.DesiredVolume)
+        return true
+      },
+      'RampToVolume': async (args) => {
+        if (!supportsRamp) {
+          const error = new Error('Upnp error 402')
+          error.UpnpErrorCode = 402
+          throw error
+        }
+        tsPlayer.rampType = args.RampType
+        tsPlayer.volume = args.DesiredVolume
+        return { 'RampTime': 17 }
+      }
+    },
+    'GroupRenderingControlService': {
+      'GetGroupVolume': async () => ({ 'CurrentVolume': tsPlayer.volume }),
+      'SetGroupVolume': async (args) => {
+        tsPlayer.volume = args.DesiredVolume
+        tsPlayer.volumes.push(args.DesiredVolume)
+        return true
+      }
+    }
+  }
+  return tsPlayer
+}
+
+describe('getRampVolume function', function () {
+
+  it('start and end of every curve', () => {
+    for (const curve of ['linear', 'sleeptimer', 'alarm']) {
+      expect(getRampVolume(10, 50, 0, curve))
+        .equal(10)
+      expect(getRampVolume(10, 50, 1, curve))
+        .equal(50)
+    }
+  })
+
+  it('middle of curves', () => {
+    expect(getRampVolume(0, 100, 0.5, 'linear'))
+      .equal(50)
+    expect(getRampVolume(0, 100, 0.5, 'alarm'))
+      .equal(25)
+    expect(getRampVolume(0, 100, 0.5, 'sleeptimer'))
+      .equal(75)
+    expect(getRampVolume(100, 0, 0.5, 'alarm'))
+      .equal(75)
+  })
+})
+
+describe('rampPlayerVolume function', function () {
+  this.timeout(5000)
+
+  it('linear ramp sets increasing volumes and ends at target', async () => {
+    const tsPlayer = fakePlayer('10.0.0.1', 10, true)
+    const result = await rampPlayerVolume(tsPlayer, 20, { 'duration': 1000, 'curve': 'linear' })
+    expect(result)
+      .equal('completed')
+    expect(tsPlayer.volumes)
+      .to.eql([13, 15, 18, 20])
+  })
+
+  it('alarm ramp uses RampToVolume if supported', async () => {
+    const tsPlayer = fakePlayer('10.0.0.2', 10, true)
+    const result = await rampPlayerVolume(tsPlayer, 30, { 'duration': 1000, 'curve': 'alarm' })
+    expect(result)
+      .equal('native')
+    expect(tsPlayer.rampType)
+      .equal('ALARM_RAMP_TYPE')
+    expect(tsPlayer.volume)
+      .equal(30)
+  })
+
+  it('sleeptimer ramp uses software stepping if RampToVolume not supported', async () => {
+    const tsPlayer = fakePlayer('10.0.0.3', 40, false)
+    const result = await rampPlayerVolume(tsPlayer, 0,
+      { 'duration': 500, 'curve': 'sleeptimer' })
+    expect(result)
+      .equal('completed')
+    expect(tsPlayer.volumes)
+      .to.eql([10, 0])
+  })
+
+  it('new ramp cancels running ramp', async () => {
+    const tsPlayer = fakePlayer('10.0.0.4', 0, true)
+    const first = rampPlayerVolume(tsPlayer, 100, { 'duration': 2000, 'curve': 'linear' })
+    await new Promise((resolve) => setTimeout(resolve, 300))
+    const second = await rampPlayerVolume(tsPlayer, 5, { 'duration': 250, 'curve': 'linear' })
+    expect(await first)
+      .equal('cancelled')
+    expect(second)
+      .equal('completed')
+    expect(tsPlayer.volume)
+      .equal(5)
+  })
+})
+
+describe('rampGroupVolume and cancelRamps functions', function () {
+  this.timeout(5000)
+
+  it('volume command for a member cancels group ramp', async () => {
+    const tsCoordinator = fakePlayer('10.0.0.5', 50, true)
+    const members = ['10.0.0.5', '10.0.0.6'].map((hostname) => {
+      return { 'playerName': `Test ${hostname}`, 'urlObject': new URL(`http://${hostname}:1400`) }
+    })
+    const ramp = rampGroupVolume(undefined, tsCoordinator, members, 0,
+      { 'duration': 2000, 'curve': 'linear' })
+    await new Promise((resolve) => setTimeout(resolve, 300))
+    expect(cancelRamps(['10.0.0.6']))
+      .equal(1)
+    expect(await ramp)
+      .equal('cancelled')
+    expect(tsCoordinator.volume)
+      .to.be.above(0)
+    expect(cancelRamps(['10.0.0.5']))
+      .equal(0)
+  })
+})
+
+describe('volume limit functions', function () {
+
+  const SCOPE = 'config1'
+
+  const QUIET_HOURS = {
+    'Test Kitchen': {
+      'max': 60, 'notificationMax': 40,
+      'windows': [{ 'from': '22:00', 'to': '07:00', 'max': 20 }]
+    }
+  }
+
+  it('invalid limits throw error', () => {
+    expect(() => validatedVolumeLimits([]))
+      .to.throw('nrcsp: volume limits is not object')
+    expect(() => validatedVolumeLimits({ 'Kitchen': { 'max': 101 } }))
+      .to.throw('nrcsp: volume limit >>max of >>Kitchen is not integer 0 .. 100')
+    expect(() => validatedVolumeLimits({ 'Kitchen': { 'windows': {} } }))
+      .to.throw('nrcsp: windows of >>Kitchen is not array')
+    expect(() => validatedVolumeLimits({ 'Kitchen': { 'windows': [{ 'from': '25:00' }] } }))
+      .to.throw('nrcsp: time window >>0 of >>Kitchen is invalid')
+  })
+
+  it('time window passing midnight lowers the limit', () => {
+    setVolumeLimits(SCOPE, QUIET_HOURS)
+    expect(getVolumeLimit(SCOPE, 'Test Kitchen', false, new Date(2022, 4, 1, 12, 0)))
+      .equal(60)
+    expect(getVolumeLimit(SCOPE, 'Test Kitchen', false, new Date(2022, 4, 1, 23, 30)))
+      .equal(20)
+    expect(getVolumeLimit(SCOPE, 'Test Kitchen', false, new Date(2022, 4, 1, 6, 59)))
+      .equal(20)
+    expect(getVolumeLimit(SCOPE, 'Test Kitchen', false, new Date(2022, 4, 1, 7, 0)))
+      .equal(60)
+    // notificationMax of window falls back to max of window
+    expect(getVolumeLimit(SCOPE, 'Test Kitchen', true, new Date(2022, 4, 1, 12, 0)))
+      .equal(40)
+    expect(getVolumeLimit(SCOPE, 'Test Kitchen', true, new Date(2022, 4, 1, 23, 0)))
+      .equal(20)
+    expect(getVolumeLimit(SCOPE, 'Test Bath', false))
+      .equal(100)
+    setVolumeLimits(SCOPE, { 'Test Kitchen': {} })
+  })
+
+  it('limitVolume clamps and records violation', () => {
+    setVolumeLimits(SCOPE, { 'Test Kitchen': { 'max': 30 } })
+    const violations = []
+    expect(limitVolume(SCOPE, 'Test Kitchen', 25, false, violations))
+      .equal(25)
+    expect(limitVolume(SCOPE, 'Test Kitchen', 80, false, violations))
+      .equal(30)
+    expect(limitVolume(SCOPE, 'Test Kitchen', -1, false, violations))
+      .equal(-1)
+    expect(limitVolume(SCOPE, 'Test Bath', 80, false, violations))
+      .equal(80)
+    expect(violations)
+      .to.eql([{ 'playerName': 'Test Kitchen', 'requested': 80, 'limit': 30 }])
+    setVolumeLimits(SCOPE, { 'Test Kitchen': {} })
+    expect(getVolumeLimits(SCOPE))
+      .to.eql({})
+  })
+  it('replaceVolumeLimits drops removed limits and scopes are separate', () => {
+    setVolumeLimits(SCOPE, { 'Test Kitchen': { 'max': 30 }, 'Test Bath': { 'max': 50 } })
+    setVolumeLimits('config2', { 'Test Kitchen': { 'max': 70 } })
+    replaceVolumeLimits(SCOPE, { 'Test Bath': { 'max': 40 } })
+    expect(getVolumeLimits(SCOPE))
+      .to.eql({ 'Test Bath': { 'max': 40 } })
+    expect(getVolumeLimit(SCOPE, 'Test Kitchen', false))
+      .equal(100)
+    expect(getVolumeLimit('config2', 'Test Kitchen', false))
+      .equal(70)
+    expect(getVolumeLimit(undefined, 'Test Kitchen', false))
+      .equal(100)
+    replaceVolumeLimits(SCOPE, {})
+    replaceVolumeLimits('config2', {})
+    expect(getVolumeLimits(SCOPE))
+      .to.eql({})
+    expect(getVolumeLimits('config2'))
+      .to.eql({})
+  })
+})
@@ -196,6 +196,48 @@ describe('REGEX_TIME - valid', function () {
   })
 })
 
+describe('REGEX_TIME_24 - invalid', function () {
+  const tests = [
+    '',
+    ':',
+    '0:01',
+    '24:00',
+    '24:00:00',
+    '1:1',
+    '10',
+    '00:60',
+    '00:01:60',
+    '-07:00',
+    '07:00:00:00',
+    '07:00x'
+  ]
+  tests.forEach((item) => {
+    it(`${item} invalid`, function () {
+      expect(regex.REGEX_TIME_24.test(item))
+        .be.a('boolean')
+        .to.be.false
+    })
+  })
+})
+describe('REGEX_TIME_24 - valid', function () {
+  const tests = [
+    '00:00',
+    '07:30',
+    '23:59',
+    '00:00:00',
+    '07:30:00',
+    '19:00:00',
+    '23:59:59'
+  ]
+  tests.forEach((item) => {
+    it(`${item} valid`, function () {
+      expect(regex.REGEX_TIME_24.test(item))
+        .be.a('boolean')
+        .to.be.true
+    })
+  })
+})
+
 describe('REGEX_DELTA - invalid', function () {
   const tests = [
     '', // empty
@@ -321,6 +363,139 @@ describe('REGEX_QUEUEMODES - valid', function () {
   })
 })
 
+describe('REGEX_ALARM_RECURRENCE - invalid', function () {
+  const tests = [
+    '',
+    'ON_',
+    'ON_7',
+    'ON_12345678',
+    'WEEKDAY',
+    ' DAILY',
+    'DAILYx',
+    'ON-135'
+  ]
+  tests.forEach((item) => {
+    it(`${item} invalid`, function () {
+      expect(regex.REGEX_ALARM_RECURRENCE.test(item))
+        .be.a('boolean')
+        .to.be.false
+    })
+  })
+})
+describe('REGEX_ALARM_RECURRENCE - valid', function () {
+  const tests = [
+    'ONCE',
+    'WEEKDAYS',
+    'WEEKENDS',
+    'DAILY',
+    'daily',
+    'ON_0',
+    'ON_135',
+    'ON_0123456'
+  ]
+  tests.forEach((item) => {
+    it(`${item} valid`, function () {
+      expect(regex.REGEX_ALARM_RECURRENCE.test(item))
+        .be.a('boolean')
+        .to.be.true
+    })
+  })
+})
+describe('REGEX_ALARM_PLAYMODES - invalid', function () {
+  const tests = [
+    '',
+    'REPEAT_ONE',
+    'SHUFFLE_REPEAT_ONE',
+    ' NORMAL',
+    'normalx'
+  ]
+  tests.forEach((item) => {
+    it(`${item} invalid`, function () {
+      expect(regex.REGEX_ALARM_PLAYMODES.test(item))
+        .be.a('boolean')
+        .to.be.false
+    })
+  })
+})
+describe('REGEX_ALARM_PLAYMODES - valid', function () {
+  const tests = [
+    'NORMAL',
+    'REPEAT_ALL',
+    'SHUFFLE',
+    'SHUFFLE_NOREPEAT',
+    'shuffle'
+  ]
+  tests.forEach((item) => {
+    it(`${item} valid`, function () {
+      expect(regex.REGEX_ALARM_PLAYMODES.test(item))
+        .be.a('boolean')
+        .to.be.true
+    })
+  })
+})
+
+describe('REGEX_LANGUAGE - invalid', function () {
+  const tests = [
+    '',
+    'e',
+    'en-',
+    'en US',
+    '-US',
+    'en;rm'
+  ]
+  tests.forEach((item) => {
+    it(`${item} invalid`, function () {
+      expect(regex.REGEX_LANGUAGE.test(item))
+        .be.a('boolean')
+        .to.be.false
+    })
+  })
+})
+describe('REGEX_LANGUAGE - valid', function () {
+  const tests = [
+    'en',
+    'en-US',
+    'de_DE',
+    'zh-Hans-CN'
+  ]
+  tests.forEach((item) => {
+    it(`${item} valid`, function () {
+      expect(regex.REGEX_LANGUAGE.test(item))
+        .be.a('boolean')
+        .to.be.true
+    })
+  })
+})
+
+describe('REGEX_TTS_FILE - invalid', function () {
+  const tests = [
+    '',
+    '../settings.js',
+    '2fd4e1c67a2d28fced849ee1bb76e7391b93eb12.txt',
+    '2fd4e1c67a2d28fced849ee1bb76e7391b93eb1.mp3'
+  ]
+  tests.forEach((item) => {
+    it(`${item} invalid`, function () {
+      expect(regex.REGEX_TTS_FILE.test(item))
+        .be.a('boolean')
+        .to.be.false
+    })
+  })
+})
+describe('REGEX_TTS_FILE - valid', function () {
+  const tests = [
+    '2fd4e1c67a2d28fced849ee1bb76e7391b93eb12.mp3',
+    '2fd4e1c67a2d28fced849ee1bb76e7391b93eb12.wav'
+  ]
+  tests.forEach((item) => {
+    it(`${item} valid`, function () {
+      expect(regex.REGEX_TTS_FILE.test(item))
+        .be.a('boolean')
+        .to.be.true
+    })
+  })
+})
+
 describe('REGEX_CSV - invalid', function () {
   const tests = [
     '', // empty